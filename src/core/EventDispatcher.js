@@ -0,0 +1,71 @@
+/**
+ * DSRT Graphics Engine - Event Dispatcher
+ * @module dsrt-docs/src/core/EventDispatcher.js
+ * @version 1.0.0
+ * @license MIT
+ * @copyright DSRT Engine Team
+ */
+
+/**
+ * Minimal listener registry for engine objects that announce changes
+ * (textures being disposed, budgets crossing limits, ...)
+ * @class
+ * @example
+ * class Resource extends EventDispatcher {}
+ * const resource = new Resource();
+ * resource.addEventListener('dispose', event => release(event.target));
+ * resource.dispatchEvent({ type: 'dispose' });
+ */
+class EventDispatcher {
+
+    /**
+     * Adds a listener for an event type
+     * @param {string} type - Event type
+     * @param {Function} listener - Called with the event object
+     */
+    addEventListener(type, listener) {
+        if (!this._listeners) this._listeners = {};
+
+        const listeners = this._listeners[type] || (this._listeners[type] = []);
+        if (!listeners.includes(listener)) listeners.push(listener);
+    }
+
+    /**
+     * Removes a listener added with addEventListener
+     * @param {string} type - Event type
+     * @param {Function} listener - Listener to remove
+     */
+    removeEventListener(type, listener) {
+        const listeners = this._listeners && this._listeners[type];
+        if (!listeners) return;
+
+        const index = listeners.indexOf(listener);
+        if (index !== -1) listeners.splice(index, 1);
+    }
+
+    /**
+     * Checks if a listener is registered for an event type
+     * @param {string} type - Event type
+     * @param {Function} listener - Listener to look for
+     * @returns {boolean}
+     */
+    hasEventListener(type, listener) {
+        const listeners = this._listeners && this._listeners[type];
+        return !!listeners && listeners.includes(listener);
+    }
+
+    /**
+     * Calls the listeners of event.type
+     * @param {{type: string}} event - Event object; target is set to this object
+     */
+    dispatchEvent(event) {
+        const listeners = this._listeners && this._listeners[event.type];
+        if (!listeners) return;
+
+        event.target = this;
+        // Copy, so listeners can remove themselves
+        for (const listener of listeners.slice()) listener.call(this, event);
+    }
+}
+
+export { EventDispatcher };
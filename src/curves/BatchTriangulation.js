@@ -0,0 +1,363 @@
+/*!
+ * DSRT Batch Triangulation Module
+ * Triangulates large batches of polygons on a pool of workers
+ * @module dsrt-docs/src/curves/BatchTriangulation.js
+ * @license MIT
+ */
+
+import triangulatePolygon from './Triangulation.js';
+
+// Chunks per worker, so workers that finish early pick up more work
+const CHUNKS_PER_WORKER = 4;
+
+// Pool size when the platform does not report its core count
+const DEFAULT_POOL_SIZE = 4;
+
+/**
+ * Triangulates a batch of polygons on a pool of workers (worker_threads in
+ * Node, module Web Workers in browsers). Polygons are packed into typed
+ * arrays in chunks of similar vertex counts, moved to the workers as
+ * transferables and triangulated with triangulatePolygon. Without worker
+ * support, or with options.workers set to 0, the batch is triangulated on
+ * the calling thread by {@link triangulateBatchSync}, which gives identical
+ * results.
+ * @param {Array<{vertices: number[]|Float32Array|Float64Array, holes?: number[], dimensions?: number}>} polygons -
+ *   Polygons in the form produced by flattenPolygonData
+ * @param {Object} [options] - Batch options
+ * @param {TriangulationWorkerPool} [options.pool] - Pool to run on; it stays alive for reuse
+ *   (default: a temporary pool, terminated when the batch is done)
+ * @param {number} [options.workers] - Size of the temporary pool (default: number of cores,
+ *   0 to triangulate on the calling thread)
+ * @returns {Promise<{indices: Uint32Array, indexOffsets: Uint32Array, vertexOffsets: Uint32Array}>}
+ *   Triangle indices of all polygons in one buffer. Polygon i owns
+ *   indices[indexOffsets[i]] up to indices[indexOffsets[i + 1]], and its vertices start at
+ *   vertex vertexOffsets[i] of the polygons' vertices laid end to end (the indices already
+ *   include that offset)
+ * @example
+ * const footprints = buildings.map(building => flattenPolygonData(building.rings));
+ * const { indices, indexOffsets } = await triangulateBatch(footprints);
+ */
+export async function triangulateBatch(polygons, options = {}) {
+    const { pool = null, workers = defaultPoolSize() } = options;
+
+    if (polygons.length === 0 || (!pool && (workers === 0 || !hasWorkerSupport()))) {
+        return triangulateBatchSync(polygons);
+    }
+
+    const runner = pool || new TriangulationWorkerPool(workers);
+    try {
+        const chunks = createChunks(polygons, runner.size * CHUNKS_PER_WORKER);
+        const results = await Promise.all(chunks.map(chunk => runner.run(chunk)));
+        return mergeResults(polygons, chunks, results);
+    } finally {
+        if (!pool) runner.terminate();
+    }
+}
+
+/**
+ * Triangulates a batch of polygons on the calling thread, with the same
+ * packing and result layout as {@link triangulateBatch}
+ * @param {Array<{vertices: number[]|Float32Array|Float64Array, holes?: number[], dimensions?: number}>} polygons -
+ *   Polygons in the form produced by flattenPolygonData
+ * @returns {{indices: Uint32Array, indexOffsets: Uint32Array, vertexOffsets: Uint32Array}}
+ *   See {@link triangulateBatch}
+ */
+export function triangulateBatchSync(polygons) {
+    const chunks = createChunks(polygons, 1);
+    return mergeResults(polygons, chunks, chunks.map(triangulateChunk));
+}
+
+/**
+ * Triangulates the polygons of one packed chunk. Runs inside the workers;
+ * exported for the worker script.
+ * @param {Object} chunk - Packed polygons, as created for the workers
+ * @returns {{indices: Uint32Array, counts: Uint32Array}} Polygon-local triangle indices of all
+ *   polygons in order, and the number of indices per polygon
+ */
+export function triangulateChunk(chunk) {
+    const { vertices, vertexStarts, holes, holeStarts, dimensions } = chunk;
+    const count = dimensions.length;
+    const counts = new Uint32Array(count);
+    const parts = [];
+    let total = 0;
+
+    for (let i = 0; i < count; i++) {
+        const polygon = vertices.subarray(vertexStarts[i], vertexStarts[i + 1]);
+        const holeIndices = holes.subarray(holeStarts[i], holeStarts[i + 1]);
+        const triangles = triangulatePolygon(polygon, holeIndices.length ? holeIndices : null, dimensions[i]);
+
+        counts[i] = triangles.length;
+        total += triangles.length;
+        parts.push(triangles);
+    }
+
+    const indices = new Uint32Array(total);
+    let offset = 0;
+    for (const part of parts) {
+        indices.set(part, offset);
+        offset += part.length;
+    }
+
+    return { indices, counts };
+}
+
+/**
+ * Fixed set of triangulation workers that run packed chunks one at a time
+ * each. Workers start on first use; reuse one pool across batches to avoid
+ * start-up costs, and terminate it when done.
+ * @example
+ * const pool = new TriangulationWorkerPool(4);
+ * const a = await triangulateBatch(tiles[0], { pool });
+ * const b = await triangulateBatch(tiles[1], { pool });
+ * pool.terminate();
+ */
+export class TriangulationWorkerPool {
+    /**
+     * @param {number} [size] - Number of workers (default: number of cores)
+     */
+    constructor(size = defaultPoolSize()) {
+        this.size = Math.max(1, Math.floor(size));
+
+        this._workers = [];
+        this._idle = [];
+        this._queue = [];
+        this._ready = null;
+    }
+
+    /**
+     * Runs a packed chunk on the next free worker
+     * @param {Object} chunk - Packed polygons; its buffers are transferred to the worker
+     * @returns {Promise<{indices: Uint32Array, counts: Uint32Array}>} Result of triangulateChunk
+     */
+    async run(chunk) {
+        await this._start();
+
+        return new Promise((resolve, reject) => {
+            this._queue.push({ chunk, resolve, reject });
+            this._dispatch();
+        });
+    }
+
+    /**
+     * Stops all workers; running and queued chunks are rejected
+     */
+    terminate() {
+        const error = () => new Error('Triangulation worker pool was terminated');
+
+        for (const worker of this._workers) {
+            if (worker.task) worker.task.reject(error());
+            worker.task = null;
+            worker.terminate();
+        }
+        for (const task of this._queue) task.reject(error());
+
+        this._workers = [];
+        this._idle = [];
+        this._queue = [];
+        this._ready = null;
+    }
+
+    // Creates the workers once; a pool terminated while they start drops them
+    _start() {
+        if (!this._ready) {
+            const ready = Promise.all(Array.from({ length: this.size }, createWorker)).then(workers => {
+                if (this._ready !== ready) {
+                    for (const worker of workers) worker.terminate();
+                    throw new Error('Triangulation worker pool was terminated');
+                }
+                for (const worker of workers) this._attach(worker);
+            });
+            this._ready = ready;
+        }
+        return this._ready;
+    }
+
+    _attach(worker) {
+        worker.task = null;
+
+        worker.onMessage(message => {
+            const task = worker.task;
+            if (!task) return;
+            worker.task = null;
+            this._idle.push(worker);
+
+            if (message.error) task.reject(new Error(message.error));
+            else task.resolve({ indices: message.indices, counts: message.counts });
+            this._dispatch();
+        });
+
+        worker.onError(error => this._remove(worker, error));
+
+        // Exits of workers still in the pool were not asked for
+        worker.onExit(code => {
+            if (this._workers.includes(worker)) {
+                this._remove(worker, new Error(`Triangulation worker exited unexpectedly with code ${code}`));
+            }
+        });
+
+        this._workers.push(worker);
+        this._idle.push(worker);
+    }
+
+    // A crashed worker leaves the pool; without workers nothing can run
+    _remove(worker, error) {
+        if (worker.task) worker.task.reject(error);
+        worker.task = null;
+        worker.terminate();
+
+        this._workers = this._workers.filter(w => w !== worker);
+        this._idle = this._idle.filter(w => w !== worker);
+        if (this._workers.length === 0) this.terminate();
+    }
+
+    _dispatch() {
+        while (this._idle.length && this._queue.length) {
+            const worker = this._idle.pop();
+            const task = this._queue.shift();
+            const { chunk } = task;
+
+            worker.task = task;
+            worker.post(chunk, [chunk.vertices.buffer, chunk.vertexStarts.buffer,
+                chunk.holes.buffer, chunk.holeStarts.buffer, chunk.dimensions.buffer]);
+        }
+    }
+}
+
+/**
+ * Packs polygons into about chunkCount chunks of similar vertex counts
+ * @private
+ */
+function createChunks(polygons, chunkCount) {
+    let totalLength = 0;
+    for (const polygon of polygons) totalLength += polygon.vertices.length;
+
+    const target = totalLength / Math.max(1, chunkCount);
+    const chunks = [];
+    let first = 0, length = 0;
+
+    for (let i = 0; i < polygons.length; i++) {
+        length += polygons[i].vertices.length;
+        if (length >= target || i === polygons.length - 1) {
+            chunks.push(packChunk(polygons, first, i + 1));
+            first = i + 1;
+            length = 0;
+        }
+    }
+    return chunks;
+}
+
+/**
+ * Copies polygons first to end - 1 into transferable typed arrays
+ * @private
+ */
+function packChunk(polygons, first, end) {
+    const count = end - first;
+    const vertexStarts = new Uint32Array(count + 1);
+    const holeStarts = new Uint32Array(count + 1);
+    const dimensions = new Uint8Array(count);
+
+    for (let i = 0; i < count; i++) {
+        const polygon = polygons[first + i];
+        vertexStarts[i + 1] = vertexStarts[i] + polygon.vertices.length;
+        holeStarts[i + 1] = holeStarts[i] + (polygon.holes ? polygon.holes.length : 0);
+        dimensions[i] = polygon.dimensions || 2;
+    }
+
+    const vertices = new Float64Array(vertexStarts[count]);
+    const holes = new Uint32Array(holeStarts[count]);
+    for (let i = 0; i < count; i++) {
+        const polygon = polygons[first + i];
+        vertices.set(polygon.vertices, vertexStarts[i]);
+        if (polygon.holes) holes.set(polygon.holes, holeStarts[i]);
+    }
+
+    return { first, vertices, vertexStarts, holes, holeStarts, dimensions };
+}
+
+/**
+ * Joins chunk results into one index buffer with global vertex indices
+ * @private
+ */
+function mergeResults(polygons, chunks, results) {
+    const count = polygons.length;
+    const vertexOffsets = new Uint32Array(count + 1);
+    const indexOffsets = new Uint32Array(count + 1);
+
+    for (let i = 0; i < count; i++) {
+        const polygon = polygons[i];
+        vertexOffsets[i + 1] = vertexOffsets[i] + polygon.vertices.length / (polygon.dimensions || 2);
+    }
+    for (let c = 0; c < chunks.length; c++) {
+        const { counts } = results[c];
+        for (let i = 0; i < counts.length; i++) {
+            const index = chunks[c].first + i;
+            indexOffsets[index + 1] = indexOffsets[index] + counts[i];
+        }
+    }
+
+    const indices = new Uint32Array(indexOffsets[count]);
+    for (let c = 0; c < chunks.length; c++) {
+        const { indices: local, counts } = results[c];
+        let read = 0;
+        for (let i = 0; i < counts.length; i++) {
+            const index = chunks[c].first + i;
+            const offset = vertexOffsets[index];
+            let write = indexOffsets[index];
+            for (let k = 0; k < counts[i]; k++) indices[write++] = local[read++] + offset;
+        }
+    }
+
+    return { indices, indexOffsets, vertexOffsets };
+}
+
+/**
+ * Starts one worker and wraps the Node and browser worker APIs
+ * @private
+ */
+async function createWorker() {
+    const url = new URL('./TriangulationWorker.js', import.meta.url);
+
+    if (isNode()) {
+        const { Worker } = await import('node:worker_threads');
+        const worker = new Worker(url);
+        return {
+            post: (message, transfer) => worker.postMessage(message, transfer),
+            onMessage: handler => worker.on('message', handler),
+            onError: handler => worker.on('error', handler),
+            onExit: handler => worker.on('exit', handler),
+            terminate: () => worker.terminate()
+        };
+    }
+
+    const worker = new Worker(url, { type: 'module' });
+    return {
+        post: (message, transfer) => worker.postMessage(message, transfer),
+        onMessage: handler => { worker.onmessage = event => handler(event.data); },
+        onError: handler => { worker.onerror = event => handler(new Error(event.message)); },
+        // Web Workers only stop when terminated
+        onExit: () => {},
+        terminate: () => worker.terminate()
+    };
+}
+
+/**
+ * @private
+ */
+function isNode() {
+    return typeof process !== 'undefined' && !!(process.versions && process.versions.node);
+}
+
+/**
+ * @private
+ */
+function hasWorkerSupport() {
+    return isNode() || typeof Worker === 'function';
+}
+
+/**
+ * @private
+ */
+function defaultPoolSize() {
+    const cores = typeof navigator !== 'undefined' && navigator.hardwareConcurrency;
+    return cores || DEFAULT_POOL_SIZE;
+}
@@ -0,0 +1,137 @@
+/*!
+ * DSRT Catmull-Rom Curve Module
+ * Smooth curve through a list of points
+ * @module dsrt-docs/src/curves/CatmullRomCurve.js
+ * @license MIT
+ */
+
+import { Vec3 } from '../math/Vec3.js';
+import { Curve } from './Curve.js';
+
+// Knot spacing exponent per parameterization; centripetal never forms
+// cusps or self-intersections within a segment
+const ALPHA = { uniform: 0, centripetal: 0.5, chordal: 1 };
+
+/**
+ * Catmull-Rom spline through every point. Each point gets an equal share
+ * of t; the ends of an open curve are extrapolated so the spline reaches
+ * the first and last points.
+ */
+export class CatmullRomCurve extends Curve {
+    /**
+     * @param {Vec3[]} [points=[]] - Points to pass through
+     * @param {boolean} [closed=false] - Continue from the last point back to the first
+     * @param {string} [type='centripetal'] - Knot parameterization: 'centripetal', 'chordal'
+     *   or 'uniform'
+     */
+    constructor(points = [], closed = false, type = 'centripetal') {
+        super();
+        this.points = points;
+        this.closed = closed;
+        this.type = type;
+    }
+
+    /**
+     * Point at parameter t
+     * @param {number} t - Curve parameter in [0, 1]
+     * @param {Vec3} [target] - Vector to write the result into
+     * @returns {Vec3} Point on the curve
+     */
+    getPoint(t, target = new Vec3()) {
+        const segment = this._getSegment(t);
+        if (!segment) return this.points.length ? target.copy(this.points[0]) : target.set(0, 0, 0);
+
+        const { x, y, z, w } = segment;
+        return target.set(
+            x[0] + w * (x[1] + w * (x[2] + w * x[3])),
+            y[0] + w * (y[1] + w * (y[2] + w * y[3])),
+            z[0] + w * (z[1] + w * (z[2] + w * z[3]))
+        );
+    }
+
+    /**
+     * Unit tangent at parameter t
+     * @param {number} t - Curve parameter in [0, 1]
+     * @param {Vec3} [target] - Vector to write the result into
+     * @returns {Vec3} Unit tangent
+     */
+    getTangent(t, target = new Vec3()) {
+        const segment = this._getSegment(t);
+        if (!segment) return target.set(0, 0, 0);
+
+        const { x, y, z, w } = segment;
+        target.set(
+            x[1] + w * (2 * x[2] + 3 * w * x[3]),
+            y[1] + w * (2 * y[2] + 3 * w * y[3]),
+            z[1] + w * (2 * z[2] + 3 * w * z[3])
+        );
+
+        if (target.lengthSq() === 0) return super.getTangent(t, target);
+        return target.normalize();
+    }
+
+    // One interval per segment, so no segment is skipped
+    getFlattenIntervals() {
+        return Math.max(1, this.points.length - (this.closed ? 0 : 1));
+    }
+
+    // Cubic coefficients per axis of the segment containing t, and the
+    // position w within it; null with fewer than two points
+    _getSegment(t) {
+        const points = this.points;
+        const count = points.length;
+        if (count < 2) return null;
+
+        const alpha = ALPHA[this.type];
+        if (alpha === undefined) {
+            throw new Error(`Unknown Catmull-Rom type: ${this.type}`);
+        }
+
+        const position = (count - (this.closed ? 0 : 1)) * Math.min(Math.max(t, 0), 1);
+        let index = Math.floor(position);
+        let w = position - index;
+
+        if (!this.closed && index === count - 1) {
+            index = count - 2;
+            w = 1;
+        }
+
+        const p1 = points[index % count];
+        const p2 = points[(index + 1) % count];
+        const p0 = this.closed || index > 0 ?
+            points[(index + count - 1) % count] :
+            p1.clone().mulScalar(2).sub(p2);
+        const p3 = this.closed || index + 2 < count ?
+            points[(index + 2) % count] :
+            p2.clone().mulScalar(2).sub(p1);
+
+        // Knot intervals |p(i+1) - p(i)|^alpha; repeated points fall back to neighbours
+        let dt0 = Math.pow(p0.distanceToSquared(p1), alpha / 2);
+        let dt1 = Math.pow(p1.distanceToSquared(p2), alpha / 2);
+        let dt2 = Math.pow(p2.distanceToSquared(p3), alpha / 2);
+        if (dt1 < 1e-4) dt1 = 1;
+        if (dt0 < 1e-4) dt0 = dt1;
+        if (dt2 < 1e-4) dt2 = dt1;
+
+        return {
+            x: nonuniformCoefficients(p0.x, p1.x, p2.x, p3.x, dt0, dt1, dt2),
+            y: nonuniformCoefficients(p0.y, p1.y, p2.y, p3.y, dt0, dt1, dt2),
+            z: nonuniformCoefficients(p0.z, p1.z, p2.z, p3.z, dt0, dt1, dt2),
+            w
+        };
+    }
+}
+
+/**
+ * Coefficients c0..c3 of the cubic from x1 to x2 (w in [0, 1]) with the
+ * tangents of a Catmull-Rom spline over knot intervals dt0, dt1, dt2
+ * @private
+ */
+function nonuniformCoefficients(x0, x1, x2, x3, dt0, dt1, dt2) {
+    // Tangents at x1 and x2, rescaled from knot spacing to w
+    const m1 = ((x1 - x0) / dt0 - (x2 - x0) / (dt0 + dt1) + (x2 - x1) / dt1) * dt1;
+    const m2 = ((x2 - x1) / dt1 - (x3 - x1) / (dt1 + dt2) + (x3 - x2) / dt2) * dt1;
+
+    // Hermite form
+    return [x1, m1, -3 * x1 + 3 * x2 - 2 * m1 - m2, 2 * x1 - 2 * x2 + m1 + m2];
+}
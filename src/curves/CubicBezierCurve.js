@@ -0,0 +1,69 @@
+/*!
+ * DSRT Cubic Bezier Curve Module
+ * Cubic Bezier segments
+ * @module dsrt-docs/src/curves/CubicBezierCurve.js
+ * @license MIT
+ */
+
+import { Vec3 } from '../math/Vec3.js';
+import { Curve } from './Curve.js';
+
+/**
+ * Cubic Bezier curve from v0 to v3 with control points v1 and v2
+ */
+export class CubicBezierCurve extends Curve {
+    /**
+     * @param {Vec3} [v0] - Start point
+     * @param {Vec3} [v1] - First control point
+     * @param {Vec3} [v2] - Second control point
+     * @param {Vec3} [v3] - End point
+     */
+    constructor(v0 = new Vec3(), v1 = new Vec3(), v2 = new Vec3(), v3 = new Vec3()) {
+        super();
+        this.v0 = v0;
+        this.v1 = v1;
+        this.v2 = v2;
+        this.v3 = v3;
+    }
+
+    /**
+     * Point at parameter t
+     * @param {number} t - Curve parameter in [0, 1]
+     * @param {Vec3} [target] - Vector to write the result into
+     * @returns {Vec3} Point on the curve
+     */
+    getPoint(t, target = new Vec3()) {
+        const s = 1 - t;
+        const b0 = s * s * s, b1 = 3 * s * s * t, b2 = 3 * s * t * t, b3 = t * t * t;
+        const v0 = this.v0, v1 = this.v1, v2 = this.v2, v3 = this.v3;
+
+        return target.set(
+            b0 * v0.x + b1 * v1.x + b2 * v2.x + b3 * v3.x,
+            b0 * v0.y + b1 * v1.y + b2 * v2.y + b3 * v3.y,
+            b0 * v0.z + b1 * v1.z + b2 * v2.z + b3 * v3.z
+        );
+    }
+
+    /**
+     * Unit tangent at parameter t
+     * @param {number} t - Curve parameter in [0, 1]
+     * @param {Vec3} [target] - Vector to write the result into
+     * @returns {Vec3} Unit tangent
+     */
+    getTangent(t, target = new Vec3()) {
+        // B'(t) / 3 = (1 - t)^2 (v1 - v0) + 2t(1 - t)(v2 - v1) + t^2 (v3 - v2)
+        const s = 1 - t;
+        const d0 = s * s, d1 = 2 * s * t, d2 = t * t;
+        const v0 = this.v0, v1 = this.v1, v2 = this.v2, v3 = this.v3;
+
+        target.set(
+            d0 * (v1.x - v0.x) + d1 * (v2.x - v1.x) + d2 * (v3.x - v2.x),
+            d0 * (v1.y - v0.y) + d1 * (v2.y - v1.y) + d2 * (v3.y - v2.y),
+            d0 * (v1.z - v0.z) + d1 * (v2.z - v1.z) + d2 * (v3.z - v2.z)
+        );
+
+        // Control points on the end points: fall back to finite differences
+        if (target.lengthSq() === 0) return super.getTangent(t, target);
+        return target.normalize();
+    }
+}
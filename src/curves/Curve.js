@@ -0,0 +1,263 @@
+/*!
+ * DSRT Curve Module
+ * Base class for parametric 2D/3D curves
+ * @module dsrt-docs/src/curves/Curve.js
+ * @license MIT
+ */
+
+import { Vec3 } from '../math/Vec3.js';
+
+// Deepest halving of a parameter interval during adaptive flattening
+const MAX_FLATTEN_DEPTH = 16;
+
+/**
+ * Parametric curve over t in [0, 1], evaluated to Vec3 points (2D curves
+ * keep z = 0). Subclasses implement getPoint and usually getTangent; arc
+ * length parameterization and flattening are derived from them.
+ */
+export class Curve {
+    constructor() {
+        // Samples used to measure arc length
+        this.arcLengthDivisions = 200;
+
+        this._lengths = null;
+    }
+
+    /**
+     * Point at parameter t
+     * @param {number} t - Curve parameter in [0, 1]
+     * @param {Vec3} [target] - Vector to write the result into
+     * @returns {Vec3} Point on the curve
+     */
+    getPoint(t, target = new Vec3()) {
+        throw new Error(`${this.constructor.name}.getPoint() is not implemented`);
+    }
+
+    /**
+     * Unit tangent at parameter t (by finite differences unless overridden)
+     * @param {number} t - Curve parameter in [0, 1]
+     * @param {Vec3} [target] - Vector to write the result into
+     * @returns {Vec3} Unit tangent in the direction of increasing t
+     */
+    getTangent(t, target = new Vec3()) {
+        const delta = 1e-4;
+        const t0 = Math.max(0, t - delta);
+        const t1 = Math.min(1, t + delta);
+        return this.getPoint(t1, target).sub(this.getPoint(t0)).normalize();
+    }
+
+    /**
+     * Point at fraction u of the arc length
+     * @param {number} u - Arc length fraction in [0, 1]
+     * @param {Vec3} [target] - Vector to write the result into
+     * @returns {Vec3} Point on the curve
+     */
+    getPointAt(u, target = new Vec3()) {
+        return this.getPoint(this.getUtoTmapping(u), target);
+    }
+
+    /**
+     * Unit tangent at fraction u of the arc length
+     * @param {number} u - Arc length fraction in [0, 1]
+     * @param {Vec3} [target] - Vector to write the result into
+     * @returns {Vec3} Unit tangent
+     */
+    getTangentAt(u, target = new Vec3()) {
+        return this.getTangent(this.getUtoTmapping(u), target);
+    }
+
+    /**
+     * Total arc length
+     * @returns {number} Length, measured over arcLengthDivisions chords
+     */
+    getLength() {
+        const lengths = this.getLengths();
+        return lengths[lengths.length - 1];
+    }
+
+    /**
+     * Cumulative arc lengths at t = i / divisions, cached until updateArcLengths
+     * @param {number} [divisions] - Number of chords (default: arcLengthDivisions)
+     * @returns {number[]} divisions + 1 cumulative lengths, starting at 0
+     */
+    getLengths(divisions = this.arcLengthDivisions) {
+        if (this._lengths && this._lengths.length === divisions + 1) return this._lengths;
+
+        const lengths = [0];
+        const previous = this.getPoint(0);
+        const current = new Vec3();
+        let sum = 0;
+
+        for (let i = 1; i <= divisions; i++) {
+            this.getPoint(i / divisions, current);
+            sum += current.distanceTo(previous);
+            lengths.push(sum);
+            previous.copy(current);
+        }
+
+        this._lengths = lengths;
+        return lengths;
+    }
+
+    /**
+     * Drops cached arc lengths; call after moving control points
+     */
+    updateArcLengths() {
+        this._lengths = null;
+    }
+
+    /**
+     * Parameter t at which the arc length reaches fraction u of the total
+     * @param {number} u - Arc length fraction in [0, 1]
+     * @returns {number} Curve parameter t
+     */
+    getUtoTmapping(u) {
+        const lengths = this.getLengths();
+        const last = lengths.length - 1;
+        const target = Math.min(Math.max(u, 0), 1) * lengths[last];
+
+        // Last sample not beyond the target length
+        let low = 0, high = last;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (lengths[mid] <= target) low = mid;
+            else high = mid - 1;
+        }
+
+        if (low === last) return 1;
+
+        const segment = lengths[low + 1] - lengths[low];
+        const fraction = segment > 0 ? (target - lengths[low]) / segment : 0;
+        return (low + fraction) / last;
+    }
+
+    /**
+     * Points at equal steps of t
+     * @param {number} [divisions=5] - Number of steps
+     * @returns {Vec3[]} divisions + 1 points
+     */
+    getPoints(divisions = 5) {
+        const points = [];
+        for (let i = 0; i <= divisions; i++) points.push(this.getPoint(i / divisions));
+        return points;
+    }
+
+    /**
+     * Points at equal steps of arc length
+     * @param {number} [divisions=5] - Number of steps
+     * @returns {Vec3[]} divisions + 1 points
+     */
+    getSpacedPoints(divisions = 5) {
+        const points = [];
+        for (let i = 0; i <= divisions; i++) points.push(this.getPointAt(i / divisions));
+        return points;
+    }
+
+    /**
+     * Number of equal parameter intervals adaptive flattening starts from;
+     * subclasses raise it where a single interval could hide a whole feature
+     * (a closed loop has coinciding ends, for example)
+     * @returns {number} Interval count
+     */
+    getFlattenIntervals() {
+        return 1;
+    }
+
+    /**
+     * Approximates the curve by a polyline that deviates from it by at most
+     * tolerance, subdividing only where the curve bends
+     * @param {number} [tolerance=0.01] - Largest distance between curve and polyline
+     * @returns {Vec3[]} Polyline points from t = 0 to t = 1
+     * @example
+     * const points = new CubicBezierCurve(a, b, c, d).flatten(0.001);
+     */
+    flatten(tolerance = 0.01) {
+        const intervals = this.getFlattenIntervals();
+        const points = [this.getPoint(0)];
+
+        for (let i = 0; i < intervals; i++) {
+            const t0 = i / intervals, t1 = (i + 1) / intervals;
+            const end = this.getPoint(t1);
+            subdivide(this, t0, points[points.length - 1], t1, end, tolerance, 0, points);
+            points.push(end);
+        }
+        return points;
+    }
+
+    /**
+     * Flattens the curve into a flat vertex array for triangulatePolygon;
+     * the closing point of a closed curve is left out
+     * @param {number} [tolerance=0.01] - Largest distance between curve and polyline
+     * @param {number} [dimensions=2] - Coordinates per vertex, 2 (x, y) or 3 (x, y, z)
+     * @returns {number[]} Flat coordinates [x0,y0, x1,y1, ...]
+     * @example
+     * const vertices = new EllipseCurve(new Vec3(), 2, 1).toVertices(0.001);
+     * const triangles = triangulatePolygon(vertices);
+     */
+    toVertices(tolerance = 0.01, dimensions = 2) {
+        const points = this.flatten(tolerance);
+        if (points.length > 1 && points[0].equals(points[points.length - 1])) points.pop();
+
+        const vertices = [];
+        for (const p of points) {
+            vertices.push(p.x, p.y);
+            if (dimensions > 2) vertices.push(p.z);
+        }
+        return vertices;
+    }
+
+    /**
+     * Flattens closed outline and hole curves into polygon data for
+     * triangulatePolygon, in the same form as flattenPolygonData
+     * @param {Curve} outer - Outer boundary
+     * @param {Curve[]} [holes=[]] - Hole boundaries
+     * @param {number} [tolerance=0.01] - Largest distance between curve and polyline
+     * @returns {{vertices: number[], holes: number[], dimensions: number}}
+     * @example
+     * const data = Curve.toPolygonData(outline, [window], 0.01);
+     * const triangles = triangulatePolygon(data.vertices, data.holes, data.dimensions);
+     */
+    static toPolygonData(outer, holes = [], tolerance = 0.01) {
+        const vertices = outer.toVertices(tolerance);
+        const holeIndices = [];
+
+        for (const hole of holes) {
+            holeIndices.push(vertices.length / 2);
+            const ring = hole.toVertices(tolerance);
+            for (let i = 0; i < ring.length; i++) vertices.push(ring[i]);
+        }
+        return { vertices, holes: holeIndices, dimensions: 2 };
+    }
+}
+
+/**
+ * Appends the points strictly between t0 and t1 that keep the polyline
+ * within tolerance; the quarter points are checked too, so an S-bend whose
+ * midpoint happens to lie on the chord is still split
+ * @private
+ */
+function subdivide(curve, t0, p0, t1, p1, tolerance, depth, points) {
+    const tm = (t0 + t1) / 2;
+    const pm = curve.getPoint(tm);
+
+    if (depth < MAX_FLATTEN_DEPTH && !(
+        segmentDistance(pm, p0, p1) <= tolerance &&
+        segmentDistance(curve.getPoint((t0 + tm) / 2), p0, p1) <= tolerance &&
+        segmentDistance(curve.getPoint((tm + t1) / 2), p0, p1) <= tolerance)) {
+        subdivide(curve, t0, p0, tm, pm, tolerance, depth + 1, points);
+        points.push(pm);
+        subdivide(curve, tm, pm, t1, p1, tolerance, depth + 1, points);
+    }
+}
+
+/**
+ * Distance from p to segment a-b
+ * @private
+ */
+function segmentDistance(p, a, b) {
+    const dx = b.x - a.x, dy = b.y - a.y, dz = b.z - a.z;
+    const lengthSq = dx * dx + dy * dy + dz * dz;
+    let t = lengthSq > 0 ? ((p.x - a.x) * dx + (p.y - a.y) * dy + (p.z - a.z) * dz) / lengthSq : 0;
+    t = Math.min(Math.max(t, 0), 1);
+    return Math.hypot(p.x - a.x - dx * t, p.y - a.y - dy * t, p.z - a.z - dz * t);
+}
@@ -0,0 +1,157 @@
+/*!
+ * DSRT Curve Path Module
+ * Chains curves end to end into one curve
+ * @module dsrt-docs/src/curves/CurvePath.js
+ * @license MIT
+ */
+
+import { Vec3 } from '../math/Vec3.js';
+import { Curve } from './Curve.js';
+import { LineCurve } from './LineCurve.js';
+
+/**
+ * Sequence of curves traversed one after another. The path parameter is
+ * distributed by arc length, so each curve gets a share of t in
+ * proportion to its length.
+ * @example
+ * const path = new CurvePath();
+ * path.add(new QuadraticBezierCurve(a, b, c));
+ * path.add(new LineCurve(c, d));
+ * path.closePath();
+ * const triangles = triangulatePolygon(path.toVertices(0.01));
+ */
+export class CurvePath extends Curve {
+    constructor() {
+        super();
+        this.curves = [];
+
+        this._curveLengths = null;
+    }
+
+    /**
+     * Appends a curve to the path
+     * @param {Curve} curve - Curve to append, normally starting where the path ends
+     * @returns {CurvePath} This path
+     */
+    add(curve) {
+        this.curves.push(curve);
+        this._curveLengths = null;
+        return this;
+    }
+
+    /**
+     * Adds a straight segment back to the start if the path is not closed yet
+     * @returns {CurvePath} This path
+     */
+    closePath() {
+        if (this.curves.length === 0) return this;
+
+        const start = this.curves[0].getPoint(0);
+        const end = this.curves[this.curves.length - 1].getPoint(1);
+        if (!start.equals(end)) this.add(new LineCurve(end, start));
+        return this;
+    }
+
+    /**
+     * Point at parameter t, where t is the fraction of the path length
+     * @param {number} t - Path parameter in [0, 1]
+     * @param {Vec3} [target] - Vector to write the result into
+     * @returns {Vec3} Point on the path
+     */
+    getPoint(t, target = new Vec3()) {
+        const location = this._locate(t);
+        if (!location) return target.set(0, 0, 0);
+        return location.curve.getPointAt(location.u, target);
+    }
+
+    /**
+     * Unit tangent at parameter t
+     * @param {number} t - Path parameter in [0, 1]
+     * @param {Vec3} [target] - Vector to write the result into
+     * @returns {Vec3} Unit tangent
+     */
+    getTangent(t, target = new Vec3()) {
+        const location = this._locate(t);
+        if (!location) return target.set(0, 0, 0);
+        return location.curve.getTangentAt(location.u, target);
+    }
+
+    // t is already proportional to arc length
+    getPointAt(u, target = new Vec3()) {
+        return this.getPoint(u, target);
+    }
+
+    // Likewise for tangents
+    getTangentAt(u, target = new Vec3()) {
+        return this.getTangent(u, target);
+    }
+
+    // Sum of the curve lengths
+    getLength() {
+        const lengths = this.getCurveLengths();
+        return lengths.length ? lengths[lengths.length - 1] : 0;
+    }
+
+    /**
+     * Cumulative lengths at the end of each curve, cached until updateArcLengths
+     * @returns {number[]} One entry per curve
+     */
+    getCurveLengths() {
+        if (this._curveLengths && this._curveLengths.length === this.curves.length) {
+            return this._curveLengths;
+        }
+
+        const lengths = [];
+        let sum = 0;
+        for (const curve of this.curves) {
+            sum += curve.getLength();
+            lengths.push(sum);
+        }
+
+        this._curveLengths = lengths;
+        return lengths;
+    }
+
+    /**
+     * Drops cached lengths of the path and all its curves
+     */
+    updateArcLengths() {
+        super.updateArcLengths();
+        this._curveLengths = null;
+        for (const curve of this.curves) curve.updateArcLengths();
+    }
+
+    /**
+     * Flattens each curve within tolerance and joins the polylines,
+     * keeping every curve end point as a vertex
+     * @param {number} [tolerance=0.01] - Largest distance between path and polyline
+     * @returns {Vec3[]} Polyline points from the start to the end of the path
+     */
+    flatten(tolerance = 0.01) {
+        const points = [];
+
+        for (const curve of this.curves) {
+            const part = curve.flatten(tolerance);
+            const last = points[points.length - 1];
+            const start = last && part.length && last.equals(part[0]) ? 1 : 0;
+            for (let i = start; i < part.length; i++) points.push(part[i]);
+        }
+        return points;
+    }
+
+    // Curve covering path parameter t, and the arc length fraction u within it
+    _locate(t) {
+        const lengths = this.getCurveLengths();
+        if (lengths.length === 0) return null;
+
+        const total = lengths[lengths.length - 1];
+        const distance = Math.min(Math.max(t, 0), 1) * total;
+
+        let i = 0;
+        while (i < lengths.length - 1 && lengths[i] < distance) i++;
+
+        const start = i > 0 ? lengths[i - 1] : 0;
+        const length = lengths[i] - start;
+        return { curve: this.curves[i], u: length > 0 ? (distance - start) / length : 0 };
+    }
+}
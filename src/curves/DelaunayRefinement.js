@@ -0,0 +1,600 @@
+/*!
+ * DSRT Constrained Delaunay Refinement
+ * Edge-flip and Steiner point refinement for triangulatePolygon output
+ * @module dsrt-docs/src/curves/DelaunayRefinement.js
+ * @license MIT
+ */
+
+// Vertex indices stay below 2^26, so two of them pack into one safe integer key
+const KEY_FACTOR = 67108864;
+
+// Relative tolerance for the in-circle test; keeps cocircular points from flipping back and forth
+const INCIRCLE_EPSILON = 1e-10;
+
+/**
+ * Refines a triangulation toward a constrained Delaunay triangulation.
+ * Interior edges are flipped until every triangle's circumcircle is empty of
+ * its neighbours' vertices; polygon and hole edges are never flipped.
+ * When a minimum angle or maximum area is requested, Steiner points are
+ * inserted (Ruppert style: circumcenters of bad triangles, midpoints of
+ * encroached boundary segments) until the targets are met or the point
+ * budget runs out. Minimum angles above ~20 degrees may not be reachable,
+ * and angles between two input edges are never improved.
+ *
+ * @param {number[]} vertices - Flat array of vertex coordinates [x0,y0, x1,y1, ...]
+ * @param {number[]} holeIndices - Indices where holes start in vertices array
+ * @param {number} dimensions - Number of coordinates per vertex; extra coordinates
+ *   of Steiner points are interpolated
+ * @param {number[]} triangles - Triangle indices from triangulatePolygon
+ * @param {Object} [options] - Refinement options
+ * @param {number} [options.minAngle=0] - Target minimum angle in degrees (0 disables)
+ * @param {number} [options.maxArea=Infinity] - Target maximum triangle area
+ * @param {number} [options.maxSteinerPoints] - Point budget (default: 4 x vertex count, at least 1024)
+ * @returns {{vertices: number[], triangles: number[], steinerCount: number}}
+ *   Vertices (the input array when no points were added, otherwise a copy with
+ *   Steiner points appended) and refined triangle indices, wound the same way
+ *   as the input triangles
+ * @example
+ * const triangles = triangulatePolygon(vertices, holes);
+ * const refined = refineTriangulation(vertices, holes, 2, triangles, { minAngle: 20 });
+ */
+export function refineTriangulation(vertices, holeIndices, dimensions = 2, triangles, options = {}) {
+    const vertexCount = vertices.length / dimensions | 0;
+    const {
+        minAngle = 0,
+        maxArea = Infinity,
+        maxSteinerPoints = Math.max(1024, vertexCount * 4)
+    } = options;
+
+    const refineShape = minAngle > 0 || maxArea < Infinity;
+    const points = refineShape ? Array.from(vertices) : vertices;
+    const mesh = createMesh(points, holeIndices, dimensions, triangles);
+
+    const stack = [];
+    for (let t = 0; t < mesh.triangles.length; t += 3) {
+        stack.push(mesh.triangles[t], mesh.triangles[t + 1]);
+        stack.push(mesh.triangles[t + 1], mesh.triangles[t + 2]);
+        stack.push(mesh.triangles[t + 2], mesh.triangles[t]);
+    }
+    legalizeEdges(mesh, stack);
+
+    const steinerCount = refineShape ?
+        insertSteinerPoints(mesh, minAngle, maxArea, maxSteinerPoints) : 0;
+
+    return { vertices: points, triangles: exportTriangles(mesh), steinerCount };
+}
+
+/**
+ * Builds the half-edge lookup used for flips and point location
+ * @private
+ */
+function createMesh(points, holeIndices, dim, input) {
+    const mesh = {
+        points,
+        dim,
+        triangles: [],
+        edges: new Map(),        // directed edge key -> triangle offset
+        constrained: new Set(),  // undirected edge keys that must stay
+        degenerate: [],          // input triangles kept as-is
+        reversed: false
+    };
+
+    // Work in counter-clockwise order internally
+    let winding = 0;
+    for (let i = 0; i < input.length; i += 3) {
+        winding += orient(mesh, input[i], input[i + 1], input[i + 2]);
+    }
+    mesh.reversed = winding < 0;
+
+    for (let i = 0; i < input.length; i += 3) {
+        const a = input[i];
+        const b = mesh.reversed ? input[i + 2] : input[i + 1];
+        const c = mesh.reversed ? input[i + 1] : input[i + 2];
+
+        if (a === b || b === c || c === a || orient(mesh, a, b, c) <= 0) {
+            mesh.degenerate.push(a, b, c);
+            continue;
+        }
+
+        const t = mesh.triangles.length;
+        mesh.triangles.push(a, b, c);
+        linkTriangle(mesh, t);
+    }
+
+    // Polygon and hole rings
+    const count = points.length / dim | 0;
+    const ringStarts = [0].concat(holeIndices || []);
+    for (let r = 0; r < ringStarts.length; r++) {
+        const start = ringStarts[r];
+        const end = r < ringStarts.length - 1 ? ringStarts[r + 1] : count;
+        for (let i = start; i < end; i++) {
+            const j = i + 1 < end ? i + 1 : start;
+            if (i !== j) mesh.constrained.add(edgeKey(i, j));
+        }
+    }
+
+    // Boundary edges (no twin) also count, including ones spanning removed colinear points
+    for (let t = 0; t < mesh.triangles.length; t += 3) {
+        for (let k = 0; k < 3; k++) {
+            const a = mesh.triangles[t + k];
+            const b = mesh.triangles[t + (k + 1) % 3];
+            if (!mesh.edges.has(directedKey(b, a))) mesh.constrained.add(edgeKey(a, b));
+        }
+    }
+
+    return mesh;
+}
+
+/**
+ * Lawson flips over a stack of [a, b, a, b, ...] edges
+ * @private
+ */
+function legalizeEdges(mesh, stack, touched) {
+    const tris = mesh.triangles;
+
+    while (stack.length) {
+        const b = stack.pop();
+        const a = stack.pop();
+
+        if (mesh.constrained.has(edgeKey(a, b))) continue;
+
+        const t1 = mesh.edges.get(directedKey(a, b));
+        const t2 = mesh.edges.get(directedKey(b, a));
+        if (t1 === undefined || t2 === undefined) continue;
+
+        const c = oppositeVertex(tris, t1, a, b);
+        const d = oppositeVertex(tris, t2, b, a);
+
+        if (!isInCircle(mesh, a, b, c, d)) continue;
+
+        // Only flip convex quads, so both new triangles stay counter-clockwise
+        if (orient(mesh, c, a, d) <= 0 || orient(mesh, d, b, c) <= 0) continue;
+
+        unlinkTriangle(mesh, t1);
+        unlinkTriangle(mesh, t2);
+        setTriangle(mesh, t1, c, a, d);
+        setTriangle(mesh, t2, d, b, c);
+
+        if (touched) touched.push(t1, t2);
+        stack.push(a, d, d, b, b, c, c, a);
+    }
+}
+
+/**
+ * Inserts Steiner points until no bad triangle remains or the budget is spent
+ * @private
+ */
+function insertSteinerPoints(mesh, minAngle, maxArea, budget) {
+    const minSin = Math.sin(Math.min(minAngle, 60) * Math.PI / 180);
+    const queue = [];
+    const skipped = new Set();
+    let inserted = 0;
+
+    for (let t = 0; t < mesh.triangles.length; t += 3) queue.push(t);
+
+    while (queue.length && inserted < budget) {
+        const t = queue.pop();
+        if (skipped.has(t) || !isBadTriangle(mesh, t, minSin, maxArea)) continue;
+
+        const touched = [];
+        const center = circumcenter(mesh, t);
+        const location = center && locatePoint(mesh, t, center[0], center[1]);
+
+        if (!location) {
+            skipped.add(t);
+            continue;
+        }
+
+        // Segments inside the new point's cavity that it would encroach get split first
+        const segment = location.blocked || findEncroachedSegment(mesh, location, center[0], center[1]);
+
+        if (segment) {
+            const [a, b] = segment;
+            if (!splitSegment(mesh, a, b, touched)) {
+                skipped.add(t);
+                continue;
+            }
+            queue.push(t);  // Retry the same triangle afterwards
+        } else if (!insertPoint(mesh, location, center[0], center[1], touched)) {
+            skipped.add(t);
+            continue;
+        }
+
+        inserted++;
+        for (let i = 0; i < touched.length; i++) {
+            skipped.delete(touched[i]);
+            queue.push(touched[i]);
+        }
+    }
+
+    return inserted;
+}
+
+/**
+ * Checks a triangle against the area and angle targets; small angles
+ * enclosed by two constrained edges cannot be improved and are ignored
+ * @private
+ */
+function isBadTriangle(mesh, t, minSin, maxArea) {
+    const tris = mesh.triangles;
+    const a = tris[t], b = tris[t + 1], c = tris[t + 2];
+    const area = orient(mesh, a, b, c) / 2;
+
+    if (area > maxArea) return true;
+    if (minSin === 0) return false;
+
+    const ab = distance(mesh, a, b), bc = distance(mesh, b, c), ca = distance(mesh, c, a);
+
+    // Smallest angle is opposite the shortest edge; sin(angle) = edge / (2R) = 2 * area / (product of other edges)
+    let shortest, other1, other2, apex, u, v;
+    if (ab <= bc && ab <= ca) {
+        shortest = ab; other1 = bc; other2 = ca; apex = c; u = a; v = b;
+    } else if (bc <= ca) {
+        shortest = bc; other1 = ab; other2 = ca; apex = a; u = b; v = c;
+    } else {
+        shortest = ca; other1 = ab; other2 = bc; apex = b; u = c; v = a;
+    }
+    if (shortest === 0) return false;
+
+    const sinAngle = 2 * area / (other1 * other2);
+    if (sinAngle >= minSin) return false;
+
+    return !(mesh.constrained.has(edgeKey(apex, u)) && mesh.constrained.has(edgeKey(apex, v)));
+}
+
+/**
+ * Walks from triangle t toward (x, y); stops at the containing triangle or
+ * at the constrained edge that blocks the way
+ * @private
+ */
+function locatePoint(mesh, t, x, y) {
+    const tris = mesh.triangles;
+    const limit = tris.length / 3 + 1;
+
+    for (let step = 0; step < limit; step++) {
+        let crossed = false;
+
+        for (let k = 0; k < 3; k++) {
+            const a = tris[t + k];
+            const b = tris[t + (k + 1) % 3];
+
+            if (orientPoint(mesh, a, b, x, y) < 0) {
+                if (mesh.constrained.has(edgeKey(a, b))) return { triangle: t, blocked: [a, b] };
+
+                const next = mesh.edges.get(directedKey(b, a));
+                if (next === undefined) return { triangle: t, blocked: [a, b] };
+
+                t = next;
+                crossed = true;
+                break;
+            }
+        }
+
+        if (!crossed) return { triangle: t, blocked: null };
+    }
+
+    return null;  // Walk cycled on degenerate geometry
+}
+
+/**
+ * Finds a constrained edge of the would-be cavity whose diametral circle contains (x, y)
+ * @private
+ */
+function findEncroachedSegment(mesh, location, x, y) {
+    const tris = mesh.triangles;
+    const visited = new Set([location.triangle]);
+    const queue = [location.triangle];
+
+    while (queue.length) {
+        const t = queue.pop();
+
+        for (let k = 0; k < 3; k++) {
+            const a = tris[t + k];
+            const b = tris[t + (k + 1) % 3];
+
+            if (mesh.constrained.has(edgeKey(a, b))) {
+                if (isEncroached(mesh, a, b, x, y)) return [a, b];
+                continue;
+            }
+
+            const next = mesh.edges.get(directedKey(b, a));
+            if (next === undefined || visited.has(next)) continue;
+
+            const c = tris[next], d = tris[next + 1], e = tris[next + 2];
+            if (isPointInCircle(mesh, c, d, e, x, y)) {
+                visited.add(next);
+                queue.push(next);
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Splits a constrained edge at its midpoint
+ * @private
+ */
+function splitSegment(mesh, a, b, touched) {
+    const dim = mesh.dim;
+    const p = mesh.points.length / dim;
+
+    if (distance(mesh, a, b) <= tinyLength(mesh, a)) return false;
+
+    for (let d = 0; d < dim; d++) {
+        mesh.points.push((mesh.points[a * dim + d] + mesh.points[b * dim + d]) / 2);
+    }
+
+    splitEdge(mesh, a, b, p, touched);
+    return true;
+}
+
+/**
+ * Adds (x, y) inside or on the edge of the located triangle
+ * @private
+ */
+function insertPoint(mesh, location, x, y, touched) {
+    const tris = mesh.triangles;
+    const t = location.triangle;
+    const a = tris[t], b = tris[t + 1], c = tris[t + 2];
+    const dim = mesh.dim;
+    const pts = mesh.points;
+
+    const wa = orientPoint(mesh, b, c, x, y);
+    const wb = orientPoint(mesh, c, a, x, y);
+    const wc = orientPoint(mesh, a, b, x, y);
+    const total = wa + wb + wc;
+
+    if (total <= 0) return false;
+
+    // Refuse points that would land on top of an existing vertex
+    const tiny = tinyLength(mesh, a);
+    for (const v of [a, b, c]) {
+        if (Math.hypot(pts[v * dim] - x, pts[v * dim + 1] - y) <= tiny) return false;
+    }
+
+    const p = pts.length / dim;
+    for (let d = 0; d < dim; d++) {
+        pts.push((wa * pts[a * dim + d] + wb * pts[b * dim + d] + wc * pts[c * dim + d]) / total);
+    }
+    pts[p * dim] = x;
+    pts[p * dim + 1] = y;
+
+    // On an edge: split the edge so no zero-area triangle is created
+    if (wc === 0) return splitEdge(mesh, a, b, p, touched), true;
+    if (wa === 0) return splitEdge(mesh, b, c, p, touched), true;
+    if (wb === 0) return splitEdge(mesh, c, a, p, touched), true;
+
+    unlinkTriangle(mesh, t);
+    setTriangle(mesh, t, a, b, p);
+    const t2 = addTriangle(mesh, b, c, p);
+    const t3 = addTriangle(mesh, c, a, p);
+    touched.push(t, t2, t3);
+
+    legalizeEdges(mesh, [a, b, b, c, c, a], touched);
+    return true;
+}
+
+/**
+ * Splits edge a-b at new vertex p, in both adjacent triangles
+ * @private
+ */
+function splitEdge(mesh, a, b, p, touched) {
+    const tris = mesh.triangles;
+    const t1 = mesh.edges.get(directedKey(a, b));
+    const t2 = mesh.edges.get(directedKey(b, a));
+    const stack = [];
+
+    const key = edgeKey(a, b);
+    if (mesh.constrained.delete(key)) {
+        mesh.constrained.add(edgeKey(a, p));
+        mesh.constrained.add(edgeKey(p, b));
+    }
+
+    if (t1 !== undefined) {
+        const c = oppositeVertex(tris, t1, a, b);
+        unlinkTriangle(mesh, t1);
+        setTriangle(mesh, t1, a, p, c);
+        touched.push(t1, addTriangle(mesh, p, b, c));
+        stack.push(b, c, c, a);
+    }
+
+    if (t2 !== undefined) {
+        const d = oppositeVertex(tris, t2, b, a);
+        unlinkTriangle(mesh, t2);
+        setTriangle(mesh, t2, b, p, d);
+        touched.push(t2, addTriangle(mesh, p, a, d));
+        stack.push(a, d, d, b);
+    }
+
+    legalizeEdges(mesh, stack, touched);
+}
+
+/**
+ * Circumcenter of triangle t, or null when degenerate
+ * @private
+ */
+function circumcenter(mesh, t) {
+    const pts = mesh.points, dim = mesh.dim, tris = mesh.triangles;
+    const ax = pts[tris[t] * dim], ay = pts[tris[t] * dim + 1];
+    const bx = pts[tris[t + 1] * dim] - ax, by = pts[tris[t + 1] * dim + 1] - ay;
+    const cx = pts[tris[t + 2] * dim] - ax, cy = pts[tris[t + 2] * dim + 1] - ay;
+
+    const d = 2 * (bx * cy - by * cx);
+    if (d === 0) return null;
+
+    const b2 = bx * bx + by * by;
+    const c2 = cx * cx + cy * cy;
+    return [ax + (cy * b2 - by * c2) / d, ay + (bx * c2 - cx * b2) / d];
+}
+
+/**
+ * Checks if (x, y) lies strictly inside the diametral circle of a-b
+ * @private
+ */
+function isEncroached(mesh, a, b, x, y) {
+    const pts = mesh.points, dim = mesh.dim;
+    return (pts[a * dim] - x) * (pts[b * dim] - x) + (pts[a * dim + 1] - y) * (pts[b * dim + 1] - y) < 0;
+}
+
+/**
+ * Checks if d lies inside the circumcircle of counter-clockwise a, b, c
+ * @private
+ */
+function isInCircle(mesh, a, b, c, d) {
+    const pts = mesh.points, dim = mesh.dim;
+    return isPointInCircle(mesh, a, b, c, pts[d * dim], pts[d * dim + 1]);
+}
+
+/**
+ * @private
+ */
+function isPointInCircle(mesh, a, b, c, px, py) {
+    const pts = mesh.points, dim = mesh.dim;
+    const adx = pts[a * dim] - px, ady = pts[a * dim + 1] - py;
+    const bdx = pts[b * dim] - px, bdy = pts[b * dim + 1] - py;
+    const cdx = pts[c * dim] - px, cdy = pts[c * dim + 1] - py;
+
+    const alift = adx * adx + ady * ady;
+    const blift = bdx * bdx + bdy * bdy;
+    const clift = cdx * cdx + cdy * cdy;
+
+    const t1 = alift * (bdx * cdy - cdx * bdy);
+    const t2 = blift * (cdx * ady - adx * cdy);
+    const t3 = clift * (adx * bdy - bdx * ady);
+
+    return t1 + t2 + t3 > INCIRCLE_EPSILON * (Math.abs(t1) + Math.abs(t2) + Math.abs(t3));
+}
+
+/**
+ * Twice the signed area of a, b, c (positive when counter-clockwise)
+ * @private
+ */
+function orient(mesh, a, b, c) {
+    const pts = mesh.points, dim = mesh.dim;
+    return orientPoint(mesh, a, b, pts[c * dim], pts[c * dim + 1]);
+}
+
+/**
+ * @private
+ */
+function orientPoint(mesh, a, b, x, y) {
+    const pts = mesh.points, dim = mesh.dim;
+    const ax = pts[a * dim], ay = pts[a * dim + 1];
+    return (pts[b * dim] - ax) * (y - ay) - (pts[b * dim + 1] - ay) * (x - ax);
+}
+
+/**
+ * @private
+ */
+function distance(mesh, a, b) {
+    const pts = mesh.points, dim = mesh.dim;
+    return Math.hypot(pts[a * dim] - pts[b * dim], pts[a * dim + 1] - pts[b * dim + 1]);
+}
+
+/**
+ * Length below which two points are treated as coincident near vertex a
+ * @private
+ */
+function tinyLength(mesh, a) {
+    const pts = mesh.points, dim = mesh.dim;
+    return 1e-9 * Math.max(1, Math.abs(pts[a * dim]), Math.abs(pts[a * dim + 1]));
+}
+
+/**
+ * @private
+ */
+function oppositeVertex(tris, t, a, b) {
+    for (let k = 0; k < 3; k++) {
+        const v = tris[t + k];
+        if (v !== a && v !== b) return v;
+    }
+    return -1;
+}
+
+/**
+ * @private
+ */
+function addTriangle(mesh, a, b, c) {
+    const t = mesh.triangles.length;
+    mesh.triangles.push(a, b, c);
+    linkTriangle(mesh, t);
+    return t;
+}
+
+/**
+ * @private
+ */
+function setTriangle(mesh, t, a, b, c) {
+    mesh.triangles[t] = a;
+    mesh.triangles[t + 1] = b;
+    mesh.triangles[t + 2] = c;
+    linkTriangle(mesh, t);
+}
+
+/**
+ * Registers the triangle's directed edges; an edge claimed twice
+ * (non-manifold input) is locked against flipping
+ * @private
+ */
+function linkTriangle(mesh, t) {
+    const tris = mesh.triangles;
+    for (let k = 0; k < 3; k++) {
+        const a = tris[t + k];
+        const b = tris[t + (k + 1) % 3];
+        const key = directedKey(a, b);
+        if (mesh.edges.has(key) && mesh.edges.get(key) !== t) {
+            mesh.constrained.add(edgeKey(a, b));
+            continue;
+        }
+        mesh.edges.set(key, t);
+    }
+}
+
+/**
+ * @private
+ */
+function unlinkTriangle(mesh, t) {
+    const tris = mesh.triangles;
+    for (let k = 0; k < 3; k++) {
+        const key = directedKey(tris[t + k], tris[t + (k + 1) % 3]);
+        if (mesh.edges.get(key) === t) mesh.edges.delete(key);
+    }
+}
+
+/**
+ * Triangles in the caller's winding, followed by untouched degenerate ones
+ * @private
+ */
+function exportTriangles(mesh) {
+    const tris = mesh.triangles;
+    const result = new Array(tris.length);
+
+    for (let t = 0; t < tris.length; t += 3) {
+        result[t] = tris[t];
+        result[t + 1] = mesh.reversed ? tris[t + 2] : tris[t + 1];
+        result[t + 2] = mesh.reversed ? tris[t + 1] : tris[t + 2];
+    }
+
+    for (let t = 0; t < mesh.degenerate.length; t += 3) {
+        result.push(mesh.degenerate[t],
+            mesh.reversed ? mesh.degenerate[t + 2] : mesh.degenerate[t + 1],
+            mesh.reversed ? mesh.degenerate[t + 1] : mesh.degenerate[t + 2]);
+    }
+
+    return result;
+}
+
+/**
+ * @private
+ */
+function directedKey(a, b) {
+    return a * KEY_FACTOR + b;
+}
+
+/**
+ * @private
+ */
+function edgeKey(a, b) {
+    return a < b ? a * KEY_FACTOR + b : b * KEY_FACTOR + a;
+}
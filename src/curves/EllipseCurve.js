@@ -0,0 +1,98 @@
+/*!
+ * DSRT Ellipse Curve Module
+ * Elliptical arcs in the XY plane
+ * @module dsrt-docs/src/curves/EllipseCurve.js
+ * @license MIT
+ */
+
+import { Vec3 } from '../math/Vec3.js';
+import { Curve } from './Curve.js';
+
+const TWO_PI = Math.PI * 2;
+
+/**
+ * Elliptical arc around center in the XY plane (z taken from center).
+ * Angles are in radians, measured counter-clockwise from the ellipse's own
+ * x axis, which is turned by rotation. Equal start and end angles give a
+ * point; a sweep of a whole turn gives a closed ellipse.
+ */
+export class EllipseCurve extends Curve {
+    /**
+     * @param {Vec3} [center] - Center of the ellipse
+     * @param {number} [xRadius=1] - Radius along the ellipse's x axis
+     * @param {number} [yRadius=1] - Radius along the ellipse's y axis
+     * @param {number} [startAngle=0] - Start angle
+     * @param {number} [endAngle=2*PI] - End angle
+     * @param {boolean} [clockwise=false] - Sweep clockwise from start to end
+     * @param {number} [rotation=0] - Rotation of the ellipse axes
+     */
+    constructor(center = new Vec3(), xRadius = 1, yRadius = 1,
+                startAngle = 0, endAngle = TWO_PI, clockwise = false, rotation = 0) {
+        super();
+        this.center = center;
+        this.xRadius = xRadius;
+        this.yRadius = yRadius;
+        this.startAngle = startAngle;
+        this.endAngle = endAngle;
+        this.clockwise = clockwise;
+        this.rotation = rotation;
+    }
+
+    /**
+     * Point at parameter t
+     * @param {number} t - Curve parameter in [0, 1]
+     * @param {Vec3} [target] - Vector to write the result into
+     * @returns {Vec3} Point on the arc
+     */
+    getPoint(t, target = new Vec3()) {
+        const angle = this.startAngle + t * this.getSweep();
+        const x = this.xRadius * Math.cos(angle);
+        const y = this.yRadius * Math.sin(angle);
+        const cos = Math.cos(this.rotation), sin = Math.sin(this.rotation);
+
+        return target.set(
+            this.center.x + x * cos - y * sin,
+            this.center.y + x * sin + y * cos,
+            this.center.z
+        );
+    }
+
+    /**
+     * Unit tangent at parameter t, in the direction of the sweep
+     * @param {number} t - Curve parameter in [0, 1]
+     * @param {Vec3} [target] - Vector to write the result into
+     * @returns {Vec3} Unit tangent
+     */
+    getTangent(t, target = new Vec3()) {
+        const sweep = this.getSweep();
+        const angle = this.startAngle + t * sweep;
+        const x = -this.xRadius * Math.sin(angle) * sweep;
+        const y = this.yRadius * Math.cos(angle) * sweep;
+        const cos = Math.cos(this.rotation), sin = Math.sin(this.rotation);
+
+        return target.set(x * cos - y * sin, x * sin + y * cos, 0).normalize();
+    }
+
+    /**
+     * Signed angle swept from start to end: positive counter-clockwise,
+     * negative clockwise, at most a whole turn
+     * @returns {number} Sweep in radians
+     */
+    getSweep() {
+        let sweep = this.endAngle - this.startAngle;
+        const samePoints = Math.abs(sweep) < Number.EPSILON;
+
+        // Wrap into [0, 2 PI); a multiple of a whole turn is a whole ellipse
+        sweep = ((sweep % TWO_PI) + TWO_PI) % TWO_PI;
+        if (sweep < Number.EPSILON) sweep = samePoints ? 0 : TWO_PI;
+
+        if (this.clockwise && !samePoints) sweep = sweep === TWO_PI ? -TWO_PI : sweep - TWO_PI;
+        return sweep;
+    }
+
+    // Quarter turns at most, so the ends of a closed ellipse never meet in
+    // one interval
+    getFlattenIntervals() {
+        return Math.max(1, Math.ceil(Math.abs(this.getSweep()) / (Math.PI / 2)));
+    }
+}
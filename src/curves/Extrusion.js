@@ -0,0 +1,225 @@
+/*!
+ * DSRT Extrusion Module
+ * Extrudes polygons into 3D meshes with caps, side walls and optional bevels
+ * @module dsrt-docs/src/curves/Extrusion.js
+ * @license MIT
+ */
+
+import triangulatePolygon from './Triangulation.js';
+import { normalizePolygons } from './PolygonUtils.js';
+import { Vec3 } from '../math/Vec3.js';
+
+// Material indices of the mesh groups
+const GROUP_CAPS = 0;
+const GROUP_SIDES = 1;
+
+/**
+ * Extrudes a polygon along +Z into an indexed triangle mesh.
+ * The back cap lies at z = 0 and the front cap at z = depth; both are
+ * triangulated with triangulatePolygon. Side walls get flat per-face normals
+ * and their own vertices, so edges stay sharp. With bevelSegments above 0
+ * the edges between caps and walls are rounded off, bevelThickness deep
+ * along z and bevelSize inwards, so the walls keep the footprint of the
+ * input outline and the total depth stays depth.
+ * Cap UVs are the x and y coordinates; side UVs run along the outline (u)
+ * and along z (v), both in model units.
+ * @param {number[][][]|Vec2[][]|Array} polygon - Polygon as [outer, ...holes] rings of [x, y]
+ *   or Vec2, or an array of such polygons; rings may be open or closed and wound either way
+ * @param {Object} [options] - Extrusion options
+ * @param {number} [options.depth=1] - Distance between the caps
+ * @param {number} [options.bevelSegments=0] - Steps across each bevel (0 for square edges)
+ * @param {number} [options.bevelSize] - Inward extent of the bevel (default: depth / 10)
+ * @param {number} [options.bevelThickness] - Extent of the bevel along z (default: depth / 10)
+ * @returns {{positions: number[], normals: number[], uvs: number[], indices: number[],
+ *   groups: Array<{start: number, count: number, materialIndex: number}>}}
+ *   Indexed mesh; groups are index ranges for the caps (materialIndex 0) followed by the
+ *   side walls and bevels (materialIndex 1)
+ * @example
+ * // 3 m tall walls from a floor plan with a courtyard
+ * const mesh = extrudePolygon([outline, courtyard], { depth: 3 });
+ * const sides = mesh.groups[1];
+ */
+export function extrudePolygon(polygon, options = {}) {
+    const { depth = 1, bevelSegments = 0 } = options;
+    const { bevelSize = depth / 10, bevelThickness = depth / 10 } = options;
+
+    if (!(depth > 0)) {
+        throw new Error(`Extrusion depth must be positive, got ${depth}`);
+    }
+    if (bevelSegments > 0 && !(bevelThickness >= 0 && bevelThickness * 2 <= depth)) {
+        throw new Error(`Bevel thickness ${bevelThickness} does not fit twice into depth ${depth}`);
+    }
+
+    const layers = createLayers(depth, Math.floor(bevelSegments), bevelSize, bevelThickness);
+    const polygons = normalizePolygons(polygon);
+    const mesh = { positions: [], normals: [], uvs: [], indices: [], groups: [] };
+
+    for (const rings of polygons) addCaps(mesh, rings, layers);
+    mesh.groups.push({ start: 0, count: mesh.indices.length, materialIndex: GROUP_CAPS });
+
+    const sidesStart = mesh.indices.length;
+    for (const rings of polygons) {
+        for (const ring of rings) addSides(mesh, ring, layers);
+    }
+    mesh.groups.push({ start: sidesStart, count: mesh.indices.length - sidesStart, materialIndex: GROUP_SIDES });
+
+    return mesh;
+}
+
+/**
+ * Outline profile from back cap to front cap: how far each copy of the
+ * outline is inset and at which z it lies
+ * @private
+ */
+function createLayers(depth, segments, size, thickness) {
+    if (segments <= 0) return [{ inset: 0, z: 0 }, { inset: 0, z: depth }];
+
+    // Quarter circle from the cap edge out to the wall and back in
+    const layers = [];
+    for (let i = 0; i <= segments; i++) {
+        const angle = i / segments * Math.PI / 2;
+        layers.push({ inset: size * (1 - Math.sin(angle)), z: thickness * (1 - Math.cos(angle)) });
+    }
+    for (let i = segments; i >= 0; i--) {
+        const angle = i / segments * Math.PI / 2;
+        layers.push({ inset: size * (1 - Math.sin(angle)), z: depth - thickness * (1 - Math.cos(angle)) });
+    }
+    return layers;
+}
+
+/**
+ * Adds the front and back caps of one polygon
+ * @private
+ */
+function addCaps(mesh, rings, layers) {
+    const inset = layers[0].inset;
+    const flat = [];
+    const holes = [];
+
+    for (const ring of rings) {
+        if (flat.length) holes.push(flat.length / 2);
+        for (const p of insetRing(ring, inset)) flat.push(p[0], p[1]);
+    }
+
+    const triangles = triangulatePolygon(flat, holes, 2);
+
+    // All triangles share one winding; make it counter-clockwise (facing +z)
+    if (triangles.length) {
+        const a = triangles[0] * 2, b = triangles[1] * 2, c = triangles[2] * 2;
+        const area = (flat[b] - flat[a]) * (flat[c + 1] - flat[a + 1]) -
+                     (flat[c] - flat[a]) * (flat[b + 1] - flat[a + 1]);
+        if (area < 0) {
+            for (let i = 0; i < triangles.length; i += 3) {
+                const tmp = triangles[i + 1];
+                triangles[i + 1] = triangles[i + 2];
+                triangles[i + 2] = tmp;
+            }
+        }
+    }
+
+    const caps = [[layers[layers.length - 1].z, 1], [layers[0].z, -1]];
+    for (const [z, facing] of caps) {
+        const base = mesh.positions.length / 3;
+
+        for (let i = 0; i < flat.length; i += 2) {
+            mesh.positions.push(flat[i], flat[i + 1], z);
+            mesh.normals.push(0, 0, facing);
+            mesh.uvs.push(flat[i], flat[i + 1]);
+        }
+
+        // The back cap is seen from -z, so its triangles are reversed
+        for (let i = 0; i < triangles.length; i += 3) {
+            const b = facing > 0 ? triangles[i + 1] : triangles[i + 2];
+            const c = facing > 0 ? triangles[i + 2] : triangles[i + 1];
+            mesh.indices.push(base + triangles[i], base + b, base + c);
+        }
+    }
+}
+
+/**
+ * Adds the walls (and bevels) along one ring, one quad per edge and layer
+ * @private
+ */
+function addSides(mesh, ring, layers) {
+    const count = ring.length;
+    const contours = layers.map(layer => insetRing(ring, layer.inset));
+
+    // u runs along the outline so textures wrap around the walls
+    const distances = [0];
+    for (let i = 0; i < count; i++) {
+        const p = ring[i], q = ring[(i + 1) % count];
+        distances.push(distances[i] + Math.hypot(q[0] - p[0], q[1] - p[1]));
+    }
+
+    const a = new Vec3(), b = new Vec3(), c = new Vec3(), d = new Vec3();
+
+    for (let k = 0; k < layers.length - 1; k++) {
+        const lower = layers[k], upper = layers[k + 1];
+        if (lower.z === upper.z && lower.inset === upper.inset) continue;  // Wall of zero height
+
+        const bottom = contours[k], top = contours[k + 1];
+        for (let i = 0; i < count; i++) {
+            const j = (i + 1) % count;
+            a.set(bottom[i][0], bottom[i][1], lower.z);
+            b.set(bottom[j][0], bottom[j][1], lower.z);
+            c.set(top[j][0], top[j][1], upper.z);
+            d.set(top[i][0], top[i][1], upper.z);
+            addQuad(mesh, a, b, c, d, distances[i], distances[i + 1]);
+        }
+    }
+}
+
+/**
+ * Adds quad a-b-c-d (counter-clockwise seen from outside) with its face
+ * normal; a-b is the lower edge, running from u0 to u1
+ * @private
+ */
+function addQuad(mesh, a, b, c, d, u0, u1) {
+    // Cross product of the diagonals stays valid when one edge collapses
+    const normal = c.clone().sub(a).cross(d.clone().sub(b)).normalize();
+    const base = mesh.positions.length / 3;
+
+    for (const [p, u] of [[a, u0], [b, u1], [c, u1], [d, u0]]) {
+        mesh.positions.push(p.x, p.y, p.z);
+        mesh.normals.push(normal.x, normal.y, normal.z);
+        mesh.uvs.push(u, p.z);
+    }
+    mesh.indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+}
+
+/**
+ * Moves every vertex of a ring towards the filled side (left of travel)
+ * along its miter, so each edge shifts by the inset distance
+ * @private
+ */
+function insetRing(ring, inset) {
+    if (inset === 0) return ring;
+
+    const count = ring.length;
+    const result = [];
+
+    for (let i = 0; i < count; i++) {
+        const prev = ring[(i + count - 1) % count], p = ring[i], next = ring[(i + 1) % count];
+        const l1 = leftNormal(prev, p), l2 = leftNormal(p, next);
+        const cos = l1[0] * l2[0] + l1[1] * l2[1];
+
+        // Miter of length 1 / cos(turn / 2); a full reversal has none
+        if (cos > -0.999999) {
+            const scale = inset / (1 + cos);
+            result.push([p[0] + (l1[0] + l2[0]) * scale, p[1] + (l1[1] + l2[1]) * scale]);
+        } else {
+            result.push([p[0] + l1[0] * inset, p[1] + l1[1] * inset]);
+        }
+    }
+    return result;
+}
+
+/**
+ * Unit normal to the left of travel from p to q
+ * @private
+ */
+function leftNormal(p, q) {
+    const dx = q[0] - p[0], dy = q[1] - p[1];
+    const length = Math.hypot(dx, dy);
+    return [-dy / length, dx / length];
+}
@@ -0,0 +1,386 @@
+/*!
+ * DSRT GeoJSON Module
+ * Triangulates GeoJSON Polygon and MultiPolygon geometries with ring validation
+ * @module dsrt-docs/src/curves/GeoJSON.js
+ * @license MIT
+ */
+
+import triangulatePolygon from './Triangulation.js';
+import { ringArea, pointInRing } from './PolygonUtils.js';
+
+// Ring problems reported in feature errors
+const ERROR_TOO_FEW_POINTS = 'too-few-points';
+const ERROR_SELF_INTERSECTION = 'self-intersection';
+const ERROR_HOLE_OUTSIDE_SHELL = 'hole-outside-shell';
+const ERROR_UNSUPPORTED_GEOMETRY = 'unsupported-geometry';
+
+/**
+ * Triangulates the polygonal geometries of a GeoJSON object, one result per
+ * feature. Accepts a FeatureCollection, a Feature or a bare geometry;
+ * Polygon, MultiPolygon and GeometryCollection geometries are triangulated.
+ * Rings are cleaned up before triangulation: repeated consecutive points and
+ * the closing point are removed, and outer rings are wound counter-clockwise
+ * and holes clockwise whatever their input winding.
+ * Invalid rings are reported in the feature's errors rather than thrown:
+ * rings with fewer than 3 distinct points are dropped (a dropped shell drops
+ * its polygon), holes reaching outside their shell are dropped, and
+ * self-intersecting rings are reported but still triangulated.
+ * Each feature gets vertex and index offsets into a buffer holding all
+ * features in order; {@link mergeGeoJSONTriangulation} builds that buffer.
+ * @param {Object} geojson - FeatureCollection, Feature or geometry object
+ * @param {Object} [options] - Triangulation options
+ * @param {number} [options.dimensions=2] - Coordinates per output vertex; 3 keeps the altitude
+ *   (0 where a position has none)
+ * @returns {{features: Array<{index: number, vertices: number[], triangles: number[],
+ *   vertexOffset: number, indexOffset: number, errors: Array<{type: string, polygon: number,
+ *   ring: number, message: string}>}>, vertexCount: number, indexCount: number, dimensions: number}}
+ *   Per-feature vertices and triangle indices (local to the feature) and the totals
+ * @example
+ * const result = triangulateGeoJSON(buildings, { dimensions: 3 });
+ * for (const feature of result.features) {
+ *     if (feature.errors.length) console.warn(feature.index, feature.errors);
+ * }
+ * const { vertices, triangles } = mergeGeoJSONTriangulation(result);
+ */
+export function triangulateGeoJSON(geojson, options = {}) {
+    const { dimensions = 2 } = options;
+
+    if (dimensions !== 2 && dimensions !== 3) {
+        throw new Error(`GeoJSON dimensions must be 2 or 3, got ${dimensions}`);
+    }
+
+    const features = [];
+    let vertexCount = 0;
+    let indexCount = 0;
+
+    for (const geometry of collectGeometries(geojson)) {
+        const feature = triangulateGeometry(geometry, dimensions);
+        feature.index = features.length;
+        feature.vertexOffset = vertexCount;
+        feature.indexOffset = indexCount;
+
+        vertexCount += feature.vertices.length / dimensions;
+        indexCount += feature.triangles.length;
+        features.push(feature);
+    }
+
+    return { features, vertexCount, indexCount, dimensions };
+}
+
+/**
+ * Concatenates the features of a {@link triangulateGeoJSON} result into one
+ * vertex and index buffer, shifting each feature's indices by its vertex offset
+ * @param {Object} result - Result of triangulateGeoJSON
+ * @returns {{vertices: number[], triangles: number[], dimensions: number}} Merged buffers
+ */
+export function mergeGeoJSONTriangulation(result) {
+    const vertices = new Array(result.vertexCount * result.dimensions);
+    const triangles = new Array(result.indexCount);
+
+    for (const feature of result.features) {
+        const base = feature.vertexOffset * result.dimensions;
+        for (let i = 0; i < feature.vertices.length; i++) vertices[base + i] = feature.vertices[i];
+        for (let i = 0; i < feature.triangles.length; i++) {
+            triangles[feature.indexOffset + i] = feature.triangles[i] + feature.vertexOffset;
+        }
+    }
+
+    return { vertices, triangles, dimensions: result.dimensions };
+}
+
+/**
+ * Checks the rings of one polygon (GeoJSON Polygon coordinates) without
+ * triangulating it
+ * @param {number[][][]} rings - Shell followed by holes, each an array of positions
+ * @returns {Array<{type: string, polygon: number, ring: number, message: string}>}
+ *   Problems found, empty for a valid polygon
+ */
+export function validatePolygonRings(rings) {
+    const errors = [];
+    cleanPolygon(rings, 0, errors);
+    return errors;
+}
+
+/**
+ * One entry per feature: its geometry, or null without one
+ * @private
+ */
+function collectGeometries(geojson) {
+    if (!geojson || typeof geojson !== 'object') {
+        throw new Error('GeoJSON input must be an object');
+    }
+
+    switch (geojson.type) {
+        case 'FeatureCollection':
+            return geojson.features.map(feature => feature ? feature.geometry : null);
+        case 'Feature':
+            return [geojson.geometry];
+        case 'Polygon':
+        case 'MultiPolygon':
+        case 'GeometryCollection':
+        case 'Point':
+        case 'MultiPoint':
+        case 'LineString':
+        case 'MultiLineString':
+            return [geojson];
+        default:
+            throw new Error(`Unsupported GeoJSON type: ${geojson.type}`);
+    }
+}
+
+/**
+ * Triangulates every polygon of a geometry into one feature result
+ * @private
+ */
+function triangulateGeometry(geometry, dimensions) {
+    const feature = { vertices: [], triangles: [], errors: [] };
+    const polygons = [];
+
+    if (geometry) collectPolygons(geometry, polygons, feature.errors);
+
+    for (let p = 0; p < polygons.length; p++) {
+        const rings = cleanPolygon(polygons[p], p, feature.errors);
+        if (!rings) continue;
+
+        const vertices = [];
+        const holes = [];
+        for (const ring of rings) {
+            if (vertices.length) holes.push(vertices.length / dimensions);
+            for (const position of ring) {
+                vertices.push(position[0], position[1]);
+                if (dimensions === 3) vertices.push(position.length > 2 ? position[2] : 0);
+            }
+        }
+
+        const offset = feature.vertices.length / dimensions;
+        const triangles = triangulatePolygon(vertices, holes, dimensions);
+        for (let i = 0; i < vertices.length; i++) feature.vertices.push(vertices[i]);
+        for (let i = 0; i < triangles.length; i++) feature.triangles.push(triangles[i] + offset);
+    }
+
+    return feature;
+}
+
+/**
+ * Gathers Polygon coordinate arrays from a geometry
+ * @private
+ */
+function collectPolygons(geometry, polygons, errors) {
+    switch (geometry.type) {
+        case 'Polygon':
+            polygons.push(geometry.coordinates || []);
+            break;
+        case 'MultiPolygon':
+            for (const polygon of geometry.coordinates || []) polygons.push(polygon);
+            break;
+        case 'GeometryCollection':
+            for (const member of geometry.geometries || []) collectPolygons(member, polygons, errors);
+            break;
+        default:
+            errors.push(createError(ERROR_UNSUPPORTED_GEOMETRY, -1, -1,
+                `${geometry.type} geometry has no area to triangulate`));
+    }
+}
+
+/**
+ * Cleans and orients the rings of one polygon, recording problems;
+ * returns null when the shell is unusable
+ * @private
+ */
+function cleanPolygon(polygon, index, errors) {
+    const rings = [];
+
+    for (let r = 0; r < polygon.length; r++) {
+        const ring = removeDuplicatePoints(polygon[r]);
+
+        if (ring.length < 3) {
+            errors.push(createError(ERROR_TOO_FEW_POINTS, index, r,
+                `Ring has ${ring.length} distinct points, at least 3 are needed`));
+            if (r === 0) return null;
+            continue;
+        }
+
+        if (r > 0 && !ringInsideRing(ring, rings[0])) {
+            errors.push(createError(ERROR_HOLE_OUTSIDE_SHELL, index, r, 'Hole extends outside the shell'));
+            continue;
+        }
+
+        if (hasSelfIntersection(ring)) {
+            errors.push(createError(ERROR_SELF_INTERSECTION, index, r, 'Ring intersects itself'));
+        }
+
+        // Shell counter-clockwise, holes clockwise
+        if ((ringArea(ring) > 0) !== (r === 0)) ring.reverse();
+        rings.push(ring);
+    }
+
+    return rings;
+}
+
+/**
+ * @private
+ */
+function createError(type, polygon, ring, message) {
+    return { type, polygon, ring, message };
+}
+
+/**
+ * Copy of a ring without repeated consecutive positions or closing position
+ * @private
+ */
+function removeDuplicatePoints(ring) {
+    const result = [];
+    if (!Array.isArray(ring)) return result;
+
+    for (const p of ring) {
+        const last = result[result.length - 1];
+        if (!last || last[0] !== p[0] || last[1] !== p[1]) result.push(p);
+    }
+
+    while (result.length > 1) {
+        const first = result[0], last = result[result.length - 1];
+        if (first[0] !== last[0] || first[1] !== last[1]) break;
+        result.pop();
+    }
+    return result;
+}
+
+/**
+ * Checks that inner stays within outer: no position strictly outside, and
+ * no edge crossing an edge of outer (a hole bridging a notch of the shell
+ * has every position inside). Edge midpoints are tested as well, for edges
+ * that leave through a shell vertex rather than across a shell edge.
+ * @private
+ */
+function ringInsideRing(inner, outer) {
+    for (const p of inner) {
+        if (pointInRing(p[0], p[1], outer) < 0) return false;
+    }
+
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const p of inner) {
+        minX = Math.min(minX, p[0]); maxX = Math.max(maxX, p[0]);
+        minY = Math.min(minY, p[1]); maxY = Math.max(maxY, p[1]);
+    }
+
+    for (let i = 0, j = inner.length - 1; i < inner.length; j = i++) {
+        const a = inner[j], b = inner[i];
+        if (pointInRing((a[0] + b[0]) / 2, (a[1] + b[1]) / 2, outer) < 0) return false;
+
+        for (let k = 0, l = outer.length - 1; k < outer.length; l = k++) {
+            const c = outer[l], d = outer[k];
+            if (Math.max(c[0], d[0]) < minX || Math.min(c[0], d[0]) > maxX ||
+                Math.max(c[1], d[1]) < minY || Math.min(c[1], d[1]) > maxY) continue;
+
+            if (edgesCross(a, b, c, d)) return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Checks if segments a-b and c-d cross at a point interior to both
+ * @private
+ */
+function edgesCross(a, b, c, d) {
+    const o1 = orientation(a[0], a[1], b[0], b[1], c[0], c[1]);
+    const o2 = orientation(a[0], a[1], b[0], b[1], d[0], d[1]);
+    const o3 = orientation(c[0], c[1], d[0], d[1], a[0], a[1]);
+    const o4 = orientation(c[0], c[1], d[0], d[1], b[0], b[1]);
+    return o1 * o2 < 0 && o3 * o4 < 0;
+}
+
+/**
+ * Checks if any two edges of a ring cross or touch, apart from neighbours
+ * meeting at their shared vertex. Edges are swept in order of their left
+ * end, so only edges with overlapping x ranges are compared.
+ * @private
+ */
+function hasSelfIntersection(ring) {
+    const count = ring.length;
+    const order = [];
+    for (let i = 0; i < count; i++) order.push(i);
+
+    const minX = i => Math.min(ring[i][0], ring[(i + 1) % count][0]);
+    const maxX = i => Math.max(ring[i][0], ring[(i + 1) % count][0]);
+    order.sort((a, b) => minX(a) - minX(b));
+
+    let active = [];
+    for (const i of order) {
+        const left = minX(i);
+        active = active.filter(j => maxX(j) >= left);
+
+        for (const j of active) {
+            if (edgesIntersect(ring, i, j, count)) return true;
+        }
+        active.push(i);
+    }
+    return false;
+}
+
+/**
+ * Intersection test for edges i and j of a ring; neighbouring edges only
+ * count when one folds back over the other
+ * @private
+ */
+function edgesIntersect(ring, i, j, count) {
+    const a = ring[i], b = ring[(i + 1) % count];
+    const c = ring[j], d = ring[(j + 1) % count];
+
+    if ((i + 1) % count === j) return onSegment(d, a, b) || onSegment(a, c, d);
+    if ((j + 1) % count === i) return onSegment(b, c, d) || onSegment(c, a, b);
+
+    const o1 = orientation(a[0], a[1], b[0], b[1], c[0], c[1]);
+    const o2 = orientation(a[0], a[1], b[0], b[1], d[0], d[1]);
+    const o3 = orientation(c[0], c[1], d[0], d[1], a[0], a[1]);
+    const o4 = orientation(c[0], c[1], d[0], d[1], b[0], b[1]);
+
+    if (o1 !== o2 && o3 !== o4 && o1 * o2 <= 0 && o3 * o4 <= 0) return true;
+    return (o1 === 0 && onSegment(c, a, b)) || (o2 === 0 && onSegment(d, a, b)) ||
+           (o3 === 0 && onSegment(a, c, d)) || (o4 === 0 && onSegment(b, c, d));
+}
+
+/**
+ * Checks if p lies on segment a-b
+ * @private
+ */
+function onSegment(p, a, b) {
+    return orientation(a[0], a[1], b[0], b[1], p[0], p[1]) === 0 &&
+        p[0] >= Math.min(a[0], b[0]) && p[0] <= Math.max(a[0], b[0]) &&
+        p[1] >= Math.min(a[1], b[1]) && p[1] <= Math.max(a[1], b[1]);
+}
+
+/**
+ * Sign of the turn a -> b -> p: 1 left, -1 right, 0 collinear
+ * @private
+ */
+function orientation(ax, ay, bx, by, px, py) {
+    return Math.sign((bx - ax) * (py - ay) - (by - ay) * (px - ax));
+}
+
+/**
+ * GeoJSON triangulation namespace
+ */
+export const GeoJSON = {
+    /**
+     * Triangulates polygonal GeoJSON, one result per feature
+     * @param {Object} geojson - FeatureCollection, Feature or geometry
+     * @param {Object} [options] - See {@link triangulateGeoJSON}
+     * @returns {Object} Per-feature triangulations with buffer offsets
+     */
+    triangulate: triangulateGeoJSON,
+
+    /**
+     * Merges per-feature results into one buffer
+     * @param {Object} result - Result of triangulateGeoJSON
+     * @returns {Object} Vertices, triangles and dimensions
+     */
+    merge: mergeGeoJSONTriangulation,
+
+    /**
+     * Validates the rings of one polygon
+     * @param {number[][][]} rings - Polygon coordinates
+     * @returns {Array<Object>} Problems found
+     */
+    validate: validatePolygonRings
+};
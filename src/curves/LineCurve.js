@@ -0,0 +1,65 @@
+/*!
+ * DSRT Line Curve Module
+ * Straight segment as a curve, for composite paths
+ * @module dsrt-docs/src/curves/LineCurve.js
+ * @license MIT
+ */
+
+import { Vec3 } from '../math/Vec3.js';
+import { Curve } from './Curve.js';
+
+/**
+ * Straight segment from v1 to v2
+ */
+export class LineCurve extends Curve {
+    /**
+     * @param {Vec3} [v1] - Start point
+     * @param {Vec3} [v2] - End point
+     */
+    constructor(v1 = new Vec3(), v2 = new Vec3()) {
+        super();
+        this.v1 = v1;
+        this.v2 = v2;
+    }
+
+    /**
+     * Point at parameter t
+     * @param {number} t - Curve parameter in [0, 1]
+     * @param {Vec3} [target] - Vector to write the result into
+     * @returns {Vec3} Point on the segment
+     */
+    getPoint(t, target = new Vec3()) {
+        if (t === 1) return target.copy(this.v2);
+        return target.copy(this.v1).lerp(this.v2, t);
+    }
+
+    // Arc length is linear in t
+    getPointAt(u, target = new Vec3()) {
+        return this.getPoint(u, target);
+    }
+
+    /**
+     * Unit direction of the segment
+     * @param {number} t - Curve parameter (unused)
+     * @param {Vec3} [target] - Vector to write the result into
+     * @returns {Vec3} Unit tangent
+     */
+    getTangent(t, target = new Vec3()) {
+        return target.copy(this.v2).sub(this.v1).normalize();
+    }
+
+    // Same direction everywhere
+    getTangentAt(u, target = new Vec3()) {
+        return this.getTangent(u, target);
+    }
+
+    // Exact, no sampling needed
+    getLength() {
+        return this.v1.distanceTo(this.v2);
+    }
+
+    // A segment is its own flattening
+    flatten() {
+        return [this.v1.clone(), this.v2.clone()];
+    }
+}
@@ -0,0 +1,876 @@
+/*!
+ * DSRT Polygon Clipping Module
+ * Boolean operations on polygons (Martinez-Rueda-Feito sweep line algorithm)
+ * @module dsrt-docs/src/curves/PolygonClipping.js
+ * @license MIT
+ */
+
+import { triangulatePolygons } from './Triangulation.js';
+import { normalizePolygons, ringArea, pointInRing } from './PolygonUtils.js';
+
+const UNION = 'union';
+const INTERSECTION = 'intersection';
+const DIFFERENCE = 'difference';
+const XOR = 'xor';
+
+// Fill rules for simplifyPolygon
+const FILL_NONZERO = 'nonzero';
+const FILL_EVENODD = 'evenodd';
+const FILL_POSITIVE = 'positive';
+
+// Edge types for overlapping segments
+const EDGE_NORMAL = 0;
+const EDGE_NON_CONTRIBUTING = 1;
+const EDGE_SAME_TRANSITION = 2;
+const EDGE_DIFFERENT_TRANSITION = 3;
+
+// Squared sine of the angle below which edges count as parallel; split points
+// carry rounding error, so pieces of one line are rarely exactly collinear
+const PARALLEL_EPSILON = 1e-20;
+
+// Coordinates closer than this (relative to the largest coordinate) are merged
+const SNAP_EPSILON = 1e-12;
+
+/**
+ * Computes a boolean operation between two polygons.
+ * Polygons use the nested ring format accepted by flattenPolygonData:
+ * an array of rings (outer ring first, then holes), each ring an array of
+ * [x, y] coordinates or Vec2. An array of such polygons (multi-polygon) is
+ * accepted too. Rings may be open or closed and wound either way; only x
+ * and y are read.
+ * @param {number[][][]|Vec2[][]|Array} subject - Subject polygon or multi-polygon
+ * @param {number[][][]|Vec2[][]|Array} clipping - Clipping polygon or multi-polygon
+ * @param {string} operation - 'union', 'intersection', 'difference' (subject minus clipping) or 'xor'
+ * @returns {number[][][][]} Result polygons, each [outer, ...holes] with open rings of
+ *   [x, y]; outer rings counter-clockwise and holes clockwise
+ * @example
+ * const result = clipPolygons(square, circle, 'difference');
+ * const { vertices, holes } = flattenPolygonData(result[0]);
+ */
+export function clipPolygons(subject, clipping, operation) {
+    if (operation !== UNION && operation !== INTERSECTION &&
+        operation !== DIFFERENCE && operation !== XOR) {
+        throw new Error(`Unknown clipping operation: ${operation}`);
+    }
+
+    const subjectPolygons = normalizePolygons(subject);
+    const clippingPolygons = normalizePolygons(clipping);
+
+    const trivial = trivialOperation(subjectPolygons, clippingPolygons, operation);
+    if (trivial) return trivial;
+
+    const subjectBox = [Infinity, Infinity, -Infinity, -Infinity];
+    const clippingBox = [Infinity, Infinity, -Infinity, -Infinity];
+    const queue = new EventQueue(Math.max(maxCoordinate(subjectPolygons), maxCoordinate(clippingPolygons)));
+
+    fillQueue(subjectPolygons, true, queue, subjectBox);
+    fillQueue(clippingPolygons, false, queue, clippingBox);
+
+    // Disjoint bounding boxes need no sweep
+    if (subjectBox[0] > clippingBox[2] || clippingBox[0] > subjectBox[2] ||
+        subjectBox[1] > clippingBox[3] || clippingBox[1] > subjectBox[3]) {
+        switch (operation) {
+            case INTERSECTION: return [];
+            case DIFFERENCE: return subjectPolygons;
+            default: return subjectPolygons.concat(clippingPolygons);
+        }
+    }
+
+    const sortedEvents = subdivideSegments(queue, subjectBox, clippingBox, operation);
+    return buildPolygons(connectEdges(sortedEvents));
+}
+
+/**
+ * Clips two polygons and triangulates the result in one call
+ * @param {number[][][]|Vec2[][]|Array} subject - Subject polygon or multi-polygon
+ * @param {number[][][]|Vec2[][]|Array} clipping - Clipping polygon or multi-polygon
+ * @param {string} operation - 'union', 'intersection', 'difference' or 'xor'
+ * @returns {{vertices: number[], triangles: number[], dimensions: number, polygons: number[][][][]}}
+ *   Flat 2D vertices of all result polygons, triangle indices into them and the
+ *   clipped polygons themselves
+ */
+export function clipAndTriangulate(subject, clipping, operation) {
+    const polygons = clipPolygons(subject, clipping, operation);
+    const { vertices, triangles } = triangulatePolygons(polygons);
+
+    return { vertices, triangles, dimensions: 2, polygons };
+}
+
+/**
+ * Resolves self-intersections and overlapping rings of a single polygon
+ * or multi-polygon into clean polygons, deciding what is filled by the
+ * winding number of the rings around each area (as in SVG fill-rule).
+ * Ring orientation matters: counter-clockwise rings count +1, clockwise -1.
+ * @param {number[][][]|Vec2[][]|Array} polygon - Polygon or multi-polygon in nested ring format
+ * @param {string} [fillRule='nonzero'] - 'nonzero', 'evenodd', or 'positive' (winding above zero)
+ * @returns {number[][][][]} Result polygons, oriented as in {@link clipPolygons}
+ * @example
+ * // Figure-eight outline becomes two simple polygons
+ * const polygons = simplifyPolygon([bowtie], 'nonzero');
+ */
+export function simplifyPolygon(polygon, fillRule = FILL_NONZERO) {
+    if (!isFillRule(fillRule)) {
+        throw new Error(`Unknown fill rule: ${fillRule}`);
+    }
+
+    const polygons = normalizePolygons(polygon, true);
+    if (polygons.length === 0) return [];
+
+    const box = [Infinity, Infinity, -Infinity, -Infinity];
+    const queue = new EventQueue(maxCoordinate(polygons));
+    fillQueue(polygons, true, queue, box);
+
+    return buildPolygons(connectEdges(subdivideSegments(queue, box, box, fillRule)));
+}
+
+/**
+ * @private
+ */
+function isFillRule(operation) {
+    return operation === FILL_NONZERO || operation === FILL_EVENODD || operation === FILL_POSITIVE;
+}
+
+/**
+ * Largest absolute coordinate, the scale for snapping
+ * @private
+ */
+function maxCoordinate(polygons) {
+    let max = 0;
+    for (const polygon of polygons) {
+        for (const ring of polygon) {
+            for (const p of ring) max = Math.max(max, Math.abs(p[0]), Math.abs(p[1]));
+        }
+    }
+    return max;
+}
+
+/**
+ * Result of an operation with an empty operand, or null
+ * @private
+ */
+function trivialOperation(subject, clipping, operation) {
+    if (subject.length * clipping.length !== 0) return null;
+
+    switch (operation) {
+        case INTERSECTION: return [];
+        case DIFFERENCE: return subject;
+        default: return subject.length ? subject : clipping;
+    }
+}
+
+/**
+ * Adds the left and right events of every edge
+ * @private
+ */
+function fillQueue(polygons, isSubject, queue, box) {
+    for (const polygon of polygons) {
+        for (let r = 0; r < polygon.length; r++) {
+            const ring = polygon[r];
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                const p1 = queue.snap(ring[j]), p2 = queue.snap(ring[i]);
+                if (p1[0] === p2[0] && p1[1] === p2[1]) continue;  // Collapsed edge
+
+                const e1 = new SweepEvent(p1, false, null, isSubject);
+                const e2 = new SweepEvent(p2, false, e1, isSubject);
+                e1.otherEvent = e2;
+
+                if (compareEvents(e1, e2) > 0) e2.left = true;
+                else e1.left = true;
+
+                // Ring running left to right raises the winding number above the edge
+                e1.winding = e2.winding = e1.left ? 1 : -1;
+
+                box[0] = Math.min(box[0], p1[0]);
+                box[1] = Math.min(box[1], p1[1]);
+                box[2] = Math.max(box[2], p1[0]);
+                box[3] = Math.max(box[3], p1[1]);
+
+                queue.push(e1);
+                queue.push(e2);
+            }
+        }
+    }
+}
+
+/**
+ * Sweeps the events, splitting edges at intersections and labelling which
+ * edges belong to the result
+ * @private
+ */
+function subdivideSegments(queue, subjectBox, clippingBox, operation) {
+    const sweepLine = [];
+    const sortedEvents = [];
+    const rightBound = Math.min(subjectBox[2], clippingBox[2]);
+
+    while (queue.length) {
+        let event = queue.pop();
+        sortedEvents.push(event);
+
+        // Nothing to the right of the other operand can change the result
+        if ((operation === INTERSECTION && event.point[0] > rightBound) ||
+            (operation === DIFFERENCE && event.point[0] > subjectBox[2])) {
+            break;
+        }
+
+        if (event.left) {
+            event.order = sortedEvents.length;
+            const position = insertSegment(sweepLine, event);
+            const prev = position > 0 ? sweepLine[position - 1] : null;
+            const next = position < sweepLine.length - 1 ? sweepLine[position + 1] : null;
+
+            computeFields(event, prev, operation);
+
+            if (next && possibleIntersection(event, next, queue, operation) === 2) {
+                computeFields(event, prev, operation);
+                computeFields(next, event, operation);
+            }
+
+            const right = event.otherEvent;
+            if (prev && possibleIntersection(prev, event, queue, operation) === 2) {
+                const index = sweepLine.indexOf(prev);
+                const prevPrev = index > 0 ? sweepLine[index - 1] : null;
+                computeFields(prev, prevPrev, operation);
+                computeFields(event, prev, operation);
+            }
+
+            // Shortened by the edge below: check the edge above again
+            if (next && event.otherEvent !== right &&
+                possibleIntersection(event, next, queue, operation) === 2) {
+                computeFields(event, prev, operation);
+                computeFields(next, event, operation);
+            }
+
+            // A neighbour split at this point (or, after snapping, just behind it)
+            // has to leave the sweep line first; its right event sorts before this
+            if ((prev && compareEvents(prev.otherEvent, event) < 0) ||
+                (next && compareEvents(next.otherEvent, event) < 0)) {
+                sweepLine.splice(sweepLine.indexOf(event), 1);
+                sortedEvents.pop();
+                queue.push(event);
+                continue;
+            }
+
+            // Edges from the same point above this one were labelled without it
+            for (let i = sweepLine.indexOf(event) + 1;
+                i < sweepLine.length && pointsEqual(sweepLine[i].point, event.point); i++) {
+                computeFields(sweepLine[i], sweepLine[i - 1], operation);
+            }
+        } else {
+            event = event.otherEvent;
+            const position = sweepLine.indexOf(event);
+
+            if (position !== -1) {
+                const prev = position > 0 ? sweepLine[position - 1] : null;
+                const next = position < sweepLine.length - 1 ? sweepLine[position + 1] : null;
+                sweepLine.splice(position, 1);
+
+                if (prev && next) possibleIntersection(prev, next, queue, operation);
+            }
+        }
+    }
+
+    return sortedEvents;
+}
+
+/**
+ * Inserts a left event into the ordered sweep line; returns its position
+ * @private
+ */
+function insertSegment(sweepLine, event) {
+    let low = 0;
+    let high = sweepLine.length;
+
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (compareSegments(sweepLine[mid], event) < 0) low = mid + 1;
+        else high = mid;
+    }
+
+    sweepLine.splice(low, 0, event);
+    return low;
+}
+
+/**
+ * Sets the inside/outside flags of an edge from the edge below it
+ * @private
+ */
+function computeFields(event, prev, operation) {
+    if (isFillRule(operation)) {
+        // Edges above a vertical edge see its right side, which is its "below"
+        event.windingBelow = prev === null ? 0 :
+            (prev.isVertical() ? prev.windingBelow : prev.windingAbove);
+        event.windingAbove = event.windingBelow + event.winding;
+
+        const below = isFilled(event.windingBelow, operation);
+        const above = isFilled(event.windingAbove, operation);
+        event.resultTransition = below === above ? 0 : (above ? 1 : -1);
+        return;
+    }
+
+    if (prev === null) {
+        event.inOut = false;
+        event.otherInOut = true;
+    } else {
+        if (event.isSubject === prev.isSubject) {
+            event.inOut = !prev.inOut;
+            event.otherInOut = prev.otherInOut;
+        } else {
+            event.inOut = !prev.otherInOut;
+            event.otherInOut = prev.isVertical() ? !prev.inOut : prev.inOut;
+        }
+    }
+
+    event.resultTransition = isInResult(event, operation) ?
+        resultTransition(event, operation) : 0;
+}
+
+/**
+ * @private
+ */
+function isFilled(winding, fillRule) {
+    switch (fillRule) {
+        case FILL_EVENODD: return (winding & 1) !== 0;
+        case FILL_POSITIVE: return winding > 0;
+        default: return winding !== 0;
+    }
+}
+
+/**
+ * @private
+ */
+function isInResult(event, operation) {
+    switch (event.type) {
+        case EDGE_NORMAL:
+            switch (operation) {
+                case INTERSECTION: return !event.otherInOut;
+                case UNION: return event.otherInOut;
+                case DIFFERENCE:
+                    return (event.isSubject && event.otherInOut) || (!event.isSubject && !event.otherInOut);
+                default: return true;
+            }
+        case EDGE_SAME_TRANSITION:
+            return operation === INTERSECTION || operation === UNION;
+        case EDGE_DIFFERENT_TRANSITION:
+            return operation === DIFFERENCE;
+        default:
+            return false;
+    }
+}
+
+/**
+ * +1 when the result lies above the edge, -1 when below
+ * @private
+ */
+function resultTransition(event, operation) {
+    const thisIn = !event.inOut;
+    const thatIn = !event.otherInOut;
+    let isIn;
+
+    // Coincident edges: the other operand's boundary runs along this one, so
+    // only this edge's own polygon tells which side the result is on
+    if (event.type === EDGE_SAME_TRANSITION) return thisIn ? 1 : -1;
+    if (event.type === EDGE_DIFFERENT_TRANSITION) return thisIn === event.isSubject ? 1 : -1;
+
+    switch (operation) {
+        case INTERSECTION: isIn = thisIn && thatIn; break;
+        case UNION: isIn = thisIn || thatIn; break;
+        case XOR: isIn = thisIn !== thatIn; break;
+        default: isIn = event.isSubject ? thisIn && !thatIn : thatIn && !thisIn;
+    }
+    return isIn ? 1 : -1;
+}
+
+/**
+ * Splits two neighbouring edges where they cross or overlap.
+ * Returns 0 for none, 1 for a crossing, 2 for overlap from a shared left
+ * endpoint (fields must be recomputed) and 3 for other overlaps
+ * @private
+ */
+function possibleIntersection(se1, se2, queue, operation) {
+    // Split points computed from different edges may leave two pieces sharing
+    // both ends without being exactly collinear; they are still one edge
+    const sameEnds = pointsEqual(se1.point, se2.point) &&
+        pointsEqual(se1.otherEvent.point, se2.otherEvent.point);
+    const hits = sameEnds ? [se1.point, se1.otherEvent.point] :
+        segmentIntersection(se1.point, se1.otherEvent.point, se2.point, se2.otherEvent.point, queue.epsilon);
+    const count = hits ? hits.length : 0;
+
+    if (count === 0) return 0;
+
+    // Touching at a shared endpoint
+    if (count === 1 && (pointsEqual(se1.point, se2.point) ||
+        pointsEqual(se1.otherEvent.point, se2.otherEvent.point))) {
+        return 0;
+    }
+
+    // Overlapping edges of the same polygon are left alone, except when
+    // simplifying, where their windings have to be merged
+    const simplifying = isFillRule(operation);
+    if (count === 2 && se1.isSubject === se2.isSubject && !simplifying) return 0;
+
+    if (count === 1) {
+        const p = queue.snap(hits[0]);
+        if (!pointsEqual(se1.point, p) && !pointsEqual(se1.otherEvent.point, p)) divideSegment(se1, p, queue);
+        if (!pointsEqual(se2.point, p) && !pointsEqual(se2.otherEvent.point, p)) divideSegment(se2, p, queue);
+        return 1;
+    }
+
+    // Overlap: order the four endpoints
+    const events = [];
+    let leftCoincide = false;
+    let rightCoincide = false;
+
+    if (pointsEqual(se1.point, se2.point)) leftCoincide = true;
+    else if (compareEvents(se1, se2) === 1) events.push(se2, se1);
+    else events.push(se1, se2);
+
+    if (pointsEqual(se1.otherEvent.point, se2.otherEvent.point)) rightCoincide = true;
+    else if (compareEvents(se1.otherEvent, se2.otherEvent) === 1) events.push(se2.otherEvent, se1.otherEvent);
+    else events.push(se1.otherEvent, se2.otherEvent);
+
+    if (leftCoincide) {
+        // Trim the longer edge first so its remainder keeps the original winding
+        if (!rightCoincide) divideSegment(events[1].otherEvent, events[0].point, queue);
+
+        // One edge stands for both; when simplifying it is the upper one, so
+        // a stack of coincident edges collects its winding on the newest
+        if (simplifying) {
+            se2.winding += se1.winding;
+            se1.winding = 0;
+        } else {
+            se2.type = EDGE_NON_CONTRIBUTING;
+            se1.type = se2.inOut === se1.inOut ? EDGE_SAME_TRANSITION : EDGE_DIFFERENT_TRANSITION;
+        }
+        return 2;
+    }
+
+    if (rightCoincide) {
+        divideSegment(events[0], events[1].point, queue);
+        return 3;
+    }
+
+    if (events[0] !== events[3].otherEvent) {
+        // Partial overlap
+        divideSegment(events[0], events[1].point, queue);
+        divideSegment(events[1], events[2].point, queue);
+        return 3;
+    }
+
+    // One edge contains the other
+    divideSegment(events[0], events[1].point, queue);
+    divideSegment(events[3].otherEvent, events[2].point, queue);
+    return 3;
+}
+
+/**
+ * Splits the edge of left event se at point p
+ * @private
+ */
+function divideSegment(se, p, queue) {
+    const right = new SweepEvent(p, false, se, se.isSubject);
+    const left = new SweepEvent(p, true, se.otherEvent, se.isSubject);
+    right.winding = left.winding = se.winding;
+
+    // Rounding may put p past the old right endpoint, reversing that piece
+    if (compareEvents(left, se.otherEvent) > 0) {
+        se.otherEvent.left = true;
+        left.left = false;
+        left.winding = se.otherEvent.winding = -se.winding;
+    }
+
+    se.otherEvent.otherEvent = left;
+    se.otherEvent = right;
+
+    queue.push(left);
+    queue.push(right);
+}
+
+/**
+ * Intersection of segments a1-a2 and b1-b2: null, one point or the two ends
+ * of a collinear overlap. An endpoint within epsilon of the other segment
+ * counts as lying on it, which catches crossings of three or more edges
+ * whose computed points miss each other by rounding
+ * @private
+ */
+function segmentIntersection(a1, a2, b1, b2, epsilon) {
+    const vax = a2[0] - a1[0], vay = a2[1] - a1[1];
+    const vbx = b2[0] - b1[0], vby = b2[1] - b1[1];
+    const ex = b1[0] - a1[0], ey = b1[1] - a1[1];
+
+    const lengthSq = vax * vax + vay * vay;
+    let kross = vax * vby - vay * vbx;
+
+    if (kross * kross > PARALLEL_EPSILON * lengthSq * (vbx * vbx + vby * vby)) {
+        const sTolerance = epsilon / Math.sqrt(lengthSq);
+        const tTolerance = epsilon / Math.sqrt(vbx * vbx + vby * vby);
+
+        const s = (ex * vby - ey * vbx) / kross;
+        if (s < -sTolerance || s > 1 + sTolerance) return null;
+
+        const t = (ex * vay - ey * vax) / kross;
+        if (t < -tTolerance || t > 1 + tTolerance) return null;
+
+        // Endpoints are returned as they are, never recomputed
+        if (s <= sTolerance) return [a1];
+        if (s >= 1 - sTolerance) return [a2];
+        if (t <= tTolerance) return [b1];
+        if (t >= 1 - tTolerance) return [b2];
+        return [[a1[0] + s * vax, a1[1] + s * vay]];
+    }
+
+    // Parallel; collinear only when e is parallel too
+    kross = ex * vay - ey * vax;
+    if (kross * kross > PARALLEL_EPSILON * lengthSq * (ex * ex + ey * ey)) return null;
+
+    // Positions of b1 and b2 along a
+    const sa = (vax * ex + vay * ey) / lengthSq;
+    const sb = sa + (vax * vbx + vay * vby) / lengthSq;
+    const smin = Math.min(sa, sb);
+    const smax = Math.max(sa, sb);
+
+    if (smin > 1 || smax < 0) return null;
+    if (smin === 1) return [a2];
+    if (smax === 0) return [a1];
+
+    const first = smin <= 0 ? a1 : (sa < sb ? b1 : b2);
+    const last = smax >= 1 ? a2 : (sa > sb ? b1 : b2);
+    return [first, last];
+}
+
+/**
+ * Links result edges into rings with the result on their left, taking the
+ * tightest clockwise turn where several rings touch at one vertex
+ * @private
+ */
+function connectEdges(sortedEvents) {
+    const outgoing = new Map();
+    const edges = [];
+
+    for (const event of sortedEvents) {
+        if (!event.left || event.resultTransition === 0) continue;
+
+        // Positive transition: result lies above, so walk left to right
+        const forward = event.resultTransition > 0;
+        const edge = {
+            from: forward ? event.point : event.otherEvent.point,
+            to: forward ? event.otherEvent.point : event.point,
+            used: false
+        };
+
+        const key = pointKey(edge.from);
+        if (!outgoing.has(key)) outgoing.set(key, []);
+        outgoing.get(key).push(edge);
+        edges.push(edge);
+    }
+
+    const rings = [];
+    for (const start of edges) {
+        if (start.used) continue;
+
+        const ring = [];
+        let edge = start;
+
+        while (edge && !edge.used) {
+            edge.used = true;
+            ring.push(edge.from);
+            edge = nextEdge(edge, outgoing.get(pointKey(edge.to)), start);
+        }
+
+        if (ring.length > 2) rings.push(ring);
+    }
+
+    return rings;
+}
+
+/**
+ * Unused outgoing edge at the end of edge with the smallest clockwise angle
+ * from the way back; the start edge counts as unused so the ring can close
+ * @private
+ */
+function nextEdge(edge, candidates, start) {
+    if (!candidates) return null;
+
+    const backAngle = Math.atan2(edge.from[1] - edge.to[1], edge.from[0] - edge.to[0]);
+    let best = null;
+    let bestTurn = Infinity;
+
+    for (const candidate of candidates) {
+        if (candidate.used && candidate !== start) continue;
+
+        const angle = Math.atan2(candidate.to[1] - candidate.from[1], candidate.to[0] - candidate.from[0]);
+        let turn = backAngle - angle;
+        while (turn <= 0) turn += Math.PI * 2;
+        while (turn > Math.PI * 2) turn -= Math.PI * 2;
+
+        if (turn < bestTurn) {
+            bestTurn = turn;
+            best = candidate;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Groups rings into [outer, ...holes] polygons; counter-clockwise rings are
+ * outer boundaries and each clockwise hole goes to the smallest outer ring
+ * around it
+ * @private
+ */
+function buildPolygons(rings) {
+    const outers = [];
+    const holes = [];
+
+    for (const ring of rings) {
+        const area = ringArea(ring);
+        if (area > 0) outers.push({ ring, area, holes: [] });
+        else if (area < 0) holes.push(ring);
+    }
+
+    for (const hole of holes) {
+        // Midpoint of a hole edge never lies on another result edge
+        const x = (hole[0][0] + hole[1][0]) / 2;
+        const y = (hole[0][1] + hole[1][1]) / 2;
+        let parent = null;
+
+        for (const outer of outers) {
+            if ((!parent || outer.area < parent.area) && pointInRing(x, y, outer.ring) > 0) parent = outer;
+        }
+        if (parent) parent.holes.push(hole);
+    }
+
+    return outers.map(outer => [outer.ring, ...outer.holes].map(ring => ring.map(p => [p[0], p[1]])));
+}
+
+/**
+ * @private
+ */
+function pointKey(p) {
+    return p[0] + ',' + p[1];
+}
+
+/**
+ * Orders events by x, then y; right before left at the same point
+ * @private
+ */
+function compareEvents(e1, e2) {
+    const p1 = e1.point, p2 = e2.point;
+
+    if (p1[0] !== p2[0]) return p1[0] > p2[0] ? 1 : -1;
+    if (p1[1] !== p2[1]) return p1[1] > p2[1] ? 1 : -1;
+    if (e1.left !== e2.left) return e1.left ? 1 : -1;
+
+    if (signedArea(p1, e1.otherEvent.point, e2.otherEvent.point) !== 0) {
+        return e1.isBelow(e2.otherEvent.point) ? -1 : 1;
+    }
+    return (!e1.isSubject && e2.isSubject) ? 1 : -1;
+}
+
+/**
+ * Orders edges in the sweep line from bottom to top
+ * @private
+ */
+function compareSegments(le1, le2) {
+    if (le1 === le2) return 0;
+
+    if (signedArea(le1.point, le1.otherEvent.point, le2.point) !== 0 ||
+        signedArea(le1.point, le1.otherEvent.point, le2.otherEvent.point) !== 0) {
+        // Not collinear
+        if (pointsEqual(le1.point, le2.point)) return le1.isBelow(le2.otherEvent.point) ? -1 : 1;
+        if (le1.point[0] === le2.point[0]) return le1.point[1] < le2.point[1] ? -1 : 1;
+
+        // The later edge may start on the earlier one; its far end decides then
+        if (compareEvents(le1, le2) === 1) {
+            const p = signedArea(le2.point, le2.otherEvent.point, le1.point) === 0 ?
+                le1.otherEvent.point : le1.point;
+            return le2.isBelow(p) ? 1 : -1;
+        }
+        const p = signedArea(le1.point, le1.otherEvent.point, le2.point) === 0 ?
+            le2.otherEvent.point : le2.point;
+        return le1.isBelow(p) ? -1 : 1;
+    }
+
+    if (le1.isSubject !== le2.isSubject) return le1.isSubject ? -1 : 1;
+
+    // Newer edges go on top, so a stack of coincident edges merges upwards
+    if (pointsEqual(le1.point, le2.point)) return le1.order > le2.order ? 1 : -1;
+
+    return compareEvents(le1, le2) === 1 ? 1 : -1;
+}
+
+/**
+ * @private
+ */
+function signedArea(p0, p1, p2) {
+    return (p0[0] - p2[0]) * (p1[1] - p2[1]) - (p1[0] - p2[0]) * (p0[1] - p2[1]);
+}
+
+/**
+ * @private
+ */
+function pointsEqual(p1, p2) {
+    return p1[0] === p2[0] && p1[1] === p2[1];
+}
+
+/**
+ * Endpoint of an edge as seen by the sweep
+ * @private
+ */
+class SweepEvent {
+    constructor(point, left, otherEvent, isSubject) {
+        this.point = point;
+        this.left = left;
+        this.otherEvent = otherEvent;
+        this.isSubject = isSubject;
+        this.type = EDGE_NORMAL;
+
+        this.inOut = false;          // Edge is an inside-outside transition of its own polygon
+        this.otherInOut = false;     // Edge lies outside the other polygon
+        this.resultTransition = 0;   // In the result: +1 with the result above, -1 below
+        this.order = 0;              // Sweep line insertion order
+
+        // Winding numbers, used when simplifying by fill rule
+        this.winding = 0;
+        this.windingBelow = 0;
+        this.windingAbove = 0;
+    }
+
+    // Checks if p lies below the edge
+    isBelow(p) {
+        const p0 = this.point, p1 = this.otherEvent.point;
+        return this.left ?
+            (p0[0] - p[0]) * (p1[1] - p[1]) - (p1[0] - p[0]) * (p0[1] - p[1]) > 0 :
+            (p1[0] - p[0]) * (p0[1] - p[1]) - (p0[0] - p[0]) * (p1[1] - p[1]) > 0;
+    }
+
+    isVertical() {
+        return this.point[0] === this.otherEvent.point[0];
+    }
+}
+
+/**
+ * Returns a known value within epsilon of v, registering v when there is none
+ * @private
+ */
+function snapValue(values, v, epsilon) {
+    const bucket = Math.round(v / epsilon);
+    for (let b = bucket - 1; b <= bucket + 1; b++) {
+        const known = values.get(b);
+        if (known !== undefined && Math.abs(known - v) <= epsilon) return known;
+    }
+    values.set(bucket, v);
+    return v;
+}
+
+/**
+ * Binary min-heap of sweep events; also snaps the points entering the sweep
+ * @private
+ */
+class EventQueue {
+    constructor(scale) {
+        this.data = [];
+        this.epsilon = scale > 0 ? scale * SNAP_EPSILON : SNAP_EPSILON;
+        this.xs = new Map();
+        this.ys = new Map();
+    }
+
+    // Moves p onto coordinates seen before within epsilon, so split points
+    // computed from different edges through one spot agree exactly
+    snap(p) {
+        return [snapValue(this.xs, p[0], this.epsilon), snapValue(this.ys, p[1], this.epsilon)];
+    }
+
+    get length() {
+        return this.data.length;
+    }
+
+    push(event) {
+        const data = this.data;
+        let pos = data.length;
+        data.push(event);
+
+        while (pos > 0) {
+            const parent = (pos - 1) >> 1;
+            if (compareEvents(event, data[parent]) >= 0) break;
+            data[pos] = data[parent];
+            pos = parent;
+        }
+        data[pos] = event;
+    }
+
+    pop() {
+        const data = this.data;
+        const top = data[0];
+        const last = data.pop();
+
+        if (data.length) {
+            let pos = 0;
+            const half = data.length >> 1;
+
+            while (pos < half) {
+                let child = 2 * pos + 1;
+                if (child + 1 < data.length && compareEvents(data[child + 1], data[child]) < 0) child++;
+                if (compareEvents(data[child], last) >= 0) break;
+                data[pos] = data[child];
+                pos = child;
+            }
+            data[pos] = last;
+        }
+        return top;
+    }
+}
+
+/**
+ * Polygon boolean operations for DSRT Engine
+ * @namespace PolygonClipping
+ */
+export const PolygonClipping = {
+    /**
+     * Area covered by either polygon
+     * @param {Array} subject - Polygon or multi-polygon
+     * @param {Array} clipping - Polygon or multi-polygon
+     * @returns {number[][][][]} Result polygons
+     */
+    union: (subject, clipping) => clipPolygons(subject, clipping, UNION),
+
+    /**
+     * Area covered by both polygons
+     * @param {Array} subject - Polygon or multi-polygon
+     * @param {Array} clipping - Polygon or multi-polygon
+     * @returns {number[][][][]} Result polygons
+     */
+    intersection: (subject, clipping) => clipPolygons(subject, clipping, INTERSECTION),
+
+    /**
+     * Area of subject not covered by clipping
+     * @param {Array} subject - Polygon or multi-polygon
+     * @param {Array} clipping - Polygon or multi-polygon
+     * @returns {number[][][][]} Result polygons
+     */
+    difference: (subject, clipping) => clipPolygons(subject, clipping, DIFFERENCE),
+
+    /**
+     * Area covered by exactly one polygon
+     * @param {Array} subject - Polygon or multi-polygon
+     * @param {Array} clipping - Polygon or multi-polygon
+     * @returns {number[][][][]} Result polygons
+     */
+    xor: (subject, clipping) => clipPolygons(subject, clipping, XOR),
+
+    /**
+     * Resolves self-intersections by fill rule
+     * @param {Array} polygon - Polygon or multi-polygon
+     * @param {string} [fillRule] - 'nonzero', 'evenodd' or 'positive'
+     * @returns {number[][][][]} Result polygons
+     */
+    simplify: simplifyPolygon,
+
+    /**
+     * Clips, then triangulates the result
+     * @param {Array} subject - Polygon or multi-polygon
+     * @param {Array} clipping - Polygon or multi-polygon
+     * @param {string} operation - Boolean operation name
+     * @returns {Object} See {@link clipAndTriangulate}
+     */
+    clipAndTriangulate
+};
@@ -0,0 +1,307 @@
+/*!
+ * DSRT Polygon Offset Module
+ * Inset/outset offsetting of polygons and stroking of polylines into meshes
+ * @module dsrt-docs/src/curves/PolygonOffset.js
+ * @license MIT
+ */
+
+import { simplifyPolygon } from './PolygonClipping.js';
+import { triangulatePolygons } from './Triangulation.js';
+
+// Corner styles
+const JOIN_MITER = 'miter';
+const JOIN_ROUND = 'round';
+const JOIN_BEVEL = 'bevel';
+
+// End styles of open polylines
+const CAP_BUTT = 'butt';
+const CAP_ROUND = 'round';
+const CAP_SQUARE = 'square';
+
+// Default arc tolerance, as a fraction of the offset distance
+const ARC_TOLERANCE = 0.01;
+
+// Sine of the angle below which consecutive edges count as straight
+const COLLINEAR_EPSILON = 1e-12;
+
+/**
+ * Grows (outset) or shrinks (inset) a polygon by a fixed distance.
+ * Every ring is moved along its edge normals and the corners that open up
+ * are filled with the join style; the raw outlines are then resolved with
+ * {@link simplifyPolygon}, so parts that collapse under an inset disappear
+ * and parts that meet under an outset merge. Self-intersecting input is
+ * simplified with the nonzero rule first.
+ * @param {number[][][]|Vec2[][]|Array} polygon - Polygon or multi-polygon in nested ring format
+ * @param {number} delta - Offset distance; positive grows the polygon, negative shrinks it
+ * @param {Object} [options] - Offset options
+ * @param {string} [options.join='miter'] - Corner style: 'miter', 'round' or 'bevel'
+ * @param {number} [options.miterLimit=4] - Longest miter, as a multiple of |delta|, before a
+ *   corner is bevelled instead
+ * @param {number} [options.arcTolerance] - Largest gap between a round join and its chords
+ *   (default: 1% of |delta|)
+ * @returns {number[][][][]} Result polygons, each [outer, ...holes] with open rings of
+ *   [x, y]; outer rings counter-clockwise and holes clockwise
+ * @example
+ * // 0.5 units of rounded margin around a shape
+ * const grown = offsetPolygon(shape, 0.5, { join: 'round' });
+ * const { vertices, triangles } = triangulatePolygons(grown);
+ */
+export function offsetPolygon(polygon, delta, options = {}) {
+    const style = resolveStyle(options, delta);
+    const polygons = simplifyPolygon(polygon, 'nonzero');
+    if (delta === 0) return polygons;
+
+    // Outer rings run counter-clockwise and holes clockwise, so the right
+    // side of every ring faces away from the filled area
+    const rings = [];
+    for (const part of polygons) {
+        for (const ring of part) rings.push([offsetPath(ring, null, delta, style)]);
+    }
+    return simplifyPolygon(rings, 'positive');
+}
+
+/**
+ * Strokes a polyline into a triangle mesh covering every point within
+ * width / 2 of it, with the given joins and end caps. Self-overlapping
+ * strokes are merged, so the mesh never covers a point twice.
+ * @param {number[][]|Vec2[]} points - Polyline points as [x, y] or Vec2
+ * @param {number} width - Stroke width
+ * @param {Object} [options] - Stroke options
+ * @param {string} [options.join='miter'] - Corner style: 'miter', 'round' or 'bevel'
+ * @param {string} [options.cap='butt'] - End style of open polylines: 'butt', 'round' or 'square'
+ * @param {number} [options.miterLimit=4] - Longest miter, as a multiple of width / 2, before a
+ *   corner is bevelled instead (as SVG stroke-miterlimit)
+ * @param {number} [options.arcTolerance] - Largest gap between round joins or caps and their
+ *   chords (default: 1% of width / 2)
+ * @param {boolean} [options.closed=false] - Join the last point back to the first
+ * @returns {{vertices: number[], triangles: number[], dimensions: number, polygons: number[][][][]}}
+ *   Flat 2D vertices and triangle indices as returned by triangulatePolygon, plus the
+ *   stroke outline polygons
+ * @example
+ * // Road centre line to a 4 unit wide mesh
+ * const { vertices, triangles } = strokePolyline(road, 4, { join: 'round', cap: 'square' });
+ */
+export function strokePolyline(points, width, options = {}) {
+    if (!(width > 0)) {
+        throw new Error(`Stroke width must be positive, got ${width}`);
+    }
+
+    const { closed = false } = options;
+    const halfWidth = width / 2;
+    const style = resolveStyle(options, halfWidth);
+    const path = cleanPath(points, closed);
+
+    let rings;
+    if (closed && path.length > 2) {
+        // Band between the two sides, the inner one reversed to cut it out
+        rings = [
+            [offsetPath(path, null, halfWidth, style)],
+            [offsetPath(path, null, -halfWidth, style).reverse()]
+        ];
+    } else if (path.length > 1) {
+        // Out along one side and back along the other, capping both ends
+        const loop = path.concat(path.slice(1, -1).reverse());
+        rings = [[offsetPath(loop, path.length - 1, halfWidth, style)]];
+    } else {
+        return { vertices: [], triangles: [], dimensions: 2, polygons: [] };
+    }
+
+    const polygons = simplifyPolygon(rings, 'nonzero');
+    const { vertices, triangles } = triangulatePolygons(polygons);
+
+    return { vertices, triangles, dimensions: 2, polygons };
+}
+
+/**
+ * Validates join and cap styles and works out the arc step for a distance
+ * @private
+ */
+function resolveStyle(options, distance) {
+    const { join = JOIN_MITER, cap = CAP_BUTT, miterLimit = 4 } = options;
+    const radius = Math.abs(distance);
+    const { arcTolerance = radius * ARC_TOLERANCE } = options;
+
+    if (join !== JOIN_MITER && join !== JOIN_ROUND && join !== JOIN_BEVEL) {
+        throw new Error(`Unknown join style: ${join}`);
+    }
+    if (cap !== CAP_BUTT && cap !== CAP_ROUND && cap !== CAP_SQUARE) {
+        throw new Error(`Unknown cap style: ${cap}`);
+    }
+    if (!(miterLimit >= 1)) {
+        throw new Error(`Miter limit must be at least 1, got ${miterLimit}`);
+    }
+    if (!(arcTolerance > 0) && radius > 0) {
+        throw new Error(`Arc tolerance must be positive, got ${arcTolerance}`);
+    }
+
+    // Largest angle whose chord stays within the tolerance of the arc
+    const arcStep = radius > 0 ? 2 * Math.acos(1 - Math.min(arcTolerance, radius) / radius) : Math.PI;
+    return { join, cap, miterLimit, arcStep };
+}
+
+/**
+ * Converts polyline points to [x, y], dropping repeated points (and the
+ * closing point of a closed polyline)
+ * @private
+ */
+function cleanPath(points, closed) {
+    const path = [];
+    for (const p of points) {
+        const point = typeof p.x === 'number' ? [p.x, p.y] : [p[0], p[1]];
+        const last = path[path.length - 1];
+        if (!last || last[0] !== point[0] || last[1] !== point[1]) path.push(point);
+    }
+
+    if (closed && path.length > 1) {
+        const first = path[0], last = path[path.length - 1];
+        if (first[0] === last[0] && first[1] === last[1]) path.pop();
+    }
+    return path;
+}
+
+/**
+ * Offsets a closed path to the right of its direction of travel (to the
+ * left for a negative distance). Corners on the offset side get the join
+ * style; on the other side the two offset edges are linked through the
+ * vertex itself, which leaves small loops for simplifyPolygon to remove.
+ * With capAt set, the path runs out and back along a polyline, and its
+ * vertices 0 and capAt are the polyline ends
+ * @private
+ */
+function offsetPath(path, capAt, distance, style) {
+    const count = path.length;
+    const directions = [];
+
+    for (let i = 0; i < count; i++) {
+        const p = path[i], q = path[(i + 1) % count];
+        const length = Math.hypot(q[0] - p[0], q[1] - p[1]);
+        directions.push([(q[0] - p[0]) / length, (q[1] - p[1]) / length]);
+    }
+
+    const result = [];
+    for (let i = 0; i < count; i++) {
+        const p = path[i];
+        const d1 = directions[(i + count - 1) % count];
+        const d2 = directions[i];
+
+        // Right-hand normals scaled by the distance
+        const n1 = [d1[1] * distance, -d1[0] * distance];
+        const n2 = [d2[1] * distance, -d2[0] * distance];
+
+        if (capAt !== null && (i === 0 || i === capAt)) {
+            addCap(result, p, d1, n1, n2, distance, style);
+            continue;
+        }
+
+        const cross = d1[0] * d2[1] - d1[1] * d2[0];
+        const dot = d1[0] * d2[0] + d1[1] * d2[1];
+
+        if (Math.abs(cross) < COLLINEAR_EPSILON && dot > 0) {
+            result.push([p[0] + n1[0], p[1] + n1[1]]);
+        } else if (cross * distance > 0 || (dot < 0 && Math.abs(cross) < COLLINEAR_EPSILON)) {
+            addJoin(result, p, n1, n2, cross, dot, distance, style);
+        } else {
+            result.push([p[0] + n1[0], p[1] + n1[1]], [p[0], p[1]], [p[0] + n2[0], p[1] + n2[1]]);
+        }
+    }
+    return result;
+}
+
+/**
+ * Fills the outside of a corner between offset points p + n1 and p + n2
+ * @private
+ */
+function addJoin(result, p, n1, n2, cross, dot, distance, style) {
+    if (style.join === JOIN_ROUND) {
+        // A reversal turns half a circle around the outside
+        const angle = Math.abs(cross) < COLLINEAR_EPSILON ?
+            Math.PI * Math.sign(distance) : Math.atan2(cross, dot);
+        addArc(result, p, n1, angle, style.arcStep);
+        return;
+    }
+
+    // The miter tip lies 1 / cos(turn / 2) offset distances from the vertex
+    if (style.join === JOIN_MITER && (1 + dot) * style.miterLimit * style.miterLimit > 2) {
+        const scale = 1 / (1 + dot);
+        result.push([p[0] + (n1[0] + n2[0]) * scale, p[1] + (n1[1] + n2[1]) * scale]);
+        return;
+    }
+
+    result.push([p[0] + n1[0], p[1] + n1[1]], [p[0] + n2[0], p[1] + n2[1]]);
+}
+
+/**
+ * Closes a polyline end between p + n1 and p + n2, where d points out of
+ * the polyline
+ * @private
+ */
+function addCap(result, p, d, n1, n2, distance, style) {
+    if (style.cap === CAP_ROUND) {
+        addArc(result, p, n1, Math.PI * Math.sign(distance), style.arcStep);
+    } else if (style.cap === CAP_SQUARE) {
+        const ex = d[0] * Math.abs(distance), ey = d[1] * Math.abs(distance);
+        result.push([p[0] + n1[0] + ex, p[1] + n1[1] + ey], [p[0] + n2[0] + ex, p[1] + n2[1] + ey]);
+    } else {
+        result.push([p[0] + n1[0], p[1] + n1[1]], [p[0] + n2[0], p[1] + n2[1]]);
+    }
+}
+
+/**
+ * Adds points of the arc around p starting at p + v and turning by angle,
+ * both ends included
+ * @private
+ */
+function addArc(result, p, v, angle, arcStep) {
+    const steps = Math.max(1, Math.ceil(Math.abs(angle) / arcStep));
+    const cos = Math.cos(angle / steps), sin = Math.sin(angle / steps);
+    let x = v[0], y = v[1];
+
+    result.push([p[0] + x, p[1] + y]);
+    for (let i = 0; i < steps; i++) {
+        const rx = x * cos - y * sin;
+        y = x * sin + y * cos;
+        x = rx;
+        result.push([p[0] + x, p[1] + y]);
+    }
+}
+
+/**
+ * Offsetting and stroking functions grouped for convenience
+ */
+export const PolygonOffset = {
+    /**
+     * Grows or shrinks a polygon
+     * @param {Array} polygon - Polygon or multi-polygon
+     * @param {number} delta - Offset distance; negative shrinks
+     * @param {Object} [options] - Join options
+     * @returns {number[][][][]} Result polygons
+     */
+    offset: offsetPolygon,
+
+    /**
+     * Shrinks a polygon by a distance
+     * @param {Array} polygon - Polygon or multi-polygon
+     * @param {number} distance - Inset distance
+     * @param {Object} [options] - Join options
+     * @returns {number[][][][]} Result polygons
+     */
+    inset: (polygon, distance, options) => offsetPolygon(polygon, -distance, options),
+
+    /**
+     * Grows a polygon by a distance
+     * @param {Array} polygon - Polygon or multi-polygon
+     * @param {number} distance - Outset distance
+     * @param {Object} [options] - Join options
+     * @returns {number[][][][]} Result polygons
+     */
+    outset: (polygon, distance, options) => offsetPolygon(polygon, distance, options),
+
+    /**
+     * Strokes a polyline into a triangle mesh
+     * @param {number[][]|Vec2[]} points - Polyline points
+     * @param {number} width - Stroke width
+     * @param {Object} [options] - Join, cap and closed options
+     * @returns {{vertices: number[], triangles: number[], dimensions: number, polygons: Array}}
+     */
+    stroke: strokePolyline
+};
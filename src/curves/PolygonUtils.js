@@ -0,0 +1,96 @@
+/*!
+ * DSRT Polygon Utilities
+ * Ring helpers shared by the polygon modules
+ * @module dsrt-docs/src/curves/PolygonUtils.js
+ * @license MIT
+ */
+
+/**
+ * Wraps nested ring input as a list of polygons with open [x, y] rings
+ * without repeated points, outer rings counter-clockwise and holes clockwise.
+ * Accepts a polygon (array of rings, outer first) or an array of polygons;
+ * rings hold [x, y] coordinates or Vec2 and may be open or closed. Rings with
+ * fewer than three distinct points are dropped, and a dropped outer ring
+ * drops its holes too.
+ * @param {number[][][]|Vec2[][]|Array} data - Polygon or multi-polygon
+ * @param {boolean} [keepWinding=false] - Keep each ring's orientation and drop
+ *   degenerate rings one by one, for input where winding numbers decide the
+ *   fill and no ring is an outer ring
+ * @returns {number[][][][]} Polygons, each [outer, ...holes]
+ */
+export function normalizePolygons(data, keepWinding = false) {
+    if (!data || data.length === 0) return [];
+
+    const polygons = isRing(data[0][0]) ? data : [data];
+    const result = [];
+
+    for (const polygon of polygons) {
+        const rings = [];
+        for (const ring of polygon) {
+            const points = [];
+            for (const p of ring) {
+                const point = typeof p.x === 'number' ? [p.x, p.y] : [p[0], p[1]];
+                const last = points[points.length - 1];
+                if (!last || last[0] !== point[0] || last[1] !== point[1]) points.push(point);
+            }
+
+            const first = points[0], last = points[points.length - 1];
+            if (points.length > 1 && first[0] === last[0] && first[1] === last[1]) points.pop();
+
+            if (points.length < 3) {
+                if (rings.length === 0 && !keepWinding) break;
+                continue;
+            }
+
+            if (!keepWinding && (ringArea(points) > 0) !== (rings.length === 0)) points.reverse();
+            rings.push(points);
+        }
+        if (rings.length) result.push(rings);
+    }
+    return result;
+}
+
+/**
+ * Signed area of a ring of [x, y] points, positive when counter-clockwise.
+ * Open and closed rings give the same result.
+ * @param {number[][]} ring - Ring points
+ * @returns {number} Signed area
+ */
+export function ringArea(ring) {
+    let area = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        area += ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+    }
+    return area / 2;
+}
+
+/**
+ * Position of a point relative to a ring (even-odd rule)
+ * @param {number} x - Point x
+ * @param {number} y - Point y
+ * @param {number[][]} ring - Ring points, open or closed
+ * @returns {number} 1 inside, 0 on the boundary, -1 outside
+ */
+export function pointInRing(x, y, ring) {
+    let inside = false;
+
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const ax = ring[j][0], ay = ring[j][1], bx = ring[i][0], by = ring[i][1];
+        const cross = (bx - ax) * (y - ay) - (by - ay) * (x - ax);
+
+        if (cross === 0 &&
+            x >= Math.min(ax, bx) && x <= Math.max(ax, bx) &&
+            y >= Math.min(ay, by) && y <= Math.max(ay, by)) return 0;
+
+        if ((ay > y) !== (by > y) && x < (bx - ax) * (y - ay) / (by - ay) + ax) inside = !inside;
+    }
+    return inside ? 1 : -1;
+}
+
+/**
+ * Checks if value is a ring (array of points) rather than a point
+ * @private
+ */
+function isRing(value) {
+    return Array.isArray(value) && (value.length === 0 || typeof value[0] === 'object');
+}
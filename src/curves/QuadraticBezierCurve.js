@@ -0,0 +1,66 @@
+/*!
+ * DSRT Quadratic Bezier Curve Module
+ * Quadratic Bezier segments
+ * @module dsrt-docs/src/curves/QuadraticBezierCurve.js
+ * @license MIT
+ */
+
+import { Vec3 } from '../math/Vec3.js';
+import { Curve } from './Curve.js';
+
+/**
+ * Quadratic Bezier curve from v0 to v2 with control point v1
+ */
+export class QuadraticBezierCurve extends Curve {
+    /**
+     * @param {Vec3} [v0] - Start point
+     * @param {Vec3} [v1] - Control point
+     * @param {Vec3} [v2] - End point
+     */
+    constructor(v0 = new Vec3(), v1 = new Vec3(), v2 = new Vec3()) {
+        super();
+        this.v0 = v0;
+        this.v1 = v1;
+        this.v2 = v2;
+    }
+
+    /**
+     * Point at parameter t
+     * @param {number} t - Curve parameter in [0, 1]
+     * @param {Vec3} [target] - Vector to write the result into
+     * @returns {Vec3} Point on the curve
+     */
+    getPoint(t, target = new Vec3()) {
+        const s = 1 - t;
+        const b0 = s * s, b1 = 2 * s * t, b2 = t * t;
+        const v0 = this.v0, v1 = this.v1, v2 = this.v2;
+
+        return target.set(
+            b0 * v0.x + b1 * v1.x + b2 * v2.x,
+            b0 * v0.y + b1 * v1.y + b2 * v2.y,
+            b0 * v0.z + b1 * v1.z + b2 * v2.z
+        );
+    }
+
+    /**
+     * Unit tangent at parameter t
+     * @param {number} t - Curve parameter in [0, 1]
+     * @param {Vec3} [target] - Vector to write the result into
+     * @returns {Vec3} Unit tangent
+     */
+    getTangent(t, target = new Vec3()) {
+        // B'(t) / 2 = (1 - t)(v1 - v0) + t(v2 - v1)
+        const s = 1 - t;
+        const v0 = this.v0, v1 = this.v1, v2 = this.v2;
+
+        target.set(
+            s * (v1.x - v0.x) + t * (v2.x - v1.x),
+            s * (v1.y - v0.y) + t * (v2.y - v1.y),
+            s * (v1.z - v0.z) + t * (v2.z - v1.z)
+        );
+
+        // Control point on an end point: the direction towards the other end
+        if (target.lengthSq() === 0) target.copy(v2).sub(v0);
+        return target.normalize();
+    }
+}
@@ -0,0 +1,391 @@
+/*!
+ * DSRT SVG Path Module
+ * Imports SVG path data and font glyph outlines as triangulatable polygons
+ * @module dsrt-docs/src/curves/SVGPath.js
+ * @license MIT
+ */
+
+import { Vec3 } from '../math/Vec3.js';
+import { CurvePath } from './CurvePath.js';
+import { LineCurve } from './LineCurve.js';
+import { QuadraticBezierCurve } from './QuadraticBezierCurve.js';
+import { CubicBezierCurve } from './CubicBezierCurve.js';
+import { EllipseCurve } from './EllipseCurve.js';
+import { simplifyPolygon } from './PolygonClipping.js';
+import { flattenPolygonData } from './Triangulation.js';
+
+// Number of arguments taken by each path command
+const ARGUMENT_COUNTS = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+
+// Number token: sign, digits with optional fraction, optional exponent
+const NUMBER_PATTERN = /[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y;
+
+/**
+ * Parses SVG path data into one curve path per subpath.
+ * All commands of the SVG 1.1 grammar are supported in absolute and
+ * relative form, including implicit repeats, smooth curve reflection and
+ * elliptical arcs (with out-of-range radii scaled up as the spec requires).
+ * Subpaths ended with Z are closed back to their start point; coordinates
+ * are kept as given, so y points down as in SVG.
+ * @param {string} d - Path data, as in the d attribute of an SVG path element
+ * @returns {CurvePath[]} Subpaths that contain at least one segment
+ * @example
+ * const [outline] = parseSVGPath('M0 0 H10 V10 A5 5 0 0 1 0 10 Z');
+ * const points = outline.flatten(0.01);
+ */
+export function parseSVGPath(d) {
+    const builder = new PathBuilder();
+    const scanner = { text: d, index: 0 };
+    let command = null;
+
+    skipSeparators(scanner);
+    while (scanner.index < d.length) {
+        const char = d[scanner.index];
+
+        if (/[a-zA-Z]/.test(char)) {
+            if (ARGUMENT_COUNTS[char.toUpperCase()] === undefined) {
+                throw new Error(`Unknown SVG path command '${char}' at position ${scanner.index}`);
+            }
+            command = char;
+            scanner.index++;
+        } else if (command === null) {
+            throw new Error(`SVG path data must start with a command, found '${char}'`);
+        } else if (command === 'Z' || command === 'z') {
+            throw new Error(`Unexpected argument after closepath at position ${scanner.index}`);
+        }
+
+        if (builder.empty && command !== 'M' && command !== 'm') {
+            throw new Error(`SVG path data must start with a moveto command, found '${command}'`);
+        }
+
+        const upper = command.toUpperCase();
+        const args = readArguments(scanner, upper);
+        applyCommand(builder, upper, command !== upper, args);
+
+        // Coordinate pairs after a moveto are implicit linetos
+        if (upper === 'M') command = command === 'M' ? 'L' : 'l';
+        skipSeparators(scanner);
+    }
+
+    return builder.finish();
+}
+
+/**
+ * Converts SVG path data into filled polygons ready for triangulatePolygon.
+ * Every subpath is flattened within tolerance and treated as closed; the
+ * rings are then resolved with the fill rule, so overlaps, self-intersections
+ * and nested contours come out as simple outer rings, each with the holes it
+ * contains (decided by winding and containment).
+ * @param {string} d - Path data, as in the d attribute of an SVG path element
+ * @param {Object} [options] - Conversion options
+ * @param {string} [options.fillRule='nonzero'] - SVG fill-rule: 'nonzero' or 'evenodd'
+ * @param {number} [options.tolerance=0.01] - Largest distance between curves and their chords
+ * @returns {Array<{vertices: number[], holes: number[], dimensions: number}>} One entry per
+ *   outer contour, in the form produced by flattenPolygonData
+ * @example
+ * // Ring-shaped icon
+ * const shapes = svgPathToPolygonData('M0 0h10v10H0z M3 3v4h4V3z', { fillRule: 'evenodd' });
+ * const triangles = triangulatePolygon(shapes[0].vertices, shapes[0].holes, shapes[0].dimensions);
+ */
+export function svgPathToPolygonData(d, options = {}) {
+    return pathsToPolygonData(parseSVGPath(d), options);
+}
+
+/**
+ * Converts a font glyph outline into filled polygons ready for
+ * triangulatePolygon. The outline is a list of path commands in the form
+ * used by opentype.js: {type: 'M'|'L'|'Q'|'C'|'Z', x, y} with control points
+ * x1, y1 (Q and C) and x2, y2 (C), all absolute.
+ * @param {Array<Object>} commands - Glyph path commands
+ * @param {Object} [options] - Conversion options, as for {@link svgPathToPolygonData}
+ * @param {string} [options.fillRule='nonzero'] - 'nonzero' (TrueType and CFF) or 'evenodd'
+ * @param {number} [options.tolerance=0.01] - Largest distance between curves and their chords,
+ *   in font units
+ * @returns {Array<{vertices: number[], holes: number[], dimensions: number}>} One entry per
+ *   outer contour
+ * @example
+ * const path = font.getPath('A', 0, 0, 72);
+ * const shapes = glyphToPolygonData(path.commands, { tolerance: 0.05 });
+ */
+export function glyphToPolygonData(commands, options = {}) {
+    const builder = new PathBuilder();
+
+    for (const c of commands) {
+        switch (c.type) {
+            case 'M': builder.moveTo(c.x, c.y); break;
+            case 'L': builder.lineTo(c.x, c.y); break;
+            case 'Q': builder.quadraticTo(c.x1, c.y1, c.x, c.y); break;
+            case 'C': builder.cubicTo(c.x1, c.y1, c.x2, c.y2, c.x, c.y); break;
+            case 'Z': builder.close(); break;
+            default: throw new Error(`Unknown glyph path command: ${c.type}`);
+        }
+    }
+
+    return pathsToPolygonData(builder.finish(), options);
+}
+
+/**
+ * Flattens subpaths into rings and resolves them by fill rule
+ * @private
+ */
+function pathsToPolygonData(paths, options) {
+    const { fillRule = 'nonzero', tolerance = 0.01 } = options;
+
+    if (fillRule !== 'nonzero' && fillRule !== 'evenodd') {
+        throw new Error(`Unknown fill rule: ${fillRule}`);
+    }
+
+    const rings = paths.map(path => path.flatten(tolerance).map(p => [p.x, p.y]));
+    return simplifyPolygon(rings, fillRule).map(flattenPolygonData);
+}
+
+/**
+ * Collects subpaths from absolute drawing commands, tracking the current
+ * point, the subpath start and the last control point for smooth curves
+ * @private
+ */
+class PathBuilder {
+    constructor() {
+        this.paths = [];
+        this.path = null;
+        this.start = new Vec3();
+        this.point = new Vec3();
+        this.empty = true;
+
+        // Last control point and the kind of curve it belongs to ('C' or 'Q')
+        this.control = null;
+        this.controlType = null;
+    }
+
+    moveTo(x, y) {
+        this.path = null;
+        this.point = new Vec3(x, y, 0);
+        this.start = this.point;
+        this.empty = false;
+        this.control = null;
+    }
+
+    lineTo(x, y) {
+        const end = new Vec3(x, y, 0);
+        if (!end.equals(this.point)) this.add(new LineCurve(this.point, end), end, null, null);
+        else this.control = null;
+    }
+
+    quadraticTo(x1, y1, x, y) {
+        const control = new Vec3(x1, y1, 0), end = new Vec3(x, y, 0);
+        this.add(new QuadraticBezierCurve(this.point, control, end), end, control, 'Q');
+    }
+
+    cubicTo(x1, y1, x2, y2, x, y) {
+        const end = new Vec3(x, y, 0), control = new Vec3(x2, y2, 0);
+        this.add(new CubicBezierCurve(this.point, new Vec3(x1, y1, 0), control, end), end, control, 'C');
+    }
+
+    // Elliptical arc in SVG endpoint form (see SVG 1.1 appendix F.6.5)
+    arcTo(rx, ry, angle, largeArc, sweep, x, y) {
+        const x1 = this.point.x, y1 = this.point.y;
+        rx = Math.abs(rx);
+        ry = Math.abs(ry);
+
+        if (x1 === x && y1 === y) {
+            this.control = null;
+            return;
+        }
+        if (rx === 0 || ry === 0) {
+            this.lineTo(x, y);
+            return;
+        }
+
+        const rotation = angle * Math.PI / 180;
+        const cos = Math.cos(rotation), sin = Math.sin(rotation);
+
+        // Start point relative to the chord midpoint, in the ellipse's frame
+        const dx = (x1 - x) / 2, dy = (y1 - y) / 2;
+        const px = cos * dx + sin * dy;
+        const py = -sin * dx + cos * dy;
+
+        // Radii too small to span the chord are scaled up until they just do
+        const lambda = (px * px) / (rx * rx) + (py * py) / (ry * ry);
+        if (lambda > 1) {
+            rx *= Math.sqrt(lambda);
+            ry *= Math.sqrt(lambda);
+        }
+
+        const rx2 = rx * rx, ry2 = ry * ry;
+        const numerator = rx2 * ry2 - rx2 * py * py - ry2 * px * px;
+        const denominator = rx2 * py * py + ry2 * px * px;
+        let factor = Math.sqrt(Math.max(0, numerator / denominator));
+        if (largeArc === sweep) factor = -factor;
+
+        const cxp = factor * rx * py / ry;
+        const cyp = -factor * ry * px / rx;
+        const center = new Vec3(
+            cos * cxp - sin * cyp + (x1 + x) / 2,
+            sin * cxp + cos * cyp + (y1 + y) / 2,
+            0
+        );
+
+        const startAngle = Math.atan2((py - cyp) / ry, (px - cxp) / rx);
+        let delta = Math.atan2((-py - cyp) / ry, (-px - cxp) / rx) - startAngle;
+        if (sweep && delta < 0) delta += Math.PI * 2;
+        else if (!sweep && delta > 0) delta -= Math.PI * 2;
+
+        const arc = new EllipseCurve(center, rx, ry, startAngle, startAngle + delta, delta < 0, rotation);
+        this.add(arc, new Vec3(x, y, 0), null, null);
+    }
+
+    close() {
+        if (this.path) {
+            this.path.closePath();
+            this.path = null;
+        }
+        this.point = this.start;
+        this.control = null;
+    }
+
+    // Reflection of the last control point of the given curve kind, or the
+    // current point when the previous segment was of another kind
+    reflectedControl(type) {
+        if (this.controlType !== type || !this.control) return this.point.clone();
+        return this.point.clone().mulScalar(2).sub(this.control);
+    }
+
+    add(curve, end, control, controlType) {
+        if (!this.path) {
+            this.path = new CurvePath();
+            this.paths.push(this.path);
+        }
+        this.path.add(curve);
+        this.point = end;
+        this.control = control;
+        this.controlType = controlType;
+    }
+
+    finish() {
+        return this.paths.filter(path => path.curves.length > 0);
+    }
+}
+
+/**
+ * Runs one (uppercased) path command on the builder
+ * @private
+ */
+function applyCommand(builder, command, relative, args) {
+    const ox = relative ? builder.point.x : 0;
+    const oy = relative ? builder.point.y : 0;
+
+    switch (command) {
+        case 'M':
+            builder.moveTo(args[0] + ox, args[1] + oy);
+            break;
+        case 'L':
+            builder.lineTo(args[0] + ox, args[1] + oy);
+            break;
+        case 'H':
+            builder.lineTo(args[0] + ox, builder.point.y);
+            break;
+        case 'V':
+            builder.lineTo(builder.point.x, args[0] + oy);
+            break;
+        case 'C':
+            builder.cubicTo(args[0] + ox, args[1] + oy, args[2] + ox, args[3] + oy, args[4] + ox, args[5] + oy);
+            break;
+        case 'S': {
+            const c1 = builder.reflectedControl('C');
+            builder.cubicTo(c1.x, c1.y, args[0] + ox, args[1] + oy, args[2] + ox, args[3] + oy);
+            break;
+        }
+        case 'Q':
+            builder.quadraticTo(args[0] + ox, args[1] + oy, args[2] + ox, args[3] + oy);
+            break;
+        case 'T': {
+            const c = builder.reflectedControl('Q');
+            builder.quadraticTo(c.x, c.y, args[0] + ox, args[1] + oy);
+            break;
+        }
+        case 'A':
+            builder.arcTo(args[0], args[1], args[2], args[3] !== 0, args[4] !== 0, args[5] + ox, args[6] + oy);
+            break;
+        case 'Z':
+            builder.close();
+            break;
+    }
+}
+
+/**
+ * Reads the arguments of one command; arc flags are single digits and may
+ * run into the next number
+ * @private
+ */
+function readArguments(scanner, command) {
+    const count = ARGUMENT_COUNTS[command];
+    const args = [];
+
+    for (let i = 0; i < count; i++) {
+        // A comma may separate arguments but not a command from its first one
+        skipSeparators(scanner, i > 0);
+
+        if (command === 'A' && (i === 3 || i === 4)) {
+            const flag = scanner.text[scanner.index];
+            if (flag !== '0' && flag !== '1') {
+                throw new Error(`Invalid arc flag '${flag}' at position ${scanner.index}`);
+            }
+            args.push(flag === '1' ? 1 : 0);
+            scanner.index++;
+            continue;
+        }
+
+        NUMBER_PATTERN.lastIndex = scanner.index;
+        const match = NUMBER_PATTERN.exec(scanner.text);
+        if (!match) {
+            throw new Error(`Expected a number for '${command}' at position ${scanner.index}`);
+        }
+        args.push(parseFloat(match[0]));
+        scanner.index = NUMBER_PATTERN.lastIndex;
+    }
+    return args;
+}
+
+/**
+ * Skips whitespace and, when allowed, at most one comma
+ * @private
+ */
+function skipSeparators(scanner, allowComma = true) {
+    const text = scanner.text;
+    let comma = !allowComma;
+
+    while (scanner.index < text.length) {
+        const char = text[scanner.index];
+        if (char === ',' && !comma) comma = true;
+        else if (char !== ' ' && char !== '\t' && char !== '\n' && char !== '\r' && char !== '\f') break;
+        scanner.index++;
+    }
+}
+
+/**
+ * SVG and glyph import namespace
+ */
+export const SVGPath = {
+    /**
+     * Parses path data into curve paths
+     * @param {string} d - SVG path data
+     * @returns {CurvePath[]} Subpaths
+     */
+    parse: parseSVGPath,
+
+    /**
+     * Converts path data into filled polygon data
+     * @param {string} d - SVG path data
+     * @param {Object} [options] - fillRule and tolerance
+     * @returns {Array<Object>} See {@link svgPathToPolygonData}
+     */
+    toPolygonData: svgPathToPolygonData,
+
+    /**
+     * Converts a glyph outline into filled polygon data
+     * @param {Array<Object>} commands - opentype.js style path commands
+     * @param {Object} [options] - fillRule and tolerance
+     * @returns {Array<Object>} See {@link glyphToPolygonData}
+     */
+    glyphToPolygonData
+};
@@ -6,24 +6,144 @@
  * @license MIT
  */
 
+import { Vec3 } from '../math/Vec3.js';
+import { refineTriangulation } from './DelaunayRefinement.js';
+
+// Largest vertex count whose indices fit in a Uint16Array
+const MAX_UINT16_VERTICES = 65536;
+
+// Linked list nodes kept for reuse between calls, at most this many
+const MAX_POOLED_NODES = 1 << 18;
+
 /**
  * Main triangulation function - converts polygon to triangles
- * @param {number[]} vertices - Flat array of vertex coordinates [x0,y0, x1,y1, ...]
- * @param {number[]} holeIndices - Indices where holes start in vertices array
- * @param {number} dimensions - Number of coordinates per vertex (default: 2)
- * @returns {number[]} Array of triangle indices
+ * @param {number[]|Float32Array|Float64Array|Vec2[]} vertices - Flat array of vertex coordinates
+ *   [x0,y0, x1,y1, ...] (plain or typed) or an array of Vec2
+ * @param {number[]|Uint32Array} holeIndices - Indices where holes start in vertices array
+ * @param {number} dimensions - Number of coordinates per vertex (default: 2, ignored for Vec2 input).
+ *   Only x and y are read; use {@link triangulatePolygon3D} for planar polygons oriented freely in 3D
+ * @param {Object} [options] - Triangulation options
+ * @param {boolean} [options.diagnostics=false] - Return the triangles together with a report
+ *   of how the triangulation went
+ * @param {boolean} [options.strict=false] - Throw a {@link TriangulationError} instead of
+ *   returning triangles for degenerate rings, or triangles that do not cover the polygon
+ *   exactly or had to cut across self-intersections
+ * @param {number} [options.tolerance=1e-9] - Relative area deviation accepted in strict mode
+ * @param {boolean} [options.typed=false] - Write the indices into a new Uint16Array, or a
+ *   Uint32Array when the vertex count needs it (see {@link selectIndexArrayType})
+ * @param {Uint16Array|Uint32Array} [options.target] - Caller-provided index array to write into;
+ *   an error is thrown if it runs out of room
+ * @param {number} [options.targetOffset=0] - Position in target of the first index
+ * @returns {number[]|Uint16Array|Uint32Array|{triangles: number[], diagnostics: Object}}
+ *   Array of triangle indices (a view of the written part of the typed array when
+ *   options.typed or options.target is set), or
+ *   with options.diagnostics the triangles and the report:
+ *   pass (deepest ear clipping pass run: 0 plain, 1 after removing duplicate and collinear
+ *   points, 2 after cutting off self-intersections), degenerateRings ({ring, start, reason}
+ *   for rings with fewer than 3 points or zero area; ring 0 is the outer ring),
+ *   removedPoints ({index, reason} for input vertices left out as 'duplicate' or 'collinear'),
+ *   resolvedIntersections (vertex index triples cut off at self-intersections),
+ *   areaDeviation (as from {@link calculateTriangulationQuality}, but 1 where that is infinite)
+ *   and triangleCount
+ * @throws {TriangulationError} In strict mode, when a ring is degenerate, the polygon gives no
+ *   triangles, or the result is not valid
+ * @example
+ * const { triangles, diagnostics } = triangulatePolygon(vertices, holes, 2, { diagnostics: true });
+ * if (diagnostics.resolvedIntersections.length) console.warn('Outline crosses itself');
+ * @example
+ * // Straight into a GPU index buffer
+ * const indices = triangulatePolygon(new Float32Array(positions), null, 2, { typed: true });
+ */
+export default function triangulatePolygon(vertices, holeIndices, dimensions = 2, options = {}) {
+    if (isPointArray(vertices)) {
+        vertices = flattenPoints(vertices);
+        dimensions = 2;
+    }
+
+    const { diagnostics = false, strict = false, tolerance = 1e-9 } = options;
+    const { typed = false, target = null, targetOffset = 0 } = options;
+    const stats = diagnostics || strict ? { pass: 0, removed: new Map(), intersections: [] } : null;
+
+    let triangles;
+    if (typed || target) {
+        const writer = createIndexWriter(vertices.length / dimensions, holeIndices, target, targetOffset);
+        earcut(vertices, holeIndices, dimensions, stats, writer);
+        triangles = writer.finish();
+    } else {
+        triangles = earcut(vertices, holeIndices, dimensions, stats, []);
+    }
+
+    if (!stats) return triangles;
+
+    const report = createDiagnostics(vertices, holeIndices, dimensions, triangles, stats);
+
+    // Empty input is valid and gives no triangles
+    if (strict && vertices.length) {
+        if (report.degenerateRings.length) {
+            throw new TriangulationError(describeDegenerateRings(report.degenerateRings), report);
+        }
+        if (!triangles.length) {
+            throw new TriangulationError('Polygon has zero area, no triangles were produced', report);
+        }
+        if (report.resolvedIntersections.length) {
+            throw new TriangulationError(
+                `Polygon intersects itself (${report.resolvedIntersections.length} crossings cut off)`, report);
+        }
+        if (!(report.areaDeviation <= tolerance)) {
+            throw new TriangulationError(
+                `Triangles deviate from the polygon area by ${report.areaDeviation}`, report);
+        }
+    }
+
+    return diagnostics ? { triangles, diagnostics: report } : triangles;
+}
+
+/**
+ * Error thrown by strict triangulation; diagnostics holds the report of the
+ * failed run, as returned with the diagnostics option
  */
-export default function triangulatePolygon(vertices, holeIndices, dimensions = 2) {
+export class TriangulationError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} diagnostics - Triangulation report
+     */
+    constructor(message, diagnostics) {
+        super(message);
+        this.name = 'TriangulationError';
+        this.diagnostics = diagnostics;
+    }
+}
+
+/**
+ * Index array type for a mesh: Uint16Array while every index fits in
+ * 16 bits, Uint32Array beyond that
+ * @param {number} vertexCount - Number of vertices the indices refer to
+ * @returns {Uint16ArrayConstructor|Uint32ArrayConstructor} Typed array constructor
+ * @example
+ * const IndexArray = selectIndexArrayType(vertices.length / 2);
+ * const indices = triangulatePolygon(vertices, null, 2, { target: new IndexArray(maxIndices) });
+ */
+export function selectIndexArrayType(vertexCount) {
+    return vertexCount <= MAX_UINT16_VERTICES ? Uint16Array : Uint32Array;
+}
+
+/**
+ * Ear clipping on flat vertex data into triangles (an array or index
+ * writer); stats, when given, collects what happened along the way
+ * @private
+ */
+function earcut(vertices, holeIndices, dimensions, stats, triangles) {
+    nodePoolUsed = 0;
+
     const hasHoles = holeIndices && holeIndices.length;
     const outerLength = hasHoles ? holeIndices[0] * dimensions : vertices.length;
     let outerNode = createLinkedList(vertices, 0, outerLength, dimensions, true);
-    const triangles = [];
 
     if (!outerNode || outerNode.next === outerNode.prev) return triangles;
 
     let minX, minY, scaleFactor;
 
-    if (hasHoles) outerNode = processHoles(vertices, holeIndices, outerNode, dimensions);
+    if (hasHoles) outerNode = processHoles(vertices, holeIndices, outerNode, dimensions, stats);
 
     // Use spatial indexing for complex polygons
     if (vertices.length > 80 * dimensions) {
@@ -45,11 +165,117 @@ export default function triangulatePolygon(vertices, holeIndices, dimensions = 2
         scaleFactor = scaleFactor !== 0 ? 32767 / scaleFactor : 0;
     }
 
-    triangulateLinkedList(outerNode, triangles, dimensions, minX, minY, scaleFactor, 0);
+    triangulateLinkedList(outerNode, triangles, dimensions, minX, minY, scaleFactor, 0, stats);
 
+    if (nodePool.length > MAX_POOLED_NODES) nodePool.length = MAX_POOLED_NODES;
     return triangles;
 }
 
+/**
+ * Index writer over a caller's typed array, or over one sized for the
+ * largest possible triangulation
+ * @private
+ */
+function createIndexWriter(vertexCount, holeIndices, target, offset) {
+    if (target) {
+        if (target instanceof Uint16Array && vertexCount > MAX_UINT16_VERTICES) {
+            throw new Error(`Uint16Array cannot index ${vertexCount} vertices, use a Uint32Array`);
+        }
+        return new IndexWriter(target, offset);
+    }
+
+    // Ear clipping a ring of n vertices gives at most n - 2 triangles. Each hole bridge
+    // adds 2 vertices; splitting a ring adds 2 vertices but also makes two rings, so
+    // it adds no triangles
+    const holeCount = holeIndices ? holeIndices.length : 0;
+    const triangleCount = Math.max(0, vertexCount + 2 * holeCount - 2);
+    const IndexArray = selectIndexArrayType(vertexCount);
+    return new IndexWriter(new IndexArray(triangleCount * 3), 0);
+}
+
+/**
+ * Appends triangles to a typed array; push matches Array#push as used by
+ * the ear clipping functions
+ * @private
+ */
+class IndexWriter {
+    constructor(array, offset) {
+        this.array = array;
+        this.start = offset;
+        this.length = offset;
+    }
+
+    push(a, b, c) {
+        if (this.length + 3 > this.array.length) {
+            throw new Error(`Index array of length ${this.array.length} is too small for the triangulation`);
+        }
+
+        const array = this.array;
+        array[this.length] = a;
+        array[this.length + 1] = b;
+        array[this.length + 2] = c;
+        this.length += 3;
+    }
+
+    // View of the indices written
+    finish() {
+        return this.array.subarray(this.start, this.length);
+    }
+}
+
+/**
+ * Builds the diagnostics report of a triangulation run
+ * @private
+ */
+function createDiagnostics(vertices, holeIndices, dimensions, triangles, stats) {
+    const vertexCount = vertices.length / dimensions;
+    const starts = [0].concat(holeIndices || []);
+    const degenerateRings = [];
+
+    for (let r = 0; r < starts.length; r++) {
+        const start = starts[r];
+        const end = r < starts.length - 1 ? starts[r + 1] : vertexCount;
+
+        if (end - start < 3) {
+            degenerateRings.push({ ring: r, start, reason: 'too-few-points' });
+        } else if (calculateSignedArea(vertices, start * dimensions, end * dimensions, dimensions) === 0) {
+            degenerateRings.push({ ring: r, start, reason: 'zero-area' });
+        }
+    }
+
+    // Bridges to holes duplicate vertices, so a removed node may still be used
+    const used = new Set(triangles);
+    const removedPoints = [];
+    for (const [index, reason] of stats.removed) {
+        if (!used.has(index)) removedPoints.push({ index, reason });
+    }
+    removedPoints.sort((a, b) => a.index - b.index);
+
+    // Infinite when triangles cover a polygon without area; 1 keeps the report JSON-safe
+    const deviation = calculateTriangulationQuality(vertices, holeIndices, dimensions, triangles);
+
+    return {
+        pass: stats.pass,
+        degenerateRings,
+        removedPoints,
+        resolvedIntersections: stats.intersections,
+        areaDeviation: Number.isFinite(deviation) ? deviation : 1,
+        triangleCount: triangles.length / 3
+    };
+}
+
+/**
+ * Error message naming the first degenerate ring of a report
+ * @private
+ */
+function describeDegenerateRings(rings) {
+    const { ring, reason } = rings[0];
+    const name = ring === 0 ? 'Outer ring' : `Hole ${ring}`;
+    const problem = reason === 'zero-area' ? 'has zero area' : 'has fewer than 3 points';
+    const others = rings.length > 1 ? ` (${rings.length} degenerate rings)` : '';
+    return `${name} ${problem}${others}`;
+}
+
 /**
  * Creates circular doubly linked list from polygon vertices
  * @private
@@ -79,7 +305,7 @@ function createLinkedList(data, start, end, dim, clockwise) {
  * Removes colinear and duplicate points
  * @private
  */
-function simplifyPoints(start, end) {
+function simplifyPoints(start, end, stats) {
     if (!start) return start;
     if (!end) end = start;
 
@@ -93,6 +319,7 @@ function simplifyPoints(start, end) {
             (pointsEqual(current, current.next) || 
              triangleArea(current.prev, current, current.next) === 0)) {
             
+            if (stats) stats.removed.set(current.i, pointsEqual(current, current.next) ? 'duplicate' : 'collinear');
             removeNode(current);
             current = end = current.prev;
             if (current === current.next) break;
@@ -110,9 +337,11 @@ function simplifyPoints(start, end) {
  * Main triangulation loop for linked list representation
  * @private
  */
-function triangulateLinkedList(ear, triangles, dim, minX, minY, scale, pass) {
+function triangulateLinkedList(ear, triangles, dim, minX, minY, scale, pass, stats) {
     if (!ear) return;
 
+    if (stats && pass > stats.pass) stats.pass = pass;
+
     if (!pass && scale) buildSpatialIndex(ear, minX, minY, scale);
 
     let stopPoint = ear;
@@ -134,12 +363,12 @@ function triangulateLinkedList(ear, triangles, dim, minX, minY, scale, pass) {
 
         if (ear === stopPoint) {
             if (!pass) {
-                triangulateLinkedList(simplifyPoints(ear), triangles, dim, minX, minY, scale, 1);
+                triangulateLinkedList(simplifyPoints(ear, null, stats), triangles, dim, minX, minY, scale, 1, stats);
             } else if (pass === 1) {
-                ear = resolveLocalIntersections(simplifyPoints(ear), triangles);
-                triangulateLinkedList(ear, triangles, dim, minX, minY, scale, 2);
+                ear = resolveLocalIntersections(simplifyPoints(ear, null, stats), triangles, stats);
+                triangulateLinkedList(ear, triangles, dim, minX, minY, scale, 2, stats);
             } else if (pass === 2) {
-                splitAndTriangulate(ear, triangles, dim, minX, minY, scale);
+                splitAndTriangulate(ear, triangles, dim, minX, minY, scale, stats);
             }
             break;
         }
@@ -168,7 +397,7 @@ function isValidEar(ear) {
     let p = c.next;
     while (p !== a) {
         if (p.x >= minX && p.x <= maxX && p.y >= minY && p.y <= maxY &&
-            pointInTriangleExclusive(ax, ay, bx, by, cx, cy, p.x, p.y) &&
+            pointInTriangle(ax, ay, bx, by, cx, cy, p.x, p.y) &&
             triangleArea(p.prev, p, p.next) >= 0) return false;
         p = p.next;
     }
@@ -204,13 +433,13 @@ function isValidEarHashed(ear, minX, minY, scale) {
     while (p && p.z >= minZ && n && n.z <= maxZ) {
         if (p.x >= minTX && p.x <= maxTX && p.y >= minTY && p.y <= maxTY && 
             p !== a && p !== c &&
-            pointInTriangleExclusive(ax, ay, bx, by, cx, cy, p.x, p.y) && 
+            pointInTriangle(ax, ay, bx, by, cx, cy, p.x, p.y) && 
             triangleArea(p.prev, p, p.next) >= 0) return false;
         p = p.prevZ;
 
         if (n.x >= minTX && n.x <= maxTX && n.y >= minTY && n.y <= maxTY && 
             n !== a && n !== c &&
-            pointInTriangleExclusive(ax, ay, bx, by, cx, cy, n.x, n.y) && 
+            pointInTriangle(ax, ay, bx, by, cx, cy, n.x, n.y) && 
             triangleArea(n.prev, n, n.next) >= 0) return false;
         n = n.nextZ;
     }
@@ -218,7 +447,7 @@ function isValidEarHashed(ear, minX, minY, scale) {
     while (p && p.z >= minZ) {
         if (p.x >= minTX && p.x <= maxTX && p.y >= minTY && p.y <= maxTY && 
             p !== a && p !== c &&
-            pointInTriangleExclusive(ax, ay, bx, by, cx, cy, p.x, p.y) && 
+            pointInTriangle(ax, ay, bx, by, cx, cy, p.x, p.y) && 
             triangleArea(p.prev, p, p.next) >= 0) return false;
         p = p.prevZ;
     }
@@ -226,7 +455,7 @@ function isValidEarHashed(ear, minX, minY, scale) {
     while (n && n.z <= maxZ) {
         if (n.x >= minTX && n.x <= maxTX && n.y >= minTY && n.y <= maxTY && 
             n !== a && n !== c &&
-            pointInTriangleExclusive(ax, ay, bx, by, cx, cy, n.x, n.y) && 
+            pointInTriangle(ax, ay, bx, by, cx, cy, n.x, n.y) && 
             triangleArea(n.prev, n, n.next) >= 0) return false;
         n = n.nextZ;
     }
@@ -238,7 +467,7 @@ function isValidEarHashed(ear, minX, minY, scale) {
  * Processes polygon holes
  * @private
  */
-function processHoles(data, holeIndices, outerNode, dim) {
+function processHoles(data, holeIndices, outerNode, dim, stats) {
     const queue = [];
 
     for (let i = 0, len = holeIndices.length; i < len; i++) {
@@ -252,7 +481,7 @@ function processHoles(data, holeIndices, outerNode, dim) {
     queue.sort(compareByPosition);
 
     for (let i = 0; i < queue.length; i++) {
-        outerNode = connectHole(queue[i], outerNode);
+        outerNode = connectHole(queue[i], outerNode, stats);
     }
 
     return outerNode;
@@ -279,14 +508,6 @@ function computeZOrder(x, y, minX, minY, scale) {
     return x | (y << 1);
 }
 
-/**
- * Point in triangle test (excluding first vertex)
- * @private
- */
-function pointInTriangleExclusive(ax, ay, bx, by, cx, cy, px, py) {
-    return !(ax === px && ay === py) && pointInTriangle(ax, ay, bx, by, cx, cy, px, py);
-}
-
 /**
  * Basic point in triangle test
  * @private
@@ -319,19 +540,39 @@ function triangleArea(p, q, r) {
  * @property {boolean} steiner - Steiner point flag
  */
 
+// Nodes of earlier calls, reused in order; earcut resets the count
+const nodePool = [];
+let nodePoolUsed = 0;
+
 /**
- * Creates a polygon node
+ * Creates a polygon node, reusing a pooled one when available
  * @private
  * @returns {PolygonNode}
  */
 function createNode(i, x, y) {
-    return {
-        i, x, y,
-        prev: null, next: null,
-        z: 0,
-        prevZ: null, nextZ: null,
-        steiner: false
-    };
+    let node = nodePool[nodePoolUsed];
+
+    if (node) {
+        node.i = i;
+        node.x = x;
+        node.y = y;
+        node.prev = node.next = null;
+        node.z = 0;
+        node.prevZ = node.nextZ = null;
+        node.steiner = false;
+    } else {
+        node = {
+            i, x, y,
+            prev: null, next: null,
+            z: 0,
+            prevZ: null, nextZ: null,
+            steiner: false
+        };
+        nodePool.push(node);
+    }
+
+    nodePoolUsed++;
+    return node;
 }
 
 // Additional helper functions (simplified versions)
@@ -362,27 +603,409 @@ function pointsEqual(a, b) {
     return a.x === b.x && a.y === b.y;
 }
 
-// Additional triangulation helper functions would follow here...
-// (findLeftmost, compareByPosition, connectHole, buildSpatialIndex, 
-// resolveLocalIntersections, splitAndTriangulate, etc.)
+/**
+ * Finds the leftmost node of a polygon ring
+ * @private
+ */
+function findLeftmost(start) {
+    let current = start;
+    let leftmost = start;
+
+    do {
+        if (current.x < leftmost.x || (current.x === leftmost.x && current.y < leftmost.y)) leftmost = current;
+        current = current.next;
+    } while (current !== start);
+
+    return leftmost;
+}
+
+/**
+ * Orders hole nodes left to right; holes meeting at the same leftmost
+ * vertex are ordered by slope so they bridge through the shared point
+ * @private
+ */
+function compareByPosition(a, b) {
+    let result = a.x - b.x;
+
+    if (result === 0) {
+        result = a.y - b.y;
+        if (result === 0) {
+            const slopeA = (a.next.y - a.y) / (a.next.x - a.x);
+            const slopeB = (b.next.y - b.y) / (b.next.x - b.x);
+            result = slopeA - slopeB;
+        }
+    }
+    return result;
+}
+
+/**
+ * Links a hole into the outer ring through a bridge edge
+ * @private
+ */
+function connectHole(hole, outerNode, stats) {
+    const bridge = findHoleBridge(hole, outerNode);
+    if (!bridge) return outerNode;
+
+    const bridgeReverse = splitPolygon(bridge, hole);
+
+    // Remove colinear points around the cuts
+    simplifyPoints(bridgeReverse, bridgeReverse.next, stats);
+    return simplifyPoints(bridge, bridge.next, stats);
+}
+
+/**
+ * Finds an outer ring vertex visible from the hole's leftmost point
+ * (David Eberly's hole bridging algorithm)
+ * @private
+ */
+function findHoleBridge(hole, outerNode) {
+    const hx = hole.x;
+    const hy = hole.y;
+    let current = outerNode;
+    let qx = -Infinity;
+    let candidate;
+
+    // Cast a ray to the left and keep the closest crossed segment;
+    // its endpoint with the lesser x is the potential connection point
+    if (pointsEqual(hole, current)) return current;
+    do {
+        if (pointsEqual(hole, current.next)) return current.next;
+
+        if (hy <= current.y && hy >= current.next.y && current.next.y !== current.y) {
+            const x = current.x + (hy - current.y) * (current.next.x - current.x) / (current.next.y - current.y);
+            if (x <= hx && x > qx) {
+                qx = x;
+                candidate = current.x < current.next.x ? current : current.next;
+                if (x === hx) return candidate;  // Hole touches the segment
+            }
+        }
+        current = current.next;
+    } while (current !== outerNode);
+
+    if (!candidate) return null;
+
+    // Any vertex inside the triangle (hole point, ray hit, candidate) blocks
+    // the bridge; pick the one with the smallest angle to the ray instead
+    const stopPoint = candidate;
+    const mx = candidate.x;
+    const my = candidate.y;
+    let tanMin = Infinity;
+
+    current = candidate;
+
+    do {
+        if (hx >= current.x && current.x >= mx && hx !== current.x &&
+            pointInTriangle(hy < my ? hx : qx, hy, mx, my, hy < my ? qx : hx, hy, current.x, current.y)) {
+
+            const tan = Math.abs(hy - current.y) / (hx - current.x);
+
+            if (isLocallyInside(current, hole) &&
+                (tan < tanMin || (tan === tanMin && (current.x > candidate.x ||
+                    (current.x === candidate.x && sectorContainsSector(candidate, current)))))) {
+                candidate = current;
+                tanMin = tan;
+            }
+        }
+        current = current.next;
+    } while (current !== stopPoint);
+
+    return candidate;
+}
+
+/**
+ * Checks whether the sector at vertex m contains the sector at vertex p
+ * when both share the same coordinates
+ * @private
+ */
+function sectorContainsSector(m, p) {
+    return triangleArea(m.prev, m, p.prev) < 0 && triangleArea(p.next, m, m.next) < 0;
+}
+
+/**
+ * Links polygon nodes in Z-order for hashed ear checks
+ * @private
+ */
+function buildSpatialIndex(start, minX, minY, scale) {
+    let current = start;
+
+    do {
+        if (current.z === 0) current.z = computeZOrder(current.x, current.y, minX, minY, scale);
+        current.prevZ = current.prev;
+        current.nextZ = current.next;
+        current = current.next;
+    } while (current !== start);
+
+    current.prevZ.nextZ = null;
+    current.prevZ = null;
+
+    sortByZOrder(current);
+}
+
+/**
+ * Sorts the Z-order list in place
+ * (Simon Tatham's linked list merge sort)
+ * @private
+ */
+function sortByZOrder(list) {
+    let mergeCount;
+    let runSize = 1;
+
+    do {
+        let p = list;
+        let tail = null;
+        list = null;
+        mergeCount = 0;
+
+        while (p) {
+            mergeCount++;
+            let q = p;
+            let pSize = 0;
+            for (let i = 0; i < runSize; i++) {
+                pSize++;
+                q = q.nextZ;
+                if (!q) break;
+            }
+            let qSize = runSize;
+
+            while (pSize > 0 || (qSize > 0 && q)) {
+                let node;
+
+                if (pSize !== 0 && (qSize === 0 || !q || p.z <= q.z)) {
+                    node = p;
+                    p = p.nextZ;
+                    pSize--;
+                } else {
+                    node = q;
+                    q = q.nextZ;
+                    qSize--;
+                }
+
+                if (tail) tail.nextZ = node;
+                else list = node;
+
+                node.prevZ = tail;
+                tail = node;
+            }
+
+            p = q;
+        }
+
+        tail.nextZ = null;
+        runSize *= 2;
+    } while (mergeCount > 1);
+
+    return list;
+}
+
+/**
+ * Cuts off small self-intersections by emitting the triangle
+ * formed by each crossing pair of edges
+ * @private
+ */
+function resolveLocalIntersections(start, triangles, stats) {
+    let current = start;
+
+    do {
+        const a = current.prev;
+        const b = current.next.next;
+
+        if (!pointsEqual(a, b) && segmentsIntersect(a, current, current.next, b) &&
+            isLocallyInside(a, b) && isLocallyInside(b, a)) {
+
+            triangles.push(a.i, current.i, b.i);
+            if (stats) stats.intersections.push([a.i, current.i, b.i]);
+
+            removeNode(current);
+            removeNode(current.next);
+
+            current = start = b;
+        }
+        current = current.next;
+    } while (current !== start);
+
+    return simplifyPoints(current, null, stats);
+}
+
+/**
+ * Splits the polygon along a valid diagonal and triangulates both halves
+ * @private
+ */
+function splitAndTriangulate(start, triangles, dim, minX, minY, scale, stats) {
+    let a = start;
+
+    do {
+        let b = a.next.next;
+        while (b !== a.prev) {
+            if (a.i !== b.i && isValidDiagonal(a, b)) {
+                let c = splitPolygon(a, b);
+
+                a = simplifyPoints(a, a.next, stats);
+                c = simplifyPoints(c, c.next, stats);
+
+                triangulateLinkedList(a, triangles, dim, minX, minY, scale, 0, stats);
+                triangulateLinkedList(c, triangles, dim, minX, minY, scale, 0, stats);
+                return;
+            }
+            b = b.next;
+        }
+        a = a.next;
+    } while (a !== start);
+}
+
+/**
+ * Checks if a diagonal lies in the polygon interior
+ * @private
+ */
+function isValidDiagonal(a, b) {
+    return a.next.i !== b.i && a.prev.i !== b.i && !intersectsPolygon(a, b) &&
+           // Locally visible and not creating opposite-facing sectors
+           (isLocallyInside(a, b) && isLocallyInside(b, a) && isMiddleInside(a, b) &&
+            (triangleArea(a.prev, a, b.prev) || triangleArea(a, b.prev, b)) ||
+            // Zero-length diagonal between coincident vertices
+            pointsEqual(a, b) && triangleArea(a.prev, a, a.next) > 0 && triangleArea(b.prev, b, b.next) > 0);
+}
+
+/**
+ * Segment intersection test (touching counts as intersecting)
+ * @private
+ */
+function segmentsIntersect(p1, q1, p2, q2) {
+    const o1 = sign(triangleArea(p1, q1, p2));
+    const o2 = sign(triangleArea(p1, q1, q2));
+    const o3 = sign(triangleArea(p2, q2, p1));
+    const o4 = sign(triangleArea(p2, q2, q1));
+
+    if (o1 !== o2 && o3 !== o4) return true;
+
+    // Colinear cases
+    if (o1 === 0 && pointOnSegment(p1, p2, q1)) return true;
+    if (o2 === 0 && pointOnSegment(p1, q2, q1)) return true;
+    if (o3 === 0 && pointOnSegment(p2, p1, q2)) return true;
+    if (o4 === 0 && pointOnSegment(p2, q1, q2)) return true;
+
+    return false;
+}
+
+/**
+ * Checks if colinear point q lies on segment pr
+ * @private
+ */
+function pointOnSegment(p, q, r) {
+    return q.x <= Math.max(p.x, r.x) && q.x >= Math.min(p.x, r.x) &&
+           q.y <= Math.max(p.y, r.y) && q.y >= Math.min(p.y, r.y);
+}
+
+/**
+ * @private
+ */
+function sign(value) {
+    return value > 0 ? 1 : value < 0 ? -1 : 0;
+}
+
+/**
+ * Checks if a diagonal crosses any polygon edge
+ * @private
+ */
+function intersectsPolygon(a, b) {
+    let current = a;
+
+    do {
+        if (current.i !== a.i && current.next.i !== a.i && current.i !== b.i && current.next.i !== b.i &&
+            segmentsIntersect(current, current.next, a, b)) return true;
+        current = current.next;
+    } while (current !== a);
+
+    return false;
+}
+
+/**
+ * Checks if a diagonal leaves vertex a towards the polygon interior
+ * @private
+ */
+function isLocallyInside(a, b) {
+    return triangleArea(a.prev, a, a.next) < 0 ?
+        triangleArea(a, b, a.next) >= 0 && triangleArea(a, a.prev, b) >= 0 :
+        triangleArea(a, b, a.prev) < 0 || triangleArea(a, a.next, b) < 0;
+}
+
+/**
+ * Checks if the midpoint of a diagonal is inside the polygon
+ * @private
+ */
+function isMiddleInside(a, b) {
+    const px = (a.x + b.x) / 2;
+    const py = (a.y + b.y) / 2;
+    let current = a;
+    let inside = false;
+
+    do {
+        if (((current.y > py) !== (current.next.y > py)) && current.next.y !== current.y &&
+            (px < (current.next.x - current.x) * (py - current.y) / (current.next.y - current.y) + current.x)) {
+            inside = !inside;
+        }
+        current = current.next;
+    } while (current !== a);
+
+    return inside;
+}
+
+/**
+ * Splits the ring along diagonal a-b into two rings, duplicating both
+ * endpoints; returns the node that starts the second ring
+ * @private
+ */
+function splitPolygon(a, b) {
+    const a2 = createNode(a.i, a.x, a.y);
+    const b2 = createNode(b.i, b.x, b.y);
+    const an = a.next;
+    const bp = b.prev;
+
+    a.next = b;
+    b.prev = a;
+
+    a2.next = an;
+    an.prev = a2;
+
+    b2.next = a2;
+    a2.prev = b2;
+
+    bp.next = b2;
+    b2.prev = bp;
+
+    return b2;
+}
 
 /**
  * Calculates triangulation quality metric
- * @param {number[]} vertices - Input vertices
+ * @param {number[]|Vec2[]} vertices - Input vertices
  * @param {number[]} holeIndices - Hole indices
  * @param {number} dimensions - Coordinate dimensions
  * @param {number[]} triangles - Resulting triangles
- * @returns {number} Deviation percentage (0 = perfect)
+ * @param {Object} [options] - Quality options
+ * @param {boolean} [options.detailed=false] - Also report triangle shape metrics
+ * @param {number} [options.vertexCount] - Number of ring vertices, when extra vertices
+ *   (e.g. Steiner points from {@link refineTriangulation}) follow the rings
+ * @returns {number|{deviation: number, minAngle: number, maxAngle: number,
+ *   averageAspectRatio: number, maxAspectRatio: number, degenerateCount: number}}
+ *   Deviation percentage (0 = perfect), or when detailed the deviation plus angles
+ *   in degrees and aspect ratios (circumradius / (2 * inradius), 1 = equilateral)
  */
-export function calculateTriangulationQuality(vertices, holeIndices, dimensions, triangles) {
+export function calculateTriangulationQuality(vertices, holeIndices, dimensions, triangles, options = {}) {
+    if (isPointArray(vertices)) {
+        vertices = flattenPoints(vertices);
+        dimensions = 2;
+    }
+
+    const { detailed = false, vertexCount = vertices.length / dimensions } = options;
+    const ringsEnd = vertexCount * dimensions;
     const hasHoles = holeIndices && holeIndices.length;
-    const outerLen = hasHoles ? holeIndices[0] * dimensions : vertices.length;
+    const outerLen = hasHoles ? holeIndices[0] * dimensions : ringsEnd;
 
     let polygonArea = Math.abs(calculateSignedArea(vertices, 0, outerLen, dimensions));
     if (hasHoles) {
         for (let i = 0, len = holeIndices.length; i < len; i++) {
             const start = holeIndices[i] * dimensions;
-            const end = i < len - 1 ? holeIndices[i + 1] * dimensions : vertices.length;
+            const end = i < len - 1 ? holeIndices[i + 1] * dimensions : ringsEnd;
             polygonArea -= Math.abs(calculateSignedArea(vertices, start, end, dimensions));
         }
     }
@@ -397,25 +1020,90 @@ export function calculateTriangulationQuality(vertices, holeIndices, dimensions,
             (vertices[a] - vertices[b]) * (vertices[c + 1] - vertices[a + 1]));
     }
 
-    return polygonArea === 0 && trianglesArea === 0 ? 0 :
+    const deviation = polygonArea === 0 && trianglesArea === 0 ? 0 :
         Math.abs((trianglesArea - polygonArea) / polygonArea);
+
+    return detailed ? measureTriangleShapes(vertices, dimensions, triangles, deviation) : deviation;
+}
+
+/**
+ * Collects angle and aspect ratio statistics; degenerate triangles are
+ * counted separately and left out of the averages
+ * @private
+ */
+function measureTriangleShapes(vertices, dimensions, triangles, deviation) {
+    let minAngle = triangles.length ? 180 : 0;
+    let maxAngle = 0;
+    let aspectSum = 0;
+    let maxAspectRatio = triangles.length ? 1 : 0;
+    let degenerateCount = 0;
+
+    for (let i = 0; i < triangles.length; i += 3) {
+        const a = triangles[i] * dimensions;
+        const b = triangles[i + 1] * dimensions;
+        const c = triangles[i + 2] * dimensions;
+
+        const ab = Math.hypot(vertices[b] - vertices[a], vertices[b + 1] - vertices[a + 1]);
+        const bc = Math.hypot(vertices[c] - vertices[b], vertices[c + 1] - vertices[b + 1]);
+        const ca = Math.hypot(vertices[a] - vertices[c], vertices[a + 1] - vertices[c + 1]);
+        const area = Math.abs(
+            (vertices[b] - vertices[a]) * (vertices[c + 1] - vertices[a + 1]) -
+            (vertices[b + 1] - vertices[a + 1]) * (vertices[c] - vertices[a])) / 2;
+
+        if (area === 0) {
+            degenerateCount++;
+            minAngle = 0;
+            maxAngle = 180;
+            maxAspectRatio = Infinity;
+            continue;
+        }
+
+        // Law of cosines, clamped against rounding
+        const angleA = Math.acos(Math.min(1, Math.max(-1, (ab * ab + ca * ca - bc * bc) / (2 * ab * ca))));
+        const angleB = Math.acos(Math.min(1, Math.max(-1, (ab * ab + bc * bc - ca * ca) / (2 * ab * bc))));
+        const angleC = Math.PI - angleA - angleB;
+        minAngle = Math.min(minAngle, Math.min(angleA, angleB, angleC) * 180 / Math.PI);
+        maxAngle = Math.max(maxAngle, Math.max(angleA, angleB, angleC) * 180 / Math.PI);
+
+        // R = abc / 4K, r = K / s
+        const semi = (ab + bc + ca) / 2;
+        const aspect = (ab * bc * ca / (4 * area)) / (2 * area / semi);
+        aspectSum += aspect;
+        maxAspectRatio = Math.max(maxAspectRatio, aspect);
+    }
+
+    const measured = triangles.length / 3 - degenerateCount;
+
+    return {
+        deviation,
+        minAngle,
+        maxAngle,
+        averageAspectRatio: measured > 0 ? aspectSum / measured : 0,
+        maxAspectRatio,
+        degenerateCount
+    };
 }
 
 /**
  * Converts nested polygon data to flat format
- * @param {number[][][]} data - Nested polygon data
+ * @param {number[][][]|Vec2[][]} data - Nested polygon data (rings of coordinate arrays or Vec2)
  * @returns {{vertices: number[], holes: number[], dimensions: number}}
  */
 export function flattenPolygonData(data) {
     const vertices = [];
     const holes = [];
-    const dimensions = data[0][0].length;
+    const pointRings = isPointArray(data[0]);
+    const dimensions = pointRings ? 2 : data[0][0].length;
     let holeIndex = 0;
     let previousLength = 0;
 
     for (const ring of data) {
-        for (const point of ring) {
-            for (let d = 0; d < dimensions; d++) vertices.push(point[d]);
+        if (pointRings) {
+            for (const point of ring) vertices.push(point.x, point.y);
+        } else {
+            for (const point of ring) {
+                for (let d = 0; d < dimensions; d++) vertices.push(point[d]);
+            }
         }
         if (previousLength) {
             holeIndex += previousLength;
@@ -426,6 +1114,168 @@ export function flattenPolygonData(data) {
     return {vertices, holes, dimensions};
 }
 
+/**
+ * Triangulates several polygons into one shared vertex and index buffer
+ * @param {Array<number[][][]|Vec2[][]>} polygons - Polygons in nested ring format
+ * @returns {{vertices: number[], triangles: number[], dimensions: number}}
+ *   Concatenated vertices and triangle indices offset into them
+ */
+export function triangulatePolygons(polygons) {
+    const vertices = [];
+    const triangles = [];
+    let dimensions = 2;
+
+    for (const polygon of polygons) {
+        const flat = flattenPolygonData(polygon);
+        const offset = vertices.length / flat.dimensions;
+        const indices = triangulatePolygon(flat.vertices, flat.holes, flat.dimensions);
+
+        dimensions = flat.dimensions;
+        for (let i = 0; i < flat.vertices.length; i++) vertices.push(flat.vertices[i]);
+        for (let i = 0; i < indices.length; i++) triangles.push(indices[i] + offset);
+    }
+
+    return {vertices, triangles, dimensions};
+}
+
+/**
+ * Triangulates a planar polygon lying in any orientation in 3D space.
+ * The polygon normal is found with Newell's method over the outer ring, the
+ * vertices are projected onto the coordinate plane the normal is most aligned
+ * with, and the resulting triangles are wound counter-clockwise around that
+ * normal (the same winding as the outer ring).
+ * @param {number[]} vertices - Flat array of vertex coordinates [x0,y0,z0, x1,y1,z1, ...]
+ * @param {number[]} holeIndices - Indices where holes start in vertices array
+ * @param {number} dimensions - Number of coordinates per vertex (default: 3, at least 3)
+ * @param {Object} [options] - Triangulation options
+ * @param {number} [options.planarTolerance=1e-3] - Allowed distance from the plane, relative to
+ *   the polygon's bounding box diagonal, before a non-coplanar warning is logged
+ * @returns {number[]} Triangle indices into the original vertex array
+ * @example
+ * // Wall in the YZ plane
+ * const indices = triangulatePolygon3D([0,0,0, 0,0,4, 0,3,4, 0,3,0]);
+ */
+export function triangulatePolygon3D(vertices, holeIndices, dimensions = 3, options = {}) {
+    const { planarTolerance = 1e-3 } = options;
+    const hasHoles = holeIndices && holeIndices.length;
+    const outerLength = hasHoles ? holeIndices[0] * dimensions : vertices.length;
+    const normal = computePolygonNormal(vertices, 0, outerLength, dimensions);
+
+    if (normal.lengthSq() === 0) return [];  // Collinear or degenerate outer ring
+
+    warnIfNotPlanar(vertices, dimensions, normal, planarTolerance);
+
+    // Cyclic axis order keeps the projected winding equal to the winding around the axis
+    const ax = Math.abs(normal.x), ay = Math.abs(normal.y), az = Math.abs(normal.z);
+    let u, v, facing;
+    if (az >= ax && az >= ay) {
+        u = 0; v = 1; facing = normal.z;
+    } else if (ax >= ay) {
+        u = 1; v = 2; facing = normal.x;
+    } else {
+        u = 2; v = 0; facing = normal.y;
+    }
+
+    const count = vertices.length / dimensions | 0;
+    const projected = new Array(count * 2);
+    for (let i = 0; i < count; i++) {
+        projected[i * 2] = vertices[i * dimensions + u];
+        projected[i * 2 + 1] = vertices[i * dimensions + v];
+    }
+
+    const triangles = triangulatePolygon(projected, holeIndices, 2);
+
+    // All triangles share one winding; flip them if it opposes the normal
+    if (triangles.length) {
+        const a = triangles[0] * 2, b = triangles[1] * 2, c = triangles[2] * 2;
+        const area = (projected[b] - projected[a]) * (projected[c + 1] - projected[a + 1]) -
+                     (projected[c] - projected[a]) * (projected[b + 1] - projected[a + 1]);
+        if ((area > 0) !== (facing > 0)) {
+            for (let i = 0; i < triangles.length; i += 3) {
+                const tmp = triangles[i + 1];
+                triangles[i + 1] = triangles[i + 2];
+                triangles[i + 2] = tmp;
+            }
+        }
+    }
+
+    return triangles;
+}
+
+/**
+ * Unit polygon normal by Newell's method (zero for degenerate rings)
+ * @private
+ */
+function computePolygonNormal(data, start, end, dim) {
+    const normal = new Vec3();
+    const current = new Vec3();
+    const next = new Vec3();
+
+    for (let i = start, j = end - dim; i < end; j = i, i += dim) {
+        current.fromArray(data, j);
+        next.fromArray(data, i);
+        normal.x += (current.y - next.y) * (current.z + next.z);
+        normal.y += (current.z - next.z) * (current.x + next.x);
+        normal.z += (current.x - next.x) * (current.y + next.y);
+    }
+
+    return normal.normalize();
+}
+
+/**
+ * Logs a warning when vertices stray from the plane through their centroid
+ * @private
+ */
+function warnIfNotPlanar(data, dim, normal, tolerance) {
+    const count = data.length / dim | 0;
+    const point = new Vec3();
+    const centroid = new Vec3();
+    const min = new Vec3(Infinity, Infinity, Infinity);
+    const max = new Vec3(-Infinity, -Infinity, -Infinity);
+
+    for (let i = 0; i < count; i++) {
+        point.fromArray(data, i * dim);
+        centroid.add(point);
+        min.min(point);
+        max.max(point);
+    }
+    centroid.divScalar(count);
+
+    const limit = tolerance * min.distanceTo(max);
+    let maxDistance = 0;
+    for (let i = 0; i < count; i++) {
+        const distance = Math.abs(point.fromArray(data, i * dim).sub(centroid).dot(normal));
+        if (distance > maxDistance) maxDistance = distance;
+    }
+
+    if (maxDistance > limit) {
+        console.warn(`triangulatePolygon3D: vertices are not coplanar ` +
+            `(max distance ${maxDistance} from the polygon plane, tolerance ${limit})`);
+    }
+}
+
+/**
+ * Checks if vertices are given as vector objects rather than flat coordinates
+ * @private
+ */
+function isPointArray(vertices) {
+    return vertices.length > 0 && typeof vertices[0] === 'object' && vertices[0] !== null &&
+           typeof vertices[0].x === 'number';
+}
+
+/**
+ * Flattens Vec2-like points to [x0,y0, x1,y1, ...]
+ * @private
+ */
+function flattenPoints(points) {
+    const flat = new Array(points.length * 2);
+    for (let i = 0; i < points.length; i++) {
+        flat[i * 2] = points[i].x;
+        flat[i * 2 + 1] = points[i].y;
+    }
+    return flat;
+}
+
 /**
  * Signed area calculation
  * @private
@@ -449,10 +1299,21 @@ export const PolygonTools = {
      * @param {number[]} vertices - Vertex coordinates
      * @param {number[]} holes - Hole indices
      * @param {number} dims - Dimensions per vertex
-     * @returns {number[]} Triangle indices
+     * @param {Object} [options] - Diagnostics and strict mode, see {@link triangulatePolygon}
+     * @returns {number[]|Object} Triangle indices, or triangles and diagnostics
      */
     triangulate: triangulatePolygon,
     
+    /**
+     * Triangulates a planar polygon oriented freely in 3D
+     * @param {number[]} vertices - Vertex coordinates
+     * @param {number[]} holes - Hole indices
+     * @param {number} dims - Dimensions per vertex (at least 3)
+     * @param {Object} [options] - See {@link triangulatePolygon3D}
+     * @returns {number[]} Triangle indices
+     */
+    triangulate3D: triangulatePolygon3D,
+    
     /**
      * Flattens nested polygon data
      * @param {number[][][]} data - Nested polygon structure
@@ -460,13 +1321,32 @@ export const PolygonTools = {
      */
     flatten: flattenPolygonData,
     
+    /**
+     * Triangulates several polygons into one buffer
+     * @param {Array} polygons - Polygons in nested ring format
+     * @returns {Object} Vertices, triangles and dimensions
+     */
+    triangulateAll: triangulatePolygons,
+    
     /**
      * Calculates triangulation quality
      * @param {number[]} vertices - Input vertices
      * @param {number[]} holes - Hole indices
      * @param {number} dims - Dimensions
      * @param {number[]} triangles - Triangle indices
-     * @returns {number} Quality metric
+     * @param {Object} [options] - See {@link calculateTriangulationQuality}
+     * @returns {number|Object} Quality metric
+     */
+    getQuality: calculateTriangulationQuality,
+    
+    /**
+     * Refines a triangulation toward constrained Delaunay, optionally adding Steiner points
+     * @param {number[]} vertices - Vertex coordinates
+     * @param {number[]} holes - Hole indices
+     * @param {number} dims - Dimensions per vertex
+     * @param {number[]} triangles - Triangle indices
+     * @param {Object} [options] - See {@link refineTriangulation}
+     * @returns {{vertices: number[], triangles: number[], steinerCount: number}}
      */
-    getQuality: calculateTriangulationQuality
+    refine: refineTriangulation
 };
@@ -0,0 +1,29 @@
+/*!
+ * DSRT Triangulation Worker Module
+ * Worker entry point for batch triangulation (Node worker_threads or Web Worker)
+ * @module dsrt-docs/src/curves/TriangulationWorker.js
+ * @license MIT
+ */
+
+import { triangulateChunk } from './BatchTriangulation.js';
+
+/**
+ * Triangulates one chunk message and replies with the result buffers
+ * transferred back
+ * @private
+ */
+function handleMessage(chunk, reply) {
+    try {
+        const { indices, counts } = triangulateChunk(chunk);
+        reply({ indices, counts }, [indices.buffer, counts.buffer]);
+    } catch (error) {
+        reply({ error: error.message });
+    }
+}
+
+if (typeof self !== 'undefined' && typeof self.postMessage === 'function') {
+    self.onmessage = event => handleMessage(event.data, (message, transfer) => self.postMessage(message, transfer));
+} else {
+    const { parentPort } = await import('node:worker_threads');
+    parentPort.on('message', chunk => handleMessage(chunk, (message, transfer) => parentPort.postMessage(message, transfer)));
+}
@@ -0,0 +1,183 @@
+// File: math/Box3.js
+import { Vec3 } from './Vec3.js';
+
+const _corners = [
+    new Vec3(), new Vec3(), new Vec3(), new Vec3(),
+    new Vec3(), new Vec3(), new Vec3(), new Vec3()
+];
+const _point = new Vec3();
+
+// Axis-aligned bounding box; empty when min > max on any axis
+class Box3 {
+    constructor(min = new Vec3(Infinity, Infinity, Infinity), max = new Vec3(-Infinity, -Infinity, -Infinity)) {
+        this.min = min;
+        this.max = max;
+    }
+
+    set(min, max) {
+        this.min.copy(min);
+        this.max.copy(max);
+        return this;
+    }
+
+    makeEmpty() {
+        this.min.set(Infinity, Infinity, Infinity);
+        this.max.set(-Infinity, -Infinity, -Infinity);
+        return this;
+    }
+
+    isEmpty() {
+        return this.max.x < this.min.x || this.max.y < this.min.y || this.max.z < this.min.z;
+    }
+
+    // Fitting
+    setFromPoints(points) {
+        this.makeEmpty();
+        for (let i = 0; i < points.length; i++) this.expandByPoint(points[i]);
+        return this;
+    }
+
+    // Flat [x0,y0,z0, x1,y1,z1, ...] coordinates
+    setFromArray(array, stride = 3, offset = 0) {
+        this.makeEmpty();
+        for (let i = offset; i + 2 < array.length; i += stride) {
+            this.expandByPoint(_point.fromArray(array, i));
+        }
+        return this;
+    }
+
+    setFromCenterAndSize(center, size) {
+        this.min.set(center.x - size.x * 0.5, center.y - size.y * 0.5, center.z - size.z * 0.5);
+        this.max.set(center.x + size.x * 0.5, center.y + size.y * 0.5, center.z + size.z * 0.5);
+        return this;
+    }
+
+    // Expansion
+    expandByPoint(point) {
+        this.min.min(point);
+        this.max.max(point);
+        return this;
+    }
+
+    expandByScalar(s) {
+        this.min.x -= s; this.min.y -= s; this.min.z -= s;
+        this.max.x += s; this.max.y += s; this.max.z += s;
+        return this;
+    }
+
+    union(box) {
+        this.min.min(box.min);
+        this.max.max(box.max);
+        return this;
+    }
+
+    // Overlap of both boxes; becomes empty when they are disjoint
+    intersect(box) {
+        this.min.max(box.min);
+        this.max.min(box.max);
+        if (this.isEmpty()) this.makeEmpty();
+        return this;
+    }
+
+    // Containment and intersection
+    containsPoint(point) {
+        return point.x >= this.min.x && point.x <= this.max.x &&
+               point.y >= this.min.y && point.y <= this.max.y &&
+               point.z >= this.min.z && point.z <= this.max.z;
+    }
+
+    containsBox(box) {
+        return this.min.x <= box.min.x && box.max.x <= this.max.x &&
+               this.min.y <= box.min.y && box.max.y <= this.max.y &&
+               this.min.z <= box.min.z && box.max.z <= this.max.z;
+    }
+
+    intersectsBox(box) {
+        return box.max.x >= this.min.x && box.min.x <= this.max.x &&
+               box.max.y >= this.min.y && box.min.y <= this.max.y &&
+               box.max.z >= this.min.z && box.min.z <= this.max.z;
+    }
+
+    intersectsSphere(sphere) {
+        return this.distanceToPoint(sphere.center) <= sphere.radius;
+    }
+
+    // Plane-box test against the corner furthest along the plane normal
+    intersectsPlane(plane) {
+        const n = plane.normal;
+        const minDot = (n.x > 0 ? this.min.x : this.max.x) * n.x +
+                       (n.y > 0 ? this.min.y : this.max.y) * n.y +
+                       (n.z > 0 ? this.min.z : this.max.z) * n.z;
+        const maxDot = (n.x > 0 ? this.max.x : this.min.x) * n.x +
+                       (n.y > 0 ? this.max.y : this.min.y) * n.y +
+                       (n.z > 0 ? this.max.z : this.min.z) * n.z;
+        return minDot <= -plane.constant && maxDot >= -plane.constant;
+    }
+
+    // Measurements
+    clampPoint(point, target = new Vec3()) {
+        return target.copy(point).clamp(this.min, this.max);
+    }
+
+    // Zero for points inside the box
+    distanceToPoint(point) {
+        return this.clampPoint(point, _point).distanceTo(point);
+    }
+
+    getCenter(target = new Vec3()) {
+        if (this.isEmpty()) return target.set(0, 0, 0);
+        return target.copy(this.min).add(this.max).mulScalar(0.5);
+    }
+
+    getSize(target = new Vec3()) {
+        if (this.isEmpty()) return target.set(0, 0, 0);
+        return target.copy(this.max).sub(this.min);
+    }
+
+    getBoundingSphere(target) {
+        this.getCenter(target.center);
+        target.radius = this.isEmpty() ? -1 : this.getSize(_point).length() * 0.5;
+        return target;
+    }
+
+    // Transforms
+    // Bounds of the transformed box (all eight corners)
+    applyMatrix4(m) {
+        if (this.isEmpty()) return this;
+
+        const min = this.min, max = this.max;
+        _corners[0].set(min.x, min.y, min.z).applyMatrix4(m);
+        _corners[1].set(min.x, min.y, max.z).applyMatrix4(m);
+        _corners[2].set(min.x, max.y, min.z).applyMatrix4(m);
+        _corners[3].set(min.x, max.y, max.z).applyMatrix4(m);
+        _corners[4].set(max.x, min.y, min.z).applyMatrix4(m);
+        _corners[5].set(max.x, min.y, max.z).applyMatrix4(m);
+        _corners[6].set(max.x, max.y, min.z).applyMatrix4(m);
+        _corners[7].set(max.x, max.y, max.z).applyMatrix4(m);
+
+        return this.setFromPoints(_corners);
+    }
+
+    translate(offset) {
+        this.min.add(offset);
+        this.max.add(offset);
+        return this;
+    }
+
+    // Utility methods
+    clone() {
+        return new Box3(this.min.clone(), this.max.clone());
+    }
+
+    copy(box) {
+        this.min.copy(box.min);
+        this.max.copy(box.max);
+        return this;
+    }
+
+    equals(box, epsilon = 0) {
+        return this.min.equals(box.min, epsilon) && this.max.equals(box.max, epsilon);
+    }
+}
+
+export { Box3 };
@@ -0,0 +1,102 @@
+// File: math/Frustum.js
+import { Vec3 } from './Vec3.js';
+import { Plane } from './Plane.js';
+import { COORDINATE_SYSTEM_WEBGL, COORDINATE_SYSTEM_WEBGPU } from '../Constants.js';
+
+const _point = new Vec3();
+
+// Six inward-facing planes: right, left, bottom, top, far, near
+class Frustum {
+    constructor(p0 = new Plane(), p1 = new Plane(), p2 = new Plane(),
+                p3 = new Plane(), p4 = new Plane(), p5 = new Plane()) {
+        this.planes = [p0, p1, p2, p3, p4, p5];
+    }
+
+    set(p0, p1, p2, p3, p4, p5) {
+        const planes = this.planes;
+        planes[0].copy(p0);
+        planes[1].copy(p1);
+        planes[2].copy(p2);
+        planes[3].copy(p3);
+        planes[4].copy(p4);
+        planes[5].copy(p5);
+        return this;
+    }
+
+    // Fitting
+    // m is a projection (or view-projection) matrix; the coordinate system
+    // must match the one it was built with since the near plane differs
+    setFromProjectionMatrix(m, coordinateSystem = COORDINATE_SYSTEM_WEBGL) {
+        const planes = this.planes;
+        const me = m.elements;
+        const me0 = me[0], me1 = me[1], me2 = me[2], me3 = me[3];
+        const me4 = me[4], me5 = me[5], me6 = me[6], me7 = me[7];
+        const me8 = me[8], me9 = me[9], me10 = me[10], me11 = me[11];
+        const me12 = me[12], me13 = me[13], me14 = me[14], me15 = me[15];
+
+        planes[0].setComponents(me3 - me0, me7 - me4, me11 - me8, me15 - me12).normalize();
+        planes[1].setComponents(me3 + me0, me7 + me4, me11 + me8, me15 + me12).normalize();
+        planes[2].setComponents(me3 + me1, me7 + me5, me11 + me9, me15 + me13).normalize();
+        planes[3].setComponents(me3 - me1, me7 - me5, me11 - me9, me15 - me13).normalize();
+        planes[4].setComponents(me3 - me2, me7 - me6, me11 - me10, me15 - me14).normalize();
+
+        if (coordinateSystem === COORDINATE_SYSTEM_WEBGL) {
+            // Clip-space depth -w <= z
+            planes[5].setComponents(me3 + me2, me7 + me6, me11 + me10, me15 + me14).normalize();
+        } else if (coordinateSystem === COORDINATE_SYSTEM_WEBGPU) {
+            // Clip-space depth 0 <= z
+            planes[5].setComponents(me2, me6, me10, me14).normalize();
+        } else {
+            throw new Error(`Unsupported coordinate system: ${coordinateSystem}`);
+        }
+
+        return this;
+    }
+
+    // Containment and intersection
+    containsPoint(point) {
+        const planes = this.planes;
+        for (let i = 0; i < 6; i++) {
+            if (planes[i].distanceToPoint(point) < 0) return false;
+        }
+        return true;
+    }
+
+    intersectsSphere(sphere) {
+        const planes = this.planes;
+        const negRadius = -sphere.radius;
+        for (let i = 0; i < 6; i++) {
+            if (planes[i].distanceToPoint(sphere.center) < negRadius) return false;
+        }
+        return true;
+    }
+
+    // Conservative: may report boxes near frustum corners as intersecting
+    intersectsBox(box) {
+        const planes = this.planes;
+        for (let i = 0; i < 6; i++) {
+            const plane = planes[i];
+
+            // Corner furthest along the plane normal
+            _point.x = plane.normal.x > 0 ? box.max.x : box.min.x;
+            _point.y = plane.normal.y > 0 ? box.max.y : box.min.y;
+            _point.z = plane.normal.z > 0 ? box.max.z : box.min.z;
+
+            if (plane.distanceToPoint(_point) < 0) return false;
+        }
+        return true;
+    }
+
+    // Utility methods
+    clone() {
+        return new Frustum().copy(this);
+    }
+
+    copy(frustum) {
+        const planes = this.planes;
+        for (let i = 0; i < 6; i++) planes[i].copy(frustum.planes[i]);
+        return this;
+    }
+}
+
+export { Frustum };
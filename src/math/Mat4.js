@@ -0,0 +1,403 @@
+// File: math/Mat4.js
+import { Vec3 } from './Vec3.js';
+import { COORDINATE_SYSTEM_WEBGL, COORDINATE_SYSTEM_WEBGPU } from '../Constants.js';
+
+// Column-major 4x4 matrix (same layout WebGL/WebGPU uniforms expect)
+class Mat4 {
+    constructor() {
+        this.elements = [
+            1, 0, 0, 0,
+            0, 1, 0, 0,
+            0, 0, 1, 0,
+            0, 0, 0, 1
+        ];
+    }
+
+    // Arguments are given in row-major reading order
+    set(n11, n12, n13, n14, n21, n22, n23, n24, n31, n32, n33, n34, n41, n42, n43, n44) {
+        const te = this.elements;
+        te[0] = n11; te[4] = n12; te[8] = n13; te[12] = n14;
+        te[1] = n21; te[5] = n22; te[9] = n23; te[13] = n24;
+        te[2] = n31; te[6] = n32; te[10] = n33; te[14] = n34;
+        te[3] = n41; te[7] = n42; te[11] = n43; te[15] = n44;
+        return this;
+    }
+
+    identity() {
+        return this.set(
+            1, 0, 0, 0,
+            0, 1, 0, 0,
+            0, 0, 1, 0,
+            0, 0, 0, 1
+        );
+    }
+
+    // Multiplication
+    multiply(m) {
+        return this.multiplyMatrices(this, m);
+    }
+
+    premultiply(m) {
+        return this.multiplyMatrices(m, this);
+    }
+
+    // this = a * b (safe when either operand is this)
+    multiplyMatrices(a, b) {
+        const ae = a.elements;
+        const be = b.elements;
+        const te = this.elements;
+
+        const a11 = ae[0], a12 = ae[4], a13 = ae[8], a14 = ae[12];
+        const a21 = ae[1], a22 = ae[5], a23 = ae[9], a24 = ae[13];
+        const a31 = ae[2], a32 = ae[6], a33 = ae[10], a34 = ae[14];
+        const a41 = ae[3], a42 = ae[7], a43 = ae[11], a44 = ae[15];
+
+        const b11 = be[0], b12 = be[4], b13 = be[8], b14 = be[12];
+        const b21 = be[1], b22 = be[5], b23 = be[9], b24 = be[13];
+        const b31 = be[2], b32 = be[6], b33 = be[10], b34 = be[14];
+        const b41 = be[3], b42 = be[7], b43 = be[11], b44 = be[15];
+
+        te[0] = a11 * b11 + a12 * b21 + a13 * b31 + a14 * b41;
+        te[4] = a11 * b12 + a12 * b22 + a13 * b32 + a14 * b42;
+        te[8] = a11 * b13 + a12 * b23 + a13 * b33 + a14 * b43;
+        te[12] = a11 * b14 + a12 * b24 + a13 * b34 + a14 * b44;
+
+        te[1] = a21 * b11 + a22 * b21 + a23 * b31 + a24 * b41;
+        te[5] = a21 * b12 + a22 * b22 + a23 * b32 + a24 * b42;
+        te[9] = a21 * b13 + a22 * b23 + a23 * b33 + a24 * b43;
+        te[13] = a21 * b14 + a22 * b24 + a23 * b34 + a24 * b44;
+
+        te[2] = a31 * b11 + a32 * b21 + a33 * b31 + a34 * b41;
+        te[6] = a31 * b12 + a32 * b22 + a33 * b32 + a34 * b42;
+        te[10] = a31 * b13 + a32 * b23 + a33 * b33 + a34 * b43;
+        te[14] = a31 * b14 + a32 * b24 + a33 * b34 + a34 * b44;
+
+        te[3] = a41 * b11 + a42 * b21 + a43 * b31 + a44 * b41;
+        te[7] = a41 * b12 + a42 * b22 + a43 * b32 + a44 * b42;
+        te[11] = a41 * b13 + a42 * b23 + a43 * b33 + a44 * b43;
+        te[15] = a41 * b14 + a42 * b24 + a43 * b34 + a44 * b44;
+
+        return this;
+    }
+
+    multiplyScalar(s) {
+        const te = this.elements;
+        for (let i = 0; i < 16; i++) te[i] *= s;
+        return this;
+    }
+
+    // Inversion and related
+    determinant() {
+        const te = this.elements;
+
+        const n11 = te[0], n12 = te[4], n13 = te[8], n14 = te[12];
+        const n21 = te[1], n22 = te[5], n23 = te[9], n24 = te[13];
+        const n31 = te[2], n32 = te[6], n33 = te[10], n34 = te[14];
+        const n41 = te[3], n42 = te[7], n43 = te[11], n44 = te[15];
+
+        return (
+            n41 * (n14 * n23 * n32 - n13 * n24 * n32 - n14 * n22 * n33 + n12 * n24 * n33 + n13 * n22 * n34 - n12 * n23 * n34) +
+            n42 * (n11 * n23 * n34 - n11 * n24 * n33 + n14 * n21 * n33 - n13 * n21 * n34 + n13 * n24 * n31 - n14 * n23 * n31) +
+            n43 * (n11 * n24 * n32 - n11 * n22 * n34 - n14 * n21 * n32 + n12 * n21 * n34 + n14 * n22 * n31 - n12 * n24 * n31) +
+            n44 * (-n13 * n22 * n31 - n11 * n23 * n32 + n11 * n22 * n33 + n13 * n21 * n32 - n12 * n21 * n33 + n12 * n23 * n31)
+        );
+    }
+
+    // Singular matrices become all zeros (same policy as normalize on a zero vector)
+    invert() {
+        const te = this.elements;
+
+        const n11 = te[0], n21 = te[1], n31 = te[2], n41 = te[3];
+        const n12 = te[4], n22 = te[5], n32 = te[6], n42 = te[7];
+        const n13 = te[8], n23 = te[9], n33 = te[10], n43 = te[11];
+        const n14 = te[12], n24 = te[13], n34 = te[14], n44 = te[15];
+
+        const t11 = n23 * n34 * n42 - n24 * n33 * n42 + n24 * n32 * n43 - n22 * n34 * n43 - n23 * n32 * n44 + n22 * n33 * n44;
+        const t12 = n14 * n33 * n42 - n13 * n34 * n42 - n14 * n32 * n43 + n12 * n34 * n43 + n13 * n32 * n44 - n12 * n33 * n44;
+        const t13 = n13 * n24 * n42 - n14 * n23 * n42 + n14 * n22 * n43 - n12 * n24 * n43 - n13 * n22 * n44 + n12 * n23 * n44;
+        const t14 = n14 * n23 * n32 - n13 * n24 * n32 - n14 * n22 * n33 + n12 * n24 * n33 + n13 * n22 * n34 - n12 * n23 * n34;
+
+        const det = n11 * t11 + n21 * t12 + n31 * t13 + n41 * t14;
+
+        if (det === 0) {
+            return this.set(0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0);
+        }
+
+        const detInv = 1 / det;
+
+        te[0] = t11 * detInv;
+        te[1] = (n24 * n33 * n41 - n23 * n34 * n41 - n24 * n31 * n43 + n21 * n34 * n43 + n23 * n31 * n44 - n21 * n33 * n44) * detInv;
+        te[2] = (n22 * n34 * n41 - n24 * n32 * n41 + n24 * n31 * n42 - n21 * n34 * n42 - n22 * n31 * n44 + n21 * n32 * n44) * detInv;
+        te[3] = (n23 * n32 * n41 - n22 * n33 * n41 - n23 * n31 * n42 + n21 * n33 * n42 + n22 * n31 * n43 - n21 * n32 * n43) * detInv;
+
+        te[4] = t12 * detInv;
+        te[5] = (n13 * n34 * n41 - n14 * n33 * n41 + n14 * n31 * n43 - n11 * n34 * n43 - n13 * n31 * n44 + n11 * n33 * n44) * detInv;
+        te[6] = (n14 * n32 * n41 - n12 * n34 * n41 - n14 * n31 * n42 + n11 * n34 * n42 + n12 * n31 * n44 - n11 * n32 * n44) * detInv;
+        te[7] = (n12 * n33 * n41 - n13 * n32 * n41 + n13 * n31 * n42 - n11 * n33 * n42 - n12 * n31 * n43 + n11 * n32 * n43) * detInv;
+
+        te[8] = t13 * detInv;
+        te[9] = (n14 * n23 * n41 - n13 * n24 * n41 - n14 * n21 * n43 + n11 * n24 * n43 + n13 * n21 * n44 - n11 * n23 * n44) * detInv;
+        te[10] = (n12 * n24 * n41 - n14 * n22 * n41 + n14 * n21 * n42 - n11 * n24 * n42 - n12 * n21 * n44 + n11 * n22 * n44) * detInv;
+        te[11] = (n13 * n22 * n41 - n12 * n23 * n41 - n13 * n21 * n42 + n11 * n23 * n42 + n12 * n21 * n43 - n11 * n22 * n43) * detInv;
+
+        te[12] = t14 * detInv;
+        te[13] = (n13 * n24 * n31 - n14 * n23 * n31 + n14 * n21 * n33 - n11 * n24 * n33 - n13 * n21 * n34 + n11 * n23 * n34) * detInv;
+        te[14] = (n14 * n22 * n31 - n12 * n24 * n31 - n14 * n21 * n32 + n11 * n24 * n32 + n12 * n21 * n34 - n11 * n22 * n34) * detInv;
+        te[15] = (n12 * n23 * n31 - n13 * n22 * n31 + n13 * n21 * n32 - n11 * n23 * n32 - n12 * n21 * n33 + n11 * n22 * n33) * detInv;
+
+        return this;
+    }
+
+    transpose() {
+        const te = this.elements;
+        let tmp;
+
+        tmp = te[1]; te[1] = te[4]; te[4] = tmp;
+        tmp = te[2]; te[2] = te[8]; te[8] = tmp;
+        tmp = te[6]; te[6] = te[9]; te[9] = tmp;
+
+        tmp = te[3]; te[3] = te[12]; te[12] = tmp;
+        tmp = te[7]; te[7] = te[13]; te[13] = tmp;
+        tmp = te[11]; te[11] = te[14]; te[14] = tmp;
+
+        return this;
+    }
+
+    // Inverse-transpose of m, for transforming normals
+    makeNormalMatrix(m) {
+        return this.copy(m).setPosition(0, 0, 0).invert().transpose();
+    }
+
+    // Basic transforms
+    makeTranslation(x, y, z) {
+        return this.set(
+            1, 0, 0, x,
+            0, 1, 0, y,
+            0, 0, 1, z,
+            0, 0, 0, 1
+        );
+    }
+
+    makeScale(x, y, z) {
+        return this.set(
+            x, 0, 0, 0,
+            0, y, 0, 0,
+            0, 0, z, 0,
+            0, 0, 0, 1
+        );
+    }
+
+    // Rotation around a unit axis, angle in radians
+    makeRotationAxis(axis, angle) {
+        const c = Math.cos(angle);
+        const s = Math.sin(angle);
+        const t = 1 - c;
+        const x = axis.x, y = axis.y, z = axis.z;
+        const tx = t * x, ty = t * y;
+
+        return this.set(
+            tx * x + c, tx * y - s * z, tx * z + s * y, 0,
+            tx * y + s * z, ty * y + c, ty * z - s * x, 0,
+            tx * z - s * y, ty * z + s * x, t * z * z + c, 0,
+            0, 0, 0, 1
+        );
+    }
+
+    // Rotation from Euler angles (radians) applied in X, then Y, then Z order
+    makeRotationFromEuler(euler) {
+        const a = Math.cos(euler.x), b = Math.sin(euler.x);
+        const c = Math.cos(euler.y), d = Math.sin(euler.y);
+        const e = Math.cos(euler.z), f = Math.sin(euler.z);
+        const ae = a * e, af = a * f, be = b * e, bf = b * f;
+
+        return this.set(
+            c * e, be * d - af, ae * d + bf, 0,
+            c * f, bf * d + ae, af * d - be, 0,
+            -d, b * c, a * c, 0,
+            0, 0, 0, 1
+        );
+    }
+
+    // Rotation from a unit quaternion
+    makeRotationFromQuaternion(q) {
+        const x = q.x, y = q.y, z = q.z, w = q.w;
+        const x2 = x + x, y2 = y + y, z2 = z + z;
+        const xx = x * x2, xy = x * y2, xz = x * z2;
+        const yy = y * y2, yz = y * z2, zz = z * z2;
+        const wx = w * x2, wy = w * y2, wz = w * z2;
+
+        return this.set(
+            1 - (yy + zz), xy - wz, xz + wy, 0,
+            xy + wz, 1 - (xx + zz), yz - wx, 0,
+            xz - wy, yz + wx, 1 - (xx + yy), 0,
+            0, 0, 0, 1
+        );
+    }
+
+    setPosition(x, y, z) {
+        const te = this.elements;
+        te[12] = x;
+        te[13] = y;
+        te[14] = z;
+        return this;
+    }
+
+    // TRS composition: translation * rotation * scale
+    // rotation holds Euler angles in radians (X, then Y, then Z)
+    compose(position, rotation, scale) {
+        this.makeRotationFromEuler(rotation);
+
+        const te = this.elements;
+        te[0] *= scale.x; te[1] *= scale.x; te[2] *= scale.x;
+        te[4] *= scale.y; te[5] *= scale.y; te[6] *= scale.y;
+        te[8] *= scale.z; te[9] *= scale.z; te[10] *= scale.z;
+
+        return this.setPosition(position.x, position.y, position.z);
+    }
+
+    // Inverse of compose; a negative determinant is attributed to scale.x
+    decompose(position, rotation, scale) {
+        const te = this.elements;
+
+        let sx = Math.hypot(te[0], te[1], te[2]);
+        const sy = Math.hypot(te[4], te[5], te[6]);
+        const sz = Math.hypot(te[8], te[9], te[10]);
+
+        if (this.determinant() < 0) sx = -sx;
+
+        position.x = te[12];
+        position.y = te[13];
+        position.z = te[14];
+
+        scale.x = sx;
+        scale.y = sy;
+        scale.z = sz;
+
+        // Rotation part with scale removed
+        const invSX = sx !== 0 ? 1 / sx : 0;
+        const invSY = sy !== 0 ? 1 / sy : 0;
+        const invSZ = sz !== 0 ? 1 / sz : 0;
+
+        const m11 = te[0] * invSX, m12 = te[4] * invSY;
+        const m21 = te[1] * invSX, m22 = te[5] * invSY;
+        const m31 = te[2] * invSX, m32 = te[6] * invSY, m33 = te[10] * invSZ;
+
+        rotation.y = Math.asin(-Math.min(Math.max(m31, -1), 1));
+
+        if (Math.abs(m31) < 0.9999999) {
+            rotation.x = Math.atan2(m32, m33);
+            rotation.z = Math.atan2(m21, m11);
+        } else {
+            // Gimbal lock: X and Z rotate around the same axis, fold it into Z
+            rotation.x = 0;
+            rotation.z = Math.atan2(-m12, m22);
+        }
+
+        return this;
+    }
+
+    // Camera matrices
+    // View matrix for a camera at eye looking at target (camera looks down -Z)
+    lookAt(eye, target, up) {
+        const z = eye.clone().sub(target);
+        if (z.lengthSq() === 0) z.z = 1;  // Eye and target coincide
+        z.normalize();
+
+        let x = up.cross(z);
+        if (x.lengthSq() === 0) {
+            // Up is parallel to the view direction; fall back to another axis
+            x = (Math.abs(z.z) < 0.9 ? Vec3.FORWARD : Vec3.RIGHT).cross(z);
+        }
+        x.normalize();
+
+        const y = z.cross(x);
+
+        return this.set(
+            x.x, x.y, x.z, -x.dot(eye),
+            y.x, y.y, y.z, -y.dot(eye),
+            z.x, z.y, z.z, -z.dot(eye),
+            0, 0, 0, 1
+        );
+    }
+
+    // Perspective projection from a vertical field of view in radians.
+    // WebGL maps depth to [-1, 1], WebGPU to [0, 1].
+    makePerspective(fovY, aspect, near, far, coordinateSystem = COORDINATE_SYSTEM_WEBGL) {
+        const f = 1 / Math.tan(fovY * 0.5);
+        let c, d;
+
+        if (coordinateSystem === COORDINATE_SYSTEM_WEBGL) {
+            c = -(far + near) / (far - near);
+            d = -2 * far * near / (far - near);
+        } else if (coordinateSystem === COORDINATE_SYSTEM_WEBGPU) {
+            c = -far / (far - near);
+            d = -far * near / (far - near);
+        } else {
+            throw new Error(`Unsupported coordinate system: ${coordinateSystem}`);
+        }
+
+        return this.set(
+            f / aspect, 0, 0, 0,
+            0, f, 0, 0,
+            0, 0, c, d,
+            0, 0, -1, 0
+        );
+    }
+
+    makeOrthographic(left, right, top, bottom, near, far, coordinateSystem = COORDINATE_SYSTEM_WEBGL) {
+        const w = 1 / (right - left);
+        const h = 1 / (top - bottom);
+        const p = 1 / (far - near);
+        let zScale, zOffset;
+
+        if (coordinateSystem === COORDINATE_SYSTEM_WEBGL) {
+            zScale = -2 * p;
+            zOffset = -(far + near) * p;
+        } else if (coordinateSystem === COORDINATE_SYSTEM_WEBGPU) {
+            zScale = -p;
+            zOffset = -near * p;
+        } else {
+            throw new Error(`Unsupported coordinate system: ${coordinateSystem}`);
+        }
+
+        return this.set(
+            2 * w, 0, 0, -(right + left) * w,
+            0, 2 * h, 0, -(top + bottom) * h,
+            0, 0, zScale, zOffset,
+            0, 0, 0, 1
+        );
+    }
+
+    // Utility methods
+    clone() {
+        return new Mat4().copy(this);
+    }
+
+    copy(m) {
+        const te = this.elements;
+        const me = m.elements;
+        for (let i = 0; i < 16; i++) te[i] = me[i];
+        return this;
+    }
+
+    equals(m) {
+        const te = this.elements;
+        const me = m.elements;
+        for (let i = 0; i < 16; i++) {
+            if (te[i] !== me[i]) return false;
+        }
+        return true;
+    }
+
+    fromArray(array, offset = 0) {
+        for (let i = 0; i < 16; i++) this.elements[i] = array[i + offset];
+        return this;
+    }
+
+    toArray(array = [], offset = 0) {
+        for (let i = 0; i < 16; i++) array[i + offset] = this.elements[i];
+        return array;
+    }
+}
+
+export { Mat4 };
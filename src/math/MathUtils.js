@@ -0,0 +1,23 @@
+// File: math/MathUtils.js
+
+// Turns a shared constant instance into a read-only value. Components become
+// accessors whose setters throw on any change, so a mutating method fails on
+// its first real write with a message naming the constant instead of
+// corrupting it. Writing back the same value (normalize() on a unit constant,
+// copy() of an equal vector) is a no-op and allowed.
+function freezeConstant(object, name) {
+    for (const key of Object.keys(object)) {
+        const value = object[key];
+        Object.defineProperty(object, key, {
+            get: () => value,
+            set: newValue => {
+                if (newValue === value || (newValue !== newValue && value !== value)) return;
+                throw new TypeError(`${name} is a read-only constant; clone() it before modifying`);
+            },
+            enumerable: true
+        });
+    }
+    return Object.freeze(object);
+}
+
+export { freezeConstant };
@@ -0,0 +1,146 @@
+// File: math/Plane.js
+import { Vec3 } from './Vec3.js';
+import { Mat4 } from './Mat4.js';
+
+const _point = new Vec3();
+const _edge1 = new Vec3();
+const _edge2 = new Vec3();
+const _normalMatrix = new Mat4();
+
+// Plane in Hessian normal form: dot(normal, p) + constant = 0,
+// with normal pointing to the positive half-space
+class Plane {
+    constructor(normal = new Vec3(1, 0, 0), constant = 0) {
+        this.normal = normal;
+        this.constant = constant;
+    }
+
+    set(normal, constant) {
+        this.normal.copy(normal);
+        this.constant = constant;
+        return this;
+    }
+
+    // Coefficients of ax + by + cz + d = 0 (not normalized)
+    setComponents(x, y, z, w) {
+        this.normal.set(x, y, z);
+        this.constant = w;
+        return this;
+    }
+
+    // Fitting
+    setFromNormalAndCoplanarPoint(normal, point) {
+        this.normal.copy(normal);
+        this.constant = -point.dot(this.normal);
+        return this;
+    }
+
+    // Counter-clockwise a, b, c face the normal
+    setFromCoplanarPoints(a, b, c) {
+        _edge1.copy(c).sub(b);
+        _edge2.copy(a).sub(b);
+        const normal = _edge1.crossVectors(_edge1, _edge2).normalize();
+        return this.setFromNormalAndCoplanarPoint(normal, a);
+    }
+
+    // Best-fit plane through a polygon given in order (Newell's method),
+    // so slightly non-planar outlines still get a stable normal. The normal
+    // is zero when the points are collinear or fewer than three.
+    setFromPoints(points) {
+        let nx = 0, ny = 0, nz = 0;
+        _point.set(0, 0, 0);
+
+        for (let i = 0, n = points.length; i < n; i++) {
+            const p = points[i];
+            const q = points[(i + 1) % n];
+            nx += (p.y - q.y) * (p.z + q.z);
+            ny += (p.z - q.z) * (p.x + q.x);
+            nz += (p.x - q.x) * (p.y + q.y);
+            _point.add(p);
+        }
+
+        if (points.length) _point.divScalar(points.length);
+        this.normal.set(nx, ny, nz).normalize();
+        this.constant = -_point.dot(this.normal);
+        return this;
+    }
+
+    // Scales so the normal has unit length
+    normalize() {
+        const inverseLength = 1 / this.normal.length();
+        this.normal.mulScalar(inverseLength);
+        this.constant *= inverseLength;
+        return this;
+    }
+
+    // Flips the facing
+    negate() {
+        this.normal.negate();
+        this.constant = -this.constant;
+        return this;
+    }
+
+    // Measurements
+    // Signed: positive on the side the normal points to
+    distanceToPoint(point) {
+        return this.normal.dot(point) + this.constant;
+    }
+
+    distanceToSphere(sphere) {
+        return this.distanceToPoint(sphere.center) - sphere.radius;
+    }
+
+    projectPoint(point, target = new Vec3()) {
+        const distance = this.distanceToPoint(point);
+        return target.copy(this.normal).mulScalar(-distance).add(point);
+    }
+
+    coplanarPoint(target = new Vec3()) {
+        return target.copy(this.normal).mulScalar(-this.constant);
+    }
+
+    // Containment and intersection
+    containsPoint(point, epsilon = 0) {
+        return Math.abs(this.distanceToPoint(point)) <= epsilon;
+    }
+
+    intersectsBox(box) {
+        return box.intersectsPlane(this);
+    }
+
+    intersectsSphere(sphere) {
+        return sphere.intersectsPlane(this);
+    }
+
+    // Transforms
+    // normalMatrix can be passed when already known for m
+    applyMatrix4(m, normalMatrix) {
+        const nm = normalMatrix || _normalMatrix.makeNormalMatrix(m);
+        const referencePoint = this.coplanarPoint(_point).applyMatrix4(m);
+        const normal = this.normal.transformDirection(nm);
+        this.constant = -referencePoint.dot(normal);
+        return this;
+    }
+
+    translate(offset) {
+        this.constant -= offset.dot(this.normal);
+        return this;
+    }
+
+    // Utility methods
+    clone() {
+        return new Plane(this.normal.clone(), this.constant);
+    }
+
+    copy(plane) {
+        this.normal.copy(plane.normal);
+        this.constant = plane.constant;
+        return this;
+    }
+
+    equals(plane, epsilon = 0) {
+        return this.normal.equals(plane.normal, epsilon) && Math.abs(this.constant - plane.constant) <= epsilon;
+    }
+}
+
+export { Plane };
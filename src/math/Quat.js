@@ -0,0 +1,305 @@
+// File: math/Quat.js
+import { Vec3 } from './Vec3.js';
+import { freezeConstant } from './MathUtils.js';
+
+// Rotation orders name the axes in the order they are applied to a vector,
+// so 'XYZ' rotates around X first and Z last (matrix Rz * Ry * Rx).
+const EULER_ORDERS = ['XYZ', 'XZY', 'YXZ', 'YZX', 'ZXY', 'ZYX'];
+const AXIS_INDEX = { X: 0, Y: 1, Z: 2 };
+const COMPONENTS = ['x', 'y', 'z'];
+
+class Quat {
+    constructor(x = 0, y = 0, z = 0, w = 1) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+        this.w = w;
+    }
+
+    set(x, y, z, w) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+        this.w = w;
+        return this;
+    }
+
+    identity() {
+        return this.set(0, 0, 0, 1);
+    }
+
+    // Constructors from other rotation representations
+    // Axis must be normalized, angle in radians
+    setFromAxisAngle(axis, angle) {
+        const halfAngle = angle * 0.5;
+        const s = Math.sin(halfAngle);
+        return this.set(axis.x * s, axis.y * s, axis.z * s, Math.cos(halfAngle));
+    }
+
+    // Euler angles in radians stored in a Vec3
+    setFromEuler(euler, order = 'XYZ') {
+        checkOrder(order);
+        this.identity();
+
+        // Each later axis is applied on top of the earlier ones
+        for (const axis of order) {
+            const angle = euler[COMPONENTS[AXIS_INDEX[axis]]];
+            premultiplyAxisRotation(this, AXIS_INDEX[axis], angle);
+        }
+        return this;
+    }
+
+    // Upper 3x3 of m must be a pure rotation (unscaled)
+    setFromRotationMatrix(m) {
+        const te = m.elements;
+        const m11 = te[0], m12 = te[4], m13 = te[8];
+        const m21 = te[1], m22 = te[5], m23 = te[9];
+        const m31 = te[2], m32 = te[6], m33 = te[10];
+        const trace = m11 + m22 + m33;
+
+        if (trace > 0) {
+            const s = 0.5 / Math.sqrt(trace + 1.0);
+            return this.set((m32 - m23) * s, (m13 - m31) * s, (m21 - m12) * s, 0.25 / s);
+        }
+        if (m11 > m22 && m11 > m33) {
+            const s = 2.0 * Math.sqrt(1.0 + m11 - m22 - m33);
+            return this.set(0.25 * s, (m12 + m21) / s, (m13 + m31) / s, (m32 - m23) / s);
+        }
+        if (m22 > m33) {
+            const s = 2.0 * Math.sqrt(1.0 + m22 - m11 - m33);
+            return this.set((m12 + m21) / s, 0.25 * s, (m23 + m32) / s, (m13 - m31) / s);
+        }
+        const s = 2.0 * Math.sqrt(1.0 + m33 - m11 - m22);
+        return this.set((m13 + m31) / s, (m23 + m32) / s, 0.25 * s, (m21 - m12) / s);
+    }
+
+    // Shortest rotation taking unit vector from onto unit vector to
+    setFromUnitVectors(from, to) {
+        const r = from.dot(to) + 1;
+
+        if (r < Number.EPSILON) {
+            // Opposite vectors: rotate 180 degrees around any perpendicular axis
+            if (Math.abs(from.x) > Math.abs(from.z)) {
+                this.set(-from.y, from.x, 0, 0);
+            } else {
+                this.set(0, -from.z, from.y, 0);
+            }
+        } else {
+            this.set(
+                from.y * to.z - from.z * to.y,
+                from.z * to.x - from.x * to.z,
+                from.x * to.y - from.y * to.x,
+                r
+            );
+        }
+        return this.normalize();
+    }
+
+    // Writes Euler angles in radians into target
+    toEuler(target = new Vec3(), order = 'XYZ') {
+        checkOrder(order);
+
+        const x = this.x, y = this.y, z = this.z, w = this.w;
+        const x2 = x + x, y2 = y + y, z2 = z + z;
+        const xx = x * x2, xy = x * y2, xz = x * z2;
+        const yy = y * y2, yz = y * z2, zz = z * z2;
+        const wx = w * x2, wy = w * y2, wz = w * z2;
+        const r = [
+            [1 - (yy + zz), xy - wz, xz + wy],
+            [xy + wz, 1 - (xx + zz), yz - wx],
+            [xz - wy, yz + wx, 1 - (xx + yy)]
+        ];
+
+        const i = AXIS_INDEX[order[0]];
+        const j = AXIS_INDEX[order[1]];
+        const k = AXIS_INDEX[order[2]];
+        const parity = (j - i + 3) % 3 === 1 ? 1 : -1;
+        const sinMiddle = Math.min(Math.max(-parity * r[k][i], -1), 1);
+
+        target[COMPONENTS[j]] = Math.asin(sinMiddle);
+
+        if (Math.abs(sinMiddle) < 0.9999999) {
+            target[COMPONENTS[i]] = Math.atan2(parity * r[k][j], r[k][k]);
+            target[COMPONENTS[k]] = Math.atan2(parity * r[j][i], r[i][i]);
+        } else {
+            // Gimbal lock: first and last axes coincide, fold into the last
+            target[COMPONENTS[i]] = 0;
+            target[COMPONENTS[k]] = Math.atan2(-parity * r[i][j], r[j][j]);
+        }
+        return target;
+    }
+
+    // Composition
+    // this = this * q (q is applied first)
+    multiply(q) {
+        return this.multiplyQuaternions(this, q);
+    }
+
+    // this = q * this (q is applied last)
+    premultiply(q) {
+        return this.multiplyQuaternions(q, this);
+    }
+
+    multiplyQuaternions(a, b) {
+        const ax = a.x, ay = a.y, az = a.z, aw = a.w;
+        const bx = b.x, by = b.y, bz = b.z, bw = b.w;
+
+        this.x = ax * bw + aw * bx + ay * bz - az * by;
+        this.y = ay * bw + aw * by + az * bx - ax * bz;
+        this.z = az * bw + aw * bz + ax * by - ay * bx;
+        this.w = aw * bw - ax * bx - ay * by - az * bz;
+        return this;
+    }
+
+    conjugate() {
+        this.x = -this.x;
+        this.y = -this.y;
+        this.z = -this.z;
+        return this;
+    }
+
+    invert() {
+        const lenSq = this.lengthSq();
+        if (lenSq > 0) {
+            this.conjugate();
+            this.x /= lenSq;
+            this.y /= lenSq;
+            this.z /= lenSq;
+            this.w /= lenSq;
+        }
+        return this;
+    }
+
+    // Length calculations
+    dot(q) {
+        return this.x * q.x + this.y * q.y + this.z * q.z + this.w * q.w;
+    }
+
+    lengthSq() {
+        return this.x * this.x + this.y * this.y + this.z * this.z + this.w * this.w;
+    }
+
+    length() {
+        return Math.sqrt(this.lengthSq());
+    }
+
+    normalize() {
+        const len = this.length();
+        if (len === 0) {
+            return this.identity();  // Zero quaternion has no rotation to keep
+        }
+        this.x /= len;
+        this.y /= len;
+        this.z /= len;
+        this.w /= len;
+        return this;
+    }
+
+    // Angle in radians between two unit quaternions
+    angleTo(q) {
+        return 2 * Math.acos(Math.min(Math.abs(this.dot(q)), 1));
+    }
+
+    // Interpolation
+    // Spherical interpolation along the shortest arc, t in [0, 1]
+    slerp(q, t) {
+        if (t === 0) return this;
+        if (t === 1) return this.copy(q);
+
+        const x = this.x, y = this.y, z = this.z, w = this.w;
+        let cosHalfTheta = w * q.w + x * q.x + y * q.y + z * q.z;
+
+        if (cosHalfTheta < 0) {
+            this.set(-q.x, -q.y, -q.z, -q.w);
+            cosHalfTheta = -cosHalfTheta;
+        } else {
+            this.copy(q);
+        }
+
+        if (cosHalfTheta >= 1.0) {
+            return this.set(x, y, z, w);
+        }
+
+        const sqrSinHalfTheta = 1.0 - cosHalfTheta * cosHalfTheta;
+
+        if (sqrSinHalfTheta <= Number.EPSILON) {
+            // Nearly identical: linear blend is accurate and avoids dividing by ~0
+            const s = 1 - t;
+            return this.set(
+                s * x + t * this.x,
+                s * y + t * this.y,
+                s * z + t * this.z,
+                s * w + t * this.w
+            ).normalize();
+        }
+
+        const sinHalfTheta = Math.sqrt(sqrSinHalfTheta);
+        const halfTheta = Math.atan2(sinHalfTheta, cosHalfTheta);
+        const ratioA = Math.sin((1 - t) * halfTheta) / sinHalfTheta;
+        const ratioB = Math.sin(t * halfTheta) / sinHalfTheta;
+
+        return this.set(
+            x * ratioA + this.x * ratioB,
+            y * ratioA + this.y * ratioB,
+            z * ratioA + this.z * ratioB,
+            w * ratioA + this.w * ratioB
+        );
+    }
+
+    // Rotates towards q by at most step radians
+    rotateTowards(q, step) {
+        const angle = this.angleTo(q);
+        if (angle === 0) return this;
+        return this.slerp(q, Math.min(1, step / angle));
+    }
+
+    // Utility methods
+    clone() {
+        return new Quat(this.x, this.y, this.z, this.w);
+    }
+
+    copy(q) {
+        this.x = q.x;
+        this.y = q.y;
+        this.z = q.z;
+        this.w = q.w;
+        return this;
+    }
+
+    equals(q) {
+        return (this.x === q.x) && (this.y === q.y) && (this.z === q.z) && (this.w === q.w);
+    }
+
+    // Static constants (read-only, clone() before modifying)
+    static IDENTITY = freezeConstant(new Quat(0, 0, 0, 1), 'Quat.IDENTITY');
+}
+
+/**
+ * @private
+ */
+function checkOrder(order) {
+    if (!EULER_ORDERS.includes(order)) {
+        throw new Error(`Unsupported rotation order: ${order}`);
+    }
+}
+
+/**
+ * Applies a rotation around a principal axis after the rotation in q
+ * @private
+ */
+function premultiplyAxisRotation(q, axisIndex, angle) {
+    const s = Math.sin(angle * 0.5);
+    const c = Math.cos(angle * 0.5);
+    const x = q.x, y = q.y, z = q.z, w = q.w;
+
+    switch (axisIndex) {
+        case 0:
+            return q.set(c * x + s * w, c * y - s * z, c * z + s * y, c * w - s * x);
+        case 1:
+            return q.set(c * x + s * z, c * y + s * w, c * z - s * x, c * w - s * y);
+        default:
+            return q.set(c * x - s * y, c * y + s * x, c * z + s * w, c * w - s * z);
+    }
+}
+
+export { Quat };
@@ -0,0 +1,226 @@
+// File: math/Ray.js
+import { Vec3 } from './Vec3.js';
+import {
+    CULL_NONE, CULL_BACK, CULL_FRONT, CULL_FRONT_BACK,
+    SIDE_FRONT, SIDE_BACK, SIDE_DOUBLE
+} from '../Constants.js';
+
+const _diff = new Vec3();
+const _edge1 = new Vec3();
+const _edge2 = new Vec3();
+const _normal = new Vec3();
+const _cross = new Vec3();
+
+// Half-line origin + t * direction, t >= 0; direction should be unit length
+// for the distances below to be in world units
+class Ray {
+    constructor(origin = new Vec3(), direction = new Vec3(0, 0, -1)) {
+        this.origin = origin;
+        this.direction = direction;
+    }
+
+    set(origin, direction) {
+        this.origin.copy(origin);
+        this.direction.copy(direction);
+        return this;
+    }
+
+    at(t, target = new Vec3()) {
+        return target.copy(this.direction).mulScalar(t).add(this.origin);
+    }
+
+    lookAt(point) {
+        this.direction.copy(point).sub(this.origin).normalize();
+        return this;
+    }
+
+    // Measurements
+    distanceSqToPoint(point) {
+        const t = _diff.copy(point).sub(this.origin).dot(this.direction);
+        if (t < 0) return this.origin.distanceToSquared(point);
+        return this.at(t, _diff).distanceToSquared(point);
+    }
+
+    distanceToPoint(point) {
+        return Math.sqrt(this.distanceSqToPoint(point));
+    }
+
+    // Distance along the ray to the plane, or null if parallel or behind
+    distanceToPlane(plane) {
+        const denominator = plane.normal.dot(this.direction);
+
+        if (denominator === 0) {
+            // Parallel: only hits if the origin already lies on the plane
+            return plane.distanceToPoint(this.origin) === 0 ? 0 : null;
+        }
+
+        const t = -(this.origin.dot(plane.normal) + plane.constant) / denominator;
+        return t >= 0 ? t : null;
+    }
+
+    // Intersections return the hit point, or null on a miss
+    intersectPlane(plane, target = new Vec3()) {
+        const t = this.distanceToPlane(plane);
+        return t === null ? null : this.at(t, target);
+    }
+
+    intersectsPlane(plane) {
+        return this.distanceToPlane(plane) !== null;
+    }
+
+    intersectSphere(sphere, target = new Vec3()) {
+        _diff.copy(sphere.center).sub(this.origin);
+        const tca = _diff.dot(this.direction);
+        const d2 = _diff.dot(_diff) - tca * tca;
+        const radius2 = sphere.radius * sphere.radius;
+
+        if (d2 > radius2) return null;
+
+        const thc = Math.sqrt(radius2 - d2);
+        const t0 = tca - thc;
+        const t1 = tca + thc;
+
+        if (t1 < 0) return null;
+
+        // Origin inside the sphere: the exit point is the first hit
+        return this.at(t0 < 0 ? t1 : t0, target);
+    }
+
+    intersectsSphere(sphere) {
+        return this.distanceSqToPoint(sphere.center) <= sphere.radius * sphere.radius;
+    }
+
+    // Slab test
+    intersectBox(box, target = new Vec3()) {
+        let tmin, tmax, tymin, tymax, tzmin, tzmax;
+
+        const invdirx = 1 / this.direction.x;
+        const invdiry = 1 / this.direction.y;
+        const invdirz = 1 / this.direction.z;
+        const origin = this.origin;
+
+        if (invdirx >= 0) {
+            tmin = (box.min.x - origin.x) * invdirx;
+            tmax = (box.max.x - origin.x) * invdirx;
+        } else {
+            tmin = (box.max.x - origin.x) * invdirx;
+            tmax = (box.min.x - origin.x) * invdirx;
+        }
+
+        if (invdiry >= 0) {
+            tymin = (box.min.y - origin.y) * invdiry;
+            tymax = (box.max.y - origin.y) * invdiry;
+        } else {
+            tymin = (box.max.y - origin.y) * invdiry;
+            tymax = (box.min.y - origin.y) * invdiry;
+        }
+
+        if ((tmin > tymax) || (tymin > tmax)) return null;
+
+        // NaN-safe: 0 * Infinity on an axis-aligned ray yields NaN
+        if (tymin > tmin || tmin !== tmin) tmin = tymin;
+        if (tymax < tmax || tmax !== tmax) tmax = tymax;
+
+        if (invdirz >= 0) {
+            tzmin = (box.min.z - origin.z) * invdirz;
+            tzmax = (box.max.z - origin.z) * invdirz;
+        } else {
+            tzmin = (box.max.z - origin.z) * invdirz;
+            tzmax = (box.min.z - origin.z) * invdirz;
+        }
+
+        if ((tmin > tzmax) || (tzmin > tmax)) return null;
+
+        if (tzmin > tmin || tmin !== tmin) tmin = tzmin;
+        if (tzmax < tmax || tmax !== tmax) tmax = tzmax;
+
+        if (tmax < 0) return null;
+
+        return this.at(tmin >= 0 ? tmin : tmax, target);
+    }
+
+    intersectsBox(box) {
+        return this.intersectBox(box, _diff) !== null;
+    }
+
+    // Möller-Trumbore. Counter-clockwise a, b, c is the front face;
+    // side (SIDE_FRONT, SIDE_BACK, SIDE_DOUBLE) selects which faces count,
+    // matching a material's side setting.
+    intersectTriangle(a, b, c, side = SIDE_DOUBLE, target = new Vec3()) {
+        if (side === null) return null;  // CULL_FRONT_BACK via sideFromCullFace
+
+        _edge1.copy(b).sub(a);
+        _edge2.copy(c).sub(a);
+        _normal.crossVectors(_edge1, _edge2);
+
+        let DdN = this.direction.dot(_normal);
+        let sign;
+
+        if (DdN > 0) {
+            // Ray travels along the normal: back face
+            if (side === SIDE_FRONT) return null;
+            sign = 1;
+        } else if (DdN < 0) {
+            if (side === SIDE_BACK) return null;
+            sign = -1;
+            DdN = -DdN;
+        } else {
+            return null;  // Parallel or degenerate triangle
+        }
+
+        _diff.copy(this.origin).sub(a);
+        const DdQxE2 = sign * this.direction.dot(_cross.crossVectors(_diff, _edge2));
+        if (DdQxE2 < 0) return null;
+
+        const DdE1xQ = sign * this.direction.dot(_cross.crossVectors(_edge1, _diff));
+        if (DdE1xQ < 0) return null;
+
+        if (DdQxE2 + DdE1xQ > DdN) return null;
+
+        const QdN = -sign * _diff.dot(_normal);
+        if (QdN < 0) return null;  // Behind the origin
+
+        return this.at(QdN / DdN, target);
+    }
+
+    // Transforms
+    applyMatrix4(m) {
+        this.origin.applyMatrix4(m);
+        this.direction.transformDirection(m);
+        return this;
+    }
+
+    // Utility methods
+    clone() {
+        return new Ray(this.origin.clone(), this.direction.clone());
+    }
+
+    copy(ray) {
+        this.origin.copy(ray.origin);
+        this.direction.copy(ray.direction);
+        return this;
+    }
+
+    equals(ray, epsilon = 0) {
+        return this.origin.equals(ray.origin, epsilon) && this.direction.equals(ray.direction, epsilon);
+    }
+
+    // Side setting that picks the same faces a cull mode leaves visible,
+    // or null for CULL_FRONT_BACK (nothing can be hit)
+    static sideFromCullFace(cullFace) {
+        switch (cullFace) {
+            case CULL_NONE:
+                return SIDE_DOUBLE;
+            case CULL_BACK:
+                return SIDE_FRONT;
+            case CULL_FRONT:
+                return SIDE_BACK;
+            case CULL_FRONT_BACK:
+                return null;
+            default:
+                throw new Error(`Unknown cull mode: ${cullFace}`);
+        }
+    }
+}
+
+export { Ray };
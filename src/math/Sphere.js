@@ -0,0 +1,154 @@
+// File: math/Sphere.js
+import { Vec3 } from './Vec3.js';
+import { Box3 } from './Box3.js';
+
+const _box = new Box3();
+const _delta = new Vec3();
+
+// Bounding sphere; empty when radius < 0
+class Sphere {
+    constructor(center = new Vec3(), radius = -1) {
+        this.center = center;
+        this.radius = radius;
+    }
+
+    set(center, radius) {
+        this.center.copy(center);
+        this.radius = radius;
+        return this;
+    }
+
+    makeEmpty() {
+        this.center.set(0, 0, 0);
+        this.radius = -1;
+        return this;
+    }
+
+    isEmpty() {
+        return this.radius < 0;
+    }
+
+    // Fitting
+    // Centered on the points' bounding box unless a center is given;
+    // not minimal, but cheap and never smaller than the points
+    setFromPoints(points, center) {
+        if (points.length === 0) return this.makeEmpty();
+
+        if (center) {
+            this.center.copy(center);
+        } else {
+            _box.setFromPoints(points).getCenter(this.center);
+        }
+
+        let maxDistanceSq = 0;
+        for (let i = 0; i < points.length; i++) {
+            maxDistanceSq = Math.max(maxDistanceSq, this.center.distanceToSquared(points[i]));
+        }
+        this.radius = Math.sqrt(maxDistanceSq);
+        return this;
+    }
+
+    // Expansion
+    expandByPoint(point) {
+        if (this.isEmpty()) {
+            this.center.copy(point);
+            this.radius = 0;
+            return this;
+        }
+
+        _delta.copy(point).sub(this.center);
+        const lengthSq = _delta.lengthSq();
+
+        if (lengthSq > this.radius * this.radius) {
+            // Grow just enough and move the center towards the point
+            const length = Math.sqrt(lengthSq);
+            const delta = (length - this.radius) * 0.5;
+            this.center.add(_delta.mulScalar(delta / length));
+            this.radius += delta;
+        }
+        return this;
+    }
+
+    union(sphere) {
+        if (sphere.isEmpty()) return this;
+        if (this.isEmpty()) return this.copy(sphere);
+
+        const distance = this.center.distanceTo(sphere.center);
+
+        if (distance + sphere.radius <= this.radius) return this;
+        if (distance + this.radius <= sphere.radius) return this.copy(sphere);
+
+        const radius = (distance + this.radius + sphere.radius) * 0.5;
+        _delta.copy(sphere.center).sub(this.center).mulScalar((radius - this.radius) / distance);
+        this.center.add(_delta);
+        this.radius = radius;
+        return this;
+    }
+
+    // Containment and intersection
+    // Compares distances rather than squares: radius * radius can round
+    // below the squared distance the radius was fitted from
+    containsPoint(point) {
+        return point.distanceTo(this.center) <= this.radius;
+    }
+
+    containsSphere(sphere) {
+        return this.center.distanceTo(sphere.center) + sphere.radius <= this.radius;
+    }
+
+    // Negative inside the sphere
+    distanceToPoint(point) {
+        return point.distanceTo(this.center) - this.radius;
+    }
+
+    intersectsSphere(sphere) {
+        const radiusSum = this.radius + sphere.radius;
+        return sphere.center.distanceToSquared(this.center) <= radiusSum * radiusSum;
+    }
+
+    intersectsBox(box) {
+        return box.intersectsSphere(this);
+    }
+
+    intersectsPlane(plane) {
+        return Math.abs(plane.distanceToPoint(this.center)) <= this.radius;
+    }
+
+    getBoundingBox(target = new Box3()) {
+        if (this.isEmpty()) return target.makeEmpty();
+
+        target.min.copy(this.center).sub(_delta.set(this.radius, this.radius, this.radius));
+        target.max.copy(this.center).add(_delta);
+        return target;
+    }
+
+    // Transforms
+    // Radius scales by the largest axis scale of m
+    applyMatrix4(m) {
+        const e = m.elements;
+        const scaleXSq = e[0] * e[0] + e[1] * e[1] + e[2] * e[2];
+        const scaleYSq = e[4] * e[4] + e[5] * e[5] + e[6] * e[6];
+        const scaleZSq = e[8] * e[8] + e[9] * e[9] + e[10] * e[10];
+
+        this.center.applyMatrix4(m);
+        this.radius *= Math.sqrt(Math.max(scaleXSq, scaleYSq, scaleZSq));
+        return this;
+    }
+
+    // Utility methods
+    clone() {
+        return new Sphere(this.center.clone(), this.radius);
+    }
+
+    copy(sphere) {
+        this.center.copy(sphere.center);
+        this.radius = sphere.radius;
+        return this;
+    }
+
+    equals(sphere, epsilon = 0) {
+        return this.center.equals(sphere.center, epsilon) && Math.abs(this.radius - sphere.radius) <= epsilon;
+    }
+}
+
+export { Sphere };
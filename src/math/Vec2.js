@@ -0,0 +1,217 @@
+// File: math/Vec2.js
+import { freezeConstant } from './MathUtils.js';
+
+// Same method set and chaining style as Vec3, minus the 3D-only operations:
+// crossVectors, applyMatrix4, applyQuaternion, transformDirection and
+// projectOnPlane. cross returns a scalar, and setFromPolar and rotateAround
+// take the place of setFromSpherical and applyQuaternion
+class Vec2 {
+    constructor(x = 0, y = 0) {
+        this.x = x;
+        this.y = y;
+    }
+    
+    set(x, y) {
+        this.x = x;
+        this.y = y;
+        return this;
+    }
+    
+    // Polar coordinates: angle in radians counter-clockwise from +X
+    setFromPolar(radius, angle) {
+        this.x = Math.cos(angle) * radius;
+        this.y = Math.sin(angle) * radius;
+        return this;
+    }
+    
+    // Basic arithmetic
+    add(v) {
+        this.x += v.x;
+        this.y += v.y;
+        return this;
+    }
+    
+    sub(v) {
+        this.x -= v.x;
+        this.y -= v.y;
+        return this;
+    }
+    
+    mulScalar(s) {
+        this.x *= s;
+        this.y *= s;
+        return this;
+    }
+    
+    divScalar(s) {
+        return this.mulScalar(1 / s);
+    }
+    
+    // Component-wise product
+    multiply(v) {
+        this.x *= v.x;
+        this.y *= v.y;
+        return this;
+    }
+    
+    negate() {
+        this.x = -this.x;
+        this.y = -this.y;
+        return this;
+    }
+    
+    // Component-wise limits
+    min(v) {
+        this.x = Math.min(this.x, v.x);
+        this.y = Math.min(this.y, v.y);
+        return this;
+    }
+    
+    max(v) {
+        this.x = Math.max(this.x, v.x);
+        this.y = Math.max(this.y, v.y);
+        return this;
+    }
+    
+    // Assumes min <= max on every component
+    clamp(min, max) {
+        this.x = Math.max(min.x, Math.min(max.x, this.x));
+        this.y = Math.max(min.y, Math.min(max.y, this.y));
+        return this;
+    }
+    
+    // Vector operations
+    dot(v) {
+        return this.x * v.x + this.y * v.y;
+    }
+    
+    // Z component of the 3D cross product (signed parallelogram area)
+    cross(v) {
+        return this.x * v.y - this.y * v.x;
+    }
+    
+    // Linear interpolation towards v, t in [0, 1]
+    lerp(v, t) {
+        this.x += (v.x - this.x) * t;
+        this.y += (v.y - this.y) * t;
+        return this;
+    }
+    
+    // Angle in radians; zero-length vectors count as perpendicular
+    angleTo(v) {
+        const denominator = Math.sqrt(this.lengthSq() * v.lengthSq());
+        if (denominator === 0) return Math.PI / 2;
+
+        const cos = this.dot(v) / denominator;
+        return Math.acos(Math.min(Math.max(cos, -1), 1));
+    }
+    
+    // Angle in radians counter-clockwise from +X, in [0, 2 * PI)
+    angle() {
+        const angle = Math.atan2(this.y, this.x);
+        return angle < 0 ? angle + 2 * Math.PI : angle;
+    }
+    
+    projectOnVector(v) {
+        const lenSq = v.lengthSq();
+        if (lenSq === 0) return this.set(0, 0);
+
+        const s = this.dot(v) / lenSq;
+        return this.set(v.x * s, v.y * s);
+    }
+    
+    // Reflects off a line with the given unit normal
+    reflect(normal) {
+        const s = 2 * this.dot(normal);
+        this.x -= normal.x * s;
+        this.y -= normal.y * s;
+        return this;
+    }
+    
+    // Rotates counter-clockwise by angle radians around center (origin by default)
+    rotateAround(angle, center = Vec2.ZERO) {
+        const c = Math.cos(angle);
+        const s = Math.sin(angle);
+        const x = this.x - center.x;
+        const y = this.y - center.y;
+
+        this.x = x * c - y * s + center.x;
+        this.y = x * s + y * c + center.y;
+        return this;
+    }
+    
+    // Length calculations
+    lengthSq() {
+        return this.x * this.x + this.y * this.y;
+    }
+    
+    length() {
+        return Math.sqrt(this.lengthSq());
+    }
+    
+    distanceToSquared(v) {
+        const dx = this.x - v.x;
+        const dy = this.y - v.y;
+        return dx * dx + dy * dy;
+    }
+    
+    distanceTo(v) {
+        return Math.sqrt(this.distanceToSquared(v));
+    }
+    
+    normalize() {
+        const lenSq = this.lengthSq();
+        if (lenSq > 0) {
+            return this.divScalar(Math.sqrt(lenSq));
+        }
+        return this;  // Zero vector stays zero
+    }
+    
+    // Utility methods
+    clone() {
+        return new Vec2(this.x, this.y);
+    }
+    
+    copy(v) {
+        this.x = v.x;
+        this.y = v.y;
+        return this;
+    }
+    
+    // Exact by default; pass an epsilon to compare with a per-component tolerance
+    equals(v, epsilon = 0) {
+        if (epsilon === 0) {
+            return (this.x === v.x) && (this.y === v.y);
+        }
+        return Math.abs(this.x - v.x) <= epsilon &&
+               Math.abs(this.y - v.y) <= epsilon;
+    }
+    
+    fromArray(array, offset = 0) {
+        this.x = array[offset];
+        this.y = array[offset + 1];
+        return this;
+    }
+    
+    toArray(array = [], offset = 0) {
+        array[offset] = this.x;
+        array[offset + 1] = this.y;
+        return array;
+    }
+    
+    // Conversions
+    // Drops z
+    static fromVec3(v) {
+        return new Vec2(v.x, v.y);
+    }
+    
+    // Static constants (read-only, clone() before modifying)
+    static ZERO = freezeConstant(new Vec2(0, 0), 'Vec2.ZERO');
+    static ONE = freezeConstant(new Vec2(1, 1), 'Vec2.ONE');
+    static UP = freezeConstant(new Vec2(0, 1), 'Vec2.UP');
+    static DOWN = freezeConstant(new Vec2(0, -1), 'Vec2.DOWN');
+    static LEFT = freezeConstant(new Vec2(-1, 0), 'Vec2.LEFT');
+    static RIGHT = freezeConstant(new Vec2(1, 0), 'Vec2.RIGHT');
+}
+
+export { Vec2 };
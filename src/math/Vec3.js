@@ -1,4 +1,6 @@
 // File: math/Vec3.js
+import { freezeConstant } from './MathUtils.js';
+
 class Vec3 {
     constructor(x = 0, y = 0, z = 0) {
         this.x = x;
@@ -6,6 +8,23 @@ class Vec3 {
         this.z = z;
     }
     
+    set(x, y, z) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+        return this;
+    }
+    
+    // Spherical coordinates: phi is the polar angle from +Y,
+    // theta the azimuth around Y measured from +Z (radians)
+    setFromSpherical(radius, phi, theta) {
+        const sinPhiRadius = Math.sin(phi) * radius;
+        this.x = sinPhiRadius * Math.sin(theta);
+        this.y = Math.cos(phi) * radius;
+        this.z = sinPhiRadius * Math.cos(theta);
+        return this;
+    }
+    
     // Basic arithmetic
     add(v) {
         this.x += v.x;
@@ -32,6 +51,44 @@ class Vec3 {
         return this.mulScalar(1 / s);
     }
     
+    // Component-wise product
+    multiply(v) {
+        this.x *= v.x;
+        this.y *= v.y;
+        this.z *= v.z;
+        return this;
+    }
+    
+    negate() {
+        this.x = -this.x;
+        this.y = -this.y;
+        this.z = -this.z;
+        return this;
+    }
+    
+    // Component-wise limits
+    min(v) {
+        this.x = Math.min(this.x, v.x);
+        this.y = Math.min(this.y, v.y);
+        this.z = Math.min(this.z, v.z);
+        return this;
+    }
+    
+    max(v) {
+        this.x = Math.max(this.x, v.x);
+        this.y = Math.max(this.y, v.y);
+        this.z = Math.max(this.z, v.z);
+        return this;
+    }
+    
+    // Assumes min <= max on every component
+    clamp(min, max) {
+        this.x = Math.max(min.x, Math.min(max.x, this.x));
+        this.y = Math.max(min.y, Math.min(max.y, this.y));
+        this.z = Math.max(min.z, Math.min(max.z, this.z));
+        return this;
+    }
+    
     // Vector operations
     dot(v) {
         return this.x * v.x + this.y * v.y + this.z * v.z;
@@ -46,6 +103,63 @@ class Vec3 {
         );
     }
     
+    // this = a x b, without allocating
+    crossVectors(a, b) {
+        const ax = a.x, ay = a.y, az = a.z;
+        const bx = b.x, by = b.y, bz = b.z;
+
+        this.x = ay * bz - az * by;
+        this.y = az * bx - ax * bz;
+        this.z = ax * by - ay * bx;
+        return this;
+    }
+    
+    // Linear interpolation towards v, t in [0, 1]
+    lerp(v, t) {
+        this.x += (v.x - this.x) * t;
+        this.y += (v.y - this.y) * t;
+        this.z += (v.z - this.z) * t;
+        return this;
+    }
+    
+    // Angle in radians; zero-length vectors count as perpendicular
+    angleTo(v) {
+        const denominator = Math.sqrt(this.lengthSq() * v.lengthSq());
+        if (denominator === 0) return Math.PI / 2;
+
+        const cos = this.dot(v) / denominator;
+        return Math.acos(Math.min(Math.max(cos, -1), 1));
+    }
+    
+    projectOnVector(v) {
+        const lenSq = v.lengthSq();
+        if (lenSq === 0) return this.set(0, 0, 0);
+
+        const s = this.dot(v) / lenSq;
+        return this.set(v.x * s, v.y * s, v.z * s);
+    }
+    
+    // Removes the component along planeNormal (need not be normalized)
+    projectOnPlane(planeNormal) {
+        const lenSq = planeNormal.lengthSq();
+        if (lenSq === 0) return this;
+
+        const s = this.dot(planeNormal) / lenSq;
+        this.x -= planeNormal.x * s;
+        this.y -= planeNormal.y * s;
+        this.z -= planeNormal.z * s;
+        return this;
+    }
+    
+    // Reflects off a plane with the given unit normal
+    reflect(normal) {
+        const s = 2 * this.dot(normal);
+        this.x -= normal.x * s;
+        this.y -= normal.y * s;
+        this.z -= normal.z * s;
+        return this;
+    }
+    
     // Length calculations
     lengthSq() {
         return this.x * this.x + this.y * this.y + this.z * this.z;
@@ -55,6 +169,17 @@ class Vec3 {
         return Math.sqrt(this.lengthSq());
     }
     
+    distanceToSquared(v) {
+        const dx = this.x - v.x;
+        const dy = this.y - v.y;
+        const dz = this.z - v.z;
+        return dx * dx + dy * dy + dz * dz;
+    }
+    
+    distanceTo(v) {
+        return Math.sqrt(this.distanceToSquared(v));
+    }
+    
     // Normalization with proper error handling
     normalize() {
         const lenSq = this.lengthSq();
@@ -64,6 +189,47 @@ class Vec3 {
         return this;  // Zero vector stays zero
     }
     
+    // Matrix transforms
+    // Transforms as a point (w = 1) with perspective divide
+    applyMatrix4(m) {
+        const x = this.x, y = this.y, z = this.z;
+        const e = m.elements;
+        const w = 1 / (e[3] * x + e[7] * y + e[11] * z + e[15]);
+
+        this.x = (e[0] * x + e[4] * y + e[8] * z + e[12]) * w;
+        this.y = (e[1] * x + e[5] * y + e[9] * z + e[13]) * w;
+        this.z = (e[2] * x + e[6] * y + e[10] * z + e[14]) * w;
+        return this;
+    }
+    
+    // Transforms as a direction (w = 0) and normalizes the result
+    transformDirection(m) {
+        const x = this.x, y = this.y, z = this.z;
+        const e = m.elements;
+
+        this.x = e[0] * x + e[4] * y + e[8] * z;
+        this.y = e[1] * x + e[5] * y + e[9] * z;
+        this.z = e[2] * x + e[6] * y + e[10] * z;
+        return this.normalize();
+    }
+    
+    // Rotates by a unit quaternion
+    applyQuaternion(q) {
+        const vx = this.x, vy = this.y, vz = this.z;
+        const qx = q.x, qy = q.y, qz = q.z, qw = q.w;
+
+        // t = 2 * cross(q.xyz, v)
+        const tx = 2 * (qy * vz - qz * vy);
+        const ty = 2 * (qz * vx - qx * vz);
+        const tz = 2 * (qx * vy - qy * vx);
+
+        // v + q.w * t + cross(q.xyz, t)
+        this.x = vx + qw * tx + qy * tz - qz * ty;
+        this.y = vy + qw * ty + qz * tx - qx * tz;
+        this.z = vz + qw * tz + qx * ty - qy * tx;
+        return this;
+    }
+    
     // Utility methods
     clone() {
         return new Vec3(this.x, this.y, this.z);
@@ -76,19 +242,49 @@ class Vec3 {
         return this;
     }
     
-    equals(v) {
-        return (this.x === v.x) && (this.y === v.y) && (this.z === v.z);
+    // Exact by default; pass an epsilon to compare with a per-component tolerance
+    equals(v, epsilon = 0) {
+        if (epsilon === 0) {
+            return (this.x === v.x) && (this.y === v.y) && (this.z === v.z);
+        }
+        return Math.abs(this.x - v.x) <= epsilon &&
+               Math.abs(this.y - v.y) <= epsilon &&
+               Math.abs(this.z - v.z) <= epsilon;
+    }
+    
+    fromArray(array, offset = 0) {
+        this.x = array[offset];
+        this.y = array[offset + 1];
+        this.z = array[offset + 2];
+        return this;
+    }
+    
+    toArray(array = [], offset = 0) {
+        array[offset] = this.x;
+        array[offset + 1] = this.y;
+        array[offset + 2] = this.z;
+        return array;
+    }
+    
+    // Conversions
+    static fromVec2(v, z = 0) {
+        return new Vec3(v.x, v.y, z);
+    }
+    
+    // Drops w (no perspective divide)
+    static fromVec4(v) {
+        return new Vec3(v.x, v.y, v.z);
     }
     
-    // Static constants
-    static ZERO = new Vec3(0, 0, 0);
-    static ONE = new Vec3(1, 1, 1);
-    static UP = new Vec3(0, 1, 0);
-    static DOWN = new Vec3(0, -1, 0);
-    static LEFT = new Vec3(-1, 0, 0);
-    static RIGHT = new Vec3(1, 0, 0);
-    static FORWARD = new Vec3(0, 0, 1);
-    static BACK = new Vec3(0, 0, -1);
+    // Static constants (read-only, clone() before modifying)
+    static ZERO = freezeConstant(new Vec3(0, 0, 0), 'Vec3.ZERO');
+    static ONE = freezeConstant(new Vec3(1, 1, 1), 'Vec3.ONE');
+    static UP = freezeConstant(new Vec3(0, 1, 0), 'Vec3.UP');
+    static DOWN = freezeConstant(new Vec3(0, -1, 0), 'Vec3.DOWN');
+    static LEFT = freezeConstant(new Vec3(-1, 0, 0), 'Vec3.LEFT');
+    static RIGHT = freezeConstant(new Vec3(1, 0, 0), 'Vec3.RIGHT');
+    static FORWARD = freezeConstant(new Vec3(0, 0, 1), 'Vec3.FORWARD');
+    static BACK = freezeConstant(new Vec3(0, 0, -1), 'Vec3.BACK');
 }
 
 export { Vec3 };
@@ -0,0 +1,223 @@
+// File: math/Vec3Array.js
+import { Vec3 } from './Vec3.js';
+
+// Vec3 view over a Float32Array/Float64Array for bulk math without per-point
+// objects. Element i lives at array[offset + i * stride + (0, 1, 2)], so a
+// flat [x0,y0,z0, x1,y1,z1, ...] vertex array (as used by triangulatePolygon
+// with dimensions = 3) is viewed with the default stride and offset, and
+// interleaved buffers with a larger stride.
+class Vec3Array {
+    // array: typed array to view, or a count to allocate a Float32Array for
+    constructor(array, stride = 3, offset = 0) {
+        if (typeof array === 'number') array = new Float32Array(array * stride + offset);
+
+        if (stride < 3) {
+            throw new Error(`Vec3Array stride must be at least 3, got ${stride}`);
+        }
+
+        this.array = array;
+        this.stride = stride;
+        this.offset = offset;
+        this.count = array.length - offset >= 3 ?
+            Math.floor((array.length - offset - 3) / stride) + 1 : 0;
+
+        this._cursor = null;
+    }
+
+    // Element access
+    // Returns a shared Vec3 that reads and writes element i in place;
+    // the next at() call moves it, so clone() it to keep a value
+    at(i) {
+        if (!this._cursor) this._cursor = createCursor(this);
+        this._cursor._base = this.offset + i * this.stride;
+        return this._cursor;
+    }
+
+    // Copies element i into target
+    get(i, target = new Vec3()) {
+        const k = this.offset + i * this.stride;
+        target.x = this.array[k];
+        target.y = this.array[k + 1];
+        target.z = this.array[k + 2];
+        return target;
+    }
+
+    set(i, x, y, z) {
+        const k = this.offset + i * this.stride;
+        this.array[k] = x;
+        this.array[k + 1] = y;
+        this.array[k + 2] = z;
+        return this;
+    }
+
+    setVec3(i, v) {
+        return this.set(i, v.x, v.y, v.z);
+    }
+
+    // Bulk arithmetic
+    add(v) {
+        const a = this.array, stride = this.stride;
+        const x = v.x, y = v.y, z = v.z;
+        for (let i = 0, k = this.offset; i < this.count; i++, k += stride) {
+            a[k] += x;
+            a[k + 1] += y;
+            a[k + 2] += z;
+        }
+        return this;
+    }
+
+    sub(v) {
+        const a = this.array, stride = this.stride;
+        const x = v.x, y = v.y, z = v.z;
+        for (let i = 0, k = this.offset; i < this.count; i++, k += stride) {
+            a[k] -= x;
+            a[k + 1] -= y;
+            a[k + 2] -= z;
+        }
+        return this;
+    }
+
+    mulScalar(s) {
+        const a = this.array, stride = this.stride;
+        for (let i = 0, k = this.offset; i < this.count; i++, k += stride) {
+            a[k] *= s;
+            a[k + 1] *= s;
+            a[k + 2] *= s;
+        }
+        return this;
+    }
+
+    // Component-wise scale
+    multiply(v) {
+        const a = this.array, stride = this.stride;
+        const x = v.x, y = v.y, z = v.z;
+        for (let i = 0, k = this.offset; i < this.count; i++, k += stride) {
+            a[k] *= x;
+            a[k + 1] *= y;
+            a[k + 2] *= z;
+        }
+        return this;
+    }
+
+    // Zero vectors stay zero
+    normalize() {
+        const a = this.array, stride = this.stride;
+        for (let i = 0, k = this.offset; i < this.count; i++, k += stride) {
+            const x = a[k], y = a[k + 1], z = a[k + 2];
+            const lenSq = x * x + y * y + z * z;
+            if (lenSq > 0) {
+                const inv = 1 / Math.sqrt(lenSq);
+                a[k] = x * inv;
+                a[k + 1] = y * inv;
+                a[k + 2] = z * inv;
+            }
+        }
+        return this;
+    }
+
+    // Writes dot(element, v) for every element into out
+    dot(v, out = new Float32Array(this.count)) {
+        const a = this.array, stride = this.stride;
+        const x = v.x, y = v.y, z = v.z;
+        for (let i = 0, k = this.offset; i < this.count; i++, k += stride) {
+            out[i] = a[k] * x + a[k + 1] * y + a[k + 2] * z;
+        }
+        return out;
+    }
+
+    // Matrix transforms
+    // Transforms every element as a point, like Vec3.applyMatrix4
+    applyMatrix4(m) {
+        const a = this.array, stride = this.stride, e = m.elements;
+        const e0 = e[0], e1 = e[1], e2 = e[2], e3 = e[3];
+        const e4 = e[4], e5 = e[5], e6 = e[6], e7 = e[7];
+        const e8 = e[8], e9 = e[9], e10 = e[10], e11 = e[11];
+        const e12 = e[12], e13 = e[13], e14 = e[14], e15 = e[15];
+        const affine = e3 === 0 && e7 === 0 && e11 === 0 && e15 === 1;
+
+        for (let i = 0, k = this.offset; i < this.count; i++, k += stride) {
+            const x = a[k], y = a[k + 1], z = a[k + 2];
+            const w = affine ? 1 : 1 / (e3 * x + e7 * y + e11 * z + e15);
+            a[k] = (e0 * x + e4 * y + e8 * z + e12) * w;
+            a[k + 1] = (e1 * x + e5 * y + e9 * z + e13) * w;
+            a[k + 2] = (e2 * x + e6 * y + e10 * z + e14) * w;
+        }
+        return this;
+    }
+
+    // Transforms every element as a direction and normalizes it, like Vec3.transformDirection
+    transformDirection(m) {
+        const a = this.array, stride = this.stride, e = m.elements;
+        const e0 = e[0], e1 = e[1], e2 = e[2];
+        const e4 = e[4], e5 = e[5], e6 = e[6];
+        const e8 = e[8], e9 = e[9], e10 = e[10];
+
+        for (let i = 0, k = this.offset; i < this.count; i++, k += stride) {
+            const x = a[k], y = a[k + 1], z = a[k + 2];
+            a[k] = e0 * x + e4 * y + e8 * z;
+            a[k + 1] = e1 * x + e5 * y + e9 * z;
+            a[k + 2] = e2 * x + e6 * y + e10 * z;
+        }
+        return this.normalize();
+    }
+
+    // Bounds
+    // Axis-aligned bounds written into min/max; inverted (min > max) when empty
+    computeBoundingBox(min = new Vec3(), max = new Vec3()) {
+        const a = this.array, stride = this.stride;
+        let minX = Infinity, minY = Infinity, minZ = Infinity;
+        let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+
+        for (let i = 0, k = this.offset; i < this.count; i++, k += stride) {
+            const x = a[k], y = a[k + 1], z = a[k + 2];
+            if (x < minX) minX = x;
+            if (y < minY) minY = y;
+            if (z < minZ) minZ = z;
+            if (x > maxX) maxX = x;
+            if (y > maxY) maxY = y;
+            if (z > maxZ) maxZ = z;
+        }
+
+        min.x = minX; min.y = minY; min.z = minZ;
+        max.x = maxX; max.y = maxY; max.z = maxZ;
+        return { min, max };
+    }
+
+    // Utility methods
+    // Copies elements into a new tightly packed Vec3Array of the same array type
+    clone() {
+        const packed = new this.array.constructor(this.count * 3);
+        const result = new Vec3Array(packed);
+        for (let i = 0, k = this.offset; i < this.count; i++, k += this.stride) {
+            packed[i * 3] = this.array[k];
+            packed[i * 3 + 1] = this.array[k + 1];
+            packed[i * 3 + 2] = this.array[k + 2];
+        }
+        return result;
+    }
+
+    static fromVec3s(vectors, ArrayType = Float32Array) {
+        const result = new Vec3Array(new ArrayType(vectors.length * 3));
+        for (let i = 0; i < vectors.length; i++) result.setVec3(i, vectors[i]);
+        return result;
+    }
+}
+
+/**
+ * Builds the Vec3 whose components read and write through to the view
+ * @private
+ */
+function createCursor(view) {
+    const cursor = new Vec3();
+    const array = view.array;
+
+    Object.defineProperty(cursor, '_base', { value: 0, writable: true, enumerable: false });
+    Object.defineProperties(cursor, {
+        x: { get() { return array[this._base]; }, set(v) { array[this._base] = v; }, enumerable: true },
+        y: { get() { return array[this._base + 1]; }, set(v) { array[this._base + 1] = v; }, enumerable: true },
+        z: { get() { return array[this._base + 2]; }, set(v) { array[this._base + 2] = v; }, enumerable: true }
+    });
+    return cursor;
+}
+
+export { Vec3Array };
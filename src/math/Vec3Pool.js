@@ -0,0 +1,68 @@
+// File: math/Vec3Pool.js
+import { Vec3 } from './Vec3.js';
+
+// Scratch-vector arena for hot loops. Vectors handed out by acquire() stay
+// valid until the pool is released back past them, after which they are
+// reused; never keep a reference to one beyond its scope.
+//
+//   const pool = new Vec3Pool();
+//   pool.scope(() => {
+//       const edge = pool.acquire().copy(b).sub(a);
+//       const normal = pool.acquire().crossVectors(edge, other).normalize();
+//       ...
+//   });
+class Vec3Pool {
+    constructor(initialSize = 32) {
+        this.vectors = [];
+        this.index = 0;
+
+        for (let i = 0; i < initialSize; i++) this.vectors.push(new Vec3());
+    }
+
+    // Returns a scratch vector set to (x, y, z); grows the pool when exhausted
+    acquire(x = 0, y = 0, z = 0) {
+        if (this.index === this.vectors.length) this.vectors.push(new Vec3());
+
+        const v = this.vectors[this.index++];
+        v.x = x;
+        v.y = y;
+        v.z = z;
+        return v;
+    }
+
+    // Current position, to release back to later
+    mark() {
+        return this.index;
+    }
+
+    // Returns every vector acquired since the mark (all of them by default)
+    release(mark = 0) {
+        if (mark < 0 || mark > this.index) {
+            throw new RangeError(`Invalid pool mark: ${mark} (in use: ${this.index})`);
+        }
+        this.index = mark;
+        return this;
+    }
+
+    // Runs fn and releases everything it acquired, even if it throws
+    scope(fn) {
+        const mark = this.index;
+        try {
+            return fn(this);
+        } finally {
+            this.index = mark;
+        }
+    }
+
+    // Number of vectors currently handed out
+    get used() {
+        return this.index;
+    }
+
+    // Number of vectors allocated so far
+    get size() {
+        return this.vectors.length;
+    }
+}
+
+export { Vec3Pool };
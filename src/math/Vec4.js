@@ -0,0 +1,233 @@
+// File: math/Vec4.js
+import { freezeConstant } from './MathUtils.js';
+
+// Same method set and chaining style as Vec3, minus the 3D-only operations:
+// cross, crossVectors, applyQuaternion, transformDirection, projectOnPlane
+// and setFromSpherical
+class Vec4 {
+    constructor(x = 0, y = 0, z = 0, w = 1) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+        this.w = w;
+    }
+    
+    set(x, y, z, w) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+        this.w = w;
+        return this;
+    }
+    
+    // Basic arithmetic
+    add(v) {
+        this.x += v.x;
+        this.y += v.y;
+        this.z += v.z;
+        this.w += v.w;
+        return this;
+    }
+    
+    sub(v) {
+        this.x -= v.x;
+        this.y -= v.y;
+        this.z -= v.z;
+        this.w -= v.w;
+        return this;
+    }
+    
+    mulScalar(s) {
+        this.x *= s;
+        this.y *= s;
+        this.z *= s;
+        this.w *= s;
+        return this;
+    }
+    
+    divScalar(s) {
+        return this.mulScalar(1 / s);
+    }
+    
+    // Component-wise product
+    multiply(v) {
+        this.x *= v.x;
+        this.y *= v.y;
+        this.z *= v.z;
+        this.w *= v.w;
+        return this;
+    }
+    
+    negate() {
+        this.x = -this.x;
+        this.y = -this.y;
+        this.z = -this.z;
+        this.w = -this.w;
+        return this;
+    }
+    
+    // Component-wise limits
+    min(v) {
+        this.x = Math.min(this.x, v.x);
+        this.y = Math.min(this.y, v.y);
+        this.z = Math.min(this.z, v.z);
+        this.w = Math.min(this.w, v.w);
+        return this;
+    }
+    
+    max(v) {
+        this.x = Math.max(this.x, v.x);
+        this.y = Math.max(this.y, v.y);
+        this.z = Math.max(this.z, v.z);
+        this.w = Math.max(this.w, v.w);
+        return this;
+    }
+    
+    // Assumes min <= max on every component
+    clamp(min, max) {
+        this.x = Math.max(min.x, Math.min(max.x, this.x));
+        this.y = Math.max(min.y, Math.min(max.y, this.y));
+        this.z = Math.max(min.z, Math.min(max.z, this.z));
+        this.w = Math.max(min.w, Math.min(max.w, this.w));
+        return this;
+    }
+    
+    // Vector operations
+    dot(v) {
+        return this.x * v.x + this.y * v.y + this.z * v.z + this.w * v.w;
+    }
+    
+    // Linear interpolation towards v, t in [0, 1]
+    lerp(v, t) {
+        this.x += (v.x - this.x) * t;
+        this.y += (v.y - this.y) * t;
+        this.z += (v.z - this.z) * t;
+        this.w += (v.w - this.w) * t;
+        return this;
+    }
+    
+    // Angle in radians; zero-length vectors count as perpendicular
+    angleTo(v) {
+        const denominator = Math.sqrt(this.lengthSq() * v.lengthSq());
+        if (denominator === 0) return Math.PI / 2;
+
+        const cos = this.dot(v) / denominator;
+        return Math.acos(Math.min(Math.max(cos, -1), 1));
+    }
+    
+    projectOnVector(v) {
+        const lenSq = v.lengthSq();
+        if (lenSq === 0) return this.set(0, 0, 0, 0);
+
+        const s = this.dot(v) / lenSq;
+        return this.set(v.x * s, v.y * s, v.z * s, v.w * s);
+    }
+    
+    // Reflects off the hyperplane with the given unit normal
+    reflect(normal) {
+        const s = 2 * this.dot(normal);
+        this.x -= normal.x * s;
+        this.y -= normal.y * s;
+        this.z -= normal.z * s;
+        this.w -= normal.w * s;
+        return this;
+    }
+    
+    // Length calculations
+    lengthSq() {
+        return this.x * this.x + this.y * this.y + this.z * this.z + this.w * this.w;
+    }
+    
+    length() {
+        return Math.sqrt(this.lengthSq());
+    }
+    
+    distanceToSquared(v) {
+        const dx = this.x - v.x;
+        const dy = this.y - v.y;
+        const dz = this.z - v.z;
+        const dw = this.w - v.w;
+        return dx * dx + dy * dy + dz * dz + dw * dw;
+    }
+    
+    distanceTo(v) {
+        return Math.sqrt(this.distanceToSquared(v));
+    }
+    
+    normalize() {
+        const lenSq = this.lengthSq();
+        if (lenSq > 0) {
+            return this.divScalar(Math.sqrt(lenSq));
+        }
+        return this;  // Zero vector stays zero
+    }
+    
+    // Matrix transforms
+    // Full homogeneous transform, no perspective divide
+    applyMatrix4(m) {
+        const x = this.x, y = this.y, z = this.z, w = this.w;
+        const e = m.elements;
+
+        this.x = e[0] * x + e[4] * y + e[8] * z + e[12] * w;
+        this.y = e[1] * x + e[5] * y + e[9] * z + e[13] * w;
+        this.z = e[2] * x + e[6] * y + e[10] * z + e[14] * w;
+        this.w = e[3] * x + e[7] * y + e[11] * z + e[15] * w;
+        return this;
+    }
+    
+    // Utility methods
+    clone() {
+        return new Vec4(this.x, this.y, this.z, this.w);
+    }
+    
+    copy(v) {
+        this.x = v.x;
+        this.y = v.y;
+        this.z = v.z;
+        this.w = v.w;
+        return this;
+    }
+    
+    // Exact by default; pass an epsilon to compare with a per-component tolerance
+    equals(v, epsilon = 0) {
+        if (epsilon === 0) {
+            return (this.x === v.x) && (this.y === v.y) && (this.z === v.z) && (this.w === v.w);
+        }
+        return Math.abs(this.x - v.x) <= epsilon &&
+               Math.abs(this.y - v.y) <= epsilon &&
+               Math.abs(this.z - v.z) <= epsilon &&
+               Math.abs(this.w - v.w) <= epsilon;
+    }
+    
+    fromArray(array, offset = 0) {
+        this.x = array[offset];
+        this.y = array[offset + 1];
+        this.z = array[offset + 2];
+        this.w = array[offset + 3];
+        return this;
+    }
+    
+    toArray(array = [], offset = 0) {
+        array[offset] = this.x;
+        array[offset + 1] = this.y;
+        array[offset + 2] = this.z;
+        array[offset + 3] = this.w;
+        return array;
+    }
+    
+    // Conversions
+    // w = 1 for points, 0 for directions
+    static fromVec3(v, w = 1) {
+        return new Vec4(v.x, v.y, v.z, w);
+    }
+    
+    static fromVec2(v, z = 0, w = 1) {
+        return new Vec4(v.x, v.y, z, w);
+    }
+    
+    // Static constants (read-only, clone() before modifying)
+    static ZERO = freezeConstant(new Vec4(0, 0, 0, 0), 'Vec4.ZERO');
+    static ONE = freezeConstant(new Vec4(1, 1, 1, 1), 'Vec4.ONE');
+}
+
+export { Vec4 };
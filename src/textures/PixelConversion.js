@@ -0,0 +1,468 @@
+/**
+ * DSRT Graphics Engine - Pixel Conversion
+ * @module dsrt-docs/src/textures/PixelConversion.js
+ * @version 1.0.0
+ * @license MIT
+ * @copyright DSRT Engine Team
+ */
+
+import { _getTypeInfo } from './TextureUtils.js';
+import { getFormatInfo } from './TextureFormats.js';
+import {
+    FORMAT_ALPHA, FORMAT_DEPTH, FORMAT_DEPTH_STENCIL,
+    TYPE_BYTE, TYPE_UNSIGNED_SHORT, TYPE_SHORT, TYPE_UNSIGNED_INT, TYPE_INT,
+    TYPE_FLOAT, TYPE_HALF_FLOAT, TYPE_UNSIGNED_SHORT_4444, TYPE_UNSIGNED_SHORT_5551,
+    TYPE_UNSIGNED_INT_24_8, TYPE_UNSIGNED_INT_5999, TYPE_UNSIGNED_INT_101111
+} from '../Constants.js';
+
+// Largest finite half float
+const HALF_MAX = 65504;
+
+// Largest values of the unsigned 11 and 10 bit floats of TYPE_UNSIGNED_INT_101111
+const UFLOAT11_MAX = 65024;
+const UFLOAT10_MAX = 64512;
+
+// Largest value of TYPE_UNSIGNED_INT_5999: (2^9 - 1) / 2^9 * 2^(31 - 15)
+const RGB9E5_MAX = 65408;
+
+// Relative difference below which a round trip counts as exact
+const EPSILON = 1e-12;
+
+const CHANNEL_NAMES = ['r', 'g', 'b', 'a'];
+
+// Scratch views for float bit manipulation
+const _float = new Float32Array(1);
+const _bits = new Uint32Array(_float.buffer);
+
+/**
+ * Converts pixel data between two uncompressed format/type pairs.
+ * Pixels are expanded to r, g, b, a values (missing channels read as 0,
+ * alpha as 1), clamped to the target's range and encoded. Normalized types
+ * of color and depth formats hold [0, 1] (signed: [-1, 1]); *_INTEGER
+ * formats hold the integer values themselves, so normalized 1.0 becomes
+ * integer 1. FORMAT_ALPHA stores a, FORMAT_DEPTH stores depth as r and
+ * FORMAT_DEPTH_STENCIL (TYPE_UNSIGNED_INT_24_8) stores depth as r and
+ * stencil as g.
+ * Every written value is decoded and encoded back into the source type,
+ * so the report counts real losses only: values the source cannot get back
+ * (a float32 holds 8-bit value k only approximately as k / 255, yet converts
+ * back to k), values outside the target range and dropped channels that
+ * held anything but their default.
+ *
+ * @param {TypedArray|ArrayBuffer} data - Source pixels: an array of the source type
+ *   (Uint16Array for half floats, Uint32Array for packed 32-bit types) or raw bytes
+ * @param {{format: number, type: number}} from - Source format and type
+ * @param {{format: number, type: number}} to - Target format and type
+ * @returns {{data: TypedArray, lossy: boolean, rounded: number, clamped: number, dropped: string[]}}
+ *   Converted pixels and what was lost
+ * @throws {Error} If a format is compressed or unknown, a type does not fit its format or
+ *   the data does not hold whole pixels
+ * @example
+ * const result = convertPixels(hdr, { format: FORMAT_RGBA, type: TYPE_FLOAT },
+ *     { format: FORMAT_RGB, type: TYPE_UNSIGNED_INT_5999 });
+ * if (result.lossy) console.warn(`${result.rounded} values rounded, alpha dropped: ${result.dropped}`);
+ */
+function convertPixels(data, from, to) {
+    const source = _createCodec(from.format, from.type);
+    const target = _createCodec(to.format, to.type);
+    const input = _view(data, source.ArrayType, from.type);
+
+    if (input.length % source.valuesPerPixel !== 0) {
+        throw new Error(`Pixel data of ${input.length} values does not hold whole pixels ` +
+            `of ${source.valuesPerPixel} values`);
+    }
+
+    const pixelCount = input.length / source.valuesPerPixel;
+    const output = new target.ArrayType(pixelCount * target.valuesPerPixel);
+
+    const sourceIndices = source.channels.map(name => CHANNEL_NAMES.indexOf(name));
+    const targetIndices = target.channels.map(name => CHANNEL_NAMES.indexOf(name));
+    const droppedIndices = sourceIndices.filter(index => !targetIndices.includes(index));
+    const sourceChannels = targetIndices.map(index => sourceIndices.indexOf(index));
+
+    const read = new Float64Array(source.channels.length);
+    const rgba = new Float64Array(4);
+    const write = new Float64Array(target.channels.length);
+    const decoded = new Float64Array(target.channels.length);
+    const inRange = new Uint8Array(target.channels.length);
+    const back = new Float64Array(source.channels.length);
+    const restored = new Float64Array(source.channels.length);
+    const scratch = new source.ArrayType(source.valuesPerPixel);
+    const dropped = new Set();
+    let rounded = 0, clamped = 0;
+
+    for (let pixel = 0; pixel < pixelCount; pixel++) {
+        source.read(input, pixel, read);
+
+        rgba[0] = rgba[1] = rgba[2] = 0;
+        rgba[3] = 1;
+        for (let i = 0; i < sourceIndices.length; i++) rgba[sourceIndices[i]] = read[i];
+
+        for (const index of droppedIndices) {
+            if (rgba[index] !== (index === 3 ? 1 : 0)) dropped.add(CHANNEL_NAMES[index]);
+        }
+
+        for (let i = 0; i < targetIndices.length; i++) {
+            const value = rgba[targetIndices[i]];
+            const [min, max] = target.ranges[i];
+            inRange[i] = value !== value ? target.float : value >= min && value <= max;
+
+            if (!inRange[i]) clamped++;
+            write[i] = inRange[i] ? value : value !== value ? 0 : Math.min(max, Math.max(min, value));
+        }
+
+        target.write(output, pixel, write, decoded);
+
+        // Round trip into the source type; channels the source lacks are compared as written
+        back.set(read);
+        for (let i = 0; i < sourceChannels.length; i++) {
+            if (sourceChannels[i] !== -1) back[sourceChannels[i]] = decoded[i];
+        }
+        source.write(scratch, 0, back, restored);
+
+        for (let i = 0; i < write.length; i++) {
+            const j = sourceChannels[i];
+            const exact = j === -1 ? _same(write[i], decoded[i]) : !inRange[i] || _same(read[j], restored[j]);
+            if (!exact) rounded++;
+        }
+    }
+
+    return {
+        data: output,
+        lossy: rounded > 0 || clamped > 0 || dropped.size > 0,
+        rounded, clamped,
+        dropped: CHANNEL_NAMES.filter(name => dropped.has(name))
+    };
+}
+
+/**
+ * Encodes a number as IEEE 754 half float bits (round to nearest even).
+ * Values beyond the half float range become infinity.
+ * @param {number} value - Value to encode
+ * @returns {number} 16-bit half float
+ */
+function toHalfFloat(value) {
+    _float[0] = value;
+    const x = _bits[0];
+
+    const sign = (x >>> 16) & 0x8000;
+    const exponent = (x >>> 23) & 0xFF;
+    let mantissa = x & 0x7FFFFF;
+
+    // Infinity and NaN
+    if (exponent === 0xFF) return sign | 0x7C00 | (mantissa ? 0x200 : 0);
+
+    const e = exponent - 127 + 15;
+    if (e >= 0x1F) return sign | 0x7C00;
+
+    // Subnormal halves: shift the implicit bit into the mantissa
+    if (e <= 0) {
+        if (e < -10) return sign;
+        mantissa |= 0x800000;
+        const shift = 14 - e;
+        const rest = mantissa & ((1 << shift) - 1);
+        const halfway = 1 << (shift - 1);
+        let half = mantissa >> shift;
+        if (rest > halfway || (rest === halfway && (half & 1))) half++;
+        return sign | half;
+    }
+
+    // Rounding may carry into the exponent, which is still correct
+    let half = sign | (e << 10) | (mantissa >> 13);
+    const rest = mantissa & 0x1FFF;
+    if (rest > 0x1000 || (rest === 0x1000 && (half & 1))) half++;
+    return half;
+}
+
+/**
+ * Decodes IEEE 754 half float bits
+ * @param {number} bits - 16-bit half float
+ * @returns {number}
+ */
+function fromHalfFloat(bits) {
+    const sign = bits & 0x8000 ? -1 : 1;
+    const exponent = (bits >> 10) & 0x1F;
+    const mantissa = bits & 0x3FF;
+
+    if (exponent === 0) return sign * mantissa * 2 ** -24;
+    if (exponent === 0x1F) return mantissa ? NaN : sign * Infinity;
+    return sign * (1 + mantissa / 1024) * 2 ** (exponent - 15);
+}
+
+/**
+ * @private
+ * Channels, value ranges and read/write functions of a format/type pair
+ */
+function _createCodec(format, type) {
+    const info = getFormatInfo(format);
+    if (!info) {
+        throw new Error(`Unknown texture format: ${format}`);
+    }
+    if (info.compressed) {
+        throw new Error(`Cannot convert pixels of compressed format ${info.name}`);
+    }
+
+    const channels = format === FORMAT_ALPHA ? ['a'] : CHANNEL_NAMES.slice(0, info.channels);
+    const typeInfo = _getTypeInfo(type);
+    const ArrayType = _getArrayType(type);
+    const integer = info.name.endsWith('_INTEGER');
+    const float = type === TYPE_FLOAT || type === TYPE_HALF_FLOAT;
+
+    if (integer && float) {
+        throw new Error(`Integer format ${info.name} cannot hold float type ${type}`);
+    }
+    if (format === FORMAT_DEPTH && type !== TYPE_UNSIGNED_SHORT && type !== TYPE_UNSIGNED_INT && type !== TYPE_FLOAT) {
+        throw new Error(`Unsupported depth texture type: ${type}`);
+    }
+    if (format === FORMAT_DEPTH_STENCIL && type !== TYPE_UNSIGNED_INT_24_8) {
+        throw new Error(`Depth-stencil pixels can only be converted as TYPE_UNSIGNED_INT_24_8, got ${type}`);
+    }
+
+    // Packed types hold the whole pixel in one value
+    if (typeInfo.components !== 1) {
+        if (typeInfo.components !== channels.length) {
+            throw new Error(`Packed texture type ${type} holds ${typeInfo.components} channels, ` +
+                `format ${info.name} has ${channels.length}`);
+        }
+        return { channels, ArrayType, valuesPerPixel: 1, float: false, ..._packedCodec(type) };
+    }
+
+    const { encode, decode, range } = _scalarCodec(type, integer);
+    const count = channels.length;
+
+    return {
+        channels, ArrayType, float,
+        valuesPerPixel: count,
+        ranges: channels.map(() => range),
+        read(array, pixel, out) {
+            for (let i = 0; i < count; i++) out[i] = decode(array[pixel * count + i]);
+        },
+        write(array, pixel, values, decoded) {
+            for (let i = 0; i < count; i++) {
+                const index = pixel * count + i;
+                array[index] = encode(values[i]);
+                decoded[i] = decode(array[index]);
+            }
+        }
+    };
+}
+
+/**
+ * @private
+ * Encoding of one channel value: normalized, integer or float
+ */
+function _scalarCodec(type, integer) {
+    if (type === TYPE_FLOAT) {
+        return { encode: v => v, decode: v => v, range: [-Infinity, Infinity] };
+    }
+    if (type === TYPE_HALF_FLOAT) {
+        return { encode: toHalfFloat, decode: fromHalfFloat, range: [-HALF_MAX, HALF_MAX] };
+    }
+
+    const bits = _getTypeInfo(type).byteSize * 8;
+    const signed = type === TYPE_BYTE || type === TYPE_SHORT || type === TYPE_INT;
+    const max = signed ? 2 ** (bits - 1) - 1 : 2 ** bits - 1;
+    const min = signed ? -max - 1 : 0;
+
+    if (integer) {
+        return { encode: Math.round, decode: v => v, range: [min, max] };
+    }
+    return {
+        encode: v => Math.round(v * max),
+        decode: v => Math.max(v / max, -1),
+        range: [signed ? -1 : 0, 1]
+    };
+}
+
+/**
+ * @private
+ * Encoding of the packed pixel types
+ */
+function _packedCodec(type) {
+    switch (type) {
+        case TYPE_UNSIGNED_SHORT_4444:
+            return _packedUnormCodec([4, 4, 4, 4]);
+        case TYPE_UNSIGNED_SHORT_5551:
+            return _packedUnormCodec([5, 5, 5, 1]);
+
+        // Unsigned 11, 11 and 10 bit floats, red in the low bits
+        case TYPE_UNSIGNED_INT_101111:
+            return {
+                ranges: [[0, UFLOAT11_MAX], [0, UFLOAT11_MAX], [0, UFLOAT10_MAX]],
+                read(array, pixel, out) {
+                    const x = array[pixel];
+                    out[0] = _decodeUnsignedFloat(x & 0x7FF, 6);
+                    out[1] = _decodeUnsignedFloat((x >>> 11) & 0x7FF, 6);
+                    out[2] = _decodeUnsignedFloat(x >>> 22, 5);
+                },
+                write(array, pixel, values, decoded) {
+                    const r = _encodeUnsignedFloat(values[0], 6);
+                    const g = _encodeUnsignedFloat(values[1], 6);
+                    const b = _encodeUnsignedFloat(values[2], 5);
+                    array[pixel] = (r | (g << 11) | (b << 22)) >>> 0;
+                    this.read(array, pixel, decoded);
+                }
+            };
+
+        // Three 9-bit mantissas with a shared 5-bit exponent
+        case TYPE_UNSIGNED_INT_5999:
+            return {
+                ranges: [[0, RGB9E5_MAX], [0, RGB9E5_MAX], [0, RGB9E5_MAX]],
+                read(array, pixel, out) {
+                    const x = array[pixel];
+                    const scale = 2 ** ((x >>> 27) - 15 - 9);
+                    out[0] = (x & 0x1FF) * scale;
+                    out[1] = ((x >>> 9) & 0x1FF) * scale;
+                    out[2] = ((x >>> 18) & 0x1FF) * scale;
+                },
+                write(array, pixel, values, decoded) {
+                    array[pixel] = _encodeRGB9E5(values[0], values[1], values[2]);
+                    this.read(array, pixel, decoded);
+                }
+            };
+
+        // Normalized 24-bit depth in the high bits, 8-bit stencil in the low bits
+        case TYPE_UNSIGNED_INT_24_8:
+            return {
+                ranges: [[0, 1], [0, 255]],
+                read(array, pixel, out) {
+                    const x = array[pixel];
+                    out[0] = (x >>> 8) / 0xFFFFFF;
+                    out[1] = x & 0xFF;
+                },
+                write(array, pixel, values, decoded) {
+                    array[pixel] = Math.round(values[0] * 0xFFFFFF) * 256 + Math.round(values[1]);
+                    this.read(array, pixel, decoded);
+                }
+            };
+
+        default:
+            throw new Error(`Unknown packed texture type: ${type}`);
+    }
+}
+
+/**
+ * @private
+ * Normalized channels packed from the high bits down, first channel highest
+ */
+function _packedUnormCodec(bits) {
+    const shifts = [];
+    let shift = bits.reduce((sum, b) => sum + b, 0);
+    for (const b of bits) {
+        shift -= b;
+        shifts.push(shift);
+    }
+    const maxima = bits.map(b => 2 ** b - 1);
+
+    return {
+        ranges: bits.map(() => [0, 1]),
+        read(array, pixel, out) {
+            const x = array[pixel];
+            for (let i = 0; i < bits.length; i++) out[i] = ((x >> shifts[i]) & maxima[i]) / maxima[i];
+        },
+        write(array, pixel, values, decoded) {
+            let x = 0;
+            for (let i = 0; i < bits.length; i++) x |= Math.round(values[i] * maxima[i]) << shifts[i];
+            array[pixel] = x;
+            this.read(array, pixel, decoded);
+        }
+    };
+}
+
+/**
+ * @private
+ * Unsigned float with a 5-bit exponent (bias 15) and the given mantissa
+ * bits, as used by TYPE_UNSIGNED_INT_101111; expects a value in range
+ */
+function _encodeUnsignedFloat(value, mantissaBits) {
+    if (!(value > 0)) return 0;
+
+    const one = 2 ** mantissaBits;
+    let exponent = Math.max(-14, Math.floor(Math.log2(value)));
+    if (value < 2 ** exponent && exponent > -14) exponent--;
+    else if (value >= 2 ** (exponent + 1)) exponent++;
+
+    let mantissa = Math.round(value / 2 ** exponent * one);
+    if (mantissa >= 2 * one) {
+        mantissa /= 2;
+        exponent++;
+    }
+
+    // Below the smallest normal the exponent field is 0
+    if (mantissa < one) return mantissa;
+    return ((exponent + 15) << mantissaBits) | (mantissa - one);
+}
+
+/**
+ * @private
+ */
+function _decodeUnsignedFloat(bits, mantissaBits) {
+    const one = 2 ** mantissaBits;
+    const exponent = bits >> mantissaBits;
+    const mantissa = bits & (one - 1);
+
+    if (exponent === 0) return mantissa * 2 ** (-14 - mantissaBits);
+    return (1 + mantissa / one) * 2 ** (exponent - 15);
+}
+
+/**
+ * @private
+ * Shared exponent encoding of the EXT_texture_shared_exponent spec;
+ * expects values in range
+ */
+function _encodeRGB9E5(r, g, b) {
+    const maxValue = Math.max(r, g, b);
+    let exponent = Math.max(-16, Math.floor(Math.log2(maxValue))) + 16;
+
+    if (Math.floor(maxValue / 2 ** (exponent - 15 - 9) + 0.5) === 512) exponent++;
+
+    const scale = 2 ** (exponent - 15 - 9);
+    const rs = Math.floor(r / scale + 0.5);
+    const gs = Math.floor(g / scale + 0.5);
+    const bs = Math.floor(b / scale + 0.5);
+    return (rs | (gs << 9) | (bs << 18) | (exponent << 27)) >>> 0;
+}
+
+/**
+ * @private
+ * Typed array class for a type, sized by _getTypeInfo
+ */
+function _getArrayType(type) {
+    if (type === TYPE_FLOAT) return Float32Array;
+
+    const { byteSize } = _getTypeInfo(type);
+    const signed = type === TYPE_BYTE || type === TYPE_SHORT || type === TYPE_INT;
+    if (byteSize === 1) return signed ? Int8Array : Uint8Array;
+    if (byteSize === 2) return signed ? Int16Array : Uint16Array;
+    return signed ? Int32Array : Uint32Array;
+}
+
+/**
+ * @private
+ * Views raw bytes as the array type of a texture type
+ */
+function _view(data, ArrayType, type) {
+    if (data instanceof ArrayType) return data;
+    if (data instanceof ArrayBuffer) return new ArrayType(data);
+
+    if (data instanceof Uint8Array || data instanceof Uint8ClampedArray || data instanceof DataView) {
+        const size = ArrayType.BYTES_PER_ELEMENT;
+        if (data.byteOffset % size !== 0 || data.byteLength % size !== 0) {
+            throw new Error(`Pixel bytes are not aligned to the ${size}-byte values of type ${type}`);
+        }
+        return new ArrayType(data.buffer, data.byteOffset, data.byteLength / size);
+    }
+
+    throw new Error(`Pixel data of type ${type} must be a ${ArrayType.name}, an ArrayBuffer or bytes, ` +
+        `got ${data && data.constructor ? data.constructor.name : data}`);
+}
+
+/**
+ * @private
+ */
+function _same(a, b) {
+    if (a === b || (a !== a && b !== b)) return true;
+    return Math.abs(a - b) <= EPSILON * Math.max(1, Math.abs(a));
+}
+
+export { convertPixels, toHalfFloat, fromHalfFloat };
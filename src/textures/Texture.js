@@ -0,0 +1,193 @@
+/**
+ * DSRT Graphics Engine - Texture
+ * @module dsrt-docs/src/textures/Texture.js
+ * @version 1.0.0
+ * @license MIT
+ * @copyright DSRT Engine Team
+ */
+
+import { Vec2 } from '../math/Vec2.js';
+import { EventDispatcher } from '../core/EventDispatcher.js';
+import {
+    MAPPING_UV,
+    WRAP_CLAMP_TO_EDGE,
+    FILTER_LINEAR, FILTER_LINEAR_MIPMAP_LINEAR,
+    FORMAT_RGBA,
+    TYPE_UNSIGNED_BYTE,
+    COLOR_SPACE_NONE
+} from '../Constants.js';
+
+let textureId = 0;
+
+// Settings the constructor options may set
+const SETTINGS = [
+    'name', 'generateMipmaps',
+    'mapping', 'wrapS', 'wrapT', 'magFilter', 'minFilter',
+    'format', 'type', 'colorSpace', 'rotation'
+];
+
+// UV transform vectors, copied into the texture's own Vec2
+const VECTOR_SETTINGS = ['tiling', 'offset', 'center'];
+
+/**
+ * Image data plus the sampling state a renderer needs to upload and bind it.
+ * Renderers compare version with the version they last uploaded; set
+ * needsUpdate after changing source, mipmaps or any upload parameter.
+ * tiling, offset, rotation and center describe the UV transform, as used
+ * by the fitting functions in TextureUtils.
+ * @class
+ * @example
+ * const texture = new Texture(image);
+ * texture.wrapS = texture.wrapT = WRAP_REPEAT;
+ * texture.tiling.set(4, 4);
+ * texture.needsUpdate = true;
+ */
+class Texture extends EventDispatcher {
+
+    /**
+     * @param {Object|Object[]} [source=null] - Image, canvas, video, ImageBitmap or
+     *   {data, width, height} for raw pixel data; an array of six for cube maps
+     * @param {Object} [options] - Initial settings: name, generateMipmaps, mipmaps, mapping,
+     *   wrapS, wrapT, magFilter, minFilter, format, type, colorSpace, rotation, and tiling,
+     *   offset and center (copied, not kept); other keys are ignored
+     */
+    constructor(source = null, options = {}) {
+        super();
+
+        /** @type {number} Unique id */
+        this.id = textureId++;
+        /** @type {string} */
+        this.name = '';
+
+        /** @type {Object|Object[]|null} Image data, or the six faces of a cube map */
+        this.source = source;
+        /** @type {Object[]} Pre-built mip levels, largest first (empty to generate them) */
+        this.mipmaps = [];
+        /** @type {boolean} Build mipmaps on upload when none are given */
+        this.generateMipmaps = true;
+
+        /** @type {number} MAPPING_* constant */
+        this.mapping = MAPPING_UV;
+        /** @type {number} WRAP_* constant for u */
+        this.wrapS = WRAP_CLAMP_TO_EDGE;
+        /** @type {number} WRAP_* constant for v */
+        this.wrapT = WRAP_CLAMP_TO_EDGE;
+        /** @type {number} FILTER_* constant for magnification */
+        this.magFilter = FILTER_LINEAR;
+        /** @type {number} FILTER_* constant for minification */
+        this.minFilter = FILTER_LINEAR_MIPMAP_LINEAR;
+
+        /** @type {number} FORMAT_* constant */
+        this.format = FORMAT_RGBA;
+        /** @type {number} TYPE_* constant */
+        this.type = TYPE_UNSIGNED_BYTE;
+        /** @type {string} COLOR_SPACE_* constant */
+        this.colorSpace = COLOR_SPACE_NONE;
+
+        /** @type {Vec2} UV scale */
+        this.tiling = new Vec2(1, 1);
+        /** @type {Vec2} UV translation */
+        this.offset = new Vec2(0, 0);
+        /** @type {number} UV rotation in radians, around center */
+        this.rotation = 0;
+        /** @type {Vec2} Pivot of the UV rotation */
+        this.center = new Vec2(0, 0);
+
+        /** @type {number} Incremented whenever the texture has to be uploaded again */
+        this.version = 0;
+
+        for (const key of SETTINGS) {
+            if (options[key] !== undefined) this[key] = options[key];
+        }
+        for (const key of VECTOR_SETTINGS) {
+            if (options[key]) this[key].copy(options[key]);
+        }
+        if (options.mipmaps) this.mipmaps = options.mipmaps.slice();
+    }
+
+    /**
+     * Width of the source in pixels (0 without source); for cube maps given
+     * as an array of six images, the width of the first
+     * @type {number}
+     */
+    get width() {
+        const source = getImage(this.source);
+        if (!source) return 0;
+        return source.videoWidth || source.width || 0;
+    }
+
+    /**
+     * Height of the source in pixels (0 without source); for cube maps given
+     * as an array of six images, the height of the first
+     * @type {number}
+     */
+    get height() {
+        const source = getImage(this.source);
+        if (!source) return 0;
+        return source.videoHeight || source.height || 0;
+    }
+
+    /**
+     * Marks the texture for re-upload when set to true
+     * @type {boolean}
+     */
+    set needsUpdate(value) {
+        if (value) this.version++;
+    }
+
+    /**
+     * Tells renderers and caches to release GPU resources of this texture
+     * by dispatching a 'dispose' event (see {@link EventDispatcher})
+     */
+    dispose() {
+        this.dispatchEvent({ type: 'dispose' });
+    }
+
+    /**
+     * Copies the source and all settings of another texture; listeners are not copied
+     * @param {Texture} texture - Texture to copy
+     * @returns {Texture} This texture
+     */
+    copy(texture) {
+        this.name = texture.name;
+        this.source = texture.source;
+        this.mipmaps = texture.mipmaps.slice();
+        this.generateMipmaps = texture.generateMipmaps;
+
+        this.mapping = texture.mapping;
+        this.wrapS = texture.wrapS;
+        this.wrapT = texture.wrapT;
+        this.magFilter = texture.magFilter;
+        this.minFilter = texture.minFilter;
+
+        this.format = texture.format;
+        this.type = texture.type;
+        this.colorSpace = texture.colorSpace;
+
+        this.tiling.copy(texture.tiling);
+        this.offset.copy(texture.offset);
+        this.rotation = texture.rotation;
+        this.center.copy(texture.center);
+
+        this.needsUpdate = true;
+        return this;
+    }
+
+    /**
+     * Creates a new texture with the same source and settings
+     * @returns {Texture}
+     */
+    clone() {
+        return new this.constructor().copy(this);
+    }
+}
+
+/**
+ * @private
+ * First image of a source, which may be an array of cube faces
+ */
+function getImage(source) {
+    return Array.isArray(source) ? source[0] : source;
+}
+
+export { Texture };
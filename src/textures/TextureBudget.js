@@ -0,0 +1,363 @@
+/**
+ * DSRT Graphics Engine - Texture Memory Budget
+ * @module dsrt-docs/src/textures/TextureBudget.js
+ * @version 1.0.0
+ * @license MIT
+ * @copyright DSRT Engine Team
+ */
+
+import { EventDispatcher } from '../core/EventDispatcher.js';
+import { TextureUtilities } from './TextureUtils.js';
+import {
+    FILTER_NEAREST, FILTER_LINEAR,
+    MAPPING_CUBE_REFLECTION, MAPPING_CUBE_REFRACTION
+} from '../Constants.js';
+
+/**
+ * Eviction orderings: comparators over budget entries, first entry is
+ * dropped first
+ * @namespace EvictionPolicies
+ */
+const EvictionPolicies = {
+    /**
+     * Least recently used first
+     * @memberof EvictionPolicies
+     */
+    lru: (a, b) => a.lastUsed - b.lastUsed,
+
+    /**
+     * Lowest priority first, least recently used among equals
+     * @memberof EvictionPolicies
+     */
+    priority: (a, b) => a.priority - b.priority || a.lastUsed - b.lastUsed,
+
+    /**
+     * Farthest from the camera first, least recently used among equals
+     * @memberof EvictionPolicies
+     */
+    distance: (a, b) => b.distance - a.distance || a.lastUsed - b.lastUsed
+};
+
+/**
+ * Registry that tracks the GPU memory of textures against a soft and a
+ * hard limit. Sizes come from {@link TextureUtilities.getMemory} (all mip
+ * levels and cube faces). Crossing a limit in either direction dispatches
+ * a 'softlimit' or 'hardlimit' event with {exceeded, total, limit}; the
+ * budget itself never frees anything, it only proposes what to drop with
+ * {@link TextureBudget#getEvictionCandidates}.
+ * Disposed textures are unregistered automatically.
+ * @class
+ * @example
+ * const budget = new TextureBudget({ softLimit: 256 * 2 ** 20, hardLimit: 384 * 2 ** 20 });
+ * budget.addEventListener('softlimit', event => {
+ *     if (!event.exceeded) return;
+ *     for (const { texture, action } of budget.getEvictionCandidates()) unload(texture, action);
+ * });
+ * budget.register(albedo, { category: 'terrain', priority: 2 });
+ */
+class TextureBudget extends EventDispatcher {
+
+    /**
+     * @param {Object} [options] - Budget options
+     * @param {number} [options.softLimit=Infinity] - Bytes above which eviction should start
+     * @param {number} [options.hardLimit=Infinity] - Bytes that must not be exceeded
+     * @param {string|Function} [options.policy='lru'] - Default eviction policy: 'lru',
+     *   'priority', 'distance' or a comparator over entries (first is evicted first)
+     */
+    constructor(options = {}) {
+        super();
+
+        const { softLimit = Infinity, hardLimit = Infinity, policy = 'lru' } = options;
+
+        /** @type {number} */
+        this.softLimit = softLimit;
+        /** @type {number} */
+        this.hardLimit = hardLimit;
+        /** @type {string|Function} */
+        this.policy = policy;
+
+        /** @type {number} Bytes of all registered textures */
+        this.total = 0;
+
+        this._entries = new Map();
+        this._categories = new Map();
+        this._clock = 0;
+        this._softExceeded = false;
+        this._hardExceeded = false;
+    }
+
+    /**
+     * Starts tracking a texture, or updates the options of a tracked one
+     * @param {Texture} texture - Texture to track
+     * @param {Object} [options] - Tracking options
+     * @param {string} [options.category='default'] - Category the bytes are counted under
+     * @param {number} [options.priority=0] - Higher priorities are kept longer
+     * @param {number} [options.distance=0] - Distance from the viewer, for the 'distance' policy
+     * @param {number} [options.bytes] - Size override (default: computed from the texture)
+     * @returns {Object} Budget entry of the texture
+     */
+    register(texture, options = {}) {
+        let entry = this._entries.get(texture);
+        const bytesOverride = options.bytes !== undefined ? options.bytes : entry && entry.bytesOverride;
+
+        // Measure first: a texture that cannot be measured leaves the budget as it was
+        const { bytes, levels } = this._measure(texture, bytesOverride);
+
+        if (!entry) {
+            entry = {
+                texture,
+                category: 'default',
+                priority: 0,
+                distance: 0,
+                bytes: 0,
+                levels: [],
+                lastUsed: this._clock++,
+                bytesOverride: undefined,
+                onDispose: () => this.unregister(texture)
+            };
+            this._entries.set(texture, entry);
+            texture.addEventListener('dispose', entry.onDispose);
+        } else {
+            this._count(entry, -1);
+        }
+
+        const { category = entry.category, priority = entry.priority, distance = entry.distance } = options;
+        entry.category = category;
+        entry.priority = priority;
+        entry.distance = distance;
+        entry.bytesOverride = bytesOverride;
+        entry.bytes = bytes;
+        entry.levels = levels;
+
+        this._count(entry, 1);
+        this._checkLimits();
+        return entry;
+    }
+
+    /**
+     * Stops tracking a texture
+     * @param {Texture} texture - Tracked texture
+     * @returns {boolean} Whether the texture was tracked
+     */
+    unregister(texture) {
+        const entry = this._entries.get(texture);
+        if (!entry) return false;
+
+        texture.removeEventListener('dispose', entry.onDispose);
+        this._entries.delete(texture);
+        this._count(entry, -1);
+        this._checkLimits();
+        return true;
+    }
+
+    /**
+     * Re-measures a tracked texture after its size, format or mipmaps changed
+     * @param {Texture} texture - Tracked texture
+     */
+    update(texture) {
+        const entry = this._entries.get(texture);
+        if (!entry) return;
+
+        const { bytes, levels } = this._measure(texture, entry.bytesOverride);
+        this._count(entry, -1);
+        entry.bytes = bytes;
+        entry.levels = levels;
+        this._count(entry, 1);
+        this._checkLimits();
+    }
+
+    /**
+     * Marks a texture as used now, for the 'lru' policy
+     * @param {Texture} texture - Tracked texture
+     * @param {number} [distance] - New distance from the viewer
+     */
+    touch(texture, distance) {
+        const entry = this._entries.get(texture);
+        if (!entry) return;
+
+        entry.lastUsed = this._clock++;
+        if (distance !== undefined) entry.distance = distance;
+    }
+
+    /**
+     * Checks if a texture is tracked
+     * @param {Texture} texture - Texture to look up
+     * @returns {boolean}
+     */
+    has(texture) {
+        return this._entries.has(texture);
+    }
+
+    /**
+     * Bytes counted under a category
+     * @param {string} category - Category name
+     * @returns {number}
+     */
+    getCategoryTotal(category) {
+        const totals = this._categories.get(category);
+        return totals ? totals.bytes : 0;
+    }
+
+    /**
+     * Proposes textures to drop, or to shrink by their largest mip level,
+     * until the given number of bytes is freed. Each texture is listed at
+     * most once, in policy order.
+     * @param {number} [bytesToFree] - Bytes to free (default: the amount above the soft limit)
+     * @param {Object} [options] - Eviction options
+     * @param {string|Function} [options.policy] - Policy for this call (default: the budget's)
+     * @param {boolean} [options.downscale=false] - Shrink textures that have more than one mip
+     *   level instead of dropping them
+     * @returns {Array<{texture: Texture, action: string, bytes: number}>} Textures with the
+     *   action ('evict' or 'downscale') and the bytes it frees
+     */
+    getEvictionCandidates(bytesToFree = this.total - this.softLimit, options = {}) {
+        const { policy = this.policy, downscale = false } = options;
+        const compare = typeof policy === 'function' ? policy : EvictionPolicies[policy];
+
+        if (!compare) {
+            throw new Error(`Unknown eviction policy: ${policy}`);
+        }
+
+        const candidates = [];
+        if (!(bytesToFree > 0)) return candidates;
+
+        const entries = Array.from(this._entries.values()).sort(compare);
+        let freed = 0;
+
+        for (const entry of entries) {
+            if (freed >= bytesToFree) break;
+            if (entry.bytes === 0) continue;
+
+            const shrink = downscale && entry.levels.length > 1;
+            const bytes = shrink ? entry.levels[0].bytes : entry.bytes;
+            candidates.push({ texture: entry.texture, action: shrink ? 'downscale' : 'evict', bytes });
+            freed += bytes;
+        }
+        return candidates;
+    }
+
+    /**
+     * Current usage as plain data, e.g. for JSON dumps in CI
+     * @returns {{total: number, softLimit: number, hardLimit: number,
+     *   categories: Object<string, {bytes: number, count: number}>,
+     *   textures: Array<{id: number, name: string, category: string, bytes: number,
+     *   mipLevels: number, priority: number, distance: number, lastUsed: number}>}}
+     *   Textures are sorted by size, largest first
+     */
+    snapshot() {
+        const categories = {};
+        for (const [name, totals] of this._categories) categories[name] = { ...totals };
+
+        const textures = Array.from(this._entries.values(), entry => ({
+            id: entry.texture.id,
+            name: entry.texture.name,
+            category: entry.category,
+            bytes: entry.bytes,
+            mipLevels: entry.levels.length,
+            priority: entry.priority,
+            distance: entry.distance,
+            lastUsed: entry.lastUsed
+        }));
+        textures.sort((a, b) => b.bytes - a.bytes);
+
+        return { total: this.total, softLimit: this.softLimit, hardLimit: this.hardLimit, categories, textures };
+    }
+
+    /**
+     * Human-readable usage summary: totals, limits and bytes per category
+     * @param {number} [top=10] - Number of largest textures to list
+     * @returns {string}
+     */
+    report(top = 10) {
+        const { total, categories, textures } = this.snapshot();
+        const lines = [`Texture memory: ${formatBytes(total)}` +
+            ` (soft limit ${formatBytes(this.softLimit)}, hard limit ${formatBytes(this.hardLimit)})`];
+
+        for (const name of Object.keys(categories).sort()) {
+            const { bytes, count } = categories[name];
+            lines.push(`  ${name}: ${formatBytes(bytes)} in ${count} texture${count === 1 ? '' : 's'}`);
+        }
+        for (const texture of textures.slice(0, top)) {
+            lines.push(`  #${texture.id} ${texture.name || '(unnamed)'} [${texture.category}]: ${formatBytes(texture.bytes)}`);
+        }
+        return lines.join('\n');
+    }
+
+    // Size of a texture, without touching any entry; throws for unsupported formats
+    _measure(texture, bytesOverride) {
+        const width = texture.width, height = texture.height;
+
+        if (bytesOverride !== undefined) {
+            return { bytes: bytesOverride, levels: [{ level: 0, width, height, depth: 1, bytes: bytesOverride }] };
+        }
+        if (!width || !height) return { bytes: 0, levels: [] };
+
+        const memory = TextureUtilities.getMemory({
+            width, height,
+            cube: texture.mapping === MAPPING_CUBE_REFLECTION || texture.mapping === MAPPING_CUBE_REFRACTION,
+            mipLevels: getMipLevelCount(texture, width, height),
+            format: texture.format,
+            type: texture.type
+        });
+        return { bytes: memory.total, levels: memory.levels };
+    }
+
+    // Adds (sign 1) or removes (sign -1) an entry from the totals
+    _count(entry, sign) {
+        this.total += sign * entry.bytes;
+
+        let totals = this._categories.get(entry.category);
+        if (!totals) {
+            totals = { bytes: 0, count: 0 };
+            this._categories.set(entry.category, totals);
+        }
+        totals.bytes += sign * entry.bytes;
+        totals.count += sign;
+        if (totals.count === 0) this._categories.delete(entry.category);
+    }
+
+    // Dispatches limit events when the total moves across a limit
+    _checkLimits() {
+        const soft = this.total > this.softLimit;
+        const hard = this.total > this.hardLimit;
+
+        if (soft !== this._softExceeded) {
+            this._softExceeded = soft;
+            this.dispatchEvent({ type: 'softlimit', exceeded: soft, total: this.total, limit: this.softLimit });
+        }
+        if (hard !== this._hardExceeded) {
+            this._hardExceeded = hard;
+            this.dispatchEvent({ type: 'hardlimit', exceeded: hard, total: this.total, limit: this.hardLimit });
+        }
+    }
+}
+
+/**
+ * @private
+ * Mip levels a texture occupies on the GPU: the given mipmaps, a full
+ * chain when they are generated for a mipmapped filter, otherwise one
+ */
+function getMipLevelCount(texture, width, height) {
+    if (texture.mipmaps.length) return texture.mipmaps.length;
+
+    const mipmapped = texture.minFilter !== FILTER_NEAREST && texture.minFilter !== FILTER_LINEAR;
+    return texture.generateMipmaps && mipmapped ? TextureUtilities.getMipmapLevels(width, height) : 1;
+}
+
+/**
+ * @private
+ * Formats a byte count with a binary unit
+ */
+function formatBytes(bytes) {
+    if (bytes === Infinity) return 'none';
+
+    const units = ['B', 'KiB', 'MiB', 'GiB'];
+    let unit = 0;
+    while (bytes >= 1024 && unit < units.length - 1) {
+        bytes /= 1024;
+        unit++;
+    }
+    return `${unit ? bytes.toFixed(1) : bytes} ${units[unit]}`;
+}
+
+export { TextureBudget, EvictionPolicies };
@@ -0,0 +1,521 @@
+/**
+ * DSRT Graphics Engine - Texture Container Parsers (KTX2, DDS)
+ * @module dsrt-docs/src/textures/TextureContainers.js
+ * @version 1.0.0
+ * @license MIT
+ * @copyright DSRT Engine Team
+ */
+
+import { calculateTextureSize } from './TextureUtils.js';
+import {
+    FORMAT_ALPHA, FORMAT_RED, FORMAT_RG, FORMAT_RGB, FORMAT_RGBA, FORMAT_DEPTH, FORMAT_DEPTH_STENCIL,
+    FORMAT_RED_INTEGER, FORMAT_RG_INTEGER, FORMAT_RGBA_INTEGER,
+    FORMAT_RGB_S3TC_DXT1, FORMAT_RGBA_S3TC_DXT1, FORMAT_RGBA_S3TC_DXT3, FORMAT_RGBA_S3TC_DXT5,
+    FORMAT_RGBA_PVRTC_2BPPV1, FORMAT_RGBA_PVRTC_4BPPV1,
+    FORMAT_RGB_ETC1, FORMAT_RGB_ETC2, FORMAT_RGBA_ETC2_EAC, FORMAT_R11_EAC, FORMAT_SIGNED_R11_EAC,
+    FORMAT_RG11_EAC, FORMAT_SIGNED_RG11_EAC,
+    FORMAT_RGBA_ASTC_4x4, FORMAT_RGBA_ASTC_5x4, FORMAT_RGBA_ASTC_5x5, FORMAT_RGBA_ASTC_6x5,
+    FORMAT_RGBA_ASTC_6x6, FORMAT_RGBA_ASTC_8x5, FORMAT_RGBA_ASTC_8x6, FORMAT_RGBA_ASTC_8x8,
+    FORMAT_RGBA_ASTC_10x5, FORMAT_RGBA_ASTC_10x6, FORMAT_RGBA_ASTC_10x8, FORMAT_RGBA_ASTC_10x10,
+    FORMAT_RGBA_ASTC_12x10, FORMAT_RGBA_ASTC_12x12,
+    FORMAT_RGBA_BPTC, FORMAT_RGB_BPTC_SIGNED, FORMAT_RGB_BPTC_UNSIGNED,
+    FORMAT_RED_RGTC1, FORMAT_SIGNED_RED_RGTC1, FORMAT_RED_GREEN_RGTC2, FORMAT_SIGNED_RED_GREEN_RGTC2,
+    TYPE_UNSIGNED_BYTE, TYPE_UNSIGNED_SHORT, TYPE_UNSIGNED_INT, TYPE_HALF_FLOAT, TYPE_FLOAT,
+    TYPE_UNSIGNED_INT_24_8, TYPE_UNSIGNED_INT_5999, TYPE_UNSIGNED_INT_101111,
+    COLOR_SPACE_NONE, COLOR_SPACE_SRGB
+} from '../Constants.js';
+
+// «KTX 20»\r\n\x1A\n
+const KTX2_IDENTIFIER = [0xAB, 0x4B, 0x54, 0x58, 0x20, 0x32, 0x30, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A];
+const KTX2_HEADER_LENGTH = 80;
+const KTX2_LEVEL_INDEX_ENTRY_LENGTH = 24;
+
+const KTX2_SUPERCOMPRESSION = ['none', 'basislz', 'zstd', 'zlib'];
+
+// 'DDS ' read as a little-endian uint32
+const DDS_MAGIC = 0x20534444;
+const DDS_HEADER_LENGTH = 128;
+const DDS_DX10_HEADER_LENGTH = 20;
+
+// DDS header, pixel format and caps flags
+const DDSD_MIPMAPCOUNT = 0x20000;
+const DDSD_DEPTH = 0x800000;
+const DDPF_ALPHAPIXELS = 0x1;
+const DDPF_ALPHA = 0x2;
+const DDPF_FOURCC = 0x4;
+const DDPF_RGB = 0x40;
+const DDPF_LUMINANCE = 0x20000;
+const DDSCAPS2_CUBEMAP = 0x200;
+const DDSCAPS2_VOLUME = 0x200000;
+
+// DX10 header values
+const DDS_DIMENSION_TEXTURE3D = 4;
+const DDS_RESOURCE_MISC_TEXTURECUBE = 0x4;
+
+/**
+ * @private
+ * Vulkan format (KTX2 vkFormat) to [format, type, sRGB]
+ */
+const VK_FORMATS = {
+    9: [FORMAT_RED, TYPE_UNSIGNED_BYTE, false],                 // R8_UNORM
+    13: [FORMAT_RED_INTEGER, TYPE_UNSIGNED_BYTE, false],        // R8_UINT
+    15: [FORMAT_RED, TYPE_UNSIGNED_BYTE, true],                 // R8_SRGB
+    16: [FORMAT_RG, TYPE_UNSIGNED_BYTE, false],                 // R8G8_UNORM
+    20: [FORMAT_RG_INTEGER, TYPE_UNSIGNED_BYTE, false],         // R8G8_UINT
+    22: [FORMAT_RG, TYPE_UNSIGNED_BYTE, true],                  // R8G8_SRGB
+    23: [FORMAT_RGB, TYPE_UNSIGNED_BYTE, false],                // R8G8B8_UNORM
+    29: [FORMAT_RGB, TYPE_UNSIGNED_BYTE, true],                 // R8G8B8_SRGB
+    37: [FORMAT_RGBA, TYPE_UNSIGNED_BYTE, false],               // R8G8B8A8_UNORM
+    41: [FORMAT_RGBA_INTEGER, TYPE_UNSIGNED_BYTE, false],       // R8G8B8A8_UINT
+    43: [FORMAT_RGBA, TYPE_UNSIGNED_BYTE, true],                // R8G8B8A8_SRGB
+    76: [FORMAT_RED, TYPE_HALF_FLOAT, false],                   // R16_SFLOAT
+    83: [FORMAT_RG, TYPE_HALF_FLOAT, false],                    // R16G16_SFLOAT
+    90: [FORMAT_RGB, TYPE_HALF_FLOAT, false],                   // R16G16B16_SFLOAT
+    97: [FORMAT_RGBA, TYPE_HALF_FLOAT, false],                  // R16G16B16A16_SFLOAT
+    100: [FORMAT_RED, TYPE_FLOAT, false],                       // R32_SFLOAT
+    103: [FORMAT_RG, TYPE_FLOAT, false],                        // R32G32_SFLOAT
+    106: [FORMAT_RGB, TYPE_FLOAT, false],                       // R32G32B32_SFLOAT
+    109: [FORMAT_RGBA, TYPE_FLOAT, false],                      // R32G32B32A32_SFLOAT
+    122: [FORMAT_RGB, TYPE_UNSIGNED_INT_101111, false],         // B10G11R11_UFLOAT_PACK32
+    123: [FORMAT_RGB, TYPE_UNSIGNED_INT_5999, false],           // E5B9G9R9_UFLOAT_PACK32
+    124: [FORMAT_DEPTH, TYPE_UNSIGNED_SHORT, false],            // D16_UNORM
+    125: [FORMAT_DEPTH, TYPE_UNSIGNED_INT, false],              // X8_D24_UNORM_PACK32
+    126: [FORMAT_DEPTH, TYPE_FLOAT, false],                     // D32_SFLOAT
+    129: [FORMAT_DEPTH_STENCIL, TYPE_UNSIGNED_INT_24_8, false], // D24_UNORM_S8_UINT
+    130: [FORMAT_DEPTH_STENCIL, TYPE_FLOAT, false],             // D32_SFLOAT_S8_UINT
+    131: [FORMAT_RGB_S3TC_DXT1, TYPE_UNSIGNED_BYTE, false],     // BC1_RGB_UNORM_BLOCK
+    132: [FORMAT_RGB_S3TC_DXT1, TYPE_UNSIGNED_BYTE, true],
+    133: [FORMAT_RGBA_S3TC_DXT1, TYPE_UNSIGNED_BYTE, false],    // BC1_RGBA_UNORM_BLOCK
+    134: [FORMAT_RGBA_S3TC_DXT1, TYPE_UNSIGNED_BYTE, true],
+    135: [FORMAT_RGBA_S3TC_DXT3, TYPE_UNSIGNED_BYTE, false],    // BC2_UNORM_BLOCK
+    136: [FORMAT_RGBA_S3TC_DXT3, TYPE_UNSIGNED_BYTE, true],
+    137: [FORMAT_RGBA_S3TC_DXT5, TYPE_UNSIGNED_BYTE, false],    // BC3_UNORM_BLOCK
+    138: [FORMAT_RGBA_S3TC_DXT5, TYPE_UNSIGNED_BYTE, true],
+    139: [FORMAT_RED_RGTC1, TYPE_UNSIGNED_BYTE, false],         // BC4_UNORM_BLOCK
+    140: [FORMAT_SIGNED_RED_RGTC1, TYPE_UNSIGNED_BYTE, false],
+    141: [FORMAT_RED_GREEN_RGTC2, TYPE_UNSIGNED_BYTE, false],   // BC5_UNORM_BLOCK
+    142: [FORMAT_SIGNED_RED_GREEN_RGTC2, TYPE_UNSIGNED_BYTE, false],
+    143: [FORMAT_RGB_BPTC_UNSIGNED, TYPE_UNSIGNED_BYTE, false], // BC6H_UFLOAT_BLOCK
+    144: [FORMAT_RGB_BPTC_SIGNED, TYPE_UNSIGNED_BYTE, false],
+    145: [FORMAT_RGBA_BPTC, TYPE_UNSIGNED_BYTE, false],         // BC7_UNORM_BLOCK
+    146: [FORMAT_RGBA_BPTC, TYPE_UNSIGNED_BYTE, true],
+    147: [FORMAT_RGB_ETC2, TYPE_UNSIGNED_BYTE, false],          // ETC2_R8G8B8_UNORM_BLOCK
+    148: [FORMAT_RGB_ETC2, TYPE_UNSIGNED_BYTE, true],
+    151: [FORMAT_RGBA_ETC2_EAC, TYPE_UNSIGNED_BYTE, false],     // ETC2_R8G8B8A8_UNORM_BLOCK
+    152: [FORMAT_RGBA_ETC2_EAC, TYPE_UNSIGNED_BYTE, true],
+    153: [FORMAT_R11_EAC, TYPE_UNSIGNED_BYTE, false],           // EAC_R11_UNORM_BLOCK
+    154: [FORMAT_SIGNED_R11_EAC, TYPE_UNSIGNED_BYTE, false],
+    155: [FORMAT_RG11_EAC, TYPE_UNSIGNED_BYTE, false],          // EAC_R11G11_UNORM_BLOCK
+    156: [FORMAT_SIGNED_RG11_EAC, TYPE_UNSIGNED_BYTE, false],
+    157: [FORMAT_RGBA_ASTC_4x4, TYPE_UNSIGNED_BYTE, false],     // ASTC_4x4_UNORM_BLOCK
+    158: [FORMAT_RGBA_ASTC_4x4, TYPE_UNSIGNED_BYTE, true],
+    159: [FORMAT_RGBA_ASTC_5x4, TYPE_UNSIGNED_BYTE, false],
+    160: [FORMAT_RGBA_ASTC_5x4, TYPE_UNSIGNED_BYTE, true],
+    161: [FORMAT_RGBA_ASTC_5x5, TYPE_UNSIGNED_BYTE, false],
+    162: [FORMAT_RGBA_ASTC_5x5, TYPE_UNSIGNED_BYTE, true],
+    163: [FORMAT_RGBA_ASTC_6x5, TYPE_UNSIGNED_BYTE, false],
+    164: [FORMAT_RGBA_ASTC_6x5, TYPE_UNSIGNED_BYTE, true],
+    165: [FORMAT_RGBA_ASTC_6x6, TYPE_UNSIGNED_BYTE, false],
+    166: [FORMAT_RGBA_ASTC_6x6, TYPE_UNSIGNED_BYTE, true],
+    167: [FORMAT_RGBA_ASTC_8x5, TYPE_UNSIGNED_BYTE, false],
+    168: [FORMAT_RGBA_ASTC_8x5, TYPE_UNSIGNED_BYTE, true],
+    169: [FORMAT_RGBA_ASTC_8x6, TYPE_UNSIGNED_BYTE, false],
+    170: [FORMAT_RGBA_ASTC_8x6, TYPE_UNSIGNED_BYTE, true],
+    171: [FORMAT_RGBA_ASTC_8x8, TYPE_UNSIGNED_BYTE, false],
+    172: [FORMAT_RGBA_ASTC_8x8, TYPE_UNSIGNED_BYTE, true],
+    173: [FORMAT_RGBA_ASTC_10x5, TYPE_UNSIGNED_BYTE, false],
+    174: [FORMAT_RGBA_ASTC_10x5, TYPE_UNSIGNED_BYTE, true],
+    175: [FORMAT_RGBA_ASTC_10x6, TYPE_UNSIGNED_BYTE, false],
+    176: [FORMAT_RGBA_ASTC_10x6, TYPE_UNSIGNED_BYTE, true],
+    177: [FORMAT_RGBA_ASTC_10x8, TYPE_UNSIGNED_BYTE, false],
+    178: [FORMAT_RGBA_ASTC_10x8, TYPE_UNSIGNED_BYTE, true],
+    179: [FORMAT_RGBA_ASTC_10x10, TYPE_UNSIGNED_BYTE, false],
+    180: [FORMAT_RGBA_ASTC_10x10, TYPE_UNSIGNED_BYTE, true],
+    181: [FORMAT_RGBA_ASTC_12x10, TYPE_UNSIGNED_BYTE, false],
+    182: [FORMAT_RGBA_ASTC_12x10, TYPE_UNSIGNED_BYTE, true],
+    183: [FORMAT_RGBA_ASTC_12x12, TYPE_UNSIGNED_BYTE, false],
+    184: [FORMAT_RGBA_ASTC_12x12, TYPE_UNSIGNED_BYTE, true],
+    1000054000: [FORMAT_RGBA_PVRTC_2BPPV1, TYPE_UNSIGNED_BYTE, false], // PVRTC1_2BPP_UNORM_BLOCK_IMG
+    1000054001: [FORMAT_RGBA_PVRTC_4BPPV1, TYPE_UNSIGNED_BYTE, false], // PVRTC1_4BPP_UNORM_BLOCK_IMG
+    1000054004: [FORMAT_RGBA_PVRTC_2BPPV1, TYPE_UNSIGNED_BYTE, true],
+    1000054005: [FORMAT_RGBA_PVRTC_4BPPV1, TYPE_UNSIGNED_BYTE, true]
+};
+
+/**
+ * @private
+ * DXGI format (DDS DX10 header) to [format, type, sRGB]
+ */
+const DXGI_FORMATS = {
+    2: [FORMAT_RGBA, TYPE_FLOAT, false],                        // R32G32B32A32_FLOAT
+    6: [FORMAT_RGB, TYPE_FLOAT, false],                         // R32G32B32_FLOAT
+    10: [FORMAT_RGBA, TYPE_HALF_FLOAT, false],                  // R16G16B16A16_FLOAT
+    16: [FORMAT_RG, TYPE_FLOAT, false],                         // R32G32_FLOAT
+    26: [FORMAT_RGB, TYPE_UNSIGNED_INT_101111, false],          // R11G11B10_FLOAT
+    28: [FORMAT_RGBA, TYPE_UNSIGNED_BYTE, false],               // R8G8B8A8_UNORM
+    29: [FORMAT_RGBA, TYPE_UNSIGNED_BYTE, true],                // R8G8B8A8_UNORM_SRGB
+    34: [FORMAT_RG, TYPE_HALF_FLOAT, false],                    // R16G16_FLOAT
+    41: [FORMAT_RED, TYPE_FLOAT, false],                        // R32_FLOAT
+    49: [FORMAT_RG, TYPE_UNSIGNED_BYTE, false],                 // R8G8_UNORM
+    54: [FORMAT_RED, TYPE_HALF_FLOAT, false],                   // R16_FLOAT
+    61: [FORMAT_RED, TYPE_UNSIGNED_BYTE, false],                // R8_UNORM
+    65: [FORMAT_ALPHA, TYPE_UNSIGNED_BYTE, false],              // A8_UNORM
+    67: [FORMAT_RGB, TYPE_UNSIGNED_INT_5999, false],            // R9G9B9E5_SHAREDEXP
+    71: [FORMAT_RGBA_S3TC_DXT1, TYPE_UNSIGNED_BYTE, false],     // BC1_UNORM
+    72: [FORMAT_RGBA_S3TC_DXT1, TYPE_UNSIGNED_BYTE, true],
+    74: [FORMAT_RGBA_S3TC_DXT3, TYPE_UNSIGNED_BYTE, false],     // BC2_UNORM
+    75: [FORMAT_RGBA_S3TC_DXT3, TYPE_UNSIGNED_BYTE, true],
+    77: [FORMAT_RGBA_S3TC_DXT5, TYPE_UNSIGNED_BYTE, false],     // BC3_UNORM
+    78: [FORMAT_RGBA_S3TC_DXT5, TYPE_UNSIGNED_BYTE, true],
+    80: [FORMAT_RED_RGTC1, TYPE_UNSIGNED_BYTE, false],          // BC4_UNORM
+    81: [FORMAT_SIGNED_RED_RGTC1, TYPE_UNSIGNED_BYTE, false],
+    83: [FORMAT_RED_GREEN_RGTC2, TYPE_UNSIGNED_BYTE, false],    // BC5_UNORM
+    84: [FORMAT_SIGNED_RED_GREEN_RGTC2, TYPE_UNSIGNED_BYTE, false],
+    95: [FORMAT_RGB_BPTC_UNSIGNED, TYPE_UNSIGNED_BYTE, false],  // BC6H_UF16
+    96: [FORMAT_RGB_BPTC_SIGNED, TYPE_UNSIGNED_BYTE, false],
+    98: [FORMAT_RGBA_BPTC, TYPE_UNSIGNED_BYTE, false],          // BC7_UNORM
+    99: [FORMAT_RGBA_BPTC, TYPE_UNSIGNED_BYTE, true]
+};
+
+/**
+ * @private
+ * DDS FourCC codes (and legacy D3DFMT numbers) to [format, type]
+ */
+const DDS_FOURCC_FORMATS = {
+    DXT3: [FORMAT_RGBA_S3TC_DXT3, TYPE_UNSIGNED_BYTE],
+    DXT5: [FORMAT_RGBA_S3TC_DXT5, TYPE_UNSIGNED_BYTE],
+    ATI1: [FORMAT_RED_RGTC1, TYPE_UNSIGNED_BYTE],
+    BC4U: [FORMAT_RED_RGTC1, TYPE_UNSIGNED_BYTE],
+    BC4S: [FORMAT_SIGNED_RED_RGTC1, TYPE_UNSIGNED_BYTE],
+    ATI2: [FORMAT_RED_GREEN_RGTC2, TYPE_UNSIGNED_BYTE],
+    BC5U: [FORMAT_RED_GREEN_RGTC2, TYPE_UNSIGNED_BYTE],
+    BC5S: [FORMAT_SIGNED_RED_GREEN_RGTC2, TYPE_UNSIGNED_BYTE],
+    ETC1: [FORMAT_RGB_ETC1, TYPE_UNSIGNED_BYTE],
+    111: [FORMAT_RED, TYPE_HALF_FLOAT],                         // D3DFMT_R16F
+    112: [FORMAT_RG, TYPE_HALF_FLOAT],                          // D3DFMT_G16R16F
+    113: [FORMAT_RGBA, TYPE_HALF_FLOAT],                        // D3DFMT_A16B16G16R16F
+    114: [FORMAT_RED, TYPE_FLOAT],                              // D3DFMT_R32F
+    115: [FORMAT_RG, TYPE_FLOAT],                               // D3DFMT_G32R32F
+    116: [FORMAT_RGBA, TYPE_FLOAT]                              // D3DFMT_A32B32G32R32F
+};
+
+/**
+ * Parses a KTX2 container.
+ * Reads the header, the level index (largest level first) and the
+ * supercompression scheme. Level data is returned as views into the input,
+ * without copying or decompressing. For uncompressed payloads each level's
+ * size is checked against {@link calculateTextureSize}. Basis Universal
+ * payloads (vkFormat 0) have no DSRT format until transcoded, so format
+ * and type are null for them.
+ *
+ * @param {ArrayBuffer|ArrayBufferView} buffer - File contents
+ * @returns {{format: number|null, type: number|null, colorSpace: string, vkFormat: number,
+ *   supercompression: string, width: number, height: number, depth: number, layers: number,
+ *   faces: number, mipLevels: number, levels: Array<{level: number, width: number,
+ *   height: number, depth: number, data: Uint8Array, images: Uint8Array[]|null,
+ *   uncompressedByteLength: number}>}} Texture description; images holds one view per
+ *   layer and face (layer-major) when the level is not supercompressed
+ * @throws {Error} If the file is not KTX2, is truncated, uses an unsupported vkFormat or
+ *   a level size does not match its format
+ * @example
+ * const ktx = parseKTX2(await (await fetch('albedo.ktx2')).arrayBuffer());
+ * if (ktx.supercompression === 'none') upload(ktx.format, ktx.levels);
+ */
+function parseKTX2(buffer) {
+    const bytes = toBytes(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    if (bytes.byteLength < KTX2_HEADER_LENGTH || KTX2_IDENTIFIER.some((value, i) => bytes[i] !== value)) {
+        throw new Error('Not a KTX2 file: identifier missing');
+    }
+
+    const vkFormat = view.getUint32(12, true);
+    const width = view.getUint32(20, true);
+    const height = Math.max(1, view.getUint32(24, true));
+    const depth = Math.max(1, view.getUint32(28, true));
+    const layers = Math.max(1, view.getUint32(32, true));
+    const faces = view.getUint32(36, true);
+    const levelCount = Math.max(1, view.getUint32(40, true));
+    const scheme = view.getUint32(44, true);
+
+    if (width === 0) {
+        throw new Error('KTX2 file has zero width');
+    }
+    if (faces !== 1 && faces !== 6) {
+        throw new Error(`KTX2 face count must be 1 or 6, got ${faces}`);
+    }
+    if (scheme >= KTX2_SUPERCOMPRESSION.length) {
+        throw new Error(`Unknown KTX2 supercompression scheme: ${scheme}`);
+    }
+
+    let format = null, type = null, srgb = false;
+    if (vkFormat !== 0) {
+        const entry = VK_FORMATS[vkFormat];
+        if (!entry) {
+            throw new Error(`Unsupported KTX2 vkFormat: ${vkFormat}`);
+        }
+        [format, type, srgb] = entry;
+    }
+
+    const indexEnd = KTX2_HEADER_LENGTH + levelCount * KTX2_LEVEL_INDEX_ENTRY_LENGTH;
+    if (bytes.byteLength < indexEnd) {
+        throw new Error(`KTX2 file is truncated: level index of ${levelCount} levels does not fit`);
+    }
+
+    const images = layers * faces;
+    const levels = [];
+
+    for (let level = 0; level < levelCount; level++) {
+        const entry = KTX2_HEADER_LENGTH + level * KTX2_LEVEL_INDEX_ENTRY_LENGTH;
+        const byteOffset = readUint64(view, entry);
+        const byteLength = readUint64(view, entry + 8);
+        const uncompressedByteLength = readUint64(view, entry + 16);
+
+        if (byteOffset + byteLength > bytes.byteLength) {
+            throw new Error(`KTX2 file is truncated: level ${level} needs bytes ${byteOffset}-${byteOffset + byteLength}, ` +
+                `file has ${bytes.byteLength}`);
+        }
+
+        const w = Math.max(1, width >> level);
+        const h = Math.max(1, height >> level);
+        const d = Math.max(1, depth >> level);
+
+        // Basis payloads have no fixed size; other schemes must inflate to the exact size
+        if (format !== null) {
+            const expected = calculateTextureSize(w, h, format, type) * d * images;
+            const actual = scheme === 0 ? byteLength : uncompressedByteLength;
+            if (actual !== expected) {
+                throw new Error(`KTX2 level ${level} (${w}x${h}x${d}) has ${actual} bytes, ` +
+                    `expected ${expected} for format ${format}`);
+            }
+        }
+
+        const data = bytes.subarray(byteOffset, byteOffset + byteLength);
+        levels.push({
+            level, width: w, height: h, depth: d, data,
+            images: scheme === 0 ? splitImages(data, images) : null,
+            uncompressedByteLength
+        });
+    }
+
+    return {
+        format, type,
+        colorSpace: srgb ? COLOR_SPACE_SRGB : COLOR_SPACE_NONE,
+        vkFormat,
+        supercompression: KTX2_SUPERCOMPRESSION[scheme],
+        width, height, depth, layers, faces,
+        mipLevels: levelCount,
+        levels
+    };
+}
+
+/**
+ * Parses a DDS container, with or without the DX10 header.
+ * Supports the S3TC, RGTC, BPTC and ETC1 block formats, float formats and
+ * RGBA/RGB/luminance/alpha byte layouts, including mip chains, cube maps,
+ * texture arrays and volume textures. The file size is checked against
+ * {@link calculateTextureSize} for every level.
+ * DDS stores all mips of one image before the next image, so a level's
+ * images are not adjacent; data is then a copy of them joined together,
+ * while images are views into the input.
+ *
+ * @param {ArrayBuffer|ArrayBufferView} buffer - File contents
+ * @returns {{format: number, type: number, colorSpace: string, width: number, height: number,
+ *   depth: number, layers: number, faces: number, mipLevels: number, levels: Array<{level: number,
+ *   width: number, height: number, depth: number, data: Uint8Array, images: Uint8Array[]}>}}
+ *   Texture description; images holds one view per layer and face (layer-major)
+ * @throws {Error} If the file is not DDS, uses an unsupported pixel format or its size
+ *   does not match the described levels
+ */
+function parseDDS(buffer) {
+    const bytes = toBytes(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    if (bytes.byteLength < DDS_HEADER_LENGTH || view.getUint32(0, true) !== DDS_MAGIC) {
+        throw new Error('Not a DDS file: magic number missing');
+    }
+    if (view.getUint32(4, true) !== 124) {
+        throw new Error(`Invalid DDS header size: ${view.getUint32(4, true)}`);
+    }
+
+    const flags = view.getUint32(8, true);
+    const height = view.getUint32(12, true);
+    const width = view.getUint32(16, true);
+    const mipLevels = flags & DDSD_MIPMAPCOUNT ? Math.max(1, view.getUint32(28, true)) : 1;
+    const caps2 = view.getUint32(112, true);
+    const pixelFlags = view.getUint32(80, true);
+    const fourCC = view.getUint32(84, true);
+
+    let format, type, srgb = false;
+    let depth = (flags & DDSD_DEPTH) && (caps2 & DDSCAPS2_VOLUME) ? Math.max(1, view.getUint32(24, true)) : 1;
+    let layers = 1;
+    let faces = caps2 & DDSCAPS2_CUBEMAP ? 6 : 1;
+    let dataOffset = DDS_HEADER_LENGTH;
+
+    if (pixelFlags & DDPF_FOURCC && fourCC === fourCCToInt('DX10')) {
+        if (bytes.byteLength < DDS_HEADER_LENGTH + DDS_DX10_HEADER_LENGTH) {
+            throw new Error('DDS file is truncated: DX10 header missing');
+        }
+
+        const dxgiFormat = view.getUint32(128, true);
+        const entry = DXGI_FORMATS[dxgiFormat];
+        if (!entry) {
+            throw new Error(`Unsupported DDS DXGI format: ${dxgiFormat}`);
+        }
+        [format, type, srgb] = entry;
+
+        const dimension = view.getUint32(132, true);
+        faces = view.getUint32(136, true) & DDS_RESOURCE_MISC_TEXTURECUBE ? 6 : 1;
+        layers = Math.max(1, view.getUint32(140, true));
+        if (dimension !== DDS_DIMENSION_TEXTURE3D) depth = 1;
+        dataOffset += DDS_DX10_HEADER_LENGTH;
+    } else {
+        [format, type] = getLegacyDDSFormat(view, pixelFlags, fourCC);
+    }
+
+    if (width === 0 || height === 0) {
+        throw new Error(`DDS file has invalid dimensions ${width}x${height}`);
+    }
+
+    // Image-major layout: every mip of image 0, then every mip of image 1, ...
+    const images = layers * faces;
+    const levels = [];
+    for (let level = 0; level < mipLevels; level++) {
+        levels.push({
+            level,
+            width: Math.max(1, width >> level),
+            height: Math.max(1, height >> level),
+            depth: Math.max(1, depth >> level),
+            data: null,
+            images: []
+        });
+    }
+
+    let offset = dataOffset;
+    for (let image = 0; image < images; image++) {
+        for (const level of levels) {
+            const size = calculateTextureSize(level.width, level.height, format, type) * level.depth;
+            if (offset + size > bytes.byteLength) {
+                throw new Error(`DDS file is truncated: level ${level.level} of image ${image} ` +
+                    `(${level.width}x${level.height}x${level.depth}) needs ${size} bytes at ${offset}, ` +
+                    `file has ${bytes.byteLength}`);
+            }
+            level.images.push(bytes.subarray(offset, offset + size));
+            offset += size;
+        }
+    }
+
+    if (offset !== bytes.byteLength) {
+        throw new Error(`DDS file has ${bytes.byteLength - offset} bytes more than its ${mipLevels} levels ` +
+            `of format ${format} describe`);
+    }
+
+    for (const level of levels) level.data = joinImages(level.images);
+
+    return {
+        format, type,
+        colorSpace: srgb ? COLOR_SPACE_SRGB : COLOR_SPACE_NONE,
+        width, height, depth, layers, faces, mipLevels,
+        levels
+    };
+}
+
+/**
+ * @private
+ * Format of a DDS file without DX10 header, from its FourCC or bit masks
+ */
+function getLegacyDDSFormat(view, pixelFlags, fourCC) {
+    if (pixelFlags & DDPF_FOURCC) {
+        const code = fourCCToString(fourCC);
+
+        // DXT1 has 1-bit alpha only when the pixel format says so
+        if (code === 'DXT1') {
+            return [pixelFlags & DDPF_ALPHAPIXELS ? FORMAT_RGBA_S3TC_DXT1 : FORMAT_RGB_S3TC_DXT1, TYPE_UNSIGNED_BYTE];
+        }
+
+        const entry = DDS_FOURCC_FORMATS[code] || DDS_FOURCC_FORMATS[fourCC];
+        if (!entry) {
+            throw new Error(`Unsupported DDS FourCC: ${code.trim() || fourCC}`);
+        }
+        return entry;
+    }
+
+    const bitCount = view.getUint32(88, true);
+    const redMask = view.getUint32(92, true);
+    const alphaMask = view.getUint32(104, true);
+
+    if (pixelFlags & DDPF_RGB) {
+        // Only byte orders that upload without swizzling
+        if (bitCount === 32 && redMask === 0xFF && alphaMask === 0xFF000000) return [FORMAT_RGBA, TYPE_UNSIGNED_BYTE];
+        if (bitCount === 24 && redMask === 0xFF) return [FORMAT_RGB, TYPE_UNSIGNED_BYTE];
+        throw new Error(`Unsupported DDS RGB layout: ${bitCount} bits, red mask 0x${redMask.toString(16)} ` +
+            '(BGR order needs swizzling)');
+    }
+    if (pixelFlags & DDPF_LUMINANCE && bitCount === 8) return [FORMAT_RED, TYPE_UNSIGNED_BYTE];
+    if (pixelFlags & DDPF_ALPHA && bitCount === 8) return [FORMAT_ALPHA, TYPE_UNSIGNED_BYTE];
+
+    throw new Error(`Unsupported DDS pixel format: flags 0x${pixelFlags.toString(16)}, ${bitCount} bits`);
+}
+
+/**
+ * @private
+ * Uint8Array over the input, which may be an ArrayBuffer or any view
+ */
+function toBytes(buffer) {
+    if (buffer instanceof Uint8Array) return buffer;
+    if (ArrayBuffer.isView(buffer)) return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    return new Uint8Array(buffer);
+}
+
+/**
+ * @private
+ * Reads a little-endian uint64 as a number (exact up to 2^53)
+ */
+function readUint64(view, offset) {
+    return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 2 ** 32;
+}
+
+/**
+ * @private
+ * Splits level data into equal views, one per layer and face
+ */
+function splitImages(data, count) {
+    const size = data.byteLength / count;
+    const images = [];
+    for (let i = 0; i < count; i++) images.push(data.subarray(i * size, (i + 1) * size));
+    return images;
+}
+
+/**
+ * @private
+ * Single view as is, several views copied into one array
+ */
+function joinImages(images) {
+    if (images.length === 1) return images[0];
+
+    let length = 0;
+    for (const image of images) length += image.byteLength;
+
+    const data = new Uint8Array(length);
+    let offset = 0;
+    for (const image of images) {
+        data.set(image, offset);
+        offset += image.byteLength;
+    }
+    return data;
+}
+
+/**
+ * @private
+ */
+function fourCCToInt(code) {
+    return code.charCodeAt(0) | code.charCodeAt(1) << 8 | code.charCodeAt(2) << 16 | code.charCodeAt(3) << 24;
+}
+
+/**
+ * @private
+ */
+function fourCCToString(value) {
+    return String.fromCharCode(value & 0xFF, value >> 8 & 0xFF, value >> 16 & 0xFF, value >>> 24);
+}
+
+export { parseKTX2, parseDDS };
@@ -0,0 +1,264 @@
+/**
+ * DSRT Graphics Engine - Texture Format Registry
+ * @module dsrt-docs/src/textures/TextureFormats.js
+ * @version 1.0.0
+ * @license MIT
+ * @copyright DSRT Engine Team
+ */
+
+import {
+    FORMAT_ALPHA, FORMAT_RED, FORMAT_RG, FORMAT_RGB, FORMAT_RGBA, FORMAT_DEPTH, FORMAT_DEPTH_STENCIL,
+    FORMAT_RED_INTEGER, FORMAT_RG_INTEGER, FORMAT_RGB_INTEGER, FORMAT_RGBA_INTEGER,
+    FORMAT_RGB_S3TC_DXT1, FORMAT_RGBA_S3TC_DXT1, FORMAT_RGBA_S3TC_DXT3, FORMAT_RGBA_S3TC_DXT5,
+    FORMAT_RGB_PVRTC_2BPPV1, FORMAT_RGBA_PVRTC_2BPPV1, FORMAT_RGB_PVRTC_4BPPV1, FORMAT_RGBA_PVRTC_4BPPV1,
+    FORMAT_RGB_ETC1, FORMAT_RGB_ETC2, FORMAT_RGBA_ETC2_EAC, FORMAT_R11_EAC, FORMAT_SIGNED_R11_EAC,
+    FORMAT_RG11_EAC, FORMAT_SIGNED_RG11_EAC,
+    FORMAT_RGBA_ASTC_4x4, FORMAT_RGBA_ASTC_5x4, FORMAT_RGBA_ASTC_5x5, FORMAT_RGBA_ASTC_6x5,
+    FORMAT_RGBA_ASTC_6x6, FORMAT_RGBA_ASTC_8x5, FORMAT_RGBA_ASTC_8x6, FORMAT_RGBA_ASTC_8x8,
+    FORMAT_RGBA_ASTC_10x5, FORMAT_RGBA_ASTC_10x6, FORMAT_RGBA_ASTC_10x8, FORMAT_RGBA_ASTC_10x10,
+    FORMAT_RGBA_ASTC_12x10, FORMAT_RGBA_ASTC_12x12,
+    FORMAT_RGBA_BPTC, FORMAT_RGB_BPTC_SIGNED, FORMAT_RGB_BPTC_UNSIGNED,
+    FORMAT_RED_RGTC1, FORMAT_SIGNED_RED_RGTC1, FORMAT_RED_GREEN_RGTC2, FORMAT_SIGNED_RED_GREEN_RGTC2
+} from '../Constants.js';
+
+/**
+ * @private
+ * Per-family requirements: WebGL extension, WebGL extension for the sRGB
+ * variants (when it differs) and WebGPU feature; null if the API has none
+ */
+const FAMILIES = {
+    uncompressed: { extension: null, srgbExtension: null, feature: null },
+    depth: { extension: null, srgbExtension: null, feature: null },
+    s3tc: {
+        extension: 'WEBGL_compressed_texture_s3tc',
+        srgbExtension: 'WEBGL_compressed_texture_s3tc_srgb',
+        feature: 'texture-compression-bc'
+    },
+    rgtc: { extension: 'EXT_texture_compression_rgtc', srgbExtension: null, feature: 'texture-compression-bc' },
+    bptc: { extension: 'EXT_texture_compression_bptc', srgbExtension: null, feature: 'texture-compression-bc' },
+    etc1: { extension: 'WEBGL_compressed_texture_etc1', srgbExtension: null, feature: null },
+    etc2: { extension: 'WEBGL_compressed_texture_etc', srgbExtension: null, feature: 'texture-compression-etc2' },
+    eac: { extension: 'WEBGL_compressed_texture_etc', srgbExtension: null, feature: 'texture-compression-etc2' },
+    astc: { extension: 'WEBGL_compressed_texture_astc', srgbExtension: null, feature: 'texture-compression-astc' },
+    pvrtc: { extension: 'WEBGL_compressed_texture_pvrtc', srgbExtension: null, feature: null }
+};
+
+/**
+ * Description of every FORMAT_* constant, keyed by the constant. Entries
+ * are frozen; treat the map as read-only.
+ * Each entry holds:
+ * - format, name: the constant and its name without the FORMAT_ prefix
+ * - family: 'uncompressed', 'depth', 's3tc', 'rgtc', 'bptc', 'etc1', 'etc2',
+ *   'eac', 'astc' or 'pvrtc'
+ * - compressed, blockWidth, blockHeight, bytesPerBlock, bitsPerPixel (block
+ *   sizes are 1 and bytesPerBlock/bitsPerPixel null for uncompressed
+ *   formats, whose size depends on the type)
+ * - channels, alpha, signed, hdr
+ * - srgbFormat: WebGL internal format of the sRGB variant, or null
+ * - extension, srgbExtension, feature: required WebGL extension (for the
+ *   sRGB variant) and WebGPU feature, null when none is needed or the API
+ *   cannot sample the format
+ * - quality: relative image quality among compressed formats (0-5), used
+ *   by {@link selectFormat}
+ * @type {Map<number, Object>}
+ */
+const FormatRegistry = new Map();
+
+/**
+ * @private
+ * Adds a registry entry
+ */
+function _define(format, name, family, block, channels, options = {}) {
+    const [blockWidth, blockHeight, bytesPerBlock] = block || [1, 1, null];
+    const { alpha = channels === 4, signed = false, hdr = false, srgbFormat = null, quality = 0 } = options;
+    const requirements = FAMILIES[family];
+
+    FormatRegistry.set(format, Object.freeze({
+        format, name, family,
+        compressed: block !== null,
+        blockWidth, blockHeight, bytesPerBlock,
+        bitsPerPixel: bytesPerBlock === null ? null : bytesPerBlock * 8 / (blockWidth * blockHeight),
+        channels, alpha, signed, hdr, srgbFormat,
+        extension: requirements.extension,
+        srgbExtension: srgbFormat === null ? null : requirements.srgbExtension || requirements.extension,
+        feature: requirements.feature,
+        quality
+    }));
+}
+
+// Uncompressed and depth formats; sRGB is a color space for these, not a format
+_define(FORMAT_ALPHA, 'ALPHA', 'uncompressed', null, 1, { alpha: true });
+_define(FORMAT_RED, 'RED', 'uncompressed', null, 1);
+_define(FORMAT_RG, 'RG', 'uncompressed', null, 2);
+_define(FORMAT_RGB, 'RGB', 'uncompressed', null, 3);
+_define(FORMAT_RGBA, 'RGBA', 'uncompressed', null, 4);
+_define(FORMAT_RED_INTEGER, 'RED_INTEGER', 'uncompressed', null, 1);
+_define(FORMAT_RG_INTEGER, 'RG_INTEGER', 'uncompressed', null, 2);
+_define(FORMAT_RGB_INTEGER, 'RGB_INTEGER', 'uncompressed', null, 3);
+_define(FORMAT_RGBA_INTEGER, 'RGBA_INTEGER', 'uncompressed', null, 4);
+_define(FORMAT_DEPTH, 'DEPTH', 'depth', null, 1);
+_define(FORMAT_DEPTH_STENCIL, 'DEPTH_STENCIL', 'depth', null, 2, { alpha: false });
+
+// S3TC (BC1-BC3); DXT1 with alpha only has 1-bit alpha
+_define(FORMAT_RGB_S3TC_DXT1, 'RGB_S3TC_DXT1', 's3tc', [4, 4, 8], 3, { srgbFormat: 35916, quality: 2 });
+_define(FORMAT_RGBA_S3TC_DXT1, 'RGBA_S3TC_DXT1', 's3tc', [4, 4, 8], 4, { srgbFormat: 35917, quality: 1 });
+_define(FORMAT_RGBA_S3TC_DXT3, 'RGBA_S3TC_DXT3', 's3tc', [4, 4, 16], 4, { srgbFormat: 35918, quality: 2 });
+_define(FORMAT_RGBA_S3TC_DXT5, 'RGBA_S3TC_DXT5', 's3tc', [4, 4, 16], 4, { srgbFormat: 35919, quality: 3 });
+
+// RGTC (BC4, BC5)
+_define(FORMAT_RED_RGTC1, 'RED_RGTC1', 'rgtc', [4, 4, 8], 1, { quality: 4 });
+_define(FORMAT_SIGNED_RED_RGTC1, 'SIGNED_RED_RGTC1', 'rgtc', [4, 4, 8], 1, { signed: true, quality: 4 });
+_define(FORMAT_RED_GREEN_RGTC2, 'RED_GREEN_RGTC2', 'rgtc', [4, 4, 16], 2, { quality: 4 });
+_define(FORMAT_SIGNED_RED_GREEN_RGTC2, 'SIGNED_RED_GREEN_RGTC2', 'rgtc', [4, 4, 16], 2, { signed: true, quality: 4 });
+
+// BPTC (BC7, BC6H)
+_define(FORMAT_RGBA_BPTC, 'RGBA_BPTC', 'bptc', [4, 4, 16], 4, { srgbFormat: 36493, quality: 5 });
+_define(FORMAT_RGB_BPTC_SIGNED, 'RGB_BPTC_SIGNED', 'bptc', [4, 4, 16], 3, { signed: true, hdr: true, quality: 5 });
+_define(FORMAT_RGB_BPTC_UNSIGNED, 'RGB_BPTC_UNSIGNED', 'bptc', [4, 4, 16], 3, { hdr: true, quality: 5 });
+
+// ETC1, ETC2 and EAC
+_define(FORMAT_RGB_ETC1, 'RGB_ETC1', 'etc1', [4, 4, 8], 3, { quality: 1 });
+_define(FORMAT_RGB_ETC2, 'RGB_ETC2', 'etc2', [4, 4, 8], 3, { srgbFormat: 37493, quality: 3 });
+_define(FORMAT_RGBA_ETC2_EAC, 'RGBA_ETC2_EAC', 'etc2', [4, 4, 16], 4, { srgbFormat: 37497, quality: 3 });
+_define(FORMAT_R11_EAC, 'R11_EAC', 'eac', [4, 4, 8], 1, { quality: 4 });
+_define(FORMAT_SIGNED_R11_EAC, 'SIGNED_R11_EAC', 'eac', [4, 4, 8], 1, { signed: true, quality: 4 });
+_define(FORMAT_RG11_EAC, 'RG11_EAC', 'eac', [4, 4, 16], 2, { quality: 4 });
+_define(FORMAT_SIGNED_RG11_EAC, 'SIGNED_RG11_EAC', 'eac', [4, 4, 16], 2, { signed: true, quality: 4 });
+
+// ASTC; the sRGB variants are numbered 32 above the linear ones
+[
+    [FORMAT_RGBA_ASTC_4x4, 4, 4], [FORMAT_RGBA_ASTC_5x4, 5, 4], [FORMAT_RGBA_ASTC_5x5, 5, 5],
+    [FORMAT_RGBA_ASTC_6x5, 6, 5], [FORMAT_RGBA_ASTC_6x6, 6, 6], [FORMAT_RGBA_ASTC_8x5, 8, 5],
+    [FORMAT_RGBA_ASTC_8x6, 8, 6], [FORMAT_RGBA_ASTC_8x8, 8, 8], [FORMAT_RGBA_ASTC_10x5, 10, 5],
+    [FORMAT_RGBA_ASTC_10x6, 10, 6], [FORMAT_RGBA_ASTC_10x8, 10, 8], [FORMAT_RGBA_ASTC_10x10, 10, 10],
+    [FORMAT_RGBA_ASTC_12x10, 12, 10], [FORMAT_RGBA_ASTC_12x12, 12, 12]
+].forEach(([format, width, height]) => {
+    _define(format, `RGBA_ASTC_${width}x${height}`, 'astc', [width, height, 16], 4,
+        { srgbFormat: format + 32, quality: 5 });
+});
+
+// PVRTC; WebGL only accepts square power-of-two images
+_define(FORMAT_RGB_PVRTC_4BPPV1, 'RGB_PVRTC_4BPPV1', 'pvrtc', [4, 4, 8], 3, { quality: 1 });
+_define(FORMAT_RGBA_PVRTC_4BPPV1, 'RGBA_PVRTC_4BPPV1', 'pvrtc', [4, 4, 8], 4, { quality: 1 });
+_define(FORMAT_RGB_PVRTC_2BPPV1, 'RGB_PVRTC_2BPPV1', 'pvrtc', [8, 4, 8], 3, { quality: 0 });
+_define(FORMAT_RGBA_PVRTC_2BPPV1, 'RGBA_PVRTC_2BPPV1', 'pvrtc', [8, 4, 8], 4, { quality: 0 });
+
+/**
+ * Looks up a format in the {@link FormatRegistry}
+ * @param {number} format - Texture format constant
+ * @returns {Object|null} Registry entry, or null for unknown values
+ */
+function getFormatInfo(format) {
+    return FormatRegistry.get(format) || null;
+}
+
+/**
+ * Checks if a format is block compressed
+ * @param {number} format - Texture format constant
+ * @returns {boolean} False for uncompressed and unknown formats
+ */
+function isCompressedFormat(format) {
+    const info = FormatRegistry.get(format);
+    return !!info && info.compressed;
+}
+
+/**
+ * Collects the extension and feature names a device supports
+ * @param {WebGLRenderingContext|WebGL2RenderingContext|GPUDevice|GPUAdapter|Iterable<string>} context -
+ *   WebGL context (supported extensions), WebGPU device or adapter (features), or names
+ * @returns {Set<string>}
+ * @example
+ * const capabilities = getDeviceCapabilities(gl);
+ */
+function getDeviceCapabilities(context) {
+    if (context instanceof Set) return context;
+    if (context && typeof context.getSupportedExtensions === 'function') {
+        return new Set(context.getSupportedExtensions() || []);
+    }
+    if (context && context.features) return new Set(context.features);
+    return new Set(context || []);
+}
+
+/**
+ * Chooses the best compressed format a device can sample for the given
+ * content, e.g. as the transcode target of a Basis Universal texture.
+ * Candidates must be supported (WebGL extension or WebGPU feature in the
+ * capability set) and cover the requested channels, alpha, sRGB and HDR
+ * needs; signed and HDR formats are only chosen when asked for, and PVRTC
+ * only for square power-of-two images when the size is given. Candidates
+ * are ranked by quality, or by bits per pixel with prefer: 'size'. For one
+ * and two channel content, single and dual channel formats (RGTC, EAC) come
+ * first. Without a candidate the matching uncompressed format is returned.
+ * @param {WebGLRenderingContext|GPUDevice|GPUAdapter|Iterable<string>} available - Device or
+ *   capability set, see {@link getDeviceCapabilities}
+ * @param {Object} [preferences] - Content requirements
+ * @param {number} [preferences.channels] - Channels the content uses (default: 4 with alpha, else 3)
+ * @param {boolean} [preferences.alpha=false] - Content has alpha
+ * @param {boolean} [preferences.srgb=false] - An sRGB variant is needed
+ * @param {boolean} [preferences.hdr=false] - Content has values above 1
+ * @param {boolean} [preferences.signed=false] - Content has negative values
+ * @param {string} [preferences.prefer='quality'] - 'quality' or 'size'
+ * @param {number[]} [preferences.formats] - Formats that can be produced, e.g. the targets of
+ *   a transcoder (default: all)
+ * @param {number} [preferences.width] - Image width, for size restrictions
+ * @param {number} [preferences.height] - Image height, for size restrictions
+ * @returns {Object} Registry entry of the chosen format
+ * @example
+ * const target = selectFormat(gl, { alpha: true, srgb: true, formats: BASIS_TARGETS });
+ * transcoder.transcode(data, target.format);
+ */
+function selectFormat(available, preferences = {}) {
+    const {
+        alpha = false, srgb = false, hdr = false, signed = false, prefer = 'quality',
+        formats = null, width, height
+    } = preferences;
+    const channels = preferences.channels || (alpha ? 4 : 3);
+
+    if (prefer !== 'quality' && prefer !== 'size') {
+        throw new Error(`Unknown format preference: ${prefer}`);
+    }
+
+    const capabilities = getDeviceCapabilities(available);
+    const candidates = [];
+
+    for (const info of FormatRegistry.values()) {
+        if (!info.compressed) continue;
+        if (formats && !formats.includes(info.format)) continue;
+        if (info.channels < channels || (alpha && !info.alpha)) continue;
+        if (info.hdr !== hdr || info.signed !== signed) continue;
+        if (srgb && info.srgbFormat === null) continue;
+        if (info.family === 'pvrtc' && width !== undefined && !_isSquarePowerOfTwo(width, height)) continue;
+
+        const extension = srgb ? info.srgbExtension : info.extension;
+        const supported = (extension !== null && capabilities.has(extension)) ||
+            (info.feature !== null && capabilities.has(info.feature));
+        if (supported) candidates.push(info);
+    }
+
+    candidates.sort((a, b) => {
+        const dedicated = channels <= 2 ? (b.channels === channels) - (a.channels === channels) : 0;
+        if (dedicated) return dedicated;
+
+        return prefer === 'size'
+            ? a.bitsPerPixel - b.bitsPerPixel || b.quality - a.quality
+            : b.quality - a.quality || b.bitsPerPixel - a.bitsPerPixel;
+    });
+
+    if (candidates.length) return candidates[0];
+    return FormatRegistry.get([FORMAT_RED, FORMAT_RG, FORMAT_RGB, FORMAT_RGBA][Math.min(channels, 4) - 1]);
+}
+
+/**
+ * @private
+ */
+function _isSquarePowerOfTwo(width, height) {
+    return width === height && width > 0 && (width & (width - 1)) === 0;
+}
+
+export {
+    FormatRegistry,
+    getFormatInfo,
+    isCompressedFormat,
+    getDeviceCapabilities,
+    selectFormat
+};
@@ -7,7 +7,7 @@
  */
 
 import { 
-    FORMAT_ALPHA, FORMAT_RED, FORMAT_RG, FORMAT_RGB, FORMAT_RGBA,
+    FORMAT_ALPHA, FORMAT_RED, FORMAT_RG, FORMAT_RGB, FORMAT_RGBA, FORMAT_DEPTH, FORMAT_DEPTH_STENCIL,
     FORMAT_RED_INTEGER, FORMAT_RG_INTEGER, FORMAT_RGB_INTEGER, FORMAT_RGBA_INTEGER,
     FORMAT_RGB_S3TC_DXT1, FORMAT_RGBA_S3TC_DXT1, FORMAT_RGBA_S3TC_DXT3, FORMAT_RGBA_S3TC_DXT5,
     FORMAT_RGB_PVRTC_2BPPV1, FORMAT_RGBA_PVRTC_2BPPV1, FORMAT_RGB_PVRTC_4BPPV1, FORMAT_RGBA_PVRTC_4BPPV1,
@@ -21,8 +21,9 @@ import {
     FORMAT_RED_RGTC1, FORMAT_SIGNED_RED_RGTC1, FORMAT_RED_GREEN_RGTC2, FORMAT_SIGNED_RED_GREEN_RGTC2,
     TYPE_UNSIGNED_BYTE, TYPE_BYTE, TYPE_UNSIGNED_SHORT, TYPE_SHORT, TYPE_HALF_FLOAT,
     TYPE_UNSIGNED_SHORT_4444, TYPE_UNSIGNED_SHORT_5551, TYPE_UNSIGNED_INT, TYPE_INT,
-    TYPE_FLOAT, TYPE_UNSIGNED_INT_5999, TYPE_UNSIGNED_INT_101111
-} from './Constants.js';
+    TYPE_FLOAT, TYPE_UNSIGNED_INT_24_8, TYPE_UNSIGNED_INT_5999, TYPE_UNSIGNED_INT_101111
+} from '../Constants.js';
+import { isCompressedFormat } from './TextureFormats.js';
 
 /**
  * Texture fitting strategies for aspect ratio management
@@ -115,7 +116,8 @@ function fitFill(texture) {
 
 /**
  * Calculates approximate memory usage for a texture
- * Supports both uncompressed and compressed formats
+ * Supports uncompressed, depth/stencil and compressed formats; the type is
+ * ignored for compressed formats
  * 
  * @memberof TextureMemory
  * @param {number} width - Texture width in pixels
@@ -123,33 +125,43 @@ function fitFill(texture) {
  * @param {number} format - Texture format constant
  * @param {number} type - Texture data type constant
  * @returns {number} Memory size in bytes
- * @throws {Error} If format is unsupported
+ * @throws {Error} If format is unsupported, or type does not fit the format
  * @example
  * const size = calculateTextureSize(1024, 1024, FORMAT_RGBA, TYPE_UNSIGNED_BYTE);
  * console.log(`Texture uses ${size} bytes`); // 4,194,304 bytes
  */
 function calculateTextureSize(width, height, format, type) {
-    const typeInfo = _getTypeInfo(type);
-    
     // Basic uncompressed formats
     switch (format) {
         case FORMAT_ALPHA:
-            return width * height;
-            
         case FORMAT_RED:
         case FORMAT_RED_INTEGER:
-            return Math.ceil((width * height) / typeInfo.components) * typeInfo.byteSize;
+            return width * height * _getPixelSize(1, type);
             
         case FORMAT_RG:
         case FORMAT_RG_INTEGER:
-            return Math.ceil((width * height * 2) / typeInfo.components) * typeInfo.byteSize;
+            return width * height * _getPixelSize(2, type);
             
         case FORMAT_RGB:
-            return Math.ceil((width * height * 3) / typeInfo.components) * typeInfo.byteSize;
+        case FORMAT_RGB_INTEGER:
+            return width * height * _getPixelSize(3, type);
             
         case FORMAT_RGBA:
         case FORMAT_RGBA_INTEGER:
-            return Math.ceil((width * height * 4) / typeInfo.components) * typeInfo.byteSize;
+            return width * height * _getPixelSize(4, type);
+            
+        // Depth and stencil
+        case FORMAT_DEPTH:
+            if (type !== TYPE_UNSIGNED_SHORT && type !== TYPE_UNSIGNED_INT && type !== TYPE_FLOAT) {
+                throw new Error(`Unsupported depth texture type: ${type}`);
+            }
+            return width * height * _getPixelSize(1, type);
+            
+        case FORMAT_DEPTH_STENCIL:
+            // 24-bit depth packed with stencil, or 32-bit float depth padded to 8 bytes
+            if (type === TYPE_UNSIGNED_INT_24_8) return width * height * 4;
+            if (type === TYPE_FLOAT) return width * height * 8;
+            throw new Error(`Unsupported depth-stencil texture type: ${type}`);
             
         // Compressed formats - block based calculations
         case FORMAT_RGB_S3TC_DXT1:
@@ -229,9 +241,109 @@ function calculateTextureSize(width, height, format, type) {
     }
 }
 
+/**
+ * Calculates the memory of a whole texture resource: every mip level of
+ * every array layer and cube face, times the sample count. Mip levels
+ * halve width and height (and depth, for 3D textures) down to 1 pixel;
+ * block compressed levels are rounded up to whole blocks, so small mips
+ * still take a full block.
+ * 
+ * @memberof TextureMemory
+ * @param {Object} descriptor - Texture description
+ * @param {number} descriptor.width - Width of level 0 in pixels
+ * @param {number} descriptor.height - Height of level 0 in pixels
+ * @param {number} [descriptor.depth=1] - Depth of level 0 for 3D textures
+ * @param {number} [descriptor.layers=1] - Array layers (cube maps: cubes in the array)
+ * @param {boolean} [descriptor.cube=false] - Six faces per layer
+ * @param {number} [descriptor.mipLevels=1] - Mip levels, at most {@link getMipmapLevels}
+ * @param {number} [descriptor.samples=1] - Samples per pixel (multisampled render targets)
+ * @param {number} descriptor.format - Texture format constant
+ * @param {number} [descriptor.type=TYPE_UNSIGNED_BYTE] - Texture data type constant
+ * @returns {{total: number, levels: Array<{level: number, width: number, height: number,
+ *   depth: number, bytes: number}>}} Total bytes and the bytes of each level across all
+ *   layers, faces and samples
+ * @throws {Error} If a size is invalid, a multisampled texture has mip levels, or the
+ *   format is unsupported
+ * @example
+ * // 512 px cube map with a full mip chain
+ * const { total } = calculateTextureMemory({
+ *     width: 512, height: 512, cube: true,
+ *     mipLevels: getMipmapLevels(512, 512), format: FORMAT_RGBA, type: TYPE_HALF_FLOAT
+ * });
+ */
+function calculateTextureMemory(descriptor) {
+    const {
+        width, height, depth = 1, layers = 1, cube = false,
+        mipLevels = 1, samples = 1, format, type = TYPE_UNSIGNED_BYTE
+    } = descriptor;
+    
+    for (const [name, value] of [['width', width], ['height', height], ['depth', depth],
+                                 ['layers', layers], ['mipLevels', mipLevels], ['samples', samples]]) {
+        if (!Number.isInteger(value) || value < 1) {
+            throw new Error(`Texture ${name} must be a positive integer, got ${value}`);
+        }
+    }
+    
+    const maxLevels = getMipmapLevels(width, height, depth);
+    if (mipLevels > maxLevels) {
+        throw new Error(`A ${width}x${height}x${depth} texture has at most ${maxLevels} mip levels, got ${mipLevels}`);
+    }
+    
+    // Multisampled textures cannot have mipmaps in WebGL 2 or WebGPU
+    if (samples > 1 && mipLevels > 1) {
+        throw new Error(`A multisampled texture has a single mip level, got ${mipLevels} with ${samples} samples`);
+    }
+    
+    const images = layers * (cube ? 6 : 1) * samples;
+    const levels = [];
+    let total = 0;
+    
+    for (let level = 0; level < mipLevels; level++) {
+        const w = Math.max(1, width >> level);
+        const h = Math.max(1, height >> level);
+        const d = Math.max(1, depth >> level);
+        const bytes = calculateTextureSize(w, h, format, type) * d * images;
+        
+        levels.push({ level, width: w, height: h, depth: d, bytes });
+        total += bytes;
+    }
+    
+    return { total, levels };
+}
+
+/**
+ * Number of levels in a full mip chain, down to 1x1(x1)
+ * 
+ * @memberof TextureMemory
+ * @param {number} width - Texture width
+ * @param {number} height - Texture height
+ * @param {number} [depth=1] - Texture depth (3D textures)
+ * @returns {number}
+ */
+function getMipmapLevels(width, height, depth = 1) {
+    return Math.floor(Math.log2(Math.max(width, height, depth))) + 1;
+}
+
 /**
  * @private
- * Gets byte information for texture data types
+ * Bytes per pixel of an uncompressed format with the given channel count;
+ * packed types hold the whole pixel in one value
+ * @param {number} channels - Channels of the format
+ * @param {number} type - Texture type constant
+ * @returns {number}
+ */
+function _getPixelSize(channels, type) {
+    const typeInfo = _getTypeInfo(type);
+    
+    if (typeInfo.components === 1) return channels * typeInfo.byteSize;
+    if (typeInfo.components === channels) return typeInfo.byteSize;
+    throw new Error(`Packed texture type ${type} holds ${typeInfo.components} channels, format has ${channels}`);
+}
+
+/**
+ * @package
+ * Gets byte information for texture data types; shared with the other
+ * texture modules so that byte sizes agree
  * @param {number} type - Texture type constant
  * @returns {{byteSize: number, components: number}}
  */
@@ -251,6 +363,8 @@ function _getTypeInfo(type) {
         case TYPE_INT:
         case TYPE_FLOAT:
             return { byteSize: 4, components: 1 };
+        case TYPE_UNSIGNED_INT_24_8:
+            return { byteSize: 4, components: 2 };
         case TYPE_UNSIGNED_INT_5999:
         case TYPE_UNSIGNED_INT_101111:
             return { byteSize: 4, components: 3 };
@@ -311,13 +425,23 @@ class TextureUtilities {
     }
     
     /**
-     * Checks if texture format is compressed
+     * Calculates memory of a texture with all its levels, layers and faces
+     * @static
+     * @param {Object} descriptor - Texture description, see {@link calculateTextureMemory}
+     * @returns {{total: number, levels: Array<Object>}} Total and per-level bytes
+     */
+    static getMemory(descriptor) {
+        return calculateTextureMemory(descriptor);
+    }
+    
+    /**
+     * Checks if texture format is compressed, see {@link FormatRegistry}
      * @static
      * @param {number} format - Texture format constant
      * @returns {boolean}
      */
     static isCompressedFormat(format) {
-        return format >= FORMAT_RGB_S3TC_DXT1 && format <= FORMAT_SIGNED_RED_GREEN_RGTC2;
+        return isCompressedFormat(format);
     }
     
     /**
@@ -328,19 +452,39 @@ class TextureUtilities {
      * @returns {number}
      */
     static getMipmapLevels(width, height) {
-        return Math.floor(Math.log2(Math.max(width, height))) + 1;
+        return getMipmapLevels(width, height);
     }
 }
 
+// Namespace objects for the TextureFitting and TextureMemory groups documented above
+const TextureFitting = {
+    contain: fitContain,
+    cover: fitCover,
+    fill: fitFill
+};
+
+const TextureMemory = {
+    calculateTextureSize,
+    calculateTextureMemory,
+    getMipmapLevels
+};
+
 // Export public API
 export {
     fitContain,
     fitCover,
     fitFill,
     calculateTextureSize,
+    calculateTextureMemory,
+    getMipmapLevels,
     TextureUtilities
 };
 
+// Internal helpers for other texture modules
+export {
+    _getTypeInfo
+};
+
 // Export namespaces for better organization
 export {
     TextureFitting,
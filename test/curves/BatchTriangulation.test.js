@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { flattenPolygonData } from '../../src/curves/Triangulation.js';
+import { triangulateBatch, TriangulationWorkerPool } from '../../src/curves/BatchTriangulation.js';
+
+const FIXTURES = new URL('../fixtures/earcut/', import.meta.url);
+
+function loadFixture(name) {
+    return JSON.parse(readFileSync(new URL(`${name}.json`, FIXTURES), 'utf8'));
+}
+
+// Fixtures of very different sizes, so chunks end up unevenly filled
+function createBatch() {
+    const polygons = ['building', 'dude', 'water', 'water3', 'water3b', 'issue16', 'bad-hole']
+        .map(name => flattenPolygonData(loadFixture(name)));
+
+    polygons.push(flattenPolygonData(loadFixture('indices-3d').input));
+    for (let i = 0; i < 24; i++) {
+        polygons.push({ vertices: new Float32Array([i, 0, i + 1, 0, i + 1, 1, i, 1]), dimensions: 2 });
+    }
+    return polygons;
+}
+
+const INVALID = { vertices: [0, 0, 1, 0, 1, 1, 0, 1], holes: [10], dimensions: 2 };
+
+test('workers give the same result as the calling thread', async () => {
+    const polygons = createBatch();
+    const threaded = await triangulateBatch(polygons, { workers: 2 });
+    const local = await triangulateBatch(polygons, { workers: 0 });
+
+    assert.ok(local.indices.length > 0);
+    assert.deepEqual(threaded.indices, local.indices);
+    assert.deepEqual(threaded.indexOffsets, local.indexOffsets);
+    assert.deepEqual(threaded.vertexOffsets, local.vertexOffsets);
+});
+
+test('a failing polygon rejects the batch with the worker error', async () => {
+    const polygons = [...createBatch(), INVALID];
+    const local = await triangulateBatch(polygons, { workers: 0 }).catch(error => error);
+
+    assert.ok(local instanceof Error);
+    await assert.rejects(triangulateBatch(polygons, { workers: 2 }), { message: local.message });
+});
+
+test('a shared pool keeps working after a failed batch', async () => {
+    const pool = new TriangulationWorkerPool(2);
+    try {
+        await assert.rejects(triangulateBatch([INVALID], { pool }));
+
+        const polygons = createBatch();
+        const threaded = await triangulateBatch(polygons, { pool });
+        const local = await triangulateBatch(polygons, { workers: 0 });
+        assert.deepEqual(threaded.indices, local.indices);
+    } finally {
+        pool.terminate();
+    }
+});
+
+// Enough work to keep a single worker busy while the test acts
+function createLargeBatch() {
+    const water = flattenPolygonData(loadFixture('water'));
+    return Array.from({ length: 8 }, () => water);
+}
+
+test('terminating a pool rejects running and queued chunks', async () => {
+    const pool = new TriangulationWorkerPool(1);
+    await triangulateBatch(createBatch(), { pool });
+
+    const batch = triangulateBatch(createLargeBatch(), { pool });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.ok(pool._workers[0].task, 'a chunk is running');
+    pool.terminate();
+
+    await assert.rejects(batch, { message: 'Triangulation worker pool was terminated' });
+});
+
+test('terminating a pool while its workers start rejects the batch', async () => {
+    const pool = new TriangulationWorkerPool(1);
+    const batch = triangulateBatch(createBatch(), { pool });
+    pool.terminate();
+
+    await assert.rejects(batch, { message: 'Triangulation worker pool was terminated' });
+});
+
+test('a worker that exits unexpectedly rejects its chunk', async () => {
+    const pool = new TriangulationWorkerPool(1);
+    try {
+        await triangulateBatch(createBatch(), { pool });
+
+        const batch = triangulateBatch(createLargeBatch(), { pool });
+        await new Promise(resolve => setImmediate(resolve));
+        // Stop the worker behind the pool's back, as a crash would
+        pool._workers[0].terminate();
+
+        await assert.rejects(batch, /Triangulation worker exited unexpectedly with code 1/);
+        assert.equal(pool._workers.length, 0);
+    } finally {
+        pool.terminate();
+    }
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CatmullRomCurve } from '../../src/curves/CatmullRomCurve.js';
+import { Vec3 } from '../../src/math/Vec3.js';
+
+const EPSILON = 1e-12;
+const POINTS = [new Vec3(0, 0, 0), new Vec3(1, 2, 0), new Vec3(4, 2, 1), new Vec3(5, 0, 0)];
+
+test('passes through every point for each parameterization', () => {
+    for (const type of ['centripetal', 'chordal', 'uniform']) {
+        const curve = new CatmullRomCurve(POINTS, false, type);
+        POINTS.forEach((p, i) => {
+            assert.ok(curve.getPoint(i / 3).equals(p, EPSILON), `${type} point ${i}`);
+        });
+    }
+    assert.throws(() => new CatmullRomCurve(POINTS, false, 'linear').getPoint(0.5), /Unknown Catmull-Rom type: linear/);
+});
+
+test('closed curves wrap around smoothly', () => {
+    const curve = new CatmullRomCurve(POINTS, true);
+
+    assert.ok(curve.getPoint(0.75).equals(POINTS[3], EPSILON));
+    assert.ok(curve.getPoint(1).equals(POINTS[0], EPSILON));
+    assert.ok(curve.getTangent(0).equals(curve.getTangent(1), 1e-9));
+    assert.equal(curve.getFlattenIntervals(), 4);
+});
+
+test('collinear points give a straight line and few or no points give defaults', () => {
+    const line = new CatmullRomCurve([new Vec3(0, 0, 0), new Vec3(1, 1, 0), new Vec3(3, 3, 0)]);
+
+    for (const t of [0.1, 0.4, 0.9]) {
+        const p = line.getPoint(t);
+        assert.ok(Math.abs(p.x - p.y) < EPSILON);
+        assert.ok(line.getTangent(t).equals(new Vec3(1, 1, 0).normalize(), 1e-9));
+    }
+    assert.equal(line.flatten(1e-6).length, 3);
+
+    assert.ok(new CatmullRomCurve([new Vec3(2, 3, 4)]).getPoint(0.5).equals(new Vec3(2, 3, 4)));
+    assert.ok(new CatmullRomCurve().getPoint(0.5).equals(new Vec3(0, 0, 0)));
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Curve } from '../../src/curves/Curve.js';
+import { LineCurve } from '../../src/curves/LineCurve.js';
+import { QuadraticBezierCurve } from '../../src/curves/QuadraticBezierCurve.js';
+import { CubicBezierCurve } from '../../src/curves/CubicBezierCurve.js';
+import { EllipseCurve } from '../../src/curves/EllipseCurve.js';
+import triangulatePolygon from '../../src/curves/Triangulation.js';
+import { Vec3 } from '../../src/math/Vec3.js';
+
+const EPSILON = 1e-12;
+
+// S-bend whose midpoint lies on the chord
+const S_BEND = new CubicBezierCurve(new Vec3(0, 0, 0), new Vec3(1, 2, 0), new Vec3(2, -2, 0), new Vec3(3, 0, 0));
+
+function segmentDistance(p, a, b) {
+    const ab = b.clone().sub(a);
+    const t = Math.min(Math.max(p.clone().sub(a).dot(ab) / ab.lengthSq(), 0), 1);
+    return a.clone().add(ab.mulScalar(t)).distanceTo(p);
+}
+
+// Largest distance from densely sampled curve points to the polyline
+function maxDeviation(curve, polyline, samples = 2000) {
+    let max = 0;
+    for (let i = 0; i <= samples; i++) {
+        const p = curve.getPoint(i / samples);
+        let nearest = Infinity;
+        for (let k = 0; k < polyline.length - 1; k++) {
+            nearest = Math.min(nearest, segmentDistance(p, polyline[k], polyline[k + 1]));
+        }
+        max = Math.max(max, nearest);
+    }
+    return max;
+}
+
+test('Bezier curves interpolate their end points and follow their control polygon', () => {
+    assert.ok(S_BEND.getPoint(0).equals(new Vec3(0, 0, 0)));
+    assert.ok(S_BEND.getPoint(1).equals(new Vec3(3, 0, 0)));
+    assert.ok(S_BEND.getPoint(0.5).equals(new Vec3(1.5, 0, 0), EPSILON));
+    assert.ok(S_BEND.getTangent(0).equals(new Vec3(1, 2, 0).normalize(), EPSILON));
+
+    // A quadratic is a cubic with control points two thirds of the way to the middle one
+    const a = new Vec3(0, 0, 0), b = new Vec3(2, 4, 1), c = new Vec3(4, 0, 0);
+    const quadratic = new QuadraticBezierCurve(a, b, c);
+    const cubic = new CubicBezierCurve(a, a.clone().lerp(b, 2 / 3), c.clone().lerp(b, 2 / 3), c);
+    for (const t of [0.1, 0.37, 0.8]) {
+        assert.ok(quadratic.getPoint(t).equals(cubic.getPoint(t), EPSILON));
+        assert.ok(quadratic.getTangent(t).equals(cubic.getTangent(t), EPSILON));
+    }
+});
+
+test('tangents fall back to finite differences at collapsed control points', () => {
+    const curve = new CubicBezierCurve(new Vec3(0, 0, 0), new Vec3(0, 0, 0), new Vec3(1, 1, 0), new Vec3(2, 0, 0));
+    assert.ok(curve.getTangent(0).equals(new Vec3(1, 1, 0).normalize(), 1e-3));
+});
+
+test('flatten stays within tolerance, including S-bends', () => {
+    for (const tolerance of [0.1, 0.01, 0.001]) {
+        const points = S_BEND.flatten(tolerance);
+        assert.ok(points.length > 3);
+        assert.ok(maxDeviation(S_BEND, points) <= tolerance, `tolerance ${tolerance}`);
+    }
+    assert.ok(S_BEND.flatten(0.001).length > S_BEND.flatten(0.1).length);
+    assert.equal(new LineCurve(new Vec3(0, 0, 0), new Vec3(5, 0, 0)).flatten(1e-9).length, 2);
+});
+
+test('arc length parameterization spaces points evenly', () => {
+    // Straight, but crowded near the start in t
+    const curve = new CubicBezierCurve(new Vec3(0, 0, 0), new Vec3(0.1, 0, 0), new Vec3(0.2, 0, 0), new Vec3(3, 0, 0));
+    const points = curve.getSpacedPoints(10);
+
+    assert.ok(Math.abs(curve.getLength() - 3) < EPSILON);
+    points.forEach((p, i) => assert.ok(Math.abs(p.x - i * 0.3) < 1e-3, `point ${i} at ${p.x}`));
+    assert.ok(curve.getPoint(0.5).x < 1);
+    assert.equal(curve.getUtoTmapping(0), 0);
+    assert.equal(curve.getUtoTmapping(1), 1);
+
+    // Cached lengths survive until updateArcLengths
+    curve.v3.set(6, 0, 0);
+    assert.ok(Math.abs(curve.getLength() - 3) < EPSILON);
+    curve.updateArcLengths();
+    assert.ok(Math.abs(curve.getLength() - 6) < EPSILON);
+});
+
+test('toVertices and toPolygonData feed triangulation', () => {
+    const outer = new EllipseCurve(new Vec3(), 4, 4);
+    const hole = new EllipseCurve(new Vec3(), 1, 1, 0, Math.PI * 2, true);
+    const vertices = outer.toVertices(0.01);
+
+    assert.notDeepEqual(vertices.slice(0, 2), vertices.slice(-2));
+    assert.equal(outer.toVertices(0.01, 3).length, vertices.length / 2 * 3);
+
+    const data = Curve.toPolygonData(outer, [hole], 0.01);
+    assert.deepEqual(data.holes, [vertices.length / 2]);
+    assert.equal(data.dimensions, 2);
+    assert.ok(triangulatePolygon(data.vertices, data.holes, 2).length > 0);
+
+    assert.throws(() => new Curve().getPoint(0), /Curve.getPoint\(\) is not implemented/);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CurvePath } from '../../src/curves/CurvePath.js';
+import { LineCurve } from '../../src/curves/LineCurve.js';
+import { QuadraticBezierCurve } from '../../src/curves/QuadraticBezierCurve.js';
+import { Vec3 } from '../../src/math/Vec3.js';
+
+const EPSILON = 1e-12;
+
+function lShape() {
+    return new CurvePath()
+        .add(new LineCurve(new Vec3(0, 0, 0), new Vec3(3, 0, 0)))
+        .add(new LineCurve(new Vec3(3, 0, 0), new Vec3(3, 1, 0)));
+}
+
+test('the path parameter is distributed by arc length', () => {
+    const path = lShape();
+
+    assert.equal(path.getLength(), 4);
+    assert.deepEqual(path.getCurveLengths(), [3, 4]);
+    assert.ok(path.getPoint(0.5).equals(new Vec3(2, 0, 0), EPSILON));
+    assert.ok(path.getPoint(0.875).equals(new Vec3(3, 0.5, 0), EPSILON));
+    assert.ok(path.getTangent(0.9).equals(new Vec3(0, 1, 0), EPSILON));
+    assert.ok(path.getPointAt(0.5).equals(path.getPoint(0.5)));
+});
+
+test('closePath adds a closing segment only when needed', () => {
+    const path = lShape().closePath();
+
+    assert.equal(path.curves.length, 3);
+    assert.ok(path.curves[2].getPoint(1).equals(new Vec3(0, 0, 0)));
+    assert.equal(path.closePath().curves.length, 3);
+    assert.equal(new CurvePath().closePath().curves.length, 0);
+});
+
+test('flatten joins curves without repeating shared end points', () => {
+    const path = lShape();
+    path.add(new QuadraticBezierCurve(new Vec3(3, 1, 0), new Vec3(3, 3, 0), new Vec3(0, 3, 0)));
+    path.closePath();
+
+    const points = path.flatten(0.01);
+    for (let i = 1; i < points.length; i++) assert.ok(!points[i].equals(points[i - 1]));
+    assert.ok(points.some(p => p.equals(new Vec3(3, 0, 0))));
+    assert.ok(points.some(p => p.equals(new Vec3(3, 1, 0))));
+
+    // Closed: the closing point is dropped for triangulation
+    const vertices = path.toVertices(0.01);
+    assert.equal(vertices.length, (points.length - 1) * 2);
+});
+
+test('updateArcLengths refreshes moved curves', () => {
+    const path = lShape();
+    assert.equal(path.getLength(), 4);
+
+    path.curves[1].v2.set(3, 5, 0);
+    path.updateArcLengths();
+    assert.equal(path.getLength(), 8);
+    assert.ok(new CurvePath().getPoint(0.5).equals(new Vec3(0, 0, 0)));
+});
@@ -0,0 +1,181 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import triangulatePolygon, {
+    flattenPolygonData,
+    calculateTriangulationQuality
+} from '../../src/curves/Triangulation.js';
+import { refineTriangulation } from '../../src/curves/DelaunayRefinement.js';
+
+const FIXTURES = new URL('../fixtures/earcut/', import.meta.url);
+
+function loadFixture(name) {
+    return flattenPolygonData(JSON.parse(readFileSync(new URL(`${name}.json`, FIXTURES), 'utf8')));
+}
+
+function signedArea(vertices, dim, a, b, c) {
+    return ((vertices[b * dim] - vertices[a * dim]) * (vertices[c * dim + 1] - vertices[a * dim + 1]) -
+            (vertices[c * dim] - vertices[a * dim]) * (vertices[b * dim + 1] - vertices[a * dim + 1])) / 2;
+}
+
+// Edges used by exactly one triangle, as [from, to] pairs
+function boundaryEdges(triangles) {
+    const counts = new Map();
+    for (let i = 0; i < triangles.length; i += 3) {
+        for (let k = 0; k < 3; k++) {
+            const a = triangles[i + k], b = triangles[i + (k + 1) % 3];
+            const key = Math.min(a, b) + ',' + Math.max(a, b);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        }
+    }
+    return [...counts].filter(([, n]) => n === 1).map(([key]) => key.split(',').map(Number));
+}
+
+// Every ring edge, possibly split into collinear pieces by Steiner points,
+// must still be covered by boundary edges of the refined mesh
+function assertRingEdgesKept(input, holes, output, triangles, dim) {
+    const count = input.length / dim;
+    const starts = [0].concat(holes || []);
+    const boundary = boundaryEdges(triangles);
+
+    for (let r = 0; r < starts.length; r++) {
+        const start = starts[r], end = r + 1 < starts.length ? starts[r + 1] : count;
+        for (let i = start; i < end; i++) {
+            const j = i + 1 < end ? i + 1 : start;
+            const ax = input[i * dim], ay = input[i * dim + 1];
+            const bx = input[j * dim], by = input[j * dim + 1];
+            const length = Math.hypot(bx - ax, by - ay);
+
+            let covered = 0;
+            for (const [p, q] of boundary) {
+                const onSegment = k => {
+                    const x = output[k * dim], y = output[k * dim + 1];
+                    const cross = (bx - ax) * (y - ay) - (by - ay) * (x - ax);
+                    const t = ((x - ax) * (bx - ax) + (y - ay) * (by - ay)) / (length * length);
+                    return Math.abs(cross) <= 1e-9 * length * length && t >= -1e-12 && t <= 1 + 1e-12;
+                };
+                if (onSegment(p) && onSegment(q)) {
+                    covered += Math.hypot(output[q * dim] - output[p * dim], output[q * dim + 1] - output[p * dim + 1]);
+                }
+            }
+            assert.ok(Math.abs(covered - length) <= 1e-9 * length, `ring edge ${i}-${j} is not kept`);
+        }
+    }
+}
+
+// No vertex of a neighbouring triangle lies strictly inside a triangle's circumcircle
+// (ring edges have no neighbour when holes do not touch, so they are skipped)
+function assertDelaunay(vertices, dim, triangles) {
+    const opposite = new Map();
+    for (let i = 0; i < triangles.length; i += 3) {
+        for (let k = 0; k < 3; k++) {
+            opposite.set(triangles[i + k] + ',' + triangles[i + (k + 1) % 3], triangles[i + (k + 2) % 3]);
+        }
+    }
+
+    for (let i = 0; i < triangles.length; i += 3) {
+        const [a, b, c] = [triangles[i], triangles[i + 1], triangles[i + 2]];
+        for (const [p, q] of [[a, b], [b, c], [c, a]]) {
+            const d = opposite.get(q + ',' + p);
+            if (d === undefined) continue;
+
+            const point = k => [vertices[k * dim], vertices[k * dim + 1]];
+            const [ax, ay] = point(a), [bx, by] = point(b), [cx, cy] = point(c), [dx, dy] = point(d);
+            const adx = ax - dx, ady = ay - dy, bdx = bx - dx, bdy = by - dy, cdx = cx - dx, cdy = cy - dy;
+            const det = (adx * adx + ady * ady) * (bdx * cdy - cdx * bdy) -
+                        (bdx * bdx + bdy * bdy) * (adx * cdy - cdx * ady) +
+                        (cdx * cdx + cdy * cdy) * (adx * bdy - bdx * ady);
+            const scale = (adx * adx + ady * ady) * (bdx * bdx + bdy * bdy + cdx * cdx + cdy * cdy);
+            assert.ok(det <= 1e-9 * scale, `vertex ${d} is inside the circumcircle of ${a},${b},${c}`);
+        }
+    }
+}
+
+test('edge flips make a fan triangulation Delaunay without touching ring edges', () => {
+    // Flattened octagon: ear clipping leaves slivers that flips should remove
+    const vertices = [];
+    for (let i = 0; i < 8; i++) {
+        vertices.push(Math.cos(i * Math.PI / 4 + 0.1) * 10, Math.sin(i * Math.PI / 4 + 0.1) * 10 * 0.3);
+    }
+    const triangles = triangulatePolygon(vertices);
+    const refined = refineTriangulation(vertices, null, 2, triangles);
+
+    assert.equal(refined.vertices, vertices);
+    assert.equal(refined.steinerCount, 0);
+    assert.equal(refined.triangles.length, triangles.length);
+    assertDelaunay(vertices, 2, refined.triangles);
+    assertRingEdgesKept(vertices, null, vertices, refined.triangles, 2);
+    assert.equal(calculateTriangulationQuality(vertices, null, 2, refined.triangles) < 1e-12, true);
+});
+
+test('hole edges stay constrained', () => {
+    // Thin slots force ear clipping into slivers that flips would like to cross
+    const vertices = [
+        0, 0, 30, 0, 30, 10, 0, 10,
+        2, 4, 2, 6, 28, 5.2, 28, 4.8,
+        15, 1.1, 15, 1.5, 27, 2, 27, 1.8
+    ];
+    const holes = [4, 8];
+    const triangles = triangulatePolygon(vertices, holes);
+    const refined = refineTriangulation(vertices, holes, 2, triangles);
+
+    assertDelaunay(vertices, 2, refined.triangles);
+    assertRingEdgesKept(vertices, holes, vertices, refined.triangles, 2);
+    assert.ok(calculateTriangulationQuality(vertices, holes, 2, refined.triangles) < 1e-12);
+});
+
+test('fixture data keeps its area', () => {
+    const { vertices, holes, dimensions } = loadFixture('water3b');
+    const triangles = triangulatePolygon(vertices, holes, dimensions);
+    const refined = refineTriangulation(vertices, holes, dimensions, triangles);
+
+    assert.equal(refined.triangles.length, triangles.length);
+    assert.ok(calculateTriangulationQuality(vertices, holes, dimensions, refined.triangles) < 1e-12);
+});
+
+test('minAngle and maxArea targets are met, keeping ring edges and winding', () => {
+    // Long rectangle with a square hole: all input angles are 90 degrees
+    const vertices = [0, 0, 20, 0, 20, 2, 0, 2, 9, 0.5, 9, 1.5, 11, 1.5, 11, 0.5];
+    const holes = [4];
+    const triangles = triangulatePolygon(vertices, holes);
+    const before = calculateTriangulationQuality(vertices, holes, 2, triangles, { detailed: true });
+
+    const refined = refineTriangulation(vertices, holes, 2, triangles, { minAngle: 20, maxArea: 1 });
+    const quality = calculateTriangulationQuality(refined.vertices, holes, 2, refined.triangles,
+        { detailed: true, vertexCount: 8 });
+
+    assert.ok(before.minAngle < 20);
+    assert.ok(refined.steinerCount > 0);
+    assert.equal(refined.vertices.length, (8 + refined.steinerCount) * 2);
+    assert.deepEqual(refined.vertices.slice(0, 16), vertices);
+    assert.ok(quality.minAngle >= 20 - 1e-9, `min angle ${quality.minAngle}`);
+    assert.ok(quality.deviation < 1e-12);
+    assert.equal(quality.degenerateCount, 0);
+
+    const inputWinding = Math.sign(signedArea(vertices, 2, triangles[0], triangles[1], triangles[2]));
+    for (let i = 0; i < refined.triangles.length; i += 3) {
+        const area = signedArea(refined.vertices, 2, refined.triangles[i], refined.triangles[i + 1], refined.triangles[i + 2]);
+        assert.ok(Math.abs(area) <= 1 + 1e-12, `triangle area ${area}`);
+        assert.equal(Math.sign(area), inputWinding);
+    }
+
+    assertRingEdgesKept(vertices, holes, refined.vertices, refined.triangles, 2);
+});
+
+test('Steiner points interpolate extra coordinates and respect the point budget', () => {
+    // z = x + y on every input vertex, so interpolated points must satisfy it too
+    const vertices = [0, 0, 0, 8, 0, 8, 8, 8, 16, 0, 8, 8];
+    const triangles = triangulatePolygon(vertices, null, 3);
+    const refined = refineTriangulation(vertices, null, 3, triangles, { maxArea: 2 });
+
+    assert.ok(refined.steinerCount > 0);
+    for (let i = 0; i < refined.vertices.length; i += 3) {
+        const [x, y, z] = refined.vertices.slice(i, i + 3);
+        assert.ok(Math.abs(z - (x + y)) < 1e-9, `z ${z} at ${x},${y}`);
+    }
+
+    const limited = refineTriangulation(vertices, null, 3, triangles, { maxArea: 0.01, maxSteinerPoints: 5 });
+    assert.equal(limited.steinerCount, 5);
+    assert.equal(limited.vertices.length, (4 + 5) * 3);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EllipseCurve } from '../../src/curves/EllipseCurve.js';
+import { Vec3 } from '../../src/math/Vec3.js';
+
+const EPSILON = 1e-12;
+
+test('getSweep wraps angles and honors the direction', () => {
+    const sweep = (start, end, clockwise) => new EllipseCurve(new Vec3(), 1, 1, start, end, clockwise).getSweep();
+
+    assert.equal(sweep(0, Math.PI / 2, false), Math.PI / 2);
+    assert.equal(sweep(0, Math.PI / 2, true), Math.PI / 2 - Math.PI * 2);
+    assert.equal(sweep(0, -Math.PI / 2, false), Math.PI * 1.5);
+    assert.equal(sweep(0, Math.PI * 2, false), Math.PI * 2);
+    assert.equal(sweep(0, Math.PI * 2, true), -Math.PI * 2);
+    assert.equal(sweep(1, 1, false), 0);
+    assert.equal(sweep(1, 1, true), 0);
+});
+
+test('points and tangents of a rotated, clockwise arc', () => {
+    const arc = new EllipseCurve(new Vec3(1, 1, 2), 2, 1, 0, Math.PI / 2, true, Math.PI / 2);
+
+    // Axes turned a quarter: the ellipse x axis points along +Y
+    assert.ok(arc.getPoint(0).equals(new Vec3(1, 3, 2), EPSILON));
+    // Clockwise from 0 to PI / 2 sweeps three quarters, ending at angle -3 PI / 2
+    assert.ok(arc.getPoint(1).equals(new Vec3(0, 1, 2), EPSILON));
+    assert.ok(arc.getTangent(0).equals(new Vec3(1, 0, 0), EPSILON));
+});
+
+test('a full circle has the right length and flattens without meeting ends', () => {
+    const circle = new EllipseCurve(new Vec3(), 3, 3);
+
+    assert.ok(Math.abs(circle.getLength() - Math.PI * 6) < 1e-3);
+    assert.equal(circle.getFlattenIntervals(), 4);
+
+    const points = circle.flatten(0.001);
+    assert.ok(points[0].equals(points[points.length - 1], EPSILON));
+    for (const p of points) assert.ok(Math.abs(p.length() - 3) < EPSILON);
+
+    // Chord sagitta r (1 - cos(step / 2)) stays within tolerance
+    const step = Math.PI * 2 / (points.length - 1);
+    assert.ok(3 * (1 - Math.cos(step / 2)) <= 0.001);
+});
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { extrudePolygon } from '../../src/curves/Extrusion.js';
+import { Vec2 } from '../../src/math/Vec2.js';
+import { Vec3 } from '../../src/math/Vec3.js';
+
+// 4 x 4 square with a 2 x 2 hole, given closed and clockwise to exercise normalization
+const FRAME = [
+    [[0, 0], [0, 4], [4, 4], [4, 0], [0, 0]],
+    [[1, 1], [3, 1], [3, 3], [1, 3]]
+];
+
+function vertex(mesh, i) {
+    return new Vec3().fromArray(mesh.positions, i * 3);
+}
+
+function faceNormal(mesh, t) {
+    const a = vertex(mesh, mesh.indices[t]);
+    const b = vertex(mesh, mesh.indices[t + 1]).sub(a);
+    const c = vertex(mesh, mesh.indices[t + 2]).sub(a);
+    return new Vec3().crossVectors(b, c);
+}
+
+// Volume by the divergence theorem: positive only for closed, outward-facing meshes
+function signedVolume(mesh) {
+    let volume = 0;
+    for (let t = 0; t < mesh.indices.length; t += 3) {
+        const a = vertex(mesh, mesh.indices[t]);
+        const b = vertex(mesh, mesh.indices[t + 1]);
+        const c = vertex(mesh, mesh.indices[t + 2]);
+        volume += a.dot(new Vec3().crossVectors(b, c)) / 6;
+    }
+    return volume;
+}
+
+test('groups split the index buffer into caps, then sides', () => {
+    const mesh = extrudePolygon(FRAME, { depth: 2 });
+    const [caps, sides] = mesh.groups;
+
+    assert.deepEqual(mesh.groups.map(g => g.materialIndex), [0, 1]);
+    assert.equal(caps.start, 0);
+    assert.equal(sides.start, caps.count);
+    assert.equal(caps.count + sides.count, mesh.indices.length);
+    assert.equal(caps.count % 3, 0);
+
+    // 8 triangles per cap; 8 wall quads
+    assert.equal(caps.count, 2 * 8 * 3);
+    assert.equal(sides.count, 8 * 6);
+
+    for (let t = caps.start; t < caps.start + caps.count; t += 3) {
+        const n = faceNormal(mesh, t);
+        assert.ok(n.x === 0 && n.y === 0 && n.z !== 0);
+    }
+    for (let t = sides.start; t < sides.start + sides.count; t += 3) {
+        assert.equal(Math.abs(faceNormal(mesh, t).z), 0);
+    }
+});
+
+test('the mesh is closed and faces outwards, matching vertex normals', () => {
+    const mesh = extrudePolygon(FRAME, { depth: 2 });
+
+    assert.ok(Math.abs(signedVolume(mesh) - 12 * 2) < 1e-9);
+    assert.equal(mesh.positions.length, mesh.normals.length);
+    assert.equal(mesh.uvs.length / 2, mesh.positions.length / 3);
+
+    for (let t = 0; t < mesh.indices.length; t += 3) {
+        const normal = new Vec3().fromArray(mesh.normals, mesh.indices[t] * 3);
+        assert.ok(faceNormal(mesh, t).normalize().equals(normal, 1e-12), `triangle ${t / 3}`);
+    }
+});
+
+test('side UVs run along the outline and up the wall', () => {
+    const mesh = extrudePolygon([[new Vec2(0, 0), new Vec2(3, 0), new Vec2(3, 1), new Vec2(0, 1)]], { depth: 5 });
+    const sides = mesh.groups[1];
+    let maxU = 0, maxV = 0;
+
+    for (let i = sides.start; i < sides.start + sides.count; i++) {
+        maxU = Math.max(maxU, mesh.uvs[mesh.indices[i] * 2]);
+        maxV = Math.max(maxV, mesh.uvs[mesh.indices[i] * 2 + 1]);
+    }
+    assert.equal(maxU, 8);
+    assert.equal(maxV, 5);
+});
+
+test('bevels keep the footprint and depth, and round the cap edges', () => {
+    const square = [[[0, 0], [4, 0], [4, 4], [0, 4]]];
+    const plain = extrudePolygon(square, { depth: 2 });
+    const bevelled = extrudePolygon(square, { depth: 2, bevelSegments: 3, bevelSize: 0.5, bevelThickness: 0.4 });
+
+    let min = new Vec3(Infinity, Infinity, Infinity), max = new Vec3(-Infinity, -Infinity, -Infinity);
+    for (let i = 0; i < bevelled.positions.length / 3; i++) {
+        min.min(vertex(bevelled, i));
+        max.max(vertex(bevelled, i));
+    }
+    assert.ok(min.equals(new Vec3(0, 0, 0)) && max.equals(new Vec3(4, 4, 2)));
+
+    const volume = signedVolume(bevelled);
+    assert.ok(volume > 0 && volume < signedVolume(plain));
+    // 3 bevel bands at each end plus the wall, 4 edges each
+    assert.equal(bevelled.groups[1].count, (3 * 2 + 1) * 4 * 6);
+});
+
+test('multi-polygons and invalid options', () => {
+    const mesh = extrudePolygon([[[[0, 0], [1, 0], [1, 1]]], [[[5, 0], [6, 0], [6, 1]]]]);
+    assert.equal(mesh.groups[0].count, 2 * 2 * 3);
+    assert.ok(Math.abs(signedVolume(mesh) - 1) < 1e-12);
+
+    assert.throws(() => extrudePolygon(FRAME, { depth: 0 }), /Extrusion depth must be positive, got 0/);
+    assert.throws(() => extrudePolygon(FRAME, { depth: 1, bevelSegments: 2, bevelThickness: 0.6 }),
+        /Bevel thickness 0.6 does not fit twice into depth 1/);
+});
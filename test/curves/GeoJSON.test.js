@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    triangulateGeoJSON,
+    mergeGeoJSONTriangulation,
+    validatePolygonRings
+} from '../../src/curves/GeoJSON.js';
+
+const SQUARE = [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]];
+
+function errorTypes(errors) {
+    return errors.map(error => `${error.type}@${error.polygon}:${error.ring}`);
+}
+
+function triangleArea(vertices, triangles, dimensions) {
+    let area = 0;
+    for (let i = 0; i < triangles.length; i += 3) {
+        const a = triangles[i] * dimensions, b = triangles[i + 1] * dimensions, c = triangles[i + 2] * dimensions;
+        area += ((vertices[b] - vertices[a]) * (vertices[c + 1] - vertices[a + 1]) -
+                 (vertices[c] - vertices[a]) * (vertices[b + 1] - vertices[a + 1])) / 2;
+    }
+    return area;
+}
+
+test('validatePolygonRings accepts a valid polygon in either winding', () => {
+    const hole = [[2, 2], [4, 2], [4, 4], [2, 4], [2, 2]];
+
+    assert.deepEqual(validatePolygonRings([SQUARE, hole]), []);
+    assert.deepEqual(validatePolygonRings([[...SQUARE].reverse(), [...hole].reverse()]), []);
+    // A hole may touch the shell
+    assert.deepEqual(validatePolygonRings([SQUARE, [[0, 5], [5, 2], [5, 8], [0, 5]]]), []);
+});
+
+test('validatePolygonRings reports rings with too few points', () => {
+    assert.deepEqual(errorTypes(validatePolygonRings([[[0, 0], [1, 1], [1, 1], [0, 0]]])),
+        ['too-few-points@0:0']);
+    assert.deepEqual(errorTypes(validatePolygonRings([SQUARE, [[2, 2], [3, 3], [2, 2]]])),
+        ['too-few-points@0:1']);
+});
+
+test('validatePolygonRings reports self-intersecting rings', () => {
+    const bowtie = [[0, 0], [10, 10], [10, 0], [0, 10], [0, 0]];
+    const errors = validatePolygonRings([bowtie]);
+
+    assert.deepEqual(errorTypes(errors), ['self-intersection@0:0']);
+    assert.equal(errors[0].message, 'Ring intersects itself');
+
+    // An edge folding back over its neighbour
+    assert.deepEqual(errorTypes(validatePolygonRings([[[0, 0], [10, 0], [5, 0], [5, 5]]])),
+        ['self-intersection@0:0']);
+});
+
+test('validatePolygonRings reports holes reaching outside the shell', () => {
+    const outside = [[8, 8], [12, 8], [12, 12], [8, 12], [8, 8]];
+    assert.deepEqual(errorTypes(validatePolygonRings([SQUARE, outside])), ['hole-outside-shell@0:1']);
+
+    // Every hole position is inside the U-shaped shell but the bar spans its notch
+    const u = [[0, 0], [10, 0], [10, 10], [7, 10], [7, 3], [3, 3], [3, 10], [0, 10], [0, 0]];
+    const bar = [[1, 6], [9, 6], [9, 7], [1, 7], [1, 6]];
+    assert.deepEqual(errorTypes(validatePolygonRings([u, bar])), ['hole-outside-shell@0:1']);
+
+    // Edges between shell vertices: a chord stays inside, one across the notch does not
+    const diamond = [[5, 0], [10, 5], [5, 10], [0, 5], [5, 0]];
+    assert.deepEqual(validatePolygonRings([diamond, [[5, 0], [5, 10], [6, 5], [5, 0]]]), []);
+    const notched = [[0, 0], [10, 0], [10, 10], [5, 5], [0, 10], [0, 0]];
+    assert.deepEqual(errorTypes(validatePolygonRings([notched, [[0, 10], [10, 10], [5, 1], [0, 10]]])),
+        ['hole-outside-shell@0:1']);
+});
+
+test('triangulateGeoJSON gives each feature offsets into the merged buffer', () => {
+    const collection = {
+        type: 'FeatureCollection',
+        features: [
+            { type: 'Feature', geometry: { type: 'Polygon', coordinates: [SQUARE, [[2, 2], [4, 2], [4, 4], [2, 4]]] } },
+            { type: 'Feature', geometry: null },
+            {
+                type: 'Feature',
+                geometry: {
+                    type: 'MultiPolygon',
+                    coordinates: [[[[20, 0], [22, 0], [22, 2], [20, 2]]], [[[30, 0], [31, 0], [30, 1]]]]
+                }
+            }
+        ]
+    };
+    const result = triangulateGeoJSON(collection);
+
+    assert.equal(result.features.length, 3);
+    assert.deepEqual(result.features.map(f => [f.index, f.vertexOffset, f.indexOffset]),
+        [[0, 0, 0], [1, 8, 24], [2, 8, 24]]);
+    assert.equal(result.vertexCount, 15);
+    assert.equal(result.indexCount, 24 + 9);
+    assert.equal(triangleArea(result.features[0].vertices, result.features[0].triangles, 2), 96);
+
+    const merged = mergeGeoJSONTriangulation(result);
+    assert.equal(merged.vertices.length, 30);
+    assert.equal(merged.triangles.length, 33);
+    assert.ok(merged.triangles.slice(24).every(index => index >= 8 && index < 15));
+    assert.equal(triangleArea(merged.vertices, merged.triangles, 2), 96 + 4 + 0.5);
+});
+
+test('triangulateGeoJSON keeps altitudes with dimensions 3', () => {
+    const polygon = { type: 'Polygon', coordinates: [[[0, 0, 5], [1, 0, 6], [1, 1], [0, 0, 5]]] };
+    const [feature] = triangulateGeoJSON(polygon, { dimensions: 3 }).features;
+
+    assert.deepEqual(feature.vertices, [0, 0, 5, 1, 0, 6, 1, 1, 0]);
+    assert.equal(feature.triangles.length, 3);
+    assert.throws(() => triangulateGeoJSON(polygon, { dimensions: 4 }), /dimensions must be 2 or 3/);
+});
+
+test('triangulateGeoJSON reports geometry without area and drops invalid rings', () => {
+    const collection = {
+        type: 'GeometryCollection',
+        geometries: [
+            { type: 'LineString', coordinates: [[0, 0], [1, 1]] },
+            { type: 'Polygon', coordinates: [SQUARE, [[8, 8], [12, 8], [12, 12], [8, 12]]] }
+        ]
+    };
+    const [feature] = triangulateGeoJSON(collection).features;
+
+    assert.deepEqual(errorTypes(feature.errors), ['unsupported-geometry@-1:-1', 'hole-outside-shell@0:1']);
+    assert.equal(triangleArea(feature.vertices, feature.triangles, 2), 100);
+    assert.throws(() => triangulateGeoJSON({ type: 'Topology' }), /Unsupported GeoJSON type: Topology/);
+    assert.throws(() => triangulateGeoJSON(null), /must be an object/);
+});
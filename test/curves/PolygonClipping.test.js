@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { clipPolygons, clipAndTriangulate, simplifyPolygon, PolygonClipping } from '../../src/curves/PolygonClipping.js';
+import { calculateTriangulationQuality } from '../../src/curves/Triangulation.js';
+import { ringArea } from '../../src/curves/PolygonUtils.js';
+import { Vec2 } from '../../src/math/Vec2.js';
+
+const OPERATIONS = ['union', 'intersection', 'difference', 'xor'];
+
+function rect(minX, minY, maxX, maxY) {
+    return [[[minX, minY], [maxX, minY], [maxX, maxY], [minX, maxY]]];
+}
+
+// Net area, checking that outer rings are counter-clockwise and holes clockwise
+function totalArea(polygons) {
+    let area = 0;
+    for (const polygon of polygons) {
+        polygon.forEach((ring, i) => {
+            const ringSigned = ringArea(ring);
+            assert.ok(i === 0 ? ringSigned > 0 : ringSigned < 0, `ring ${i} has the wrong winding`);
+            area += ringSigned;
+        });
+    }
+    return area;
+}
+
+function assertAreas(subject, clipping, expected) {
+    OPERATIONS.forEach((operation, i) => {
+        const area = totalArea(clipPolygons(subject, clipping, operation));
+        assert.ok(Math.abs(area - expected[i]) < 1e-9, `${operation}: area ${area}, expected ${expected[i]}`);
+    });
+}
+
+test('overlapping squares', () => {
+    assertAreas(rect(0, 0, 2, 2), rect(1, 1, 3, 3), [7, 1, 3, 6]);
+
+    assert.equal(PolygonClipping.union(rect(0, 0, 2, 2), rect(1, 1, 3, 3)).length, 1);
+    assert.equal(PolygonClipping.xor(rect(0, 0, 2, 2), rect(1, 1, 3, 3)).length, 2);
+    assert.deepEqual(PolygonClipping.intersection(rect(0, 0, 2, 2), rect(1, 1, 3, 3))[0][0].length, 4);
+});
+
+test('nested squares produce holes', () => {
+    const outer = rect(0, 0, 4, 4), inner = rect(1, 1, 3, 3);
+    assertAreas(outer, inner, [16, 4, 12, 12]);
+
+    const difference = PolygonClipping.difference(outer, inner);
+    assert.equal(difference.length, 1);
+    assert.equal(difference[0].length, 2);
+    assert.deepEqual(PolygonClipping.difference(inner, outer), []);
+
+    // Clipping across a subject hole opens the hole into a notch
+    const frame = [rect(0, 0, 4, 4)[0], rect(1, 1, 3, 3)[0]];
+    assertAreas(frame, rect(2, 0, 6, 4), [22, 6, 6, 16]);
+    assert.equal(PolygonClipping.difference(frame, rect(2, 0, 6, 4))[0].length, 1);
+});
+
+test('squares touching along an edge or at a corner', () => {
+    const left = rect(0, 0, 1, 1);
+
+    assertAreas(left, rect(1, 0, 2, 1), [2, 0, 1, 2]);
+    assert.equal(PolygonClipping.union(left, rect(1, 0, 2, 1)).length, 1);
+    assert.deepEqual(PolygonClipping.intersection(left, rect(1, 0, 2, 1)), []);
+
+    assertAreas(left, rect(1, 1, 2, 2), [2, 0, 1, 2]);
+    assert.deepEqual(PolygonClipping.intersection(left, rect(1, 1, 2, 2)), []);
+});
+
+test('identical polygons', () => {
+    assertAreas(rect(0, 0, 2, 2), rect(0, 0, 2, 2), [4, 4, 0, 0]);
+});
+
+test('empty and disjoint operands skip the sweep', () => {
+    const square = rect(0, 0, 1, 1);
+
+    assertAreas(square, [], [1, 0, 1, 1]);
+    assertAreas([], square, [1, 0, 0, 1]);
+    assertAreas(square, rect(5, 5, 6, 6), [2, 0, 1, 2]);
+    assert.throws(() => clipPolygons(square, square, 'subtract'), /Unknown clipping operation: subtract/);
+});
+
+test('Vec2 rings, closed rings, clockwise winding and multi-polygons are accepted', () => {
+    const vectors = [[new Vec2(0, 0), new Vec2(0, 2), new Vec2(2, 2), new Vec2(2, 0), new Vec2(0, 0)]];
+    const multi = [rect(1, -1, 3, 1), rect(1, 1.5, 3, 3)];
+
+    assertAreas(vectors, multi, [9.5, 1.5, 2.5, 8]);
+});
+
+test('clipAndTriangulate covers the clipped area', () => {
+    const result = clipAndTriangulate(rect(0, 0, 4, 4), rect(1, 1, 3, 3), 'difference');
+    let area = 0;
+    for (let i = 0; i < result.triangles.length; i += 3) {
+        const [a, b, c] = [result.triangles[i] * 2, result.triangles[i + 1] * 2, result.triangles[i + 2] * 2];
+        const v = result.vertices;
+        area += Math.abs((v[b] - v[a]) * (v[c + 1] - v[a + 1]) - (v[c] - v[a]) * (v[b + 1] - v[a + 1])) / 2;
+    }
+
+    assert.equal(result.dimensions, 2);
+    assert.equal(result.polygons.length, 1);
+    assert.ok(Math.abs(area - 12) < 1e-9);
+    assert.equal(calculateTriangulationQuality(result.vertices, [4], 2, result.triangles), 0);
+});
+
+test('simplifyPolygon splits a bowtie and follows the fill rule', () => {
+    const bowtie = [[[0, 0], [2, 2], [2, 0], [0, 2]]];
+    const parts = simplifyPolygon(bowtie);
+
+    assert.equal(parts.length, 2);
+    assert.ok(Math.abs(totalArea(parts) - 2) < 1e-9);
+
+    // Two counter-clockwise squares overlapping in [1, 2] x [0, 2]; winding 2 there
+    const overlapping = [rect(0, 0, 2, 2), rect(1, 0, 3, 2)];
+    assert.ok(Math.abs(totalArea(simplifyPolygon(overlapping, 'nonzero')) - 6) < 1e-9);
+    assert.ok(Math.abs(totalArea(simplifyPolygon(overlapping, 'evenodd')) - 4) < 1e-9);
+
+    // A clockwise ring cancels a counter-clockwise one under the positive rule
+    const cancelled = [rect(0, 0, 2, 2), [rect(1, 0, 3, 2)[0].slice().reverse()]];
+    assert.ok(Math.abs(totalArea(simplifyPolygon(cancelled, 'positive')) - 2) < 1e-9);
+    assert.throws(() => simplifyPolygon(bowtie, 'winding'), /Unknown fill rule: winding/);
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { offsetPolygon, strokePolyline, PolygonOffset } from '../../src/curves/PolygonOffset.js';
+import { ringArea } from '../../src/curves/PolygonUtils.js';
+
+const SQUARE = [[[0, 0], [2, 0], [2, 2], [0, 2]]];
+
+function polygonsArea(polygons) {
+    let area = 0;
+    for (const polygon of polygons) {
+        for (const ring of polygon) area += ringArea(ring);
+    }
+    return area;
+}
+
+function meshArea({ vertices, triangles }) {
+    let area = 0;
+    for (let i = 0; i < triangles.length; i += 3) {
+        const a = triangles[i] * 2, b = triangles[i + 1] * 2, c = triangles[i + 2] * 2;
+        area += Math.abs((vertices[b] - vertices[a]) * (vertices[c + 1] - vertices[a + 1]) -
+                         (vertices[c] - vertices[a]) * (vertices[b + 1] - vertices[a + 1])) / 2;
+    }
+    return area;
+}
+
+function assertArea(actual, expected, epsilon = 1e-9) {
+    assert.ok(Math.abs(actual - expected) <= epsilon, `area ${actual}, expected ${expected}`);
+}
+
+test('outset joins: miter, bevel and round corners', () => {
+    assertArea(polygonsArea(offsetPolygon(SQUARE, 1, { join: 'miter' })), 16);
+    assertArea(polygonsArea(offsetPolygon(SQUARE, 1, { join: 'bevel' })), 14);
+    assertArea(polygonsArea(offsetPolygon(SQUARE, 1, { join: 'round' })), 12 + Math.PI, 0.05);
+
+    // A right-angle miter is sqrt(2) offsets long
+    assertArea(polygonsArea(offsetPolygon(SQUARE, 1, { miterLimit: 1.5 })), 16);
+    assertArea(polygonsArea(offsetPolygon(SQUARE, 1, { miterLimit: 1.2 })), 14);
+});
+
+test('round joins stay within the arc tolerance', () => {
+    const coarse = offsetPolygon(SQUARE, 1, { join: 'round', arcTolerance: 0.1 });
+    const fine = offsetPolygon(SQUARE, 1, { join: 'round', arcTolerance: 0.001 });
+
+    assert.ok(coarse[0][0].length < fine[0][0].length);
+    for (const [x, y] of fine[0][0]) {
+        const dx = Math.max(0 - x, 0, x - 2), dy = Math.max(0 - y, 0, y - 2);
+        assert.ok(Math.abs(Math.hypot(dx, dy) - 1) <= 1e-9);
+    }
+});
+
+test('insets shrink, collapse, and grow holes', () => {
+    const big = [[[0, 0], [4, 0], [4, 4], [0, 4]]];
+
+    assertArea(polygonsArea(PolygonOffset.inset(big, 1)), 4);
+    assert.deepEqual(PolygonOffset.inset(big, 2.5), []);
+
+    const frame = [[[0, 0], [6, 0], [6, 6], [0, 6]], [[2, 2], [2, 4], [4, 4], [4, 2]]];
+    const grown = PolygonOffset.outset(frame, 0.5, { join: 'miter' });
+    assert.equal(grown.length, 1);
+    assert.equal(grown[0].length, 2);
+    assertArea(polygonsArea(grown), 49 - 1);
+
+    // Holes that close up disappear
+    assert.equal(PolygonOffset.outset(frame, 1.5)[0].length, 1);
+    assertArea(polygonsArea(offsetPolygon(SQUARE, 0)), 4);
+});
+
+test('stroke caps: butt, square and round', () => {
+    const line = [[0, 0], [10, 0]];
+
+    assertArea(meshArea(strokePolyline(line, 2, { cap: 'butt' })), 20);
+    assertArea(meshArea(strokePolyline(line, 2, { cap: 'square' })), 24);
+    assertArea(meshArea(strokePolyline(line, 2, { cap: 'round' })), 20 + Math.PI, 0.05);
+});
+
+test('stroke joins on a right-angle polyline', () => {
+    const corner = [[0, 0], [10, 0], [10, 10]];
+
+    assertArea(meshArea(strokePolyline(corner, 2, { join: 'miter' })), 40);
+    assertArea(meshArea(strokePolyline(corner, 2, { join: 'bevel' })), 39.5);
+    assertArea(meshArea(strokePolyline(corner, 2, { join: 'round' })), 39 + Math.PI / 4, 0.01);
+});
+
+test('closed strokes are bands and self-overlaps are merged', () => {
+    const ring = [[0, 0], [10, 0], [10, 10], [0, 10]];
+    const band = strokePolyline(ring, 2, { closed: true });
+
+    assert.equal(band.polygons.length, 1);
+    assert.equal(band.polygons[0].length, 2);
+    assertArea(meshArea(band), 144 - 64);
+
+    // Crossing itself: the overlap is covered once
+    const cross = strokePolyline([[0, 5], [10, 5], [5, 0], [5, 10]], 2);
+    assertArea(meshArea(cross), polygonsArea(cross.polygons));
+});
+
+test('invalid styles and widths throw', () => {
+    assert.throws(() => strokePolyline([[0, 0], [1, 0]], 0), /Stroke width must be positive, got 0/);
+    assert.throws(() => strokePolyline([[0, 0], [1, 0]], 1, { join: 'sharp' }), /Unknown join style: sharp/);
+    assert.throws(() => strokePolyline([[0, 0], [1, 0]], 1, { cap: 'flat' }), /Unknown cap style: flat/);
+    assert.throws(() => offsetPolygon(SQUARE, 1, { miterLimit: 0.5 }), /Miter limit must be at least 1/);
+    assert.deepEqual(strokePolyline([[1, 1], [1, 1]], 1).triangles, []);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizePolygons, ringArea, pointInRing } from '../../src/curves/PolygonUtils.js';
+import { Vec2 } from '../../src/math/Vec2.js';
+
+test('normalizePolygons opens, deduplicates and orients rings', () => {
+    const closedClockwise = [[0, 0], [0, 2], [0, 2], [2, 2], [2, 0], [0, 0]];
+    const openCounterClockwise = [[0.5, 0.5], [1.5, 0.5], [1.5, 1.5]];
+
+    assert.deepEqual(normalizePolygons([closedClockwise, openCounterClockwise]), [[
+        [[2, 0], [2, 2], [0, 2], [0, 0]],
+        [[1.5, 1.5], [1.5, 0.5], [0.5, 0.5]]
+    ]]);
+});
+
+test('normalizePolygons accepts Vec2 rings and multi-polygons', () => {
+    const vectors = [[new Vec2(0, 0), new Vec2(1, 0), new Vec2(0, 1)]];
+
+    assert.deepEqual(normalizePolygons(vectors), [[[[0, 0], [1, 0], [0, 1]]]]);
+    assert.equal(normalizePolygons([vectors, [[[5, 5], [6, 5], [6, 6]]]]).length, 2);
+    assert.deepEqual(normalizePolygons([]), []);
+    assert.deepEqual(normalizePolygons(null), []);
+});
+
+test('normalizePolygons drops degenerate rings, and holes with a dropped outer ring', () => {
+    const hole = [[0.2, 0.2], [0.4, 0.2], [0.4, 0.4]];
+
+    assert.deepEqual(normalizePolygons([[[0, 0], [1, 0], [1, 1], [0, 1]], [[0.5, 0.5], [0.5, 0.5], [0.6, 0.6]]]),
+        [[[[0, 0], [1, 0], [1, 1], [0, 1]]]]);
+    assert.deepEqual(normalizePolygons([[[0, 0], [1, 1], [0, 0]], hole]), []);
+});
+
+test('normalizePolygons with keepWinding leaves orientation alone', () => {
+    const clockwise = [[0, 0], [0, 1], [1, 1], [1, 0]];
+
+    assert.deepEqual(normalizePolygons([[[0, 0], [1, 1], [0, 0]], clockwise], true), [[clockwise]]);
+    assert.deepEqual(normalizePolygons([clockwise, clockwise], true), [[clockwise, clockwise]]);
+});
+
+test('ringArea is signed and ignores a closing point', () => {
+    assert.equal(ringArea([[0, 0], [2, 0], [2, 3]]), 3);
+    assert.equal(ringArea([[0, 0], [2, 3], [2, 0]]), -3);
+    assert.equal(ringArea([[0, 0], [2, 0], [2, 3], [0, 0]]), 3);
+});
+
+test('pointInRing reports inside, boundary and outside', () => {
+    const ring = [[0, 0], [4, 0], [4, 4], [2, 2], [0, 4]];
+
+    assert.equal(pointInRing(1, 1, ring), 1);
+    assert.equal(pointInRing(2, 3, ring), -1);
+    assert.equal(pointInRing(2, 0, ring), 0);
+    assert.equal(pointInRing(3, 3, ring), 0);
+    assert.equal(pointInRing(4, 4, ring), 0);
+    assert.equal(pointInRing(5, 1, ring), -1);
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseSVGPath, svgPathToPolygonData } from '../../src/curves/SVGPath.js';
+
+function outline(d) {
+    return parseSVGPath(d).map(path => path.flatten(0.01).map(p => [p.x, p.y]));
+}
+
+const TRIANGLE = [[[0, 0], [10, 0], [10, 10], [0, 0]]];
+
+test('compact, spaced, comma and newline separated data parse alike', () => {
+    const variants = [
+        'M0 0L10 0L10 10Z',
+        'M 0 0 L 10 0 L 10 10 Z',
+        'M0,0 L10,0 10,10 Z',
+        'M 0 , 0 L 10 , 0 , 10 , 10 Z',
+        'M\n0\n0\nL\n10\n0\n10\n10\nZ',
+        '\tM 0 0\r\n\tL 10 0\r\n\tL 10 10\r\n\tZ\n'
+    ];
+
+    for (const d of variants) {
+        assert.deepEqual(outline(d), TRIANGLE, JSON.stringify(d));
+    }
+});
+
+test('whitespace after single-argument commands', () => {
+    assert.deepEqual(outline('M0 0 H 5'), [[[0, 0], [5, 0]]]);
+    assert.deepEqual(outline('M0 0 V 5'), [[[0, 0], [0, 5]]]);
+    assert.deepEqual(outline('m 1 1 h 4 v 4'), [[[1, 1], [5, 1], [5, 5]]]);
+});
+
+test('a comma between a command and its first argument is rejected', () => {
+    assert.throws(() => parseSVGPath('M,0 0'), /Expected a number for 'M' at position 1/);
+    assert.throws(() => parseSVGPath('M0 0 L ,10 0'), /Expected a number for 'L' at position 7/);
+});
+
+test('spaced path data converts to polygon data', () => {
+    assert.deepEqual(svgPathToPolygonData('M 0 0 L 10 0 L 10 10 Z'),
+        [{ vertices: [0, 0, 10, 0, 10, 10], holes: [], dimensions: 2 }]);
+});
@@ -0,0 +1,321 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import triangulatePolygon, {
+    triangulatePolygon3D,
+    flattenPolygonData,
+    calculateTriangulationQuality,
+    selectIndexArrayType,
+    TriangulationError
+} from '../../src/curves/Triangulation.js';
+import { Vec2 } from '../../src/math/Vec2.js';
+import { Vec3 } from '../../src/math/Vec3.js';
+import { Mat4 } from '../../src/math/Mat4.js';
+
+const FIXTURES = new URL('../fixtures/earcut/', import.meta.url);
+
+function loadFixture(name) {
+    return JSON.parse(readFileSync(new URL(`${name}.json`, FIXTURES), 'utf8'));
+}
+
+function assertValidIndices(triangles, vertexCount) {
+    assert.equal(triangles.length % 3, 0);
+    for (const index of triangles) {
+        assert.ok(Number.isInteger(index) && index >= 0 && index < vertexCount,
+            `index ${index} is outside 0..${vertexCount - 1}`);
+    }
+}
+
+// Expected triangle counts and area deviation limits, as in upstream
+// earcut's test/expected.json (2.x and 3.0 produce the same triangles)
+const AREA_CASES = [
+    ['building', 13],
+    ['dude', 106, 2e-15],
+    ['water', 2482, 0.0008],
+    ['water2', 1212],
+    ['water3', 197],
+    ['water3b', 25],
+    ['water4', 705],
+    ['water-huge', 5177, 0.0011],
+    ['water-huge2', 4462, 0.0028],
+    ['degenerate', 0],
+    ['bad-hole', 42, 0.019],
+    ['empty-square', 0],
+    ['issue16', 12, 4e-16],
+    ['issue17', 11, 2e-16]
+];
+
+for (const [name, expectedTriangles, maxDeviation = 1e-14] of AREA_CASES) {
+    test(`earcut fixture ${name}`, () => {
+        const { vertices, holes, dimensions } = flattenPolygonData(loadFixture(name));
+        const triangles = triangulatePolygon(vertices, holes, dimensions);
+
+        assertValidIndices(triangles, vertices.length / dimensions);
+        assert.equal(triangles.length / 3, expectedTriangles);
+
+        const deviation = calculateTriangulationQuality(vertices, holes, dimensions, triangles);
+        assert.ok(deviation < maxDeviation,
+            `deviation ${deviation} is not less than ${maxDeviation}`);
+    });
+}
+
+for (const name of ['indices-2d', 'indices-3d']) {
+    test(`earcut fixture ${name}`, () => {
+        const { input, expected } = loadFixture(name);
+        const { vertices, holes, dimensions } = flattenPolygonData(input);
+        const triangles = triangulatePolygon(vertices, holes, dimensions);
+
+        assertValidIndices(triangles, vertices.length / dimensions);
+        assert.equal(triangles.length, expected.indices.length);
+        assert.equal(calculateTriangulationQuality(vertices, holes, dimensions, triangles), 0);
+    });
+}
+
+test('square with a hole touching the outer ring', () => {
+    const vertices = [0, 0, 10, 0, 10, 10, 0, 10, 0, 0, 5, 2, 5, 5, 2, 5];
+    const triangles = triangulatePolygon(vertices, [4], 2);
+
+    assertValidIndices(triangles, 8);
+    assert.equal(calculateTriangulationQuality(vertices, [4], 2, triangles), 0);
+});
+
+test('arrays of Vec2 are accepted as input', () => {
+    const outer = [new Vec2(0, 0), new Vec2(10, 0), new Vec2(10, 10), new Vec2(0, 10)];
+    const hole = [new Vec2(2, 2), new Vec2(2, 8), new Vec2(8, 8), new Vec2(8, 2)];
+
+    assert.deepEqual(triangulatePolygon(outer), triangulatePolygon([0, 0, 10, 0, 10, 10, 0, 10], null, 2));
+
+    const { vertices, holes, dimensions } = flattenPolygonData([outer, hole]);
+    assert.deepEqual(vertices, [0, 0, 10, 0, 10, 10, 0, 10, 2, 2, 2, 8, 8, 8, 8, 2]);
+    assert.deepEqual(holes, [4]);
+    assert.equal(dimensions, 2);
+    assert.equal(calculateTriangulationQuality(vertices, holes, dimensions,
+        triangulatePolygon(vertices, holes, dimensions)), 0);
+});
+
+test('detailed quality report flags no degenerate triangles on clean fixtures', () => {
+    for (const name of ['building', 'dude', 'water2', 'water4']) {
+        const { vertices, holes, dimensions } = flattenPolygonData(loadFixture(name));
+        const triangles = triangulatePolygon(vertices, holes, dimensions);
+        const quality = calculateTriangulationQuality(vertices, holes, dimensions, triangles, { detailed: true });
+
+        assert.equal(quality.degenerateCount, 0, name);
+        assert.ok(quality.minAngle > 0, name);
+        assert.ok(quality.deviation < 1e-6, name);
+    }
+});
+
+test('detailed quality report measures angles, aspect ratios and degenerate triangles', () => {
+    const h = Math.sqrt(3);
+    const equilateral = calculateTriangulationQuality([0, 0, 2, 0, 1, h], null, 2, [0, 1, 2], { detailed: true });
+
+    assert.ok(Math.abs(equilateral.minAngle - 60) < 1e-9);
+    assert.ok(Math.abs(equilateral.maxAngle - 60) < 1e-9);
+    assert.ok(Math.abs(equilateral.averageAspectRatio - 1) < 1e-9);
+    assert.equal(equilateral.degenerateCount, 0);
+
+    const square = [0, 0, 1, 0, 1, 1, 0, 1, 2, 2];
+    const withSliver = calculateTriangulationQuality(square, null, 2, [0, 1, 2, 0, 2, 3, 0, 2, 4],
+        { detailed: true, vertexCount: 4 });
+
+    assert.equal(withSliver.degenerateCount, 1);
+    assert.equal(withSliver.minAngle, 0);
+    assert.equal(withSliver.maxAspectRatio, Infinity);
+    // Right isosceles triangles: R / 2r = (1 + sqrt(2)) / 2
+    assert.ok(Math.abs(withSliver.averageAspectRatio - (1 + Math.SQRT2) / 2) < 1e-9);
+    assert.equal(withSliver.deviation, 0);
+});
+
+test('diagnostics report removed points and degenerate rings', () => {
+    // Duplicate corner, collinear midpoint, and a hole of two points
+    const vertices = [0, 0, 2, 0, 4, 0, 4, 0, 4, 4, 0, 4, 1, 1, 2, 2];
+    const { triangles, diagnostics } = triangulatePolygon(vertices, [6], 2, { diagnostics: true });
+
+    assert.equal(diagnostics.triangleCount, triangles.length / 3);
+    assert.equal(diagnostics.triangleCount, 2);
+    assert.equal(diagnostics.pass, 0);
+    assert.deepEqual(diagnostics.degenerateRings, [{ ring: 1, start: 6, reason: 'too-few-points' }]);
+    assert.deepEqual(diagnostics.removedPoints.slice(0, 2),
+        [{ index: 1, reason: 'collinear' }, { index: 2, reason: 'duplicate' }]);
+    assert.deepEqual(diagnostics.resolvedIntersections, []);
+    assert.equal(diagnostics.areaDeviation, 0);
+
+    // Plain calls are unchanged
+    assert.deepEqual(triangulatePolygon(vertices, [6], 2), triangles);
+});
+
+test('diagnostics stay finite for polygons without area', () => {
+    const bowtie = [0, 0, 10, 10, 10, 0, 0, 10];
+    const { diagnostics } = triangulatePolygon(bowtie, null, 2, { diagnostics: true });
+
+    assert.deepEqual(diagnostics.degenerateRings, [{ ring: 0, start: 0, reason: 'zero-area' }]);
+    assert.ok(Number.isFinite(diagnostics.areaDeviation));
+    assert.equal(JSON.parse(JSON.stringify(diagnostics)).areaDeviation, diagnostics.areaDeviation);
+});
+
+test('strict mode throws TriangulationError for degenerate and invalid input', () => {
+    const check = (vertices, holes, pattern) => assert.throws(
+        () => triangulatePolygon(vertices, holes, 2, { strict: true }),
+        error => error instanceof TriangulationError && pattern.test(error.message) &&
+            typeof error.diagnostics === 'object');
+
+    check([0, 0, 1, 1, 2, 2], null, /^Outer ring has zero area$/);
+    check([0, 0, 10, 10, 10, 0, 0, 10], null, /^Outer ring has zero area$/);
+    check([0, 0, 1, 0], null, /^Outer ring has fewer than 3 points$/);
+    check([0, 0, 4, 0, 4, 4, 0, 4, 1, 1, 2, 2], [4], /^Hole 1 has fewer than 3 points$/);
+    // Crossing edges that ear clipping covers only in part
+    check([0, 0, 10, 0, 10, 10, 0, 10, 20, 5, 5, 20], null, /deviate from the polygon area by 0\.4/);
+
+    assert.deepEqual(triangulatePolygon([], null, 2, { strict: true }), []);
+    assert.equal(triangulatePolygon([0, 0, 4, 0, 4, 4, 0, 4], null, 2, { strict: true }).length, 6);
+    const { triangles } = triangulatePolygon([0, 0, 4, 0, 4, 4, 0, 4], null, 2, { strict: true, diagnostics: true });
+    assert.equal(triangles.length, 6);
+});
+test('typed output matches the plain array for every fixture', () => {
+    for (const [name] of AREA_CASES) {
+        const { vertices, holes, dimensions } = flattenPolygonData(loadFixture(name));
+        const plain = triangulatePolygon(vertices, holes, dimensions);
+        const typed = triangulatePolygon(new Float64Array(vertices), new Uint32Array(holes), dimensions,
+            { typed: true });
+
+        assert.ok(typed instanceof Uint16Array, name);
+        assert.deepEqual(Array.from(typed), plain, name);
+    }
+});
+
+test('typed output picks Uint16Array up to 65536 vertices', () => {
+    assert.equal(selectIndexArrayType(0), Uint16Array);
+    assert.equal(selectIndexArrayType(65536), Uint16Array);
+    assert.equal(selectIndexArrayType(65537), Uint32Array);
+
+    // Convex rings of n vertices give n - 2 triangles, using index n - 1
+    const ring = n => Float64Array.from({ length: n * 2 }, (_, i) =>
+        Math[i % 2 ? 'sin' : 'cos'](2 * Math.PI * Math.floor(i / 2) / n) * 1000);
+
+    const small = triangulatePolygon(ring(65536), null, 2, { typed: true });
+    assert.ok(small instanceof Uint16Array);
+    assert.equal(small.length, 65534 * 3);
+    assert.equal(small.reduce((a, b) => Math.max(a, b)), 65535);
+
+    const large = triangulatePolygon(ring(65537), null, 2, { typed: true });
+    assert.ok(large instanceof Uint32Array);
+    assert.equal(large.length, 65535 * 3);
+    assert.equal(large.reduce((a, b) => Math.max(a, b)), 65536);
+});
+
+test('target receives the indices at targetOffset', () => {
+    const square = [0, 0, 4, 0, 4, 4, 0, 4];
+    const plain = triangulatePolygon(square);
+    const target = new Uint32Array(12).fill(99);
+
+    const first = triangulatePolygon(square, null, 2, { target });
+    const second = triangulatePolygon(square, null, 2, { target, targetOffset: 6 });
+
+    assert.deepEqual(Array.from(first), plain);
+    assert.deepEqual(Array.from(second), plain);
+    assert.equal(first.buffer, target.buffer);
+    assert.equal(second.byteOffset, 6 * 4);
+    assert.deepEqual(Array.from(target), [...plain, ...plain]);
+
+    const { triangles, diagnostics } = triangulatePolygon(square, null, 2,
+        { target: new Uint16Array(6), diagnostics: true });
+    assert.deepEqual(Array.from(triangles), plain);
+    assert.equal(diagnostics.triangleCount, 2);
+});
+
+test('a target without room for the indices throws', () => {
+    const square = [0, 0, 4, 0, 4, 4, 0, 4];
+
+    assert.throws(() => triangulatePolygon(square, null, 2, { target: new Uint16Array(5) }),
+        /Index array of length 5 is too small for the triangulation/);
+    assert.throws(() => triangulatePolygon(square, null, 2, { target: new Uint16Array(8), targetOffset: 4 }),
+        /Index array of length 8 is too small/);
+    assert.throws(() => triangulatePolygon(new Float64Array(65537 * 2), null, 2, { target: new Uint16Array(3) }),
+        /Uint16Array cannot index 65537 vertices, use a Uint32Array/);
+});
+
+test('results stay independent while linked list nodes are reused', () => {
+    const { vertices, holes, dimensions } = flattenPolygonData(loadFixture('water'));
+    const small = [0, 0, 10, 0, 10, 10, 0, 10, 2, 2, 2, 8, 8, 8, 8, 2];
+    const expectedSmall = triangulatePolygon(small, [4], 2);
+    const expectedLarge = triangulatePolygon(vertices, holes, dimensions).slice();
+
+    // Large, small, large again: each call starts over with nodes left by the previous one
+    for (let i = 0; i < 2; i++) {
+        assert.deepEqual(triangulatePolygon(vertices, holes, dimensions), expectedLarge);
+        assert.deepEqual(triangulatePolygon(small, [4], 2), expectedSmall);
+    }
+    assert.equal(calculateTriangulationQuality(small, [4], 2, expectedSmall), 0);
+});
+
+// Square with a square hole in the XY plane, counter-clockwise around +Z
+const SQUARE_WITH_HOLE = [
+    [0, 0, 0], [4, 0, 0], [4, 4, 0], [0, 4, 0],
+    [1, 1, 0], [1, 3, 0], [3, 3, 0], [3, 1, 0]
+];
+
+function transformedVertices(points, matrix) {
+    return points.flatMap(p => new Vec3(...p).applyMatrix4(matrix).toArray());
+}
+
+// Sum of triangle areas, and whether every triangle faces along normal
+function measureTriangles3D(vertices, triangles, normal) {
+    let area = 0;
+    let facing = true;
+    for (let i = 0; i < triangles.length; i += 3) {
+        const a = new Vec3().fromArray(vertices, triangles[i] * 3);
+        const b = new Vec3().fromArray(vertices, triangles[i + 1] * 3).sub(a);
+        const c = new Vec3().fromArray(vertices, triangles[i + 2] * 3).sub(a);
+        const cross = new Vec3().crossVectors(b, c);
+        area += cross.length() / 2;
+        if (cross.dot(normal) <= 0) facing = false;
+    }
+    return { area, facing };
+}
+
+test('triangulatePolygon3D winds triangles around the polygon normal in any orientation', () => {
+    const rotations = [
+        new Vec3(0, 0, 0), new Vec3(Math.PI, 0, 0), new Vec3(Math.PI / 2, 0, 0),
+        new Vec3(-Math.PI / 2, 0, 0), new Vec3(0, Math.PI / 2, 0), new Vec3(0, -Math.PI / 2, 0),
+        new Vec3(0.4, -1.1, 2.3)
+    ];
+
+    for (const rotation of rotations) {
+        const matrix = new Mat4().compose(new Vec3(5, -3, 2), rotation, new Vec3(1, 1, 1));
+        const vertices = transformedVertices(SQUARE_WITH_HOLE, matrix);
+        const normal = new Vec3(0, 0, 1).transformDirection(matrix);
+        const triangles = triangulatePolygon3D(vertices, [4]);
+
+        assertValidIndices(triangles, 8);
+        const { area, facing } = measureTriangles3D(vertices, triangles, normal);
+        assert.ok(Math.abs(area - 12) < 1e-9, `area ${area} for rotation ${rotation.toArray()}`);
+        assert.ok(facing, `winding opposes the normal for rotation ${rotation.toArray()}`);
+    }
+});
+
+test('triangulatePolygon3D reads the first three of wider vertices', () => {
+    const vertices = [0, 0, 0, 9, 0, 0, 4, 9, 0, 3, 4, 9, 0, 3, 0, 9];
+    const triangles = triangulatePolygon3D(vertices, null, 4);
+
+    assert.equal(triangles.length, 6);
+    assertValidIndices(triangles, 4);
+});
+
+test('triangulatePolygon3D returns no triangles for a collinear outer ring', () => {
+    assert.deepEqual(triangulatePolygon3D([0, 0, 0, 1, 1, 1, 2, 2, 2]), []);
+});
+
+test('triangulatePolygon3D warns about non-coplanar vertices', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+
+    triangulatePolygon3D([0, 0, 0, 4, 0, 0, 4, 4, 0, 0, 4, 0.001]);
+    assert.equal(warn.mock.callCount(), 0);
+
+    triangulatePolygon3D([0, 0, 0, 4, 0, 0, 4, 4, 0, 0, 4, 1]);
+    assert.equal(warn.mock.callCount(), 1);
+    assert.match(warn.mock.calls[0].arguments[0], /vertices are not coplanar/);
+
+    triangulatePolygon3D([0, 0, 0, 4, 0, 0, 4, 4, 0, 0, 4, 1], null, 3, { planarTolerance: 0.5 });
+    assert.equal(warn.mock.callCount(), 1);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Box3 } from '../../src/math/Box3.js';
+import { Sphere } from '../../src/math/Sphere.js';
+import { Plane } from '../../src/math/Plane.js';
+import { Mat4 } from '../../src/math/Mat4.js';
+import { Vec3 } from '../../src/math/Vec3.js';
+
+function box(minX, minY, minZ, maxX, maxY, maxZ) {
+    return new Box3(new Vec3(minX, minY, minZ), new Vec3(maxX, maxY, maxZ));
+}
+
+test('empty boxes have zero size and absorb unions', () => {
+    const empty = new Box3();
+
+    assert.equal(empty.isEmpty(), true);
+    assert.ok(empty.getSize().equals(new Vec3(0, 0, 0)));
+    assert.equal(empty.getBoundingSphere(new Sphere()).isEmpty(), true);
+    assert.ok(empty.clone().union(box(0, 0, 0, 1, 1, 1)).equals(box(0, 0, 0, 1, 1, 1)));
+    assert.equal(empty.clone().applyMatrix4(new Mat4().makeTranslation(1, 2, 3)).isEmpty(), true);
+});
+
+test('setFromArray reads strided positions', () => {
+    const b = new Box3().setFromArray([9, 1, -2, 3, 9, -1, 5, 0], 4, 1);
+    assert.ok(b.equals(box(-1, -2, 0, 1, 5, 3)));
+});
+
+test('box-box intersection, containment and the shared face case', () => {
+    const a = box(0, 0, 0, 2, 2, 2);
+
+    assert.equal(a.intersectsBox(box(1, 1, 1, 3, 3, 3)), true);
+    assert.equal(a.intersectsBox(box(2, 0, 0, 3, 2, 2)), true);
+    assert.equal(a.intersectsBox(box(2.1, 0, 0, 3, 2, 2)), false);
+    assert.equal(a.containsBox(box(0.5, 0.5, 0.5, 2, 2, 2)), true);
+    assert.equal(a.containsBox(box(0.5, 0.5, 0.5, 2.5, 2, 2)), false);
+
+    assert.ok(a.clone().intersect(box(1, 1, 1, 3, 3, 3)).equals(box(1, 1, 1, 2, 2, 2)));
+    assert.equal(a.clone().intersect(box(3, 3, 3, 4, 4, 4)).isEmpty(), true);
+});
+
+test('box against spheres and planes', () => {
+    const a = box(0, 0, 0, 2, 2, 2);
+
+    assert.equal(a.intersectsSphere(new Sphere(new Vec3(3, 1, 1), 1)), true);
+    // Near the corner the distance is to the corner, not to the face planes
+    assert.equal(a.intersectsSphere(new Sphere(new Vec3(2.8, 2.8, 1), 1)), false);
+    assert.equal(a.intersectsPlane(new Plane(new Vec3(1, 0, 0), -1)), true);
+    assert.equal(a.intersectsPlane(new Plane(new Vec3(1, 0, 0), -2)), true);
+    assert.equal(a.intersectsPlane(new Plane(new Vec3(0, 1, 0).normalize(), 0.5)), false);
+    assert.equal(a.intersectsPlane(new Plane(new Vec3(1, 1, 1).normalize(), -Math.sqrt(12))), true);
+});
+
+test('clampPoint, distanceToPoint and the bounding sphere', () => {
+    const a = box(0, 0, 0, 2, 2, 2);
+
+    assert.ok(a.clampPoint(new Vec3(5, 1, -1)).equals(new Vec3(2, 1, 0)));
+    assert.equal(a.distanceToPoint(new Vec3(5, 6, 1)), 5);
+    assert.equal(a.distanceToPoint(new Vec3(1, 1, 1)), 0);
+
+    const sphere = a.getBoundingSphere(new Sphere());
+    assert.ok(sphere.center.equals(new Vec3(1, 1, 1)));
+    assert.equal(sphere.radius, Math.sqrt(3));
+});
+
+test('applyMatrix4 bounds all eight transformed corners', () => {
+    const rotated = box(-1, -1, -1, 1, 1, 1)
+        .applyMatrix4(new Mat4().makeRotationAxis(new Vec3(0, 0, 1), Math.PI / 4));
+    const half = Math.SQRT2;
+
+    assert.ok(rotated.equals(box(-half, -half, -1, half, half, 1), 1e-12));
+});
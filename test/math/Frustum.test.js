@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Frustum } from '../../src/math/Frustum.js';
+import { Box3 } from '../../src/math/Box3.js';
+import { Sphere } from '../../src/math/Sphere.js';
+import { Mat4 } from '../../src/math/Mat4.js';
+import { Vec3 } from '../../src/math/Vec3.js';
+import { COORDINATE_SYSTEM_WEBGL, COORDINATE_SYSTEM_WEBGPU } from '../../src/Constants.js';
+
+const SYSTEMS = [COORDINATE_SYSTEM_WEBGL, COORDINATE_SYSTEM_WEBGPU];
+
+function perspectiveFrustum(coordinateSystem) {
+    const projection = new Mat4().makePerspective(Math.PI / 2, 1, 1, 100, coordinateSystem);
+    return new Frustum().setFromProjectionMatrix(projection, coordinateSystem);
+}
+
+test('near and far planes match the projection in both coordinate systems', () => {
+    for (const system of SYSTEMS) {
+        const frustum = perspectiveFrustum(system);
+
+        assert.equal(frustum.containsPoint(new Vec3(0, 0, -1.001)), true, system);
+        assert.equal(frustum.containsPoint(new Vec3(0, 0, -0.999)), false, system);
+        assert.equal(frustum.containsPoint(new Vec3(0, 0, -99.9)), true, system);
+        assert.equal(frustum.containsPoint(new Vec3(0, 0, -100.1)), false, system);
+        assert.equal(frustum.containsPoint(new Vec3(9.9, 0, -10)), true, system);
+        assert.equal(frustum.containsPoint(new Vec3(0, -10.1, -10)), false, system);
+    }
+    assert.throws(() => new Frustum().setFromProjectionMatrix(new Mat4(), 'opengl'), /Unsupported coordinate system/);
+});
+
+test('spheres straddling a plane intersect, spheres outside do not', () => {
+    const frustum = perspectiveFrustum(COORDINATE_SYSTEM_WEBGL);
+
+    assert.equal(frustum.intersectsSphere(new Sphere(new Vec3(0, 0, -50), 1)), true);
+    assert.equal(frustum.intersectsSphere(new Sphere(new Vec3(0, 0, 0), 1.5)), true);
+    assert.equal(frustum.intersectsSphere(new Sphere(new Vec3(0, 0, 5), 1)), false);
+    assert.equal(frustum.intersectsSphere(new Sphere(new Vec3(20, 0, -10), 5)), false);
+});
+
+test('boxes inside, straddling and outside', () => {
+    const frustum = perspectiveFrustum(COORDINATE_SYSTEM_WEBGPU);
+    const box = (x, y, z, half) => new Box3(new Vec3(x - half, y - half, z - half), new Vec3(x + half, y + half, z + half));
+
+    assert.equal(frustum.intersectsBox(box(0, 0, -10, 1)), true);
+    assert.equal(frustum.intersectsBox(box(0, 0, -100, 1)), true);
+    assert.equal(frustum.intersectsBox(box(12, 0, -10, 1.5)), true);
+    assert.equal(frustum.intersectsBox(box(0, 0, 5, 1)), false);
+    assert.equal(frustum.intersectsBox(box(0, 15, -10, 1)), false);
+});
+
+test('view-projection matrices move the frustum with the camera', () => {
+    const projection = new Mat4().makePerspective(Math.PI / 2, 1, 1, 100);
+    const view = new Mat4().lookAt(new Vec3(50, 0, 0), new Vec3(50, 0, -10), new Vec3(0, 1, 0));
+    const frustum = new Frustum().setFromProjectionMatrix(projection.clone().multiply(view));
+
+    assert.equal(frustum.containsPoint(new Vec3(50, 0, -10)), true);
+    assert.equal(frustum.containsPoint(new Vec3(0, 0, -10)), false);
+    assert.ok(frustum.clone().planes.every((plane, i) => plane.equals(frustum.planes[i])));
+});
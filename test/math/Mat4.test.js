@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Mat4 } from '../../src/math/Mat4.js';
+import { Vec3 } from '../../src/math/Vec3.js';
+import { COORDINATE_SYSTEM_WEBGL, COORDINATE_SYSTEM_WEBGPU } from '../../src/Constants.js';
+
+function assertClose(actual, expected, epsilon = 1e-12) {
+    assert.equal(actual.length, expected.length);
+    actual.forEach((value, i) => {
+        assert.ok(Math.abs(value - expected[i]) <= epsilon, `[${i}] ${value} !== ${expected[i]}`);
+    });
+}
+
+function assertVecClose(v, x, y, z, epsilon = 1e-12) {
+    assertClose([v.x, v.y, v.z], [x, y, z], epsilon);
+}
+
+// Clip-space point of a view-space point, after the perspective divide
+function project(m, x, y, z) {
+    const e = m.elements;
+    const w = e[3] * x + e[7] * y + e[11] * z + e[15];
+    return [
+        (e[0] * x + e[4] * y + e[8] * z + e[12]) / w,
+        (e[1] * x + e[5] * y + e[9] * z + e[13]) / w,
+        (e[2] * x + e[6] * y + e[10] * z + e[14]) / w
+    ];
+}
+
+test('set takes row-major arguments and stores column-major', () => {
+    const m = new Mat4().set(
+        1, 2, 3, 4,
+        5, 6, 7, 8,
+        9, 10, 11, 12,
+        13, 14, 15, 16
+    );
+    assert.deepEqual(m.elements, [1, 5, 9, 13, 2, 6, 10, 14, 3, 7, 11, 15, 4, 8, 12, 16]);
+    assert.deepEqual(m.clone().transpose().transpose().elements, m.elements);
+});
+
+test('multiply applies the right operand first', () => {
+    const translate = new Mat4().makeTranslation(1, 2, 3);
+    const scale = new Mat4().makeScale(2, 2, 2);
+
+    assertVecClose(new Vec3(1, 1, 1).applyMatrix4(translate.clone().multiply(scale)), 3, 4, 5);
+    assertVecClose(new Vec3(1, 1, 1).applyMatrix4(translate.clone().premultiply(scale)), 4, 6, 8);
+});
+
+test('determinant and invert', () => {
+    const m = new Mat4().compose(new Vec3(1, -2, 3), new Vec3(0.3, -0.7, 1.1), new Vec3(2, 3, 0.5));
+
+    assert.ok(Math.abs(m.determinant() - 3) < 1e-12);
+    assertClose(m.clone().multiply(m.clone().invert()).elements, new Mat4().elements);
+    assert.deepEqual(new Mat4().makeScale(1, 0, 1).invert().elements, new Array(16).fill(0));
+});
+
+test('compose and decompose round trip', () => {
+    const position = new Vec3(4, 5, 6);
+    const rotation = new Vec3(0.4, -0.2, 2.5);
+    const scale = new Vec3(-2, 1.5, 3);
+    const m = new Mat4().compose(position, rotation, scale);
+
+    const p = new Vec3(), r = new Vec3(), s = new Vec3();
+    m.decompose(p, r, s);
+
+    assertVecClose(p, 4, 5, 6);
+    assertVecClose(s, -2, 1.5, 3);
+    assertClose(new Mat4().compose(p, r, s).elements, m.elements);
+});
+
+test('applyMatrix4 and transformDirection', () => {
+    const m = new Mat4().makeTranslation(10, 0, 0).multiply(new Mat4().makeRotationAxis(new Vec3(0, 0, 1), Math.PI / 2));
+
+    assertVecClose(new Vec3(1, 0, 0).applyMatrix4(m), 10, 1, 0);
+    assertVecClose(new Vec3(2, 0, 0).transformDirection(m), 0, 1, 0);
+});
+
+test('lookAt builds a view matrix that moves the target onto -Z', () => {
+    const eye = new Vec3(3, 4, 5);
+    const view = new Mat4().lookAt(eye, new Vec3(0, 0, 0), new Vec3(0, 1, 0));
+
+    assertVecClose(eye.clone().applyMatrix4(view), 0, 0, 0);
+    assertVecClose(new Vec3(0, 0, 0).applyMatrix4(view), 0, 0, -eye.length());
+
+    // Up parallel to the view direction still gives an orthonormal basis
+    const straightDown = new Mat4().lookAt(new Vec3(0, 10, 0), new Vec3(0, 0, 0), new Vec3(0, 1, 0));
+    assert.ok(Math.abs(Math.abs(straightDown.determinant()) - 1) < 1e-12);
+});
+
+test('perspective depth range follows the coordinate system', () => {
+    const near = 0.5, far = 100;
+    const gl = new Mat4().makePerspective(Math.PI / 2, 2, near, far, COORDINATE_SYSTEM_WEBGL);
+    const gpu = new Mat4().makePerspective(Math.PI / 2, 2, near, far, COORDINATE_SYSTEM_WEBGPU);
+
+    assertClose([project(gl, 0, 0, -near)[2], project(gl, 0, 0, -far)[2]], [-1, 1]);
+    assertClose([project(gpu, 0, 0, -near)[2], project(gpu, 0, 0, -far)[2]], [0, 1]);
+    assertClose(project(gl, 2, 1, -1).slice(0, 2), [1, 1]);
+    assert.throws(() => new Mat4().makePerspective(1, 1, 1, 10, 'opengl'), /Unsupported coordinate system/);
+});
+
+test('orthographic depth range follows the coordinate system', () => {
+    const gl = new Mat4().makeOrthographic(-2, 2, 1, -1, 1, 11, COORDINATE_SYSTEM_WEBGL);
+    const gpu = new Mat4().makeOrthographic(-2, 2, 1, -1, 1, 11, COORDINATE_SYSTEM_WEBGPU);
+
+    assertClose(project(gl, 2, 1, -1), [1, 1, -1]);
+    assertClose(project(gl, -2, -1, -11), [-1, -1, 1]);
+    assertClose([project(gpu, 0, 0, -1)[2], project(gpu, 0, 0, -11)[2]], [0, 1]);
+});
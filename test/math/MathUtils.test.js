@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { freezeConstant } from '../../src/math/MathUtils.js';
+import { Vec3 } from '../../src/math/Vec3.js';
+import { Quat } from '../../src/math/Quat.js';
+
+test('mutating a constant throws and leaves it unchanged', () => {
+    assert.throws(() => Vec3.UP.add(new Vec3(1, 0, 0)),
+        { name: 'TypeError', message: 'Vec3.UP is a read-only constant; clone() it before modifying' });
+    assert.deepEqual([Vec3.UP.x, Vec3.UP.y, Vec3.UP.z], [0, 1, 0]);
+
+    assert.throws(() => { Vec3.ZERO.x = 5; }, /Vec3\.ZERO is a read-only constant/);
+    assert.throws(() => Quat.IDENTITY.setFromAxisAngle(Vec3.UP, 1), /Quat\.IDENTITY is a read-only constant/);
+    assert.ok(Quat.IDENTITY.equals(new Quat(0, 0, 0, 1)));
+});
+
+test('constants cannot gain or lose properties', () => {
+    assert.ok(Object.isFrozen(Vec3.ONE));
+    assert.throws(() => { Vec3.ONE.w = 1; }, TypeError);
+    assert.throws(() => { delete Vec3.ONE.x; }, TypeError);
+});
+
+test('writes that keep the value are allowed', () => {
+    assert.equal(Quat.IDENTITY.normalize(), Quat.IDENTITY);
+    assert.equal(Vec3.RIGHT.normalize(), Vec3.RIGHT);
+    assert.equal(Vec3.ONE.copy(new Vec3(1, 1, 1)), Vec3.ONE);
+    assert.equal(Vec3.ZERO.mulScalar(0), Vec3.ZERO);
+
+    const nan = freezeConstant({ value: NaN }, 'NAN');
+    nan.value = NaN;
+    assert.ok(Number.isNaN(nan.value));
+});
+
+test('clones of constants are ordinary vectors', () => {
+    const v = Vec3.UP.clone().add(new Vec3(1, 0, 0));
+    assert.deepEqual([v.x, v.y, v.z], [1, 1, 0]);
+});
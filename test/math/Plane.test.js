@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Plane } from '../../src/math/Plane.js';
+import { Mat4 } from '../../src/math/Mat4.js';
+import { Vec3 } from '../../src/math/Vec3.js';
+
+const EPSILON = 1e-12;
+
+test('counter-clockwise coplanar points face the normal', () => {
+    const plane = new Plane().setFromCoplanarPoints(new Vec3(0, 0, 1), new Vec3(1, 0, 1), new Vec3(0, 1, 1));
+
+    assert.ok(plane.normal.equals(new Vec3(0, 0, 1), EPSILON));
+    assert.equal(plane.constant, -1);
+    assert.equal(plane.distanceToPoint(new Vec3(5, 5, 4)), 3);
+});
+
+test('setFromPoints fits a Newell normal through the centroid', () => {
+    const square = [new Vec3(0, 2, 0), new Vec3(0, 2, 1), new Vec3(1, 2, 1), new Vec3(1, 2, 0)];
+    const plane = new Plane().setFromPoints(square);
+
+    assert.ok(plane.normal.equals(new Vec3(0, 1, 0), EPSILON));
+    assert.ok(Math.abs(plane.constant + 2) < EPSILON);
+
+    const collinear = new Plane().setFromPoints([new Vec3(0, 0, 0), new Vec3(1, 1, 1), new Vec3(2, 2, 2)]);
+    assert.ok(collinear.normal.equals(new Vec3(0, 0, 0)));
+});
+
+test('normalize, negate, projectPoint and coplanarPoint', () => {
+    const plane = new Plane().setComponents(0, 0, 2, -4).normalize();
+
+    assert.ok(plane.equals(new Plane(new Vec3(0, 0, 1), -2)));
+    assert.ok(plane.projectPoint(new Vec3(3, 4, 9)).equals(new Vec3(3, 4, 2)));
+    assert.ok(plane.coplanarPoint().equals(new Vec3(0, 0, 2)));
+    assert.equal(plane.containsPoint(new Vec3(7, 7, 2 + 1e-9), 1e-6), true);
+    assert.equal(plane.clone().negate().distanceToPoint(new Vec3(0, 0, 5)), -3);
+});
+
+test('applyMatrix4 keeps transformed points on the plane', () => {
+    const plane = new Plane(new Vec3(1, 1, 0).normalize(), -1);
+    const m = new Mat4().compose(new Vec3(1, 2, 3), new Vec3(0.5, -0.3, 0.2), new Vec3(2, 1, 3));
+    const onPlane = [plane.coplanarPoint(), plane.coplanarPoint().add(new Vec3(1, -1, 0)), plane.coplanarPoint().add(new Vec3(0, 0, 4))];
+
+    const transformed = plane.clone().applyMatrix4(m);
+    for (const p of onPlane) {
+        assert.ok(Math.abs(transformed.distanceToPoint(p.applyMatrix4(m))) < 1e-9);
+    }
+    assert.ok(Math.abs(transformed.normal.length() - 1) < EPSILON);
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Quat } from '../../src/math/Quat.js';
+import { Mat4 } from '../../src/math/Mat4.js';
+import { Vec3 } from '../../src/math/Vec3.js';
+
+const ORDERS = ['XYZ', 'XZY', 'YXZ', 'YZX', 'ZXY', 'ZYX'];
+const AXES = { X: new Vec3(1, 0, 0), Y: new Vec3(0, 1, 0), Z: new Vec3(0, 0, 1) };
+
+function assertClose(actual, expected, epsilon = 1e-12) {
+    actual.forEach((value, i) => {
+        assert.ok(Math.abs(value - expected[i]) <= epsilon, `[${i}] ${value} !== ${expected[i]}`);
+    });
+}
+
+function components(v) {
+    return 'w' in v ? [v.x, v.y, v.z, v.w] : [v.x, v.y, v.z];
+}
+
+// Quaternions q and -q are the same rotation
+function assertSameRotation(a, b, epsilon = 1e-12) {
+    const sign = a.dot(b) < 0 ? -1 : 1;
+    assertClose(components(a), components(b).map(c => c * sign), epsilon);
+}
+
+test('setFromEuler applies the axes in the order named', () => {
+    const euler = new Vec3(0.3, -1.1, 2.2);
+    const v = new Vec3(1, 2, 3);
+
+    for (const order of ORDERS) {
+        const expected = v.clone();
+        for (const axis of order) {
+            expected.applyQuaternion(new Quat().setFromAxisAngle(AXES[axis], euler[axis.toLowerCase()]));
+        }
+        assertClose(components(v.clone().applyQuaternion(new Quat().setFromEuler(euler, order))), components(expected));
+    }
+    assert.throws(() => new Quat().setFromEuler(euler, 'XXY'), /Unsupported rotation order: XXY/);
+});
+
+test('toEuler inverts setFromEuler for every order, including gimbal lock', () => {
+    for (const order of ORDERS) {
+        const euler = new Vec3(0.4, -0.9, 1.3);
+        const q = new Quat().setFromEuler(euler, order);
+        assertClose(components(q.toEuler(new Vec3(), order)), components(euler));
+
+        // Middle axis at 90 degrees: the angles differ but the rotation must not
+        const locked = new Vec3(0.5, 0.5, 0.5);
+        locked[order[1].toLowerCase()] = Math.PI / 2;
+        const lockedQ = new Quat().setFromEuler(locked, order);
+        assertSameRotation(new Quat().setFromEuler(lockedQ.toEuler(new Vec3(), order), order), lockedQ, 1e-6);
+    }
+});
+
+test('matrix conversions agree with Mat4', () => {
+    const euler = new Vec3(0.7, 0.2, -0.4);
+    const q = new Quat().setFromEuler(euler, 'XYZ');
+    const fromEuler = new Mat4().makeRotationFromEuler(euler);
+
+    assertClose(new Mat4().makeRotationFromQuaternion(q).elements, fromEuler.elements);
+    assertSameRotation(new Quat().setFromRotationMatrix(fromEuler), q);
+
+    // Rotations of about 180 degrees take the non-trace branches
+    for (const axis of [new Vec3(1, 0, 0), new Vec3(0, 1, 0), new Vec3(0, 0, 1), new Vec3(1, 1, 0).normalize()]) {
+        const half = new Quat().setFromAxisAngle(axis, Math.PI * 0.999);
+        assertSameRotation(new Quat().setFromRotationMatrix(new Mat4().makeRotationFromQuaternion(half)), half);
+    }
+});
+
+test('setFromUnitVectors, including opposite vectors', () => {
+    const from = new Vec3(1, 2, 2).normalize();
+    const to = new Vec3(-3, 0, 4).normalize();
+
+    assertClose(components(from.clone().applyQuaternion(new Quat().setFromUnitVectors(from, to))), components(to));
+
+    const opposite = from.clone().mulScalar(-1);
+    assertClose(components(from.clone().applyQuaternion(new Quat().setFromUnitVectors(from, opposite))),
+        components(opposite));
+});
+
+test('multiply applies the argument first, invert undoes it', () => {
+    const a = new Quat().setFromAxisAngle(AXES.X, Math.PI / 2);
+    const b = new Quat().setFromAxisAngle(AXES.Z, Math.PI / 2);
+    const v = new Vec3(1, 0, 0);
+
+    assertClose(components(v.clone().applyQuaternion(a.clone().multiply(b))), [0, 0, 1]);
+    assertClose(components(a.clone().multiply(a.clone().invert())), [0, 0, 0, 1]);
+});
+
+test('slerp follows the shortest arc and rotateTowards clamps the step', () => {
+    const start = new Quat();
+    const end = new Quat().setFromAxisAngle(AXES.Y, Math.PI / 2);
+
+    assertSameRotation(start.clone().slerp(end, 0.5), new Quat().setFromAxisAngle(AXES.Y, Math.PI / 4));
+
+    // The negated end quaternion is the same rotation: slerp must not take the long way round
+    const negated = new Quat(-end.x, -end.y, -end.z, -end.w);
+    assertSameRotation(start.clone().slerp(negated, 0.5), new Quat().setFromAxisAngle(AXES.Y, Math.PI / 4));
+
+    const stepped = start.clone().rotateTowards(end, 0.1);
+    assert.ok(Math.abs(stepped.angleTo(start) - 0.1) < 1e-12);
+    assert.ok(start.clone().rotateTowards(end, 10).equals(end));
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Ray } from '../../src/math/Ray.js';
+import { Box3 } from '../../src/math/Box3.js';
+import { Sphere } from '../../src/math/Sphere.js';
+import { Plane } from '../../src/math/Plane.js';
+import { Vec3 } from '../../src/math/Vec3.js';
+import {
+    CULL_NONE, CULL_BACK, CULL_FRONT, CULL_FRONT_BACK,
+    SIDE_FRONT, SIDE_BACK, SIDE_DOUBLE
+} from '../../src/Constants.js';
+
+const EPSILON = 1e-12;
+
+function ray(ox, oy, oz, dx, dy, dz) {
+    return new Ray(new Vec3(ox, oy, oz), new Vec3(dx, dy, dz).normalize());
+}
+
+test('distances clamp to the origin behind the ray', () => {
+    const r = ray(0, 0, 0, 1, 0, 0);
+
+    assert.equal(r.distanceToPoint(new Vec3(5, 3, 0)), 3);
+    assert.equal(r.distanceToPoint(new Vec3(-4, 3, 0)), 5);
+});
+
+test('plane intersection, including parallel and behind', () => {
+    const plane = new Plane(new Vec3(0, 0, 1), 5);
+
+    assert.ok(ray(1, 2, 0, 0, 0, -1).intersectPlane(plane).equals(new Vec3(1, 2, -5)));
+    assert.equal(ray(0, 0, 0, 0, 0, 1).intersectPlane(plane), null);
+    assert.equal(ray(0, 0, 0, 1, 0, 0).distanceToPlane(plane), null);
+    assert.equal(ray(0, 0, -5, 1, 0, 0).distanceToPlane(plane), 0);
+});
+
+test('sphere intersection returns the entry point, or the exit point from inside', () => {
+    const sphere = new Sphere(new Vec3(0, 0, -10), 2);
+
+    assert.ok(ray(0, 0, 0, 0, 0, -1).intersectSphere(sphere).equals(new Vec3(0, 0, -8)));
+    assert.ok(ray(0, 0, -10, 0, 0, -1).intersectSphere(sphere).equals(new Vec3(0, 0, -12)));
+    assert.equal(ray(0, 0, 0, 0, 0, 1).intersectSphere(sphere), null);
+    assert.equal(ray(0, 2.1, 0, 0, 0, -1).intersectsSphere(sphere), false);
+});
+
+test('box intersection, including axis-aligned rays and origins inside', () => {
+    const box = new Box3(new Vec3(-1, -1, -1), new Vec3(1, 1, 1));
+
+    assert.ok(ray(-5, 0, 0, 1, 0, 0).intersectBox(box).equals(new Vec3(-1, 0, 0)));
+    assert.ok(ray(0, 0, 0, 0, 1, 0).intersectBox(box).equals(new Vec3(0, 1, 0)));
+    assert.ok(ray(-5, -5, -5, 1, 1, 1).intersectBox(box).equals(new Vec3(-1, -1, -1), EPSILON));
+    // Grazing along a face still hits
+    assert.ok(ray(-5, 1, 0, 1, 0, 0).intersectBox(box).equals(new Vec3(-1, 1, 0)));
+    assert.equal(ray(-5, 1.5, 0, 1, 0, 0).intersectsBox(box), false);
+    assert.equal(ray(5, 0, 0, 1, 0, 0).intersectsBox(box), false);
+});
+
+test('triangle intersection honors the side setting', () => {
+    // Counter-clockwise seen from +Z, so the front face looks along +Z
+    const a = new Vec3(-1, -1, 0), b = new Vec3(1, -1, 0), c = new Vec3(0, 1, 0);
+    const fromFront = ray(0, 0, 5, 0, 0, -1);
+    const fromBack = ray(0, 0, -5, 0, 0, 1);
+
+    assert.ok(fromFront.intersectTriangle(a, b, c, SIDE_FRONT).equals(new Vec3(0, 0, 0)));
+    assert.equal(fromFront.intersectTriangle(a, b, c, SIDE_BACK), null);
+    assert.equal(fromBack.intersectTriangle(a, b, c, SIDE_FRONT), null);
+    assert.ok(fromBack.intersectTriangle(a, b, c, SIDE_BACK).equals(new Vec3(0, 0, 0)));
+    assert.ok(fromBack.intersectTriangle(a, b, c, SIDE_DOUBLE).equals(new Vec3(0, 0, 0)));
+
+    assert.equal(ray(2, 0, 5, 0, 0, -1).intersectTriangle(a, b, c), null);
+    assert.equal(ray(0, 0, -5, 0, 0, -1).intersectTriangle(a, b, c), null);
+    assert.equal(ray(0, 0, 5, 1, 0, 0).intersectTriangle(a, b, c), null);
+});
+
+test('sideFromCullFace maps cull modes to the faces left visible', () => {
+    assert.equal(Ray.sideFromCullFace(CULL_NONE), SIDE_DOUBLE);
+    assert.equal(Ray.sideFromCullFace(CULL_BACK), SIDE_FRONT);
+    assert.equal(Ray.sideFromCullFace(CULL_FRONT), SIDE_BACK);
+    assert.equal(Ray.sideFromCullFace(CULL_FRONT_BACK), null);
+    assert.throws(() => Ray.sideFromCullFace(7), /Unknown cull mode: 7/);
+
+    const a = new Vec3(-1, -1, 0), b = new Vec3(1, -1, 0), c = new Vec3(0, 1, 0);
+    assert.equal(ray(0, 0, 5, 0, 0, -1).intersectTriangle(a, b, c, Ray.sideFromCullFace(CULL_FRONT_BACK)), null);
+});
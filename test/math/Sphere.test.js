@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Sphere } from '../../src/math/Sphere.js';
+import { Box3 } from '../../src/math/Box3.js';
+import { Plane } from '../../src/math/Plane.js';
+import { Mat4 } from '../../src/math/Mat4.js';
+import { Vec3 } from '../../src/math/Vec3.js';
+
+test('setFromPoints encloses every point', () => {
+    const points = [new Vec3(0, 0, 0), new Vec3(4, 0, 0), new Vec3(1, 3, -1), new Vec3(2, -1, 2)];
+    const sphere = new Sphere().setFromPoints(points);
+
+    assert.ok(sphere.center.equals(new Vec3(2, 1, 0.5)));
+    for (const p of points) assert.ok(sphere.containsPoint(p));
+
+    assert.equal(new Sphere().setFromPoints([]).isEmpty(), true);
+    assert.equal(new Sphere().setFromPoints(points, new Vec3(0, 0, 0)).radius, 4);
+});
+
+test('expandByPoint and union grow only as far as needed', () => {
+    const sphere = new Sphere().expandByPoint(new Vec3(0, 0, 0)).expandByPoint(new Vec3(4, 0, 0));
+    assert.ok(sphere.equals(new Sphere(new Vec3(2, 0, 0), 2)));
+
+    assert.ok(sphere.clone().expandByPoint(new Vec3(3, 0, 0)).equals(sphere));
+    assert.ok(sphere.clone().union(new Sphere(new Vec3(2, 0, 0), 1)).equals(sphere));
+    assert.ok(sphere.clone().union(new Sphere(new Vec3(2, 0, 0), 5)).equals(new Sphere(new Vec3(2, 0, 0), 5)));
+    assert.ok(sphere.clone().union(new Sphere(new Vec3(10, 0, 0), 2)).equals(new Sphere(new Vec3(6, 0, 0), 6)));
+    assert.ok(new Sphere().union(sphere).equals(sphere));
+});
+
+test('sphere intersections and signed distance', () => {
+    const sphere = new Sphere(new Vec3(0, 0, 0), 2);
+
+    assert.equal(sphere.distanceToPoint(new Vec3(0, 0, 5)), 3);
+    assert.equal(sphere.distanceToPoint(new Vec3(0, 0, 0)), -2);
+    assert.equal(sphere.intersectsSphere(new Sphere(new Vec3(3, 0, 0), 1)), true);
+    assert.equal(sphere.intersectsSphere(new Sphere(new Vec3(3.1, 0, 0), 1)), false);
+    assert.equal(sphere.containsSphere(new Sphere(new Vec3(1, 0, 0), 1)), true);
+    assert.equal(sphere.intersectsPlane(new Plane(new Vec3(0, 1, 0), -2)), true);
+    assert.equal(sphere.intersectsPlane(new Plane(new Vec3(0, 1, 0), -2.5)), false);
+    assert.equal(sphere.intersectsBox(new Box3(new Vec3(1, 1, 1), new Vec3(3, 3, 3))), true);
+    assert.equal(sphere.intersectsBox(new Box3(new Vec3(1.5, 1.5, 1.5), new Vec3(3, 3, 3))), false);
+});
+
+test('getBoundingBox and applyMatrix4', () => {
+    const sphere = new Sphere(new Vec3(1, 2, 3), 2);
+    const b = sphere.getBoundingBox();
+
+    assert.ok(b.min.equals(new Vec3(-1, 0, 1)));
+    assert.ok(b.max.equals(new Vec3(3, 4, 5)));
+    assert.equal(new Sphere().getBoundingBox().isEmpty(), true);
+
+    // Radius follows the largest axis scale
+    const m = new Mat4().compose(new Vec3(10, 0, 0), new Vec3(0, 0, 0), new Vec3(1, 3, 2));
+    assert.ok(sphere.clone().applyMatrix4(m).equals(new Sphere(new Vec3(11, 6, 6), 6), 1e-12));
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Vec2 } from '../../src/math/Vec2.js';
+import { Vec3 } from '../../src/math/Vec3.js';
+import { Vec4 } from '../../src/math/Vec4.js';
+
+const EPSILON = 1e-12;
+
+test('cross is the signed parallelogram area', () => {
+    assert.equal(new Vec2(1, 0).cross(new Vec2(0, 1)), 1);
+    assert.equal(new Vec2(0, 1).cross(new Vec2(1, 0)), -1);
+    assert.equal(new Vec2(2, 4).cross(new Vec2(1, 2)), 0);
+});
+
+test('angle is measured counter-clockwise from +X in [0, 2 * PI)', () => {
+    assert.equal(new Vec2(1, 0).angle(), 0);
+    assert.equal(new Vec2(0, 1).angle(), Math.PI / 2);
+    assert.equal(new Vec2(0, -1).angle(), Math.PI * 1.5);
+    assert.equal(new Vec2(0, 0).angleTo(new Vec2(1, 0)), Math.PI / 2);
+    assert.ok(Math.abs(new Vec2(1, 0).angleTo(new Vec2(-1, 1)) - Math.PI * 0.75) < EPSILON);
+});
+
+test('rotateAround turns counter-clockwise around the center', () => {
+    assert.ok(new Vec2(1, 0).rotateAround(Math.PI / 2).equals(new Vec2(0, 1), EPSILON));
+    assert.ok(new Vec2(2, 1).rotateAround(Math.PI, new Vec2(1, 1)).equals(new Vec2(0, 1), EPSILON));
+});
+
+test('projections and reflection', () => {
+    assert.ok(new Vec2(3, 4).projectOnVector(new Vec2(2, 0)).equals(new Vec2(3, 0)));
+    assert.ok(new Vec2(3, 4).projectOnVector(new Vec2(0, 0)).equals(new Vec2(0, 0)));
+    assert.ok(new Vec2(3, -4).reflect(new Vec2(0, 1)).equals(new Vec2(3, 4)));
+});
+
+test('conversions between vector sizes', () => {
+    const v2 = new Vec2(1, 2);
+
+    assert.ok(Vec3.fromVec2(v2).equals(new Vec3(1, 2, 0)));
+    assert.ok(Vec3.fromVec2(v2, 5).equals(new Vec3(1, 2, 5)));
+    assert.ok(Vec3.fromVec4(new Vec4(1, 2, 3, 4)).equals(new Vec3(1, 2, 3)));
+    assert.ok(Vec2.fromVec3(new Vec3(1, 2, 3)).equals(v2));
+    assert.ok(Vec4.fromVec3(new Vec3(1, 2, 3)).equals(new Vec4(1, 2, 3, 1)));
+    assert.ok(Vec4.fromVec3(new Vec3(1, 2, 3), 0).equals(new Vec4(1, 2, 3, 0)));
+    assert.ok(Vec4.fromVec2(v2).equals(new Vec4(1, 2, 0, 1)));
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Vec3 } from '../../src/math/Vec3.js';
+
+const EPSILON = 1e-12;
+
+test('equals is exact by default and tolerant with an epsilon', () => {
+    const a = new Vec3(0.1 + 0.2, 1, 1);
+    const b = new Vec3(0.3, 1, 1);
+
+    assert.equal(a.equals(b), false);
+    assert.equal(a.equals(b, EPSILON), true);
+    assert.equal(a.equals(new Vec3(0.3, 1.1, 1), EPSILON), false);
+});
+
+test('component-wise operations', () => {
+    assert.ok(new Vec3(1, -2, 3).multiply(new Vec3(2, 3, -1)).equals(new Vec3(2, -6, -3)));
+    assert.ok(new Vec3(1, -2, 3).negate().equals(new Vec3(-1, 2, -3)));
+    assert.ok(new Vec3(1, 5, 3).min(new Vec3(2, 4, 3)).equals(new Vec3(1, 4, 3)));
+    assert.ok(new Vec3(1, 5, 3).max(new Vec3(2, 4, 3)).equals(new Vec3(2, 5, 3)));
+    assert.ok(new Vec3(-5, 0.5, 5).clamp(new Vec3(0, 0, 0), new Vec3(1, 1, 1)).equals(new Vec3(0, 0.5, 1)));
+});
+
+test('lerp and distances', () => {
+    assert.ok(new Vec3(0, 0, 0).lerp(new Vec3(10, -10, 4), 0.25).equals(new Vec3(2.5, -2.5, 1)));
+    assert.equal(new Vec3(1, 2, 3).distanceTo(new Vec3(4, 6, 3)), 5);
+    assert.equal(new Vec3(1, 2, 3).distanceToSquared(new Vec3(4, 6, 3)), 25);
+});
+
+test('angleTo, including zero-length and parallel vectors', () => {
+    assert.ok(Math.abs(new Vec3(1, 0, 0).angleTo(new Vec3(1, 1, 0)) - Math.PI / 4) < EPSILON);
+    assert.equal(new Vec3(1, 1, 1).angleTo(new Vec3(-2, -2, -2)), Math.PI);
+    assert.equal(new Vec3(0, 0, 0).angleTo(new Vec3(1, 0, 0)), Math.PI / 2);
+});
+
+test('projections and reflection', () => {
+    const v = new Vec3(3, 4, 5);
+
+    assert.ok(v.clone().projectOnVector(new Vec3(0, 2, 0)).equals(new Vec3(0, 4, 0)));
+    assert.ok(v.clone().projectOnVector(new Vec3(0, 0, 0)).equals(new Vec3(0, 0, 0)));
+    assert.ok(v.clone().projectOnPlane(new Vec3(0, 0, 3)).equals(new Vec3(3, 4, 0)));
+    assert.ok(v.clone().projectOnPlane(new Vec3(0, 0, 0)).equals(v));
+    assert.ok(v.clone().reflect(new Vec3(0, 1, 0)).equals(new Vec3(3, -4, 5)));
+});
+
+test('setFromSpherical measures phi from +Y and theta from +Z', () => {
+    assert.ok(new Vec3().setFromSpherical(2, 0, 1).equals(new Vec3(0, 2, 0), EPSILON));
+    assert.ok(new Vec3().setFromSpherical(2, Math.PI / 2, 0).equals(new Vec3(0, 0, 2), EPSILON));
+    assert.ok(new Vec3().setFromSpherical(2, Math.PI / 2, Math.PI / 2).equals(new Vec3(2, 0, 0), EPSILON));
+});
+
+test('fromArray and toArray honor offsets', () => {
+    const v = new Vec3().fromArray([9, 9, 1, 2, 3], 2);
+    assert.ok(v.equals(new Vec3(1, 2, 3)));
+    assert.deepEqual(v.toArray([0, 0, 0, 0], 1), [0, 1, 2, 3]);
+    assert.deepEqual(v.toArray(), [1, 2, 3]);
+
+    const typed = v.toArray(new Float32Array(6), 3);
+    assert.deepEqual(Array.from(typed), [0, 0, 0, 1, 2, 3]);
+});
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Vec3Array } from '../../src/math/Vec3Array.js';
+import { Vec3 } from '../../src/math/Vec3.js';
+import { Mat4 } from '../../src/math/Mat4.js';
+
+function assertClose(actual, expected, epsilon = 1e-12) {
+    assert.equal(actual.length, expected.length);
+    actual.forEach((value, i) => {
+        assert.ok(Math.abs(value - expected[i]) <= epsilon, `[${i}] ${value} !== ${expected[i]}`);
+    });
+}
+
+test('count follows stride and offset', () => {
+    assert.equal(new Vec3Array(new Float32Array(9)).count, 3);
+    assert.equal(new Vec3Array(new Float32Array(15), 5, 2).count, 3);
+    assert.equal(new Vec3Array(new Float32Array(14), 5, 2).count, 2);
+    assert.equal(new Vec3Array(new Float32Array(2)).count, 0);
+    assert.equal(new Vec3Array(4, 6, 1).array.length, 25);
+    assert.throws(() => new Vec3Array(new Float32Array(6), 2), /stride must be at least 3/);
+});
+
+test('bulk operations leave interleaved attributes untouched', () => {
+    // position (3) + uv (2) per vertex, after a one-float header
+    const array = new Float64Array([-1, 1, 2, 3, 7, 7, 4, 5, 6, 8, 8]);
+    const view = new Vec3Array(array, 5, 1);
+
+    view.add(new Vec3(1, 1, 1)).mulScalar(2).sub(new Vec3(0, 2, 0)).multiply(new Vec3(1, 1, -1));
+    assert.deepEqual(Array.from(array), [-1, 4, 4, -8, 7, 7, 10, 10, -14, 8, 8]);
+});
+
+test('normalize keeps zero vectors and dot writes one value per element', () => {
+    const view = new Vec3Array(new Float64Array([3, 0, 4, 0, 0, 0]));
+
+    view.normalize();
+    assertClose(Array.from(view.array), [0.6, 0, 0.8, 0, 0, 0]);
+    assertClose(Array.from(view.dot(new Vec3(1, 2, 1))), [1.4, 0], 1e-6);
+
+    const out = [9, 9, 9];
+    assert.equal(view.dot(new Vec3(0, 0, 1), out), out);
+    assertClose(out, [0.8, 0, 9]);
+});
+
+test('applyMatrix4 and transformDirection match the Vec3 versions', () => {
+    const points = [new Vec3(1, 2, -3), new Vec3(-4, 0.5, -2), new Vec3(0.5, 0, -1)];
+    const affine = new Mat4().compose(new Vec3(1, -2, 3), new Vec3(0.3, 0.1, -0.5), new Vec3(2, 1, 0.5));
+    const perspective = new Mat4().makePerspective(1, 1.5, 0.1, 100);
+
+    for (const m of [affine, perspective]) {
+        const view = Vec3Array.fromVec3s(points, Float64Array).applyMatrix4(m);
+        points.forEach((p, i) => {
+            const expected = p.clone().applyMatrix4(m);
+            const actual = view.get(i);
+            assertClose([actual.x, actual.y, actual.z], [expected.x, expected.y, expected.z]);
+        });
+    }
+
+    const directions = Vec3Array.fromVec3s(points, Float64Array).transformDirection(affine);
+    for (let i = 0; i < points.length; i++) {
+        const expected = points[i].clone().transformDirection(affine);
+        const actual = directions.get(i);
+        assertClose([actual.x, actual.y, actual.z], [expected.x, expected.y, expected.z]);
+    }
+});
+
+test('computeBoundingBox, including an empty view', () => {
+    const view = Vec3Array.fromVec3s([new Vec3(1, -2, 3), new Vec3(-1, 5, 0), new Vec3(0, 0, 9)]);
+    const { min, max } = view.computeBoundingBox();
+
+    assert.ok(min.equals(new Vec3(-1, -2, 0)));
+    assert.ok(max.equals(new Vec3(1, 5, 9)));
+
+    const empty = new Vec3Array(new Float32Array(0)).computeBoundingBox();
+    assert.ok(empty.min.x > empty.max.x);
+});
+
+test('at returns a shared cursor that writes through', () => {
+    const view = new Vec3Array(new Float32Array([1, 2, 3, 4, 5, 6]));
+    const cursor = view.at(0);
+
+    cursor.mulScalar(2);
+    assert.deepEqual(Array.from(view.array), [2, 4, 6, 4, 5, 6]);
+    assert.equal(view.at(1), cursor);
+    assert.equal(cursor.x, 4);
+
+    const kept = view.at(0).clone();
+    view.at(1);
+    assert.ok(kept.equals(new Vec3(2, 4, 6)));
+});
+
+test('clone packs elements into a new array of the same type', () => {
+    const source = new Float64Array([0, 1, 2, 3, 9, 4, 5, 6, 9]);
+    const copy = new Vec3Array(source, 4, 1).clone();
+
+    assert.ok(copy.array instanceof Float64Array);
+    assert.equal(copy.stride, 3);
+    assert.deepEqual(Array.from(copy.array), [1, 2, 3, 4, 5, 6]);
+
+    copy.set(0, 0, 0, 0);
+    assert.equal(source[1], 1);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Vec3Pool } from '../../src/math/Vec3Pool.js';
+import { Vec3 } from '../../src/math/Vec3.js';
+
+test('acquire hands out initialized vectors and grows on demand', () => {
+    const pool = new Vec3Pool(2);
+    const a = pool.acquire(1, 2, 3);
+    pool.acquire();
+    const c = pool.acquire(4, 5, 6);
+
+    assert.ok(a instanceof Vec3);
+    assert.deepEqual([a.x, a.y, a.z, c.x, c.y, c.z], [1, 2, 3, 4, 5, 6]);
+    assert.equal(pool.used, 3);
+    assert.equal(pool.size, 3);
+});
+
+test('release returns vectors for reuse', () => {
+    const pool = new Vec3Pool(4);
+    const first = pool.acquire();
+    const mark = pool.mark();
+    const second = pool.acquire(7, 7, 7);
+
+    pool.release(mark);
+    assert.equal(pool.used, 1);
+    assert.equal(pool.acquire(), second);
+    assert.deepEqual([second.x, second.y, second.z], [0, 0, 0]);
+
+    pool.release();
+    assert.equal(pool.acquire(), first);
+    assert.throws(() => pool.release(5), { name: 'RangeError', message: 'Invalid pool mark: 5 (in use: 1)' });
+});
+
+test('scope releases what it acquired, even on errors', () => {
+    const pool = new Vec3Pool(1);
+    pool.acquire();
+
+    const length = pool.scope(p => p.acquire(3, 4, 0).length());
+    assert.equal(length, 5);
+    assert.equal(pool.used, 1);
+
+    assert.throws(() => pool.scope(p => {
+        p.acquire();
+        throw new Error('boom');
+    }), /boom/);
+    assert.equal(pool.used, 1);
+});
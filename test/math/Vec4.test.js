@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Vec4 } from '../../src/math/Vec4.js';
+
+test('angleTo matches Vec3 conventions', () => {
+    assert.equal(new Vec4(1, 0, 0, 0).angleTo(new Vec4(0, 0, 0, 1)), Math.PI / 2);
+    assert.equal(new Vec4(1, 1, 1, 1).angleTo(new Vec4(2, 2, 2, 2)), 0);
+    assert.equal(new Vec4(0, 0, 0, 0).angleTo(new Vec4(1, 0, 0, 0)), Math.PI / 2);
+});
+
+test('projectOnVector keeps the component along v', () => {
+    const v = new Vec4(1, 2, 3, 4).projectOnVector(new Vec4(0, 0, 0, 2));
+    assert.ok(v.equals(new Vec4(0, 0, 0, 4)));
+    assert.ok(new Vec4(1, 2, 3, 4).projectOnVector(Vec4.ZERO).equals(Vec4.ZERO));
+});
+
+test('reflect flips the component along the normal', () => {
+    const v = new Vec4(1, 2, 3, 4).reflect(new Vec4(0, 0, 0, 1));
+    assert.ok(v.equals(new Vec4(1, 2, 3, -4)));
+});
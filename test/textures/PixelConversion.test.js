@@ -0,0 +1,182 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { convertPixels, toHalfFloat, fromHalfFloat } from '../../src/textures/PixelConversion.js';
+import {
+    FORMAT_RGB, FORMAT_RGBA, FORMAT_RED_INTEGER, FORMAT_RG_INTEGER, FORMAT_RGBA_INTEGER,
+    FORMAT_DEPTH, FORMAT_DEPTH_STENCIL,
+    TYPE_UNSIGNED_BYTE, TYPE_UNSIGNED_SHORT, TYPE_UNSIGNED_INT, TYPE_INT, TYPE_FLOAT, TYPE_HALF_FLOAT,
+    TYPE_UNSIGNED_SHORT_4444, TYPE_UNSIGNED_SHORT_5551, TYPE_UNSIGNED_INT_24_8,
+    TYPE_UNSIGNED_INT_5999, TYPE_UNSIGNED_INT_101111
+} from '../../src/Constants.js';
+
+const RGBA8 = { format: FORMAT_RGBA, type: TYPE_UNSIGNED_BYTE };
+const RGBA32F = { format: FORMAT_RGBA, type: TYPE_FLOAT };
+const RGBA16F = { format: FORMAT_RGBA, type: TYPE_HALF_FLOAT };
+const RGB32F = { format: FORMAT_RGB, type: TYPE_FLOAT };
+const RGB9E5 = { format: FORMAT_RGB, type: TYPE_UNSIGNED_INT_5999 };
+const RG11B10F = { format: FORMAT_RGB, type: TYPE_UNSIGNED_INT_101111 };
+const DEPTH32F = { format: FORMAT_DEPTH, type: TYPE_FLOAT };
+const DEPTH24_STENCIL8 = { format: FORMAT_DEPTH_STENCIL, type: TYPE_UNSIGNED_INT_24_8 };
+
+function report({ lossy, rounded, clamped, dropped }) {
+    return { lossy, rounded, clamped, dropped };
+}
+
+function allBytes() {
+    const bytes = new Uint8Array(256 * 4);
+    for (let i = 0; i < bytes.length; i++) bytes[i] = i & 0xFF;
+    return bytes;
+}
+
+test('unsigned byte to float and back reports no loss', () => {
+    const bytes = allBytes();
+    const float = convertPixels(bytes, RGBA8, RGBA32F);
+    const back = convertPixels(float.data, RGBA32F, RGBA8);
+
+    assert.deepEqual([float.lossy, float.rounded], [false, 0]);
+    assert.deepEqual([back.lossy, back.rounded], [false, 0]);
+    assert.deepEqual(back.data, bytes);
+});
+
+test('unsigned byte to half float and back reports no loss', () => {
+    const half = convertPixels(allBytes(), RGBA8, RGBA16F);
+    const back = convertPixels(half.data, RGBA16F, RGBA8);
+
+    assert.equal(half.lossy, false);
+    assert.equal(back.lossy, false);
+    assert.deepEqual(back.data, allBytes());
+});
+
+test('values the target cannot hold are reported as rounded', () => {
+    assert.equal(convertPixels(new Float32Array([0.1, 0.5, 0.25, 1]), RGBA32F, RGBA16F).rounded, 1);
+    assert.equal(convertPixels(new Float32Array([0.5, 0.3, 0, 1]), RGBA32F, RGBA8).rounded, 2);
+
+    // 32-bit normalized values do not all fit a float32 mantissa
+    const wide = convertPixels(new Uint32Array([123456789, 0, 0, 0xFFFFFFFF]),
+        { format: FORMAT_RGBA, type: TYPE_UNSIGNED_INT }, RGBA32F);
+    assert.equal(wide.rounded, 1);
+
+    // Only multiples of 17 survive 4-bit channels
+    const packed = convertPixels(allBytes(), RGBA8, { format: FORMAT_RGBA, type: TYPE_UNSIGNED_SHORT_4444 });
+    assert.equal(packed.rounded, 1024 - 64);
+});
+
+test('clamped values and dropped channels', () => {
+    const result = convertPixels(new Float32Array([2, -1, 0.5, 0.5]), RGBA32F, { format: FORMAT_RGB, type: TYPE_UNSIGNED_BYTE });
+
+    assert.equal(result.clamped, 2);
+    assert.deepEqual(result.dropped, ['a']);
+    assert.deepEqual(result.data, new Uint8Array([255, 0, 128]));
+    assert.equal(convertPixels(new Uint8Array([10, 20, 30]), { format: FORMAT_RGB, type: TYPE_UNSIGNED_BYTE }, RGBA32F).lossy, false);
+});
+
+test('packed 5551 and 4444 put the first channel in the high bits', () => {
+    const result = convertPixels(new Uint8Array([255, 0, 255, 255, 255, 0, 0, 128, 8, 16, 24, 0]), RGBA8,
+        { format: FORMAT_RGBA, type: TYPE_UNSIGNED_SHORT_5551 });
+
+    assert.deepEqual(result.data, new Uint16Array([0xF83F, 0xF801, (1 << 11) | (2 << 6) | (3 << 1)]));
+    // Alpha 128 becomes 255; 24 comes back as 25, while 8 and 16 survive five bits
+    assert.deepEqual(report(result), { lossy: true, rounded: 2, clamped: 0, dropped: [] });
+
+    const back = convertPixels(result.data, { format: FORMAT_RGBA, type: TYPE_UNSIGNED_SHORT_5551 }, RGBA8);
+    assert.deepEqual(back.data, new Uint8Array([255, 0, 255, 255, 255, 0, 0, 255, 8, 16, 25, 0]));
+    assert.equal(back.lossy, false);
+
+    const clamped = convertPixels(new Float32Array([2, -1, 0.5, 1]), RGBA32F,
+        { format: FORMAT_RGBA, type: TYPE_UNSIGNED_SHORT_4444 });
+    assert.deepEqual(clamped.data, new Uint16Array([0xF08F]));
+    assert.deepEqual(report(clamped), { lossy: true, rounded: 1, clamped: 2, dropped: [] });
+});
+
+test('RGB9E5 round trips values on its grid and clamps to its range', () => {
+    const exact = convertPixels(new Float32Array([1, 0.5, 0.25, 65408, 0, 512]), RGB32F, RGB9E5);
+    assert.equal(exact.lossy, false);
+    assert.deepEqual(convertPixels(exact.data, RGB9E5, RGB32F).data, new Float32Array([1, 0.5, 0.25, 65408, 0, 512]));
+
+    const clamped = convertPixels(new Float32Array([70000, -1, 3]), RGB32F, RGB9E5);
+    assert.equal(clamped.data[0], 0xF80001FF);
+    // 3 is below the step of 128 the shared exponent leaves for 65408
+    assert.deepEqual(report(clamped), { lossy: true, rounded: 1, clamped: 2, dropped: [] });
+    assert.deepEqual(convertPixels(clamped.data, RGB9E5, RGB32F).data, new Float32Array([65408, 0, 0]));
+});
+
+test('RGB9E5 channels lose precision to the largest one', () => {
+    const shared = convertPixels(new Float32Array([1000, 0.001, 1]), RGB32F, RGB9E5);
+
+    assert.deepEqual(report(shared), { lossy: true, rounded: 2, clamped: 0, dropped: [] });
+    // A step of 2 at 1000: 0.001 vanishes and 1 rounds up
+    assert.deepEqual(convertPixels(shared.data, RGB9E5, RGB32F).data, new Float32Array([1000, 0, 2]));
+});
+
+test('R11G11B10F round trips, clamps and keeps denormals', () => {
+    const exact = convertPixels(new Float32Array([1, 0.5, 2]), RGB32F, RG11B10F);
+    // 1.0 in 11 bits: exponent 15, red in the low bits
+    assert.equal(exact.data[0], ((15 << 6) | ((14 << 6) << 11) | ((16 << 5) << 22)) >>> 0);
+    assert.equal(exact.lossy, false);
+
+    const clamped = convertPixels(new Float32Array([1e6, 1e6, 1e6, -1, 0, 0]), RGB32F, RG11B10F);
+    assert.deepEqual(report(clamped), { lossy: true, rounded: 0, clamped: 4, dropped: [] });
+    assert.deepEqual(convertPixels(clamped.data, RG11B10F, RGB32F).data, new Float32Array([65024, 65024, 64512, 0, 0, 0]));
+
+    // Smallest denormals: 2^-20 with 6 mantissa bits, 2^-19 with 5
+    const tiny = convertPixels(new Float32Array([2 ** -20, 2 ** -20, 2 ** -19, 3 * 2 ** -21, 0, 0]), RGB32F, RG11B10F);
+    assert.deepEqual(Array.from(tiny.data, x => x & 0x7FF), [1, 2]);
+    assert.deepEqual(report(tiny), { lossy: true, rounded: 1, clamped: 0, dropped: [] });
+    assert.deepEqual(convertPixels(tiny.data, RG11B10F, RGB32F).data,
+        new Float32Array([2 ** -20, 2 ** -20, 2 ** -19, 2 ** -19, 0, 0]));
+});
+
+test('half floats round to nearest even, including denormals', () => {
+    assert.equal(toHalfFloat(2 ** -24), 1);
+    assert.equal(fromHalfFloat(1), 2 ** -24);
+    assert.equal(toHalfFloat(2 ** -25), 0);
+    assert.equal(toHalfFloat(3 * 2 ** -25), 2);
+    assert.equal(fromHalfFloat(0x3FF), 2 ** -14 - 2 ** -24);
+    assert.equal(toHalfFloat(65504), 0x7BFF);
+    assert.equal(toHalfFloat(65520), 0x7C00);
+    assert.equal(toHalfFloat(-2), 0xC000);
+    assert.ok(Number.isNaN(fromHalfFloat(toHalfFloat(NaN))));
+});
+
+test('integer formats hold integer values', () => {
+    // Normalized 1.0 becomes integer 1
+    const fromNormalized = convertPixels(new Uint8Array([255, 0, 128, 255]), RGBA8,
+        { format: FORMAT_RGBA_INTEGER, type: TYPE_UNSIGNED_BYTE });
+    assert.deepEqual(fromNormalized.data, new Uint8Array([1, 0, 1, 1]));
+    assert.equal(fromNormalized.rounded, 1);
+
+    const narrowed = convertPixels(new Uint16Array([300, 7, 0, 1]), { format: FORMAT_RGBA_INTEGER, type: TYPE_UNSIGNED_SHORT },
+        { format: FORMAT_RGBA_INTEGER, type: TYPE_UNSIGNED_BYTE });
+    assert.deepEqual(narrowed.data, new Uint8Array([255, 7, 0, 1]));
+    assert.deepEqual(report(narrowed), { lossy: true, rounded: 0, clamped: 1, dropped: [] });
+
+    const unsigned = convertPixels(new Int32Array([-5, 7]), { format: FORMAT_RG_INTEGER, type: TYPE_INT },
+        { format: FORMAT_RG_INTEGER, type: TYPE_UNSIGNED_SHORT });
+    assert.deepEqual(unsigned.data, new Uint16Array([0, 7]));
+    assert.equal(unsigned.clamped, 1);
+
+    assert.throws(() => convertPixels(new Uint8Array([1]), { format: FORMAT_RED_INTEGER, type: TYPE_UNSIGNED_BYTE },
+        { format: FORMAT_RED_INTEGER, type: TYPE_FLOAT }), /Integer format RED_INTEGER cannot hold float type/);
+});
+
+test('depth converts between normalized and float, stencil travels as g', () => {
+    const depth = convertPixels(new Uint16Array([65535, 0, 32768]), { format: FORMAT_DEPTH, type: TYPE_UNSIGNED_SHORT }, DEPTH32F);
+    assert.deepEqual(Array.from(depth.data.subarray(0, 2)), [1, 0]);
+    assert.ok(Math.abs(depth.data[2] - 32768 / 65535) < 1e-7);
+    assert.equal(depth.lossy, false);
+
+    const packed = convertPixels(new Float32Array([1, 0.5, 2]), DEPTH32F, DEPTH24_STENCIL8);
+    assert.deepEqual(packed.data, new Uint32Array([0xFFFFFF00, 0x80000000, 0xFFFFFF00]));
+    // 0.5 is not on the 24-bit grid; 2 is clamped
+    assert.deepEqual(report(packed), { lossy: true, rounded: 1, clamped: 1, dropped: [] });
+
+    const unpacked = convertPixels(new Uint32Array([0xFFFFFF07, 0x80000000]), DEPTH24_STENCIL8, DEPTH32F);
+    assert.equal(unpacked.data[0], 1);
+    assert.deepEqual(unpacked.dropped, ['g']);
+
+    assert.throws(() => convertPixels(new Uint32Array([1]), { format: FORMAT_DEPTH_STENCIL, type: TYPE_UNSIGNED_INT }, DEPTH32F),
+        /can only be converted as TYPE_UNSIGNED_INT_24_8/);
+    assert.throws(() => convertPixels(new Uint8Array([1]), { format: FORMAT_DEPTH, type: TYPE_UNSIGNED_BYTE }, DEPTH32F),
+        /Unsupported depth texture type/);
+});
@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Texture } from '../../src/textures/Texture.js';
+import { TextureFitting } from '../../src/textures/TextureUtils.js';
+import { Vec2 } from '../../src/math/Vec2.js';
+import {
+    WRAP_REPEAT, WRAP_CLAMP_TO_EDGE, FILTER_NEAREST, FILTER_LINEAR,
+    FORMAT_RGB, TYPE_FLOAT, COLOR_SPACE_SRGB, MAPPING_UV
+} from '../../src/Constants.js';
+
+test('options set the documented settings only', () => {
+    const options = {
+        name: 'ground', generateMipmaps: false, wrapS: WRAP_REPEAT, magFilter: FILTER_NEAREST,
+        format: FORMAT_RGB, type: TYPE_FLOAT, colorSpace: COLOR_SPACE_SRGB, rotation: 0.5,
+        id: 1000, version: 7, source: { width: 9, height: 9 }, width: 3, _listeners: null, extra: true
+    };
+    const texture = new Texture(null, options);
+
+    assert.equal(texture.name, 'ground');
+    assert.equal(texture.generateMipmaps, false);
+    assert.equal(texture.wrapS, WRAP_REPEAT);
+    assert.equal(texture.wrapT, WRAP_CLAMP_TO_EDGE);
+    assert.equal(texture.magFilter, FILTER_NEAREST);
+    assert.equal(texture.format, FORMAT_RGB);
+    assert.equal(texture.type, TYPE_FLOAT);
+    assert.equal(texture.colorSpace, COLOR_SPACE_SRGB);
+    assert.equal(texture.mapping, MAPPING_UV);
+    assert.equal(texture.rotation, 0.5);
+
+    assert.notEqual(texture.id, 1000);
+    assert.equal(texture.version, 0);
+    assert.equal(texture.source, null);
+    assert.equal(texture.width, 0);
+    assert.ok(!('extra' in texture));
+    // Internal state is not replaced either
+    assert.doesNotThrow(() => texture.addEventListener('dispose', () => {}));
+});
+
+test('tiling, offset, center and mipmaps are copied from options', () => {
+    const tiling = new Vec2(4, 2);
+    const mipmaps = [{ width: 2, height: 2 }];
+    const texture = new Texture(null, { tiling, offset: { x: 0.5, y: 0.25 }, center: new Vec2(0.5, 0.5), mipmaps });
+
+    assert.ok(texture.tiling instanceof Vec2);
+    assert.notEqual(texture.tiling, tiling);
+    assert.deepEqual([texture.tiling.x, texture.tiling.y], [4, 2]);
+    assert.ok(texture.offset instanceof Vec2);
+    assert.deepEqual([texture.offset.x, texture.offset.y], [0.5, 0.25]);
+    assert.deepEqual([texture.center.x, texture.center.y], [0.5, 0.5]);
+
+    // Fitting one texture must not move another built from the same options
+    TextureFitting.fill(texture);
+    assert.deepEqual([tiling.x, tiling.y], [4, 2]);
+
+    assert.deepEqual(texture.mipmaps, mipmaps);
+    assert.notEqual(texture.mipmaps, mipmaps);
+});
+
+test('size comes from the source, video dimensions first', () => {
+    assert.equal(new Texture({ width: 64, height: 32 }).width, 64);
+    assert.equal(new Texture({ width: 64, height: 32 }).height, 32);
+
+    const video = { width: 300, height: 150, videoWidth: 1920, videoHeight: 1080 };
+    assert.equal(new Texture(video).width, 1920);
+    assert.equal(new Texture(video).height, 1080);
+});
+
+test('needsUpdate bumps the version', () => {
+    const texture = new Texture();
+    texture.needsUpdate = true;
+    texture.needsUpdate = false;
+    texture.needsUpdate = true;
+
+    assert.equal(texture.version, 2);
+});
+
+test('dispose notifies listeners, which may remove themselves', () => {
+    const texture = new Texture();
+    const events = [];
+    const once = event => {
+        events.push(['once', event.target]);
+        texture.removeEventListener('dispose', once);
+    };
+    const always = event => events.push(['always', event.type]);
+
+    texture.addEventListener('dispose', once);
+    texture.addEventListener('dispose', always);
+    texture.addEventListener('dispose', always);
+    assert.ok(texture.hasEventListener('dispose', once));
+
+    texture.dispose();
+    texture.dispose();
+
+    assert.deepEqual(events, [['once', texture], ['always', 'dispose'], ['always', 'dispose']]);
+    assert.ok(!texture.hasEventListener('dispose', once));
+});
+
+test('clone copies settings into independent vectors, without listeners', () => {
+    const texture = new Texture({ width: 8, height: 8 }, {
+        name: 'brick', wrapS: WRAP_REPEAT, minFilter: FILTER_LINEAR, tiling: new Vec2(3, 3), rotation: 1
+    });
+    const listener = () => {};
+    texture.addEventListener('dispose', listener);
+
+    const clone = texture.clone();
+
+    assert.ok(clone instanceof Texture);
+    assert.notEqual(clone.id, texture.id);
+    assert.equal(clone.source, texture.source);
+    assert.equal(clone.name, 'brick');
+    assert.equal(clone.wrapS, WRAP_REPEAT);
+    assert.equal(clone.minFilter, FILTER_LINEAR);
+    assert.equal(clone.rotation, 1);
+    assert.equal(clone.version, 1);
+    assert.ok(!clone.hasEventListener('dispose', listener));
+
+    clone.tiling.set(1, 1);
+    assert.deepEqual([texture.tiling.x, texture.tiling.y], [3, 3]);
+});
+
+test('fitting adjusts tiling and offset to the target aspect ratio', () => {
+    const wide = new Texture({ width: 200, height: 100 });
+
+    TextureFitting.cover(wide, 1);
+    assert.deepEqual([wide.tiling.x, wide.tiling.y, wide.offset.x, wide.offset.y], [0.5, 1, 0.25, 0]);
+
+    TextureFitting.contain(wide, 1);
+    assert.deepEqual([wide.tiling.x, wide.tiling.y, wide.offset.x, wide.offset.y], [1, 2, 0, -0.5]);
+});
@@ -0,0 +1,157 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TextureBudget, EvictionPolicies } from '../../src/textures/TextureBudget.js';
+import { Texture } from '../../src/textures/Texture.js';
+import { FILTER_LINEAR, MAPPING_CUBE_REFLECTION } from '../../src/Constants.js';
+
+// 64x64 RGBA8 without mipmaps: 16 KiB
+function createTexture(name, options = {}) {
+    return new Texture({ width: 64, height: 64 }, { name, minFilter: FILTER_LINEAR, ...options });
+}
+
+test('sizes include generated mip chains and cube faces', () => {
+    const budget = new TextureBudget();
+
+    assert.equal(budget.register(createTexture('flat')).bytes, 16384);
+    assert.equal(budget.register(new Texture({ width: 64, height: 64 })).bytes, 4 * 5461);
+
+    const faces = Array.from({ length: 6 }, () => ({ width: 32, height: 32 }));
+    const cube = new Texture(faces, { mapping: MAPPING_CUBE_REFLECTION, minFilter: FILTER_LINEAR });
+    assert.equal(budget.register(cube).bytes, 32 * 32 * 4 * 6);
+
+    assert.equal(budget.register(createTexture('override'), { bytes: 1000 }).bytes, 1000);
+    assert.equal(budget.register(new Texture()).bytes, 0);
+    assert.equal(budget.total, 16384 + 4 * 5461 + 24576 + 1000);
+});
+
+test('limit events fire when the total crosses a limit in either direction', () => {
+    const budget = new TextureBudget({ softLimit: 20000, hardLimit: 40000 });
+    const events = [];
+    budget.addEventListener('softlimit', ({ type, exceeded, total, limit }) => events.push({ type, exceeded, total, limit }));
+    budget.addEventListener('hardlimit', ({ type, exceeded, total, limit }) => events.push({ type, exceeded, total, limit }));
+
+    const a = createTexture('a'), b = createTexture('b'), c = createTexture('c');
+    budget.register(a);
+    assert.deepEqual(events, []);
+
+    budget.register(b);
+    budget.register(c);
+    budget.unregister(c);
+    b.dispose();
+
+    assert.deepEqual(events, [
+        { type: 'softlimit', exceeded: true, total: 32768, limit: 20000 },
+        { type: 'hardlimit', exceeded: true, total: 49152, limit: 40000 },
+        { type: 'hardlimit', exceeded: false, total: 32768, limit: 40000 },
+        { type: 'softlimit', exceeded: false, total: 16384, limit: 20000 }
+    ]);
+    assert.ok(!budget.has(b));
+
+    // Staying on one side of a limit is silent
+    budget.update(a);
+    budget.register(a, { priority: 3 });
+    assert.equal(events.length, 4);
+});
+
+test('a texture that cannot be measured leaves the budget unchanged', () => {
+    const budget = new TextureBudget();
+    const broken = createTexture('broken', { format: 12345 });
+
+    assert.throws(() => budget.register(broken), /Unsupported texture format/);
+    assert.ok(!budget.has(broken));
+    assert.equal(budget.total, 0);
+    assert.deepEqual(budget.snapshot().categories, {});
+
+    const texture = createTexture('terrain');
+    budget.register(texture, { category: 'terrain' });
+    texture.format = 12345;
+
+    assert.throws(() => budget.update(texture), /Unsupported texture format/);
+    assert.throws(() => budget.register(texture, { category: 'ui' }), /Unsupported texture format/);
+    assert.equal(budget.total, 16384);
+    assert.equal(budget.getCategoryTotal('terrain'), 16384);
+    assert.equal(budget.getCategoryTotal('ui'), 0);
+    assert.equal(budget.register(texture, { bytes: 512 }).bytes, 512);
+    assert.equal(budget.total, 512);
+});
+
+test('re-registering moves bytes between categories', () => {
+    const budget = new TextureBudget();
+    const texture = createTexture('moving');
+
+    budget.register(texture, { category: 'terrain' });
+    budget.register(texture, { category: 'props' });
+
+    assert.equal(budget.getCategoryTotal('terrain'), 0);
+    assert.equal(budget.getCategoryTotal('props'), 16384);
+    assert.deepEqual(budget.snapshot().categories, { props: { bytes: 16384, count: 1 } });
+});
+
+test('eviction candidates follow the policy until enough is freed', () => {
+    const budget = new TextureBudget({ softLimit: 16384 });
+    const near = createTexture('near'), far = createTexture('far'), important = createTexture('important');
+
+    budget.register(near, { distance: 1 });
+    budget.register(far, { distance: 50 });
+    budget.register(important, { priority: 5, distance: 10 });
+    budget.touch(near);
+
+    const names = candidates => candidates.map(candidate => candidate.texture.name);
+
+    // Least recently used: far, important, near (touched last)
+    assert.deepEqual(names(budget.getEvictionCandidates()), ['far', 'important']);
+    assert.deepEqual(names(budget.getEvictionCandidates(1)), ['far']);
+    assert.deepEqual(names(budget.getEvictionCandidates(Infinity, { policy: 'priority' })),
+        ['far', 'near', 'important']);
+    assert.deepEqual(names(budget.getEvictionCandidates(Infinity, { policy: 'distance' })),
+        ['far', 'important', 'near']);
+
+    budget.touch(far, 0);
+    assert.deepEqual(names(budget.getEvictionCandidates(Infinity, { policy: EvictionPolicies.distance })),
+        ['important', 'near', 'far']);
+    assert.equal(names(budget.getEvictionCandidates(Infinity, { policy: (a, b) => b.priority - a.priority }))[0],
+        'important');
+
+    assert.deepEqual(budget.getEvictionCandidates(0), []);
+    assert.deepEqual(new TextureBudget().getEvictionCandidates(), []);
+    assert.throws(() => budget.getEvictionCandidates(1, { policy: 'random' }), /Unknown eviction policy: random/);
+});
+
+test('downscaling proposes dropping the largest mip level of mipmapped textures', () => {
+    const budget = new TextureBudget();
+    const mipmapped = new Texture({ width: 64, height: 64 }, { name: 'mipmapped' });
+    const flat = createTexture('flat');
+
+    budget.register(mipmapped);
+    budget.register(flat);
+
+    assert.deepEqual(budget.getEvictionCandidates(Infinity, { downscale: true }).map(c => [c.texture, c.action, c.bytes]),
+        [[mipmapped, 'downscale', 16384], [flat, 'evict', 16384]]);
+    assert.deepEqual(budget.getEvictionCandidates(Infinity).map(c => c.action), ['evict', 'evict']);
+});
+
+test('snapshot and report list categories and the largest textures', () => {
+    const budget = new TextureBudget({ softLimit: 1 << 20 });
+    const large = new Texture({ width: 128, height: 128 }, { name: 'large', minFilter: FILTER_LINEAR });
+    const small = createTexture('');
+
+    budget.register(small, { category: 'ui' });
+    budget.register(large, { category: 'terrain', priority: 2 });
+
+    const snapshot = budget.snapshot();
+    assert.equal(snapshot.total, 65536 + 16384);
+    assert.deepEqual(snapshot.categories, { ui: { bytes: 16384, count: 1 }, terrain: { bytes: 65536, count: 1 } });
+    assert.deepEqual(snapshot.textures.map(t => [t.name, t.category, t.bytes, t.mipLevels, t.priority]),
+        [['large', 'terrain', 65536, 1, 2], ['', 'ui', 16384, 1, 0]]);
+    assert.deepEqual(JSON.parse(JSON.stringify(snapshot.categories)), snapshot.categories);
+
+    assert.equal(budget.report(), [
+        'Texture memory: 80.0 KiB (soft limit 1.0 MiB, hard limit none)',
+        '  terrain: 64.0 KiB in 1 texture',
+        '  ui: 16.0 KiB in 1 texture',
+        `  #${large.id} large [terrain]: 64.0 KiB`,
+        `  #${small.id} (unnamed) [ui]: 16.0 KiB`
+    ].join('\n'));
+    assert.equal(budget.report(1).split('\n').length, 4);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { parseKTX2, parseDDS } from '../../src/textures/TextureContainers.js';
+import {
+    FORMAT_RGBA, FORMAT_RGBA_BPTC, FORMAT_RGBA_S3TC_DXT5, TYPE_UNSIGNED_BYTE,
+    COLOR_SPACE_SRGB, COLOR_SPACE_NONE
+} from '../../src/Constants.js';
+
+const FIXTURES = new URL('../fixtures/textures/', import.meta.url);
+
+function loadFixture(name) {
+    return readFileSync(new URL(name, FIXTURES));
+}
+
+// Fixture images are filled with image * 16 + level + 1
+function assertImages(level, count, size) {
+    assert.equal(level.images.length, count);
+    assert.equal(level.data.length, count * size);
+    level.images.forEach((image, i) => {
+        assert.equal(image.length, size);
+        assert.ok(image.every(byte => byte === i * 16 + level.level + 1), `image ${i} of level ${level.level}`);
+    });
+}
+
+test('KTX2 sRGB cube array', () => {
+    const texture = parseKTX2(loadFixture('rgba8-srgb-cube-array.ktx2'));
+
+    assert.equal(texture.format, FORMAT_RGBA);
+    assert.equal(texture.type, TYPE_UNSIGNED_BYTE);
+    assert.equal(texture.colorSpace, COLOR_SPACE_SRGB);
+    assert.equal(texture.supercompression, 'none');
+    assert.deepEqual([texture.width, texture.height, texture.layers, texture.faces, texture.mipLevels], [4, 4, 2, 6, 2]);
+    assertImages(texture.levels[0], 12, 64);
+    assertImages(texture.levels[1], 12, 16);
+});
+
+test('KTX2 BC7 with mips', () => {
+    // Plain ArrayBuffer input, as from fetch()
+    const file = loadFixture('bc7-mips.ktx2');
+    const texture = parseKTX2(file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength));
+
+    assert.equal(texture.format, FORMAT_RGBA_BPTC);
+    assert.equal(texture.colorSpace, COLOR_SPACE_NONE);
+    assert.deepEqual(texture.levels.map(level => [level.width, level.height]), [[8, 8], [4, 4], [2, 2], [1, 1]]);
+    texture.levels.forEach((level, i) => assertImages(level, 1, i === 0 ? 64 : 16));
+});
+
+test('KTX2 truncated file and size mismatch', () => {
+    assert.throws(() => parseKTX2(loadFixture('bc7-mips-truncated.ktx2')),
+        /^Error: KTX2 file is truncated: level 3 needs bytes 272-288, file has 280$/);
+    assert.throws(() => parseKTX2(loadFixture('bc7-size-mismatch.ktx2')),
+        /^Error: KTX2 level 1 \(4x4x1\) has 32 bytes, expected 16 for format 36492$/);
+    assert.throws(() => parseKTX2(loadFixture('dxt5-mips.dds')), /Not a KTX2 file/);
+});
+
+test('DDS DX10 cube array', () => {
+    const texture = parseDDS(loadFixture('bc7-cube-array-dx10.dds'));
+
+    assert.equal(texture.format, FORMAT_RGBA_BPTC);
+    assert.deepEqual([texture.width, texture.height, texture.layers, texture.faces, texture.mipLevels], [8, 8, 2, 6, 2]);
+    // DDS stores images mip chain by mip chain; levels regroup them
+    assertImages(texture.levels[0], 12, 64);
+    assertImages(texture.levels[1], 12, 16);
+});
+
+test('DDS legacy DXT5 with mips', () => {
+    const texture = parseDDS(loadFixture('dxt5-mips.dds'));
+
+    assert.equal(texture.format, FORMAT_RGBA_S3TC_DXT5);
+    assert.deepEqual([texture.layers, texture.faces, texture.mipLevels], [1, 1, 4]);
+    assert.deepEqual(texture.levels.map(level => [level.width, level.height]), [[8, 8], [4, 4], [2, 2], [1, 1]]);
+    texture.levels.forEach((level, i) => assertImages(level, 1, i === 0 ? 64 : 16));
+});
+
+test('DDS truncated file and size mismatch', () => {
+    assert.throws(() => parseDDS(loadFixture('dxt5-mips-truncated.dds')),
+        /^Error: DDS file is truncated: level 3 of image 0 \(1x1x1\) needs 16 bytes at 224, file has 232$/);
+    assert.throws(() => parseDDS(loadFixture('dxt5-size-mismatch.dds')),
+        /^Error: DDS file has 16 bytes more than its 4 levels of format 33779 describe$/);
+    assert.throws(() => parseDDS(loadFixture('bc7-mips.ktx2')), /Not a DDS file/);
+});
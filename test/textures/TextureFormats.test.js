@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import * as Constants from '../../src/Constants.js';
+import {
+    FormatRegistry,
+    getFormatInfo,
+    isCompressedFormat,
+    getDeviceCapabilities,
+    selectFormat
+} from '../../src/textures/TextureFormats.js';
+import { TextureUtilities, calculateTextureSize } from '../../src/textures/TextureUtils.js';
+
+const {
+    FORMAT_RED, FORMAT_RG, FORMAT_RGB, FORMAT_RGBA,
+    FORMAT_RGB_S3TC_DXT1, FORMAT_RGBA_S3TC_DXT1, FORMAT_RGBA_S3TC_DXT5, FORMAT_RED_RGTC1, FORMAT_RED_GREEN_RGTC2,
+    FORMAT_RGBA_BPTC, FORMAT_RGB_BPTC_SIGNED, FORMAT_RGB_BPTC_UNSIGNED,
+    FORMAT_RGBA_ETC2_EAC, FORMAT_RG11_EAC, FORMAT_RGB_ETC1,
+    FORMAT_RGBA_ASTC_4x4, FORMAT_RGBA_ASTC_12x12, FORMAT_RGBA_PVRTC_4BPPV1
+} = Constants;
+
+const UNCOMPRESSED = new Set([
+    'ALPHA', 'RED', 'RG', 'RGB', 'RGBA', 'RED_INTEGER', 'RG_INTEGER', 'RGB_INTEGER', 'RGBA_INTEGER',
+    'DEPTH', 'DEPTH_STENCIL'
+]);
+
+const FORMATS = Object.entries(Constants).filter(([key]) => key.startsWith('FORMAT_'));
+
+test('every FORMAT_* constant has a registry entry', () => {
+    assert.equal(FormatRegistry.size, FORMATS.length);
+
+    for (const [key, format] of FORMATS) {
+        const info = getFormatInfo(format);
+        assert.ok(info, key);
+        assert.equal(info.name, key.slice('FORMAT_'.length), key);
+        assert.ok(Object.isFrozen(info), key);
+    }
+    assert.equal(getFormatInfo(-1), null);
+});
+
+test('isCompressedFormat over all FORMAT_* values', () => {
+    for (const [key, format] of FORMATS) {
+        const expected = !UNCOMPRESSED.has(key.slice('FORMAT_'.length));
+        assert.equal(isCompressedFormat(format), expected, key);
+        assert.equal(TextureUtilities.isCompressedFormat(format), expected, key);
+    }
+    assert.equal(isCompressedFormat(-1), false);
+    assert.equal(isCompressedFormat(undefined), false);
+});
+
+test('block sizes agree with the memory calculation', () => {
+    for (const info of FormatRegistry.values()) {
+        if (!info.compressed || info.family === 'pvrtc') continue;
+
+        const width = info.blockWidth * 3, height = info.blockHeight * 2;
+        assert.equal(calculateTextureSize(width, height, info.format), 6 * info.bytesPerBlock, info.name);
+    }
+});
+
+test('device capabilities come from WebGL extensions, WebGPU features or names', () => {
+    const gl = { getSupportedExtensions: () => ['WEBGL_compressed_texture_s3tc'] };
+    const device = { features: new Set(['texture-compression-astc']) };
+
+    assert.deepEqual([...getDeviceCapabilities(gl)], ['WEBGL_compressed_texture_s3tc']);
+    assert.deepEqual([...getDeviceCapabilities(device)], ['texture-compression-astc']);
+    assert.deepEqual([...getDeviceCapabilities(['a', 'b'])], ['a', 'b']);
+    assert.deepEqual([...getDeviceCapabilities(null)], []);
+});
+
+test('selectFormat ranks supported formats by quality, or by size', () => {
+    const desktop = ['WEBGL_compressed_texture_s3tc', 'EXT_texture_compression_bptc', 'EXT_texture_compression_rgtc'];
+    const mobile = ['WEBGL_compressed_texture_etc', 'WEBGL_compressed_texture_astc', 'WEBGL_compressed_texture_etc1'];
+
+    assert.equal(selectFormat(desktop, { alpha: true }).format, FORMAT_RGBA_BPTC);
+    // DXT1 with 1-bit alpha is the smallest format with alpha
+    assert.equal(selectFormat(desktop, { alpha: true, prefer: 'size' }).format, FORMAT_RGBA_S3TC_DXT1);
+    assert.equal(selectFormat(desktop, { prefer: 'size' }).format, FORMAT_RGB_S3TC_DXT1);
+
+    assert.equal(selectFormat(mobile, { alpha: true }).format, FORMAT_RGBA_ASTC_4x4);
+    assert.equal(selectFormat(mobile, { alpha: true, prefer: 'size' }).format, FORMAT_RGBA_ASTC_12x12);
+    assert.equal(selectFormat(['WEBGL_compressed_texture_etc', 'WEBGL_compressed_texture_etc1']).format,
+        FORMAT_RGBA_ETC2_EAC);
+
+    // Restricted to what a transcoder can produce
+    assert.equal(selectFormat(mobile, { formats: [FORMAT_RGB_ETC1, FORMAT_RGBA_ASTC_12x12] }).format,
+        FORMAT_RGBA_ASTC_12x12);
+    assert.equal(selectFormat(mobile, { formats: [FORMAT_RGB_ETC1] }).format, FORMAT_RGB_ETC1);
+});
+
+test('selectFormat prefers dedicated formats for one and two channels', () => {
+    const desktop = ['WEBGL_compressed_texture_s3tc', 'EXT_texture_compression_bptc', 'EXT_texture_compression_rgtc'];
+
+    assert.equal(selectFormat(desktop, { channels: 1 }).format, FORMAT_RED_RGTC1);
+    assert.equal(selectFormat(desktop, { channels: 2 }).format, FORMAT_RED_GREEN_RGTC2);
+    assert.equal(selectFormat(['WEBGL_compressed_texture_etc'], { channels: 2 }).format, FORMAT_RG11_EAC);
+    assert.equal(selectFormat(['WEBGL_compressed_texture_s3tc'], { channels: 1 }).format, FORMAT_RGBA_S3TC_DXT5);
+});
+
+test('selectFormat honours sRGB, HDR, signed and size requirements', () => {
+    const s3tc = ['WEBGL_compressed_texture_s3tc'];
+
+    assert.equal(selectFormat(s3tc, { alpha: true, srgb: true }).format, FORMAT_RGBA);
+    assert.equal(selectFormat([...s3tc, 'WEBGL_compressed_texture_s3tc_srgb'], { alpha: true, srgb: true }).format,
+        FORMAT_RGBA_S3TC_DXT5);
+    assert.equal(selectFormat(['EXT_texture_compression_rgtc'], { srgb: true }).format, FORMAT_RGB);
+
+    const bc = { features: new Set(['texture-compression-bc']) };
+    assert.equal(selectFormat(bc, { hdr: true }).format, FORMAT_RGB_BPTC_UNSIGNED);
+    assert.equal(selectFormat(bc, { hdr: true, signed: true }).format, FORMAT_RGB_BPTC_SIGNED);
+    assert.equal(selectFormat(bc, { alpha: true }).format, FORMAT_RGBA_BPTC);
+
+    const pvrtc = ['WEBGL_compressed_texture_pvrtc'];
+    assert.equal(selectFormat(pvrtc, { alpha: true, width: 256, height: 256 }).format, FORMAT_RGBA_PVRTC_4BPPV1);
+    assert.equal(selectFormat(pvrtc, { alpha: true, width: 256, height: 128 }).format, FORMAT_RGBA);
+    assert.equal(selectFormat(pvrtc, { alpha: true, width: 100, height: 100 }).format, FORMAT_RGBA);
+});
+
+test('selectFormat falls back to the uncompressed format for the channels', () => {
+    assert.equal(selectFormat([], { channels: 1 }).format, FORMAT_RED);
+    assert.equal(selectFormat([], { channels: 2 }).format, FORMAT_RG);
+    assert.equal(selectFormat([]).format, FORMAT_RGB);
+    assert.equal(selectFormat([], { alpha: true }).format, FORMAT_RGBA);
+    assert.throws(() => selectFormat([], { prefer: 'speed' }), /Unknown format preference: speed/);
+});
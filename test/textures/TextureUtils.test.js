@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    calculateTextureSize,
+    calculateTextureMemory,
+    getMipmapLevels
+} from '../../src/textures/TextureUtils.js';
+import {
+    FORMAT_RED, FORMAT_RGB, FORMAT_RGBA, FORMAT_DEPTH, FORMAT_DEPTH_STENCIL,
+    FORMAT_RGB_S3TC_DXT1, FORMAT_RGBA_S3TC_DXT5, FORMAT_RGBA_ASTC_12x12,
+    FORMAT_RGB_PVRTC_2BPPV1, FORMAT_RGBA_PVRTC_4BPPV1,
+    TYPE_UNSIGNED_BYTE, TYPE_UNSIGNED_SHORT, TYPE_UNSIGNED_INT, TYPE_FLOAT, TYPE_HALF_FLOAT,
+    TYPE_UNSIGNED_INT_24_8, TYPE_UNSIGNED_SHORT_4444, TYPE_UNSIGNED_SHORT_5551,
+    TYPE_UNSIGNED_INT_5999, TYPE_UNSIGNED_INT_101111
+} from '../../src/Constants.js';
+
+test('uncompressed sizes follow channels and type', () => {
+    assert.equal(calculateTextureSize(1024, 1024, FORMAT_RGBA, TYPE_UNSIGNED_BYTE), 4194304);
+    assert.equal(calculateTextureSize(10, 10, FORMAT_RGB, TYPE_HALF_FLOAT), 600);
+    assert.equal(calculateTextureSize(10, 10, FORMAT_RED, TYPE_FLOAT), 400);
+});
+
+test('packed types hold the whole pixel', () => {
+    assert.equal(calculateTextureSize(10, 10, FORMAT_RGBA, TYPE_UNSIGNED_SHORT_4444), 200);
+    assert.equal(calculateTextureSize(10, 10, FORMAT_RGBA, TYPE_UNSIGNED_SHORT_5551), 200);
+    assert.equal(calculateTextureSize(10, 10, FORMAT_RGB, TYPE_UNSIGNED_INT_5999), 400);
+    assert.equal(calculateTextureSize(10, 10, FORMAT_RGB, TYPE_UNSIGNED_INT_101111), 400);
+
+    assert.throws(() => calculateTextureSize(10, 10, FORMAT_RGBA, TYPE_UNSIGNED_INT_5999),
+        /holds 3 channels, format has 4/);
+    assert.throws(() => calculateTextureSize(10, 10, FORMAT_RGB, TYPE_UNSIGNED_SHORT_4444),
+        /holds 4 channels, format has 3/);
+    assert.throws(() => calculateTextureSize(10, 10, FORMAT_RGBA, 9999), /Unknown texture type: 9999/);
+});
+
+test('depth and depth-stencil sizes', () => {
+    assert.equal(calculateTextureSize(100, 100, FORMAT_DEPTH, TYPE_UNSIGNED_SHORT), 20000);
+    assert.equal(calculateTextureSize(100, 100, FORMAT_DEPTH, TYPE_UNSIGNED_INT), 40000);
+    assert.equal(calculateTextureSize(100, 100, FORMAT_DEPTH, TYPE_FLOAT), 40000);
+    assert.equal(calculateTextureSize(100, 100, FORMAT_DEPTH_STENCIL, TYPE_UNSIGNED_INT_24_8), 40000);
+    assert.equal(calculateTextureSize(100, 100, FORMAT_DEPTH_STENCIL, TYPE_FLOAT), 80000);
+
+    assert.throws(() => calculateTextureSize(100, 100, FORMAT_DEPTH, TYPE_UNSIGNED_BYTE),
+        /Unsupported depth texture type/);
+    assert.throws(() => calculateTextureSize(100, 100, FORMAT_DEPTH_STENCIL, TYPE_UNSIGNED_SHORT),
+        /Unsupported depth-stencil texture type/);
+});
+
+test('compressed sizes round up to whole blocks', () => {
+    assert.equal(calculateTextureSize(16, 16, FORMAT_RGB_S3TC_DXT1), 128);
+    assert.equal(calculateTextureSize(1, 1, FORMAT_RGB_S3TC_DXT1), 8);
+    assert.equal(calculateTextureSize(5, 5, FORMAT_RGBA_S3TC_DXT5), 64);
+    assert.equal(calculateTextureSize(16, 16, FORMAT_RGBA_ASTC_12x12), 64);
+    // PVRTC has a minimum size of 16x8 (2 bpp) or 8x8 (4 bpp)
+    assert.equal(calculateTextureSize(4, 4, FORMAT_RGB_PVRTC_2BPPV1), 32);
+    assert.equal(calculateTextureSize(4, 4, FORMAT_RGBA_PVRTC_4BPPV1), 32);
+    assert.throws(() => calculateTextureSize(4, 4, 12345), /Unsupported texture format: 12345/);
+});
+
+test('mip chains sum every level, small compressed mips take a full block', () => {
+    const rgba = calculateTextureMemory({ width: 256, height: 256, mipLevels: 9, format: FORMAT_RGBA });
+    assert.equal(rgba.levels.length, 9);
+    assert.equal(rgba.total, 4 * 87381);
+    assert.deepEqual(rgba.levels[8], { level: 8, width: 1, height: 1, depth: 1, bytes: 4 });
+
+    const dxt = calculateTextureMemory({ width: 16, height: 16, mipLevels: 5, format: FORMAT_RGB_S3TC_DXT1 });
+    assert.deepEqual(dxt.levels.map(level => level.bytes), [128, 32, 8, 8, 8]);
+    assert.equal(dxt.total, 184);
+
+    // Non-square levels stop halving at 1 pixel
+    const strip = calculateTextureMemory({ width: 8, height: 2, mipLevels: 4, format: FORMAT_RED });
+    assert.deepEqual(strip.levels.map(level => [level.width, level.height]), [[8, 2], [4, 1], [2, 1], [1, 1]]);
+});
+
+test('cube faces, layers, samples and depth multiply the size', () => {
+    const base = { width: 64, height: 64, format: FORMAT_RGBA };
+
+    assert.equal(calculateTextureMemory(base).total, 16384);
+    assert.equal(calculateTextureMemory({ ...base, cube: true }).total, 16384 * 6);
+    assert.equal(calculateTextureMemory({ ...base, cube: true, layers: 3 }).total, 16384 * 18);
+    assert.equal(calculateTextureMemory({ ...base, layers: 3 }).total, 16384 * 3);
+    assert.equal(calculateTextureMemory({ ...base, samples: 4 }).total, 16384 * 4);
+
+    const volume = calculateTextureMemory({ ...base, depth: 4, mipLevels: 3 });
+    assert.deepEqual(volume.levels.map(level => level.depth), [4, 2, 1]);
+    assert.equal(volume.total, 65536 + 8192 + 1024);
+});
+
+test('invalid descriptors throw', () => {
+    const base = { width: 64, height: 64, format: FORMAT_RGBA };
+
+    assert.throws(() => calculateTextureMemory({ ...base, samples: 4, mipLevels: 2 }),
+        /multisampled texture has a single mip level, got 2 with 4 samples/);
+    assert.throws(() => calculateTextureMemory({ ...base, mipLevels: 8 }), /at most 7 mip levels, got 8/);
+    assert.throws(() => calculateTextureMemory({ ...base, width: 0 }), /width must be a positive integer/);
+    assert.throws(() => calculateTextureMemory({ ...base, layers: 1.5 }), /layers must be a positive integer/);
+    assert.throws(() => calculateTextureMemory({ ...base, format: 12345 }), /Unsupported texture format/);
+});
+
+test('getMipmapLevels counts down to one pixel on the largest axis', () => {
+    assert.equal(getMipmapLevels(1, 1), 1);
+    assert.equal(getMipmapLevels(256, 256), 9);
+    assert.equal(getMipmapLevels(300, 20), 9);
+    assert.equal(getMipmapLevels(64, 64, 128), 8);
+});